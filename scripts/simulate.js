@@ -0,0 +1,115 @@
+import { parseArgs } from "node:util";
+import { BETTING_STRATEGIES, BOT_PERSONALITIES, POT_MODES, randomSeed, simulate } from "../src/engine/index.js";
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+  --rounds <n>         Rounds to play (default 100000)
+  --seats <n>          Seats at the table, 1-4 (default 1; 2+ uses the shared pot)
+  --strategy <list>    Playing strategy per seat, comma separated, repeated across seats
+                       (${Object.keys(BOT_PERSONALITIES).join(", ")}; default basic)
+  --betting <name>     ${Object.keys(BETTING_STRATEGIES).join(" or ")} (default flat)
+  --bet <n>            Base bet (default: the table minimum)
+  --decks <n>          Decks in the shoe (default 1)
+  --penetration <p>    Share of the shoe dealt before the cut card (default 0.75)
+  --h17                Dealer hits soft 17
+  --payout <ratio>     Blackjack payout, 3:2 or 6:5 (default 3:2)
+  --pot-mode <name>    How a shared pot is split: ${Object.keys(POT_MODES).join(", ")}
+                       (default proportional)
+  --min-bet <n>        Table minimum (default 10)
+  --max-bet <n>        Table maximum (default none)
+  --seed <text>        Table seed for a reproducible run (default random)
+  --json               Print the full report as JSON
+`;
+
+const percent = (value, digits = 2) => `${(value * 100).toFixed(digits)}%`;
+
+const printReport = (report) => {
+  const { rules } = report;
+  console.log(`Seed ${report.seed} · ${report.rounds.toLocaleString()} rounds · ${report.seats.length} seat(s)`);
+  console.log(
+    `${rules.decks} deck(s), ${rules.dealerHitsSoft17 ? "H17" : "S17"}, blackjack ${rules.blackjackPayout}, ` +
+      `${report.betting} betting`
+  );
+  console.log(`Dealer bust rate ${percent(report.dealerBustRate)}`);
+  if (report.seats.length > 1) {
+    console.log(`Pot (${POT_MODES[rules.potMode]}) carried over in ${percent(report.carryoverRate)} of rounds`);
+    console.log(`${report.potLeft} left in the pot at the end; the house took ${report.houseTake}`);
+  }
+  console.table(
+    report.seats.map((seat, index) => ({
+      seat: index + 1,
+      strategy: seat.strategy,
+      "expected return": percent(seat.expectedReturn, 3),
+      "mean/round": seat.meanPerRound.toFixed(3),
+      "std dev/round": seat.stdDevPerRound.toFixed(2),
+      win: percent(seat.winRate),
+      loss: percent(seat.lossRate),
+      push: percent(seat.pushRate),
+      blackjack: percent(seat.blackjackRate),
+      bust: percent(seat.bustRate),
+    }))
+  );
+};
+
+const main = () => {
+  const { values } = parseArgs({
+    options: {
+      rounds: { type: "string", default: "100000" },
+      seats: { type: "string", default: "1" },
+      strategy: { type: "string", default: "basic" },
+      betting: { type: "string", default: "flat" },
+      bet: { type: "string" },
+      decks: { type: "string" },
+      penetration: { type: "string" },
+      h17: { type: "boolean", default: false },
+      payout: { type: "string" },
+      "pot-mode": { type: "string" },
+      "min-bet": { type: "string" },
+      "max-bet": { type: "string" },
+      seed: { type: "string" },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const seats = Number(values.seats);
+  if (!Number.isInteger(seats) || seats < 1 || seats > 4) throw new Error("--seats must be between 1 and 4.");
+  const seed = values.seed ?? randomSeed();
+  const report = simulate({
+    rounds: Number(values.rounds),
+    seats,
+    strategies: values.strategy.split(","),
+    betting: values.betting,
+    bet: values.bet === undefined ? undefined : Number(values.bet),
+    seed,
+    rules: {
+      decks: values.decks === undefined ? undefined : Number(values.decks),
+      penetration: values.penetration === undefined ? undefined : Number(values.penetration),
+      dealerHitsSoft17: values.h17,
+      blackjackPayout: values.payout,
+      potMode: values["pot-mode"],
+      minBet: values["min-bet"] === undefined ? undefined : Number(values["min-bet"]),
+      maxBet: values["max-bet"] === undefined ? undefined : Number(values["max-bet"]),
+    },
+    onProgress: values.json ? undefined : (round) => process.stderr.write(`\r${round.toLocaleString()} rounds`),
+  });
+  if (!values.json) process.stderr.write("\n");
+
+  if (values.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  console.error(USAGE);
+  process.exitCode = 1;
+}
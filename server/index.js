@@ -0,0 +1,96 @@
+import { fileURLToPath } from "node:url";
+import { WebSocketServer } from "ws";
+import { createRoomManager, errorCode, ROOM_ERRORS } from "./rooms.js";
+
+export const DEFAULT_PORT = 8787;
+
+export const startServer = ({ port = DEFAULT_PORT, host = "127.0.0.1" } = {}) => {
+  const manager = createRoomManager({ onChange: (code) => broadcast(code) });
+  const wss = new WebSocketServer({ port, host });
+  // room code -> seat -> socket
+  const sockets = new Map();
+
+  const send = (ws, message) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+  };
+  const sendError = (ws, message) => send(ws, { type: "error", code: errorCode(message), message });
+
+  const broadcast = (code) => {
+    sockets.get(code)?.forEach((ws, seat) => send(ws, manager.viewFor(code, seat)));
+  };
+
+  const attach = (ws, entry) => {
+    if (!sockets.has(entry.code)) sockets.set(entry.code, new Map());
+    const seats = sockets.get(entry.code);
+    const previous = seats.get(entry.seat);
+    if (previous && previous !== ws) {
+      previous.seat = null;
+      previous.close();
+    }
+    seats.set(entry.seat, ws);
+    ws.seat = { code: entry.code, seat: entry.seat };
+    send(ws, { type: "joined", ...entry });
+    broadcast(entry.code);
+  };
+
+  const handle = (ws, message) => {
+    const here = ws.seat;
+    switch (message.type) {
+      case "create":
+        return attach(ws, manager.create(message));
+      case "join":
+      case "resume": {
+        const entry = message.type === "join" ? manager.join(message) : manager.resume(message);
+        return entry.error ? sendError(ws, entry.error) : attach(ws, entry);
+      }
+      case "start":
+      case "action": {
+        if (!here) return sendError(ws, ROOM_ERRORS.joinFirst);
+        const outcome =
+          message.type === "start"
+            ? manager.start(here.code, here.seat)
+            : manager.act(here.code, here.seat, message.action);
+        if (outcome.error) return sendError(ws, outcome.error);
+        return broadcast(here.code);
+      }
+      default:
+        return sendError(ws, ROOM_ERRORS.unknown);
+    }
+  };
+
+  wss.on("connection", (ws) => {
+    ws.seat = null;
+    ws.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        sendError(ws, ROOM_ERRORS.notJson);
+        return;
+      }
+      handle(ws, message ?? {});
+    });
+    ws.on("close", () => {
+      if (!ws.seat) return;
+      const { code, seat } = ws.seat;
+      sockets.get(code)?.delete(seat);
+      manager.disconnect(code, seat);
+      broadcast(code);
+    });
+  });
+
+  const ready = new Promise((resolve) => wss.once("listening", resolve));
+  const close = () =>
+    new Promise((resolve) => {
+      wss.clients.forEach((client) => client.terminate());
+      wss.close(() => resolve());
+    });
+
+  return { wss, manager, ready, close, address: () => wss.address() };
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  const server = startServer({ port });
+  server.ready.then(() => console.log(`Blackjack table server listening on ws://127.0.0.1:${port}`));
+}
@@ -0,0 +1,92 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import WebSocket from "ws";
+import { startServer } from "./index.js";
+
+let server;
+let url;
+
+beforeEach(async () => {
+  server = startServer({ port: 0 });
+  await server.ready;
+  url = `ws://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+const connect = () =>
+  new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    const inbox = [];
+    const waiters = [];
+    ws.on("message", (data) => {
+      const message = JSON.parse(data.toString());
+      const waiter = waiters.findIndex(({ match }) => match(message));
+      if (waiter === -1) {
+        inbox.push(message);
+      } else {
+        waiters.splice(waiter, 1)[0].resolve(message);
+      }
+    });
+    ws.next = (match) =>
+      new Promise((done) => {
+        const queued = inbox.findIndex(match);
+        if (queued !== -1) {
+          done(inbox.splice(queued, 1)[0]);
+          return;
+        }
+        waiters.push({ match, resolve: done });
+      });
+    ws.post = (message) => ws.send(JSON.stringify(message));
+    ws.once("open", () => resolve(ws));
+    ws.once("error", reject);
+  });
+
+const ofType = (type, extra = () => true) => (message) => message.type === type && extra(message);
+
+describe("table server", () => {
+  it("creates and joins rooms, then streams redacted state to each seat", async () => {
+    const host = await connect();
+    host.post({ type: "create", name: "Aki", seats: 2 });
+    const joined = await host.next(ofType("joined"));
+
+    const guest = await connect();
+    guest.post({ type: "join", code: joined.code, name: "Ben" });
+    expect(await guest.next(ofType("joined"))).toMatchObject({ seat: 1, code: joined.code });
+
+    host.post({ type: "start" });
+    const view = await guest.next(ofType("state", (m) => m.room.started));
+    expect(view.seat).toBe(1);
+    expect(view.game.deck).toBeNull();
+    expect(view.room.seats.map((s) => s.name)).toEqual(["Aki", "Ben"]);
+
+    guest.post({ type: "action", action: { type: "addBet", seat: 0, amount: 50 } });
+    const denied = await guest.next(ofType("error"));
+    expect(denied.message).toMatch(/own seat/);
+    expect(denied.code).toBe("ownSeat");
+
+    host.close();
+    guest.close();
+  });
+
+  it("puts a reconnecting player back in their seat", async () => {
+    const host = await connect();
+    host.post({ type: "create", name: "Aki", seats: 2 });
+    const { code } = await host.next(ofType("joined"));
+
+    const guest = await connect();
+    guest.post({ type: "join", code, name: "Ben" });
+    const { token } = await guest.next(ofType("joined"));
+    guest.close();
+    await host.next(ofType("state", (m) => m.room.seats[1]?.connected === false));
+
+    const back = await connect();
+    back.post({ type: "resume", code, token });
+    expect(await back.next(ofType("joined"))).toMatchObject({ seat: 1 });
+    await host.next(ofType("state", (m) => m.room.seats[1]?.connected === true));
+
+    host.close();
+    back.close();
+  });
+});
@@ -0,0 +1,162 @@
+import { createGame, gameReducer, isChipAmount, randomSeed, redactState, turnClock } from "../src/engine/index.js";
+
+export const MAX_SEATS = 4;
+const CODE_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+
+// Actions a seat may only take for itself, only on its own turn, or on behalf
+// of the whole table. Anything else (newTable, playDealer, timeout) is server-only.
+const SEAT_ACTIONS = ["addBet", "addSideBet", "clearBet", "allIn", "rebuy", "insurance", "timeBank"];
+const TURN_ACTIONS = ["hit", "stand", "double", "split", "surrender", "switch"];
+const TABLE_ACTIONS = ["deal", "nextRound"];
+const CHIP_ACTIONS = ["addBet", "addSideBet"];
+
+// Sent to clients with their key as `code`, so the interface can translate them.
+export const ROOM_ERRORS = {
+  noRoom: "No table with that code.",
+  started: "That table has already started.",
+  full: "That table is full.",
+  noSeat: "Could not find your seat at that table.",
+  notHost: "Only the host can open the table.",
+  alreadyOpen: "The table is already open.",
+  notOpen: "The table has not opened yet.",
+  notAllowed: "That action is not allowed.",
+  ownSeat: "You can only act for your own seat.",
+  notYourTurn: "It is not your turn.",
+  badAmount: "Bets must be a whole, positive number of chips.",
+  joinFirst: "Join a table first.",
+  unknown: "Unknown message.",
+  notJson: "Messages must be JSON.",
+};
+
+export const errorCode = (message) => Object.keys(ROOM_ERRORS).find((key) => ROOM_ERRORS[key] === message) ?? null;
+
+const randomCode = () =>
+  Array.from({ length: 4 }, () => CODE_LETTERS[Math.floor(Math.random() * CODE_LETTERS.length)]).join("");
+
+const runDealer = (game) => (game.phase === "dealer" ? gameReducer(game, { type: "playDealer" }) : game);
+
+export const authorizeAction = (game, seat, action) => {
+  if (SEAT_ACTIONS.includes(action.type)) {
+    if (action.seat !== seat) return ROOM_ERRORS.ownSeat;
+    return CHIP_ACTIONS.includes(action.type) && !isChipAmount(action.amount) ? ROOM_ERRORS.badAmount : null;
+  }
+  if (TURN_ACTIONS.includes(action.type)) {
+    return game.phase === "playing" && game.currentIndex === seat ? null : ROOM_ERRORS.notYourTurn;
+  }
+  if (TABLE_ACTIONS.includes(action.type)) return null;
+  return ROOM_ERRORS.notAllowed;
+};
+
+// `onChange(code)` hears about changes nobody asked for, which so far means
+// the server running out a turn clock.
+export const createRoomManager = ({ onChange = () => {} } = {}) => {
+  const rooms = new Map();
+
+  // The server keeps every table's turn clock and takes the default action
+  // itself when one runs out. A time bank only moves the deadline back.
+  const armClock = (room) => {
+    const clock = turnClock(room.game);
+    const running = room.clock;
+    if (running?.key === clock?.key && running?.seconds === clock?.seconds) return;
+    clearTimeout(running?.timer);
+    room.clock = null;
+    if (!clock) return;
+    const startedAt = running?.key === clock.key ? running.startedAt : Date.now();
+    const timer = setTimeout(() => {
+      room.clock = null;
+      room.game = runDealer(gameReducer(room.game, { type: "timeout", key: clock.key }));
+      armClock(room);
+      onChange(room.code);
+    }, startedAt + clock.seconds * 1000 - Date.now());
+    timer.unref?.();
+    room.clock = { key: clock.key, seconds: clock.seconds, startedAt, timer };
+  };
+
+  const seatEntry = (room, seat) => ({ code: room.code, seat, token: room.members[seat].token });
+
+  // Only the server ever knows a room's seed, so any seed the client sends is ignored.
+  const create = ({ name, seats = 2, rules, tournament } = {}) => {
+    let code = randomCode();
+    while (rooms.has(code)) code = randomCode();
+    const room = {
+      code,
+      capacity: Math.min(MAX_SEATS, Math.max(1, Number(seats) || 2)),
+      rules,
+      tournament: tournament ?? null,
+      hostSeat: 0,
+      members: [{ name: name || "Player 1", token: randomSeed(), connected: true }],
+      game: null,
+      clock: null,
+    };
+    rooms.set(code, room);
+    return seatEntry(room, 0);
+  };
+
+  const join = ({ code, name } = {}) => {
+    const room = rooms.get(String(code ?? "").toUpperCase());
+    if (!room) return { error: ROOM_ERRORS.noRoom };
+    if (room.game) return { error: ROOM_ERRORS.started };
+    if (room.members.length >= room.capacity) return { error: ROOM_ERRORS.full };
+    const seat = room.members.length;
+    room.members.push({ name: name || `Player ${seat + 1}`, token: randomSeed(), connected: true });
+    return seatEntry(room, seat);
+  };
+
+  const resume = ({ code, token } = {}) => {
+    const room = rooms.get(String(code ?? "").toUpperCase());
+    const seat = room ? room.members.findIndex((member) => member.token === token) : -1;
+    if (seat === -1) return { error: ROOM_ERRORS.noSeat };
+    room.members[seat].connected = true;
+    return seatEntry(room, seat);
+  };
+
+  const disconnect = (code, seat) => {
+    const member = rooms.get(code)?.members[seat];
+    if (member) member.connected = false;
+  };
+
+  const start = (code, seat) => {
+    const room = rooms.get(code);
+    if (!room) return { error: ROOM_ERRORS.noRoom };
+    if (seat !== room.hostSeat) return { error: ROOM_ERRORS.notHost };
+    if (room.game) return { error: ROOM_ERRORS.alreadyOpen };
+    room.game = createGame({
+      playerCount: room.members.length,
+      seats: room.members.map(({ name }) => ({ name })),
+      rules: room.rules,
+      seed: randomSeed(),
+      tournament: room.tournament,
+    });
+    armClock(room);
+    return {};
+  };
+
+  const act = (code, seat, action) => {
+    const room = rooms.get(code);
+    if (!room?.game) return { error: ROOM_ERRORS.notOpen };
+    if (!action || typeof action.type !== "string") return { error: ROOM_ERRORS.notAllowed };
+    const denied = authorizeAction(room.game, seat, action);
+    if (denied) return { error: denied };
+    room.game = runDealer(gameReducer(room.game, action));
+    armClock(room);
+    return {};
+  };
+
+  const viewFor = (code, seat) => {
+    const room = rooms.get(code);
+    return {
+      type: "state",
+      seat,
+      room: {
+        code: room.code,
+        capacity: room.capacity,
+        hostSeat: room.hostSeat,
+        started: Boolean(room.game),
+        seats: room.members.map(({ name, connected }) => ({ name, connected })),
+      },
+      game: room.game ? redactState(room.game, seat) : null,
+    };
+  };
+
+  return { rooms, create, join, resume, disconnect, start, act, viewFor };
+};
@@ -0,0 +1,155 @@
+import { describe, expect, it, vi } from "vitest";
+import { createGame, tableChips } from "../src/engine/index.js";
+import { createRoomManager } from "./rooms.js";
+
+const openTable = (seats = 2) => {
+  const manager = createRoomManager();
+  const host = manager.create({ name: "Aki", seats, seed: "room-test" });
+  const guest = manager.join({ code: host.code, name: "Ben" });
+  manager.start(host.code, host.seat);
+  return { manager, host, guest, code: host.code };
+};
+
+describe("rooms", () => {
+  it("seats players in join order and refuses a full or started table", () => {
+    const manager = createRoomManager();
+    const host = manager.create({ name: "Aki", seats: 2 });
+    expect(host.seat).toBe(0);
+    expect(manager.join({ code: host.code.toLowerCase(), name: "Ben" }).seat).toBe(1);
+    expect(manager.join({ code: host.code, name: "Cy" }).error).toMatch(/full/);
+    expect(manager.join({ code: "ZZZZ" }).error).toMatch(/No table/);
+  });
+
+  it("only lets the host open the table", () => {
+    const manager = createRoomManager();
+    const host = manager.create({ name: "Aki" });
+    const guest = manager.join({ code: host.code, name: "Ben" });
+    expect(manager.start(host.code, guest.seat).error).toMatch(/host/);
+    expect(manager.start(host.code, host.seat).error).toBeUndefined();
+    expect(manager.join({ code: host.code, name: "Cy" }).error).toMatch(/started/);
+    expect(manager.rooms.get(host.code).game.players.map((p) => p.name)).toEqual(["Aki", "Ben"]);
+  });
+
+  it("returns a dropped player to the same seat with their token", () => {
+    const { manager, guest, code } = openTable();
+    manager.disconnect(code, guest.seat);
+    expect(manager.viewFor(code, 0).room.seats[1].connected).toBe(false);
+    expect(manager.resume({ code, token: "wrong" }).error).toBeDefined();
+    expect(manager.resume({ code, token: guest.token })).toMatchObject({ seat: 1 });
+    expect(manager.viewFor(code, 0).room.seats[1].connected).toBe(true);
+  });
+});
+
+describe("authoritative play", () => {
+  it("keeps each seat's bet secret in a tournament's final round", () => {
+    const manager = createRoomManager();
+    const host = manager.create({ name: "Aki", seats: 2, tournament: { count: 1 } });
+    manager.join({ code: host.code, name: "Ben" });
+    manager.start(host.code, host.seat);
+    manager.act(host.code, 0, { type: "addBet", seat: 0, amount: 50 });
+    manager.act(host.code, 1, { type: "addBet", seat: 1, amount: 25 });
+    expect(manager.viewFor(host.code, 0).game.players.map((player) => player.bet)).toEqual([50, null]);
+    expect(manager.viewFor(host.code, 1).game.players.map((player) => player.bet)).toEqual([null, 25]);
+  });
+
+  it("rejects bets placed for another seat", () => {
+    const { manager, code } = openTable();
+    expect(manager.act(code, 0, { type: "addBet", seat: 1, amount: 50 }).error).toMatch(/own seat/);
+    const sideBet = { type: "addSideBet", seat: 1, kind: "perfectPairs", amount: 10 };
+    expect(manager.act(code, 0, sideBet).error).toMatch(/own seat/);
+    expect(manager.act(code, 0, { type: "playDealer" }).error).toMatch(/not allowed/);
+  });
+
+  it("refuses bets that are not a whole, positive number of chips", () => {
+    const manager = createRoomManager();
+    const host = manager.create({ name: "Aki", seats: 2, rules: { perfectPairs: "standard" } });
+    manager.join({ code: host.code, name: "Ben" });
+    manager.start(host.code, host.seat);
+    const { code } = host;
+    const sideBet = { type: "addSideBet", seat: 0, kind: "perfectPairs", amount: -5000 };
+    expect(manager.act(code, 0, sideBet).error).toMatch(/positive/);
+    expect(manager.act(code, 0, { type: "addBet", seat: 0, amount: Infinity }).error).toMatch(/positive/);
+    expect(manager.act(code, 1, { type: "addBet", seat: 1, amount: 0 }).error).toMatch(/positive/);
+    expect(manager.act(code, 1, { type: "addBet", seat: 1, amount: 2.5 }).error).toMatch(/whole/);
+    manager.act(code, 0, { type: "addBet", seat: 0, amount: 100 });
+    manager.act(code, 1, { type: "addBet", seat: 1, amount: 100 });
+    manager.act(code, 0, { type: "deal" });
+    const { game } = manager.rooms.get(code);
+    expect(game.players.map((player) => player.sideBets.perfectPairs)).toEqual([0, 0]);
+    expect(tableChips(game)).toBe(tableChips(createGame({ playerCount: 2 })));
+  });
+
+  it("enforces turn order and runs the dealer itself", () => {
+    const { manager, code } = openTable();
+    manager.act(code, 0, { type: "addBet", seat: 0, amount: 50 });
+    manager.act(code, 1, { type: "addBet", seat: 1, amount: 50 });
+    manager.act(code, 1, { type: "deal" });
+    const room = manager.rooms.get(code);
+    [0, 1].forEach((seat) => manager.act(code, seat, { type: "insurance", seat, accept: false }));
+    expect(room.game.phase).toBe("playing");
+
+    const other = 1 - room.game.currentIndex;
+    expect(manager.act(code, other, { type: "stand" }).error).toMatch(/not your turn/);
+    while (room.game.phase === "playing") {
+      expect(manager.act(code, room.game.currentIndex, { type: "stand" }).error).toBeUndefined();
+    }
+    expect(room.game.phase).toBe("roundEnd");
+  });
+
+  it("runs out the turn clock itself and tells the table", () => {
+    vi.useFakeTimers();
+    try {
+      const onChange = vi.fn();
+      const manager = createRoomManager({ onChange });
+      const host = manager.create({ name: "Aki", seats: 2, rules: { betSeconds: 10 } });
+      manager.join({ code: host.code, name: "Ben" });
+      manager.start(host.code, 0);
+      manager.act(host.code, 0, { type: "addBet", seat: 0, amount: 50 });
+      expect(manager.act(host.code, 1, { type: "timeout", key: "betting:1:0" }).error).toMatch(/not allowed/);
+      expect(manager.act(host.code, 1, { type: "timeBank", seat: 1 }).error).toBeUndefined();
+
+      const room = manager.rooms.get(host.code);
+      vi.advanceTimersByTime(10_000);
+      expect(room.game.phase).toBe("betting");
+      vi.advanceTimersByTime(15_000);
+      expect(room.game.phase).not.toBe("betting");
+      expect(room.game.players[1]).toMatchObject({ sittingOut: true, hands: [] });
+      expect(onChange).toHaveBeenCalledWith(host.code);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("ignores a seed sent by the client", () => {
+    const tables = [0, 1].map(() => {
+      const manager = createRoomManager();
+      const host = manager.create({ name: "Aki", seats: 1, seed: "picked-by-host" });
+      manager.start(host.code, host.seat);
+      return manager.rooms.get(host.code).game;
+    });
+    const dealt = createGame({ playerCount: 1, seed: "picked-by-host" });
+    tables.forEach((game) => {
+      expect(game.tableSeed).not.toBe("picked-by-host");
+      expect(game.shoe.seed).not.toBe(dealt.shoe.seed);
+      expect(game.deck).not.toEqual(dealt.deck);
+    });
+    expect(tables[0].tableSeed).not.toBe(tables[1].tableSeed);
+  });
+
+  it("never shows the hole card, the undealt shoe or live seeds", () => {
+    const { manager, code } = openTable();
+    manager.act(code, 0, { type: "addBet", seat: 0, amount: 50 });
+    manager.act(code, 1, { type: "addBet", seat: 1, amount: 50 });
+    manager.act(code, 0, { type: "deal" });
+    const { game } = manager.viewFor(code, 1);
+    const serialized = JSON.stringify(game);
+    expect(game.deck).toBeNull();
+    expect(game.cardsLeft).toBe(manager.rooms.get(code).game.deck.length);
+    expect(game.tableSeed).toBeUndefined();
+    expect(game.shoe.seed).toBeUndefined();
+    expect(game.shoe.dealt).toBeUndefined();
+    expect(serialized).not.toContain(manager.rooms.get(code).game.shoe.seed);
+    expect(game.dealer.hidden).toBe(true);
+    expect(game.dealer.hand[0]).toBeNull();
+  });
+});
@@ -1,402 +1,452 @@
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useReducer, useRef, useState } from "react";
+import {
+  availableActions,
+  BOT_DELAY_MS,
+  BOT_PERSONALITIES,
+  botMove,
+  calculateHand,
+  cardsLeft,
+  coachAdvice,
+  createGame,
+  DEFAULT_RULES,
+  formatCard,
+  gameReducer,
+  gradeAction,
+  hiddenDealerCards,
+  insuranceStake,
+  isBotSeat,
+  isEliminated,
+  isMultiTable,
+  isSecretBetting,
+  addProfile,
+  normalizeRules,
+  pendingInsurance,
+  profileSeat,
+  rebuyOffer,
+  recordRebuy,
+  recordTableStats,
+  removeProfile,
+  removeScenario,
+  saveScenario,
+  scenarioDeck,
+  scoreGrade,
+  SIDE_BETS,
+  sideBetTotal,
+  syncBankrolls,
+  timeBankOffer,
+  totalLabel,
+  turnClock,
+  variantOf,
+} from "./engine/index.js";
+import { describeTableChange } from "./announce.js";
+import CoachPanel from "./components/CoachPanel.jsx";
+import CountTrainer from "./components/CountTrainer.jsx";
+import FairnessPanel from "./components/FairnessPanel.jsx";
+import HistoryDrawer from "./components/HistoryDrawer.jsx";
+import Leaderboard from "./components/Leaderboard.jsx";
+import OddsPanel from "./components/OddsPanel.jsx";
+import OnlineLobby from "./components/OnlineLobby.jsx";
+import PlayingCard from "./components/PlayingCard.jsx";
+import ProfilesPanel, { Avatar } from "./components/ProfilesPanel.jsx";
+import RulesCard from "./components/RulesCard.jsx";
+import RulesForm from "./components/RulesForm.jsx";
+import SavedSession from "./components/SavedSession.jsx";
+import ScenarioEditor from "./components/ScenarioEditor.jsx";
+import ShortcutHelp from "./components/ShortcutHelp.jsx";
+import StatsPanel from "./components/StatsPanel.jsx";
+import TournamentForm from "./components/TournamentForm.jsx";
+import { TournamentBar, TournamentStandings } from "./components/TournamentPanel.jsx";
+import TurnClock, { useTurnClock } from "./components/TurnClock.jsx";
+import WaitingRoom from "./components/WaitingRoom.jsx";
+import { createI18n, LOCALES } from "./i18n/index.js";
+import { I18nContext } from "./i18n/useI18n.js";
+import { shortcutFor, shortcutKey } from "./keyboard.js";
+import { DEAL_STEP_MS, dealerCardStep, dealPositions, seatCardStep, settleStep } from "./motion.js";
+import { displayUrl } from "./net/tableDisplay.js";
+import useOnlineTable from "./net/useOnlineTable.js";
+import { useDisplayHost } from "./net/useTableDisplay.js";
+import { createSoundBoard, tableSounds } from "./sound.js";
+import { loadLocale, saveLocale } from "./storage/locale.js";
+import { loadPreferences, savePreference } from "./storage/preferences.js";
+import { exportSession, importSessionFile, loadSavedSession, saveSession } from "./storage/session.js";
+import { loadProfiles, saveProfiles } from "./storage/profiles.js";
+import { loadScenarios, saveScenarios } from "./storage/scenarios.js";
+import { loadStats, saveStats } from "./storage/stats.js";
 
-const SUITS = ["♠", "♥", "♦", "♣"];
-const RANKS = ["A", "2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K"];
-
-const STARTING_CHIPS = 1000;
-const CHIP_VALUES = [10, 25, 50, 100, 250, 500];
 const CHIP_COLORS = {
+  1: "#f4efe4",
+  5: "#c13b2a",
   10: "#e6edf0",
   25: "#4aa3df",
   50: "#e25b4c",
   100: "#49b86e",
   250: "#7d5bd8",
   500: "#f2c356",
+  1000: "#f08a3c",
+  5000: "#b8a3e8",
 };
 
-const emptyDealer = { hand: [], hidden: true };
-
-const createDeck = () => {
-  const deck = [];
-  for (const suit of SUITS) {
-    for (const rank of RANKS) {
-      const value = rank === "A" ? 11 : ["J", "Q", "K"].includes(rank) ? 10 : Number(rank);
-      deck.push({ suit, rank, value });
-    }
+// `direction` is -1 to walk the seats backwards.
+const nextHumanSeat = (players, from, tournament = null, direction = 1) => {
+  for (let step = 1; step <= players.length; step += 1) {
+    const index = (((from + step * direction) % players.length) + players.length) % players.length;
+    if (!isBotSeat(players[index]) && !isEliminated(tournament, index)) return index;
   }
-  return deck;
-};
-
-const shuffle = (cards) => {
-  const deck = [...cards];
-  for (let i = deck.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [deck[i], deck[j]] = [deck[j], deck[i]];
-  }
-  return deck;
-};
-
-const drawCard = (deck) => {
-  const next = [...deck];
-  const card = next.pop();
-  return { card, next };
+  return from;
 };
 
-const calculateHand = (hand) => {
-  let total = hand.reduce((sum, card) => sum + card.value, 0);
-  let aces = hand.filter((card) => card.rank === "A").length;
-  while (total > 21 && aces > 0) {
-    total -= 10;
-    aces -= 1;
-  }
-  return total;
+// Lobby seat choices are "" for a guest, "bot:<personality>" or "profile:<id>".
+const seatFromPick = (pick, profiles) => {
+  const [kind, key] = pick.split(":");
+  if (kind === "bot") return { bot: key };
+  if (kind === "profile" && profiles[key]) return profileSeat(profiles[key]);
+  return {};
 };
 
-const isBlackjack = (hand) => hand.length === 2 && calculateHand(hand) === 21;
-
-const formatCard = (card) => `${card.rank}${card.suit}`;
-
-const statusLabel = (status) => {
-  switch (status) {
-    case "active":
-      return "Action";
-    case "stand":
-      return "Stand";
-    case "bust":
-      return "Bust";
-    case "blackjack":
-      return "Blackjack";
-    default:
-      return "Idle";
-  }
-};
+const STATUSES = ["active", "stand", "bust", "blackjack", "surrender"];
 
-const resultLabel = (result) => {
-  switch (result) {
-    case "win":
-      return "WIN";
-    case "lose":
-      return "LOSE";
-    case "push":
-      return "PUSH";
-    case "blackjack":
-      return "BLACKJACK";
-    default:
-      return "";
-  }
-};
-
-const nextActiveIndex = (players, fromIndex) => {
-  for (let i = fromIndex + 1; i < players.length; i += 1) {
-    if (players[i].status === "active") return i;
-  }
-  return -1;
+const seatStatusLabel = (t, player) => {
+  if (player.sittingOut) return t("seat.sittingOut");
+  if (player.hands.length > 1) return t("seat.hands", { count: player.hands.length });
+  const status = player.hands[0]?.status;
+  return t(`status.${STATUSES.includes(status) ? status : "idle"}`);
 };
 
 export default function App() {
+  const [locale, setLocale] = useState(loadLocale);
+  const i18n = useMemo(() => createI18n(locale), [locale]);
+  const { t, chips, delta, name } = i18n;
   const [screen, setScreen] = useState("lobby");
-  const [phase, setPhase] = useState("betting");
   const [playerCount, setPlayerCount] = useState(2);
-  const [players, setPlayers] = useState([]);
-  const [dealer, setDealer] = useState(emptyDealer);
-  const [deck, setDeck] = useState(() => shuffle(createDeck()));
-  const [currentIndex, setCurrentIndex] = useState(0);
+  const [seatPicks, setSeatPicks] = useState(["", "", "", ""]);
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [scenarios, setScenarios] = useState(loadScenarios);
   const [betIndex, setBetIndex] = useState(0);
-  const [message, setMessage] = useState("");
-  const [round, setRound] = useState(1);
-  const [pot, setPot] = useState(0);
-  const isMulti = playerCount > 1;
+  const [betCircle, setBetCircle] = useState("main");
+  const [rules, setRules] = useState(DEFAULT_RULES);
+  const [seed, setSeed] = useState("");
+  const [tournament, setTournament] = useState(null);
+  const [saved, setSaved] = useState(loadSavedSession);
+  const [importErrors, setImportErrors] = useState([]);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [stats, setStats] = useState(loadStats);
+  const [coachOn, setCoachOn] = useState(false);
+  const [trainerOn, setTrainerOn] = useState(false);
+  const [oddsOn, setOddsOn] = useState(false);
+  const [showHint, setShowHint] = useState(false);
+  const [lastGrade, setLastGrade] = useState(null);
+  const [coachScores, setCoachScores] = useState({});
+  const [helpOpen, setHelpOpen] = useState(false);
+  const [preferences, setPreferences] = useState(loadPreferences);
+  const [soundBoard] = useState(createSoundBoard);
+  const [announcement, setAnnouncement] = useState("");
+  const [game, dispatch] = useReducer(gameReducer, undefined, () => createGame({ playerCount }));
+  const online = useOnlineTable();
+
+  // Online tables render the server's redacted state and send actions to it
+  // instead of running the reducer locally.
+  const isOnline = Boolean(online.view);
+  const table = isOnline ? online.view.game : game;
+  const mySeat = isOnline ? online.view.seat : null;
+  const act = isOnline ? online.send : dispatch;
+  const showTable = isOnline ? Boolean(table) : screen === "table";
+
+  const current = table ?? game;
+  const { phase, players, dealer, currentIndex, message, round, pot, house } = current;
+  const isMulti = showTable ? isMultiTable(current) : playerCount > 1;
+  const isMyTurn = isOnline ? currentIndex === mySeat : !isBotSeat(players[currentIndex]);
+  const botThinking = !isOnline && showTable && botMove(current) !== null;
+
+  const actions = availableActions(current);
+  const dealt = dealPositions(players);
 
-  const totalPot = useMemo(() => pot, [pot]);
-  const activeBetIndex = players.length ? Math.min(betIndex, players.length - 1) : 0;
+  const activeBetIndex = isOnline ? mySeat : players.length ? Math.min(betIndex, players.length - 1) : 0;
   const activeBetPlayer = players[activeBetIndex];
+  const pickingSeat = phase === "betting" && !isOnline && players.length > 1;
+  // Chips go into the main bet or whichever side-bet circle is picked.
+  const circles = ["main", ...Object.keys(SIDE_BETS).filter((kind) => current.rules[kind] !== "off")];
+  const activeCircle = circles.includes(betCircle) ? betCircle : "main";
+  const circleAmount = (player, circle) => (circle === "main" ? player?.bet : player?.sideBets?.[circle]) ?? 0;
+  const myInsurance = pendingInsurance(current).filter((index) =>
+    isOnline ? index === mySeat : !isBotSeat(players[index])
+  );
 
-  const tableTitle = isMulti ? "Multiplayer Table" : "Solo Table";
-  const modeBadge = isMulti ? "MULTI" : "SOLO";
-
-  const buildPlayers = (count, existing = []) =>
-    Array.from({ length: count }).map((_, index) => ({
-      id: index + 1,
-      name: `Player ${index + 1}`,
-      chips: existing[index]?.chips ?? STARTING_CHIPS,
-      roundStartChips: existing[index]?.roundStartChips ?? STARTING_CHIPS,
-      bet: 0,
-      hand: [],
-      status: "idle",
-      result: "",
-      delta: 0,
-    }));
+  // Only a local table runs out its own clock; online the server does. The
+  // time bank drawn from here is the betting seat's, the first seat deciding
+  // on insurance, or the seat to act.
+  const clock = showTable ? turnClock(current) : null;
+  const clockDeadline = useTurnClock(clock, (key) => !isOnline && dispatch({ type: "timeout", key }));
+  const clockSeat = {
+    betting: activeBetIndex,
+    insurance: myInsurance[0],
+    playing: isMyTurn ? currentIndex : null,
+  }[phase];
+  const clockOffer = Number.isInteger(clockSeat) ? timeBankOffer(current, clockSeat) : 0;
 
-  const handleLobbyStart = () => {
-    setPlayers(buildPlayers(playerCount));
-    setDealer(emptyDealer);
-    setPhase("betting");
-    setScreen("table");
-    setRound(1);
-    setPot(0);
-    setBetIndex(0);
-    setMessage("Select chips and press Deal to start the round.");
-  };
+  const tableTitle = isMulti ? t("table.multiTitle") : t("table.soloTitle");
+  const modeBadge = isMulti ? t("app.multi") : t("app.solo");
 
-  const ensureDeck = (current) => {
-    if (current.length < 15) {
-      return shuffle(createDeck());
-    }
-    return current;
+  const lobbyPicks = seatPicks.slice(0, playerCount);
+  const handleSeatPick = (index, pick) =>
+    setSeatPicks((prev) => prev.map((value, idx) => (idx === index ? pick : value)));
+
+  const updateProfiles = (update) =>
+    setProfiles((prev) => {
+      const next = update(prev);
+      if (next !== prev) saveProfiles(next);
+      return next;
+    });
+
+  const handleLocale = (next) => {
+    setLocale(next);
+    saveLocale(next);
   };
 
-  const dealInitial = (preparedDeck, preparedPlayers, activeSeats) => {
-    let nextDeck = ensureDeck(preparedDeck);
-    const dealtPlayers = preparedPlayers.map((player, index) => ({
-      ...player,
-      hand: [],
-      status: activeSeats.has(index) ? "active" : "idle",
-      result: "",
-    }));
-    let nextDealer = { hand: [], hidden: true };
-
-    for (let i = 0; i < 2; i += 1) {
-      for (let p = 0; p < dealtPlayers.length; p += 1) {
-        if (!activeSeats.has(p)) continue;
-        const draw = drawCard(nextDeck);
-        nextDeck = draw.next;
-        dealtPlayers[p].hand.push(draw.card);
-      }
-      const dealerDraw = drawCard(nextDeck);
-      nextDeck = dealerDraw.next;
-      nextDealer.hand.push(dealerDraw.card);
-    }
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
 
-    dealtPlayers.forEach((player) => {
-      if (isBlackjack(player.hand)) {
-        player.status = "blackjack";
-      }
+  const togglePreference = (key) =>
+    setPreferences((prev) => {
+      savePreference(key, !prev[key]);
+      return { ...prev, [key]: !prev[key] };
     });
 
-    return { nextDeck, dealtPlayers, nextDealer };
+  const handleCreateProfile = (draft) => updateProfiles((prev) => addProfile(prev, draft));
+  const handleRemoveProfile = (id) => {
+    updateProfiles((prev) => removeProfile(prev, id));
+    setSeatPicks((prev) => prev.map((pick) => (pick === `profile:${id}` ? "" : pick)));
   };
 
-  const handleDeal = () => {
-    const eligibleSeats = players
-      .map((player, index) => (player.chips > 0 ? index : -1))
-      .filter((index) => index !== -1);
-    if (!eligibleSeats.length) {
-      setMessage("No players have chips left to bet.");
-      return;
-    }
+  const handleLobbyStart = () => {
+    const seats = lobbyPicks.map((pick) => seatFromPick(pick, profiles));
+    dispatch({ type: "newTable", playerCount, seats, rules, seed: seed.trim(), tournament: tournament ?? undefined });
+    setScreen("table");
+    setBetIndex(Math.max(0, nextHumanSeat(seats, -1)));
+  };
 
-    const invalid = eligibleSeats.some((index) => {
-      const player = players[index];
-      return player.bet <= 0 || player.bet > player.chips;
+  const updateScenarios = (update) =>
+    setScenarios((prev) => {
+      const next = update(prev);
+      saveScenarios(next);
+      return next;
     });
-    if (invalid) {
-      setMessage("Each player must bet more than $0 and within their chip balance.");
-      return;
-    }
 
-    const potIncrease = players.reduce((sum, player) => sum + player.bet, 0);
-    const reservedPlayers = players.map((player) => ({
-      ...player,
-      chips: player.chips - player.bet,
-      roundStartChips: player.chips,
-      delta: 0,
-      result: "",
-      hand: [],
-      status: "active",
-    }));
-
-    const { nextDeck, dealtPlayers, nextDealer } = dealInitial(deck, reservedPlayers, new Set(eligibleSeats));
-
-    setDeck(nextDeck);
-    setPlayers(dealtPlayers);
-    setDealer(nextDealer);
-    setPhase("playing");
-    setMessage("Choose your action.");
-
-    if (isMulti) {
-      setPot((prev) => prev + potIncrease);
-    }
+  const handleScenarioSave = (scenario) => updateScenarios((prev) => saveScenario(prev, scenario));
+  const handleScenarioRemove = (scenarioName) => updateScenarios((prev) => removeScenario(prev, scenarioName));
 
-    const nextIndex = nextActiveIndex(dealtPlayers, -1);
-    if (nextIndex === -1) {
-      const nextPot = isMulti ? pot + potIncrease : pot;
-      handleDealerTurn(dealtPlayers, nextDealer, nextDeck, nextPot);
-    } else {
-      setCurrentIndex(nextIndex);
-    }
+  // A scenario opens a cash table with the lobby's seats and rules, its shoe
+  // stacked in place of the seeded one.
+  const handleScenarioPlay = (scenario) => {
+    const count = scenario.seats.length;
+    const seats = Array.from({ length: count }, (_, index) => seatFromPick(lobbyPicks[index] ?? "", profiles));
+    const deck = scenarioDeck(scenario, normalizeRules(rules));
+    dispatch({ type: "newTable", playerCount: count, seats, rules, deck });
+    setScreen("table");
+    setBetIndex(Math.max(0, nextHumanSeat(seats, -1)));
   };
 
-  const updatePlayer = (index, updates) => {
-    setPlayers((prev) => prev.map((player, idx) => (idx === index ? { ...player, ...updates } : player)));
+  const openSavedGame = (state) => {
+    dispatch({ type: "restore", state });
+    setScreen("table");
+    setBetIndex(0);
+    setImportErrors([]);
   };
 
-  const advanceTurn = (nextPlayers, nextDealer, nextDeck, nextPot = pot) => {
-    const nextIndex = nextActiveIndex(nextPlayers, currentIndex);
-    if (nextIndex === -1) {
-      handleDealerTurn(nextPlayers, nextDealer, nextDeck, nextPot);
+  const handleResume = () => openSavedGame(saved.game);
+
+  const handleImport = async (file) => {
+    const result = await importSessionFile(file);
+    if (result.ok) {
+      openSavedGame(result.game);
     } else {
-      setCurrentIndex(nextIndex);
+      setImportErrors(result.errors);
     }
   };
 
-  const handleHit = () => {
-    const player = players[currentIndex];
-    if (!player || player.status !== "active") return;
+  const handleLeaveTable = () => {
+    setSaved(loadSavedSession());
+    setScreen("lobby");
+  };
 
-    const draw = drawCard(deck);
-    const updatedHand = [...player.hand, draw.card];
-    const total = calculateHand(updatedHand);
-    const updatedPlayers = players.map((p, idx) =>
-      idx === currentIndex ? { ...p, hand: updatedHand } : p
-    );
+  const handleOnlineCreate = ({ url, name, seats }) =>
+    online.create({ url, name, seats, rules, tournament: tournament ?? undefined });
 
-    if (total > 21) {
-      updatedPlayers[currentIndex].status = "bust";
-    } else if (total === 21) {
-      updatedPlayers[currentIndex].status = "stand";
+  // Player decisions are graded against basic strategy before they are sent,
+  // while the coach can still see the hand they were made on.
+  const decide = (action) => {
+    const grade = coachOn ? gradeAction(current, action) : null;
+    if (grade) {
+      setLastGrade(grade);
+      setCoachScores((prev) => scoreGrade(prev, grade, round));
     }
+    setShowHint(false);
+    act(action);
+  };
 
-    setDeck(draw.next);
-    setPlayers(updatedPlayers);
+  const handleDeal = () => {
+    setLastGrade(null);
+    act({ type: "deal" });
+  };
+  const handleHit = () => decide({ type: "hit" });
+  const handleStand = () => decide({ type: "stand" });
+  const handleInsurance = (index, accept) => decide({ type: "insurance", seat: index, accept });
+  const handleDouble = () => decide({ type: "double" });
+  const handleSplit = () => decide({ type: "split" });
+  const handleSurrender = () => decide({ type: "surrender" });
+  const handleSwitch = () => decide({ type: "switch" });
 
-    if (updatedPlayers[currentIndex].status !== "active") {
-      advanceTurn(updatedPlayers, dealer, draw.next);
-    }
+  const handleNextRound = () => {
+    act({ type: "nextRound" });
+    setBetIndex(Math.max(0, nextHumanSeat(players, -1, current.tournament)));
   };
 
-  const handleStand = () => {
-    const updatedPlayers = players.map((player, idx) =>
-      idx === currentIndex ? { ...player, status: "stand" } : player
+  const handleTimeBank = () => clockOffer > 0 && act({ type: "timeBank", seat: clockSeat });
+  const handleNextSeat = () => setBetIndex((prev) => nextHumanSeat(players, prev, current.tournament));
+
+  const handleBetAdd = (index, amount) =>
+    act(
+      activeCircle === "main"
+        ? { type: "addBet", seat: index, amount }
+        : { type: "addSideBet", seat: index, kind: activeCircle, amount }
     );
-    setPlayers(updatedPlayers);
-    advanceTurn(updatedPlayers, dealer, deck);
+  const handleNextCircle = () => setBetCircle(circles[(circles.indexOf(activeCircle) + 1) % circles.length]);
+  const handleBetClear = (index) => act({ type: "clearBet", seat: index });
+  const handleBetAllIn = (index) => act({ type: "allIn", seat: index });
+  const handleRebuy = (index) => {
+    const { profileId } = players[index];
+    if (!isOnline && profileId) updateProfiles((prev) => recordRebuy(prev, profileId, rebuyOffer(current, index)));
+    act({ type: "rebuy", seat: index });
   };
 
-  const resolveResult = (player, dealerTotal, dealerBlackjack, dealerBust) => {
-    const playerTotal = calculateHand(player.hand);
-    if (player.status === "bust") return "lose";
-    if (isBlackjack(player.hand) && dealerBlackjack) return "push";
-    if (dealerBlackjack) return "lose";
-    if (isBlackjack(player.hand)) return "blackjack";
-    if (dealerBust) return "win";
-    if (playerTotal > dealerTotal) return "win";
-    if (playerTotal < dealerTotal) return "lose";
-    return "push";
+  // Seats form a radio group while bets are placed locally, so the arrow keys
+  // move the betting seat and focus along with it.
+  const seatRefs = useRef([]);
+  const handleSeatKey = (event, index) => {
+    const direction = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[event.key];
+    if (!direction) return;
+    event.preventDefault();
+    const next = nextHumanSeat(players, index, current.tournament, direction);
+    setBetIndex(next);
+    seatRefs.current[next]?.focus();
   };
 
-  const handleDealerTurn = (currentPlayers, currentDealer, currentDeck, nextPot = pot) => {
-    let nextDealer = { ...currentDealer, hidden: false };
-    let nextDeck = currentDeck;
-    let dealerTotal = calculateHand(nextDealer.hand);
-    while (dealerTotal < 17) {
-      const draw = drawCard(nextDeck);
-      nextDeck = draw.next;
-      nextDealer.hand = [...nextDealer.hand, draw.card];
-      dealerTotal = calculateHand(nextDealer.hand);
-    }
+  const shortcutActions = {
+    help: () => setHelpOpen((open) => !open),
+    chip: ({ index }) => {
+      const value = current.rules.chipValues[index];
+      if (value !== undefined) handleBetAdd(activeBetIndex, value);
+    },
+    deal: () => !botThinking && handleDeal(),
+    clear: () => handleBetClear(activeBetIndex),
+    allIn: () => handleBetAllIn(activeBetIndex),
+    nextSeat: () => pickingSeat && handleNextSeat(),
+    betCircle: () => circles.length > 1 && handleNextCircle(),
+    rebuy: () => rebuyOffer(current, activeBetIndex) > 0 && handleRebuy(activeBetIndex),
+    insure: () => myInsurance.length && handleInsurance(myInsurance[0], true),
+    decline: () => myInsurance.length && handleInsurance(myInsurance[0], false),
+    hit: () => isMyTurn && actions.hit && handleHit(),
+    stand: () => isMyTurn && actions.stand && handleStand(),
+    double: () => isMyTurn && actions.double && handleDouble(),
+    split: () => isMyTurn && actions.split && handleSplit(),
+    surrender: () => isMyTurn && actions.surrender && handleSurrender(),
+    switch: () => isMyTurn && actions.switch && handleSwitch(),
+    nextRound: () => !current.tournament?.finished && handleNextRound(),
+    timeBank: handleTimeBank,
+  };
 
-    const dealerBlackjack = isBlackjack(nextDealer.hand);
-    const dealerBust = dealerTotal > 21;
+  // The window listener is attached once; it reads the latest handlers through
+  // this ref so it always acts on the table as rendered.
+  const onShortcut = useRef(null);
+  onShortcut.current = (event) => {
+    const shortcut = shortcutFor(phase, event);
+    if (!shortcut) return;
+    event.preventDefault();
+    shortcutActions[shortcut.action](shortcut);
+  };
 
-    let potPool = nextPot;
-    const resolvedPlayers = currentPlayers.map((player) => {
-      const result = resolveResult(player, dealerTotal, dealerBlackjack, dealerBust);
-      return { ...player, result };
-    });
+  useEffect(() => {
+    if (!showTable) return undefined;
+    const handleKey = (event) => onShortcut.current(event);
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [showTable]);
 
-    if (isMulti) {
-      const pushes = resolvedPlayers.filter((player) => player.result === "push");
-      pushes.forEach((player) => {
-        potPool -= player.bet;
-      });
-
-      const winners = resolvedPlayers.filter((player) => player.result === "win" || player.result === "blackjack");
-      const totalWeight = winners.reduce(
-        (sum, player) => sum + player.bet * (player.result === "blackjack" ? 1.5 : 1),
-        0
-      );
-
-      const payoutMap = new Map();
-      winners.forEach((player) => {
-        const weight = player.bet * (player.result === "blackjack" ? 1.5 : 1);
-        const payout = totalWeight > 0 ? (potPool * weight) / totalWeight : 0;
-        payoutMap.set(player.id, Math.round(payout));
-      });
-
-      const finalPlayers = resolvedPlayers.map((player) => {
-        const refund = player.result === "push" ? player.bet : 0;
-        const payout = payoutMap.get(player.id) ?? 0;
-        const finalChips = player.chips + refund + payout;
-        return {
-          ...player,
-          chips: finalChips,
-          delta: finalChips - player.roundStartChips,
-        };
-      });
-
-      setPot(totalWeight > 0 ? 0 : potPool);
-      setPlayers(finalPlayers);
-    } else {
-      const payoutPlayers = resolvedPlayers.map((player) => {
-        let payout = 0;
-        if (player.result === "push") payout = player.bet;
-        if (player.result === "win") payout = player.bet * 2;
-        if (player.result === "blackjack") payout = player.bet * 2.5;
-        const finalChips = player.chips + payout;
-        return {
-          ...player,
-          chips: finalChips,
-          delta: finalChips - player.roundStartChips,
-        };
-      });
-      setPlayers(payoutPlayers);
+  useDisplayHost(showTable ? current : null, locale);
+
+  // Screen readers hear what changed at the table through a polite live region,
+  // and the sound effects follow the same changes.
+  const previousTable = useRef(null);
+  useEffect(() => {
+    if (!showTable) {
+      previousTable.current = null;
+      return;
+    }
+    const lines = describeTableChange(previousTable.current, current, i18n);
+    if (!preferences.muted) {
+      soundBoard.play(tableSounds(previousTable.current, current), preferences.reducedMotion ? 0 : DEAL_STEP_MS);
     }
+    previousTable.current = current;
+    if (lines.length) setAnnouncement(lines.join(" "));
+  }, [current, showTable]);
 
-    setDealer(nextDealer);
-    setDeck(nextDeck);
-    setPhase("roundEnd");
-    setMessage("Round complete. Start the next round when ready.");
-  };
+  // When the phase changes, focus moves to the control that comes next, unless
+  // the player has moved focus somewhere outside the table.
+  const tableRef = useRef(null);
+  const focusRefs = { betting: useRef(null), insurance: useRef(null), playing: useRef(null), roundEnd: useRef(null) };
+  useEffect(() => {
+    if (!showTable) return;
+    const focused = document.activeElement;
+    if (focused && focused !== document.body && !tableRef.current?.contains(focused)) return;
+    focusRefs[phase]?.current?.focus();
+  }, [phase, isMyTurn, showTable]);
 
-  const handleNextRound = () => {
-    setPlayers((prev) =>
-      prev.map((player) => ({
-        ...player,
-        bet: 0,
-        hand: [],
-        status: "idle",
-        result: "",
-        delta: 0,
-      }))
-    );
-    setDealer(emptyDealer);
-    setPhase("betting");
-    setRound((prev) => prev + 1);
-    setBetIndex(0);
-    setMessage("Select chips and press Deal to start the round.");
-  };
+  useEffect(() => {
+    if (screen === "table") {
+      saveSession(game);
+    }
+  }, [game, screen]);
 
-  const handleBetAdd = (index, amount) => {
-    setPlayers((prev) =>
-      prev.map((player, idx) => {
-        if (idx !== index) return player;
-        const nextBet = Math.min(player.chips, player.bet + amount);
-        return { ...player, bet: nextBet };
-      })
-    );
-  };
+  useEffect(() => {
+    if (!showTable) return;
+    setStats((prev) => {
+      const next = recordTableStats(prev, current.tableId, current.history);
+      if (next !== prev) saveStats(next);
+      return next;
+    });
+  }, [showTable, current.tableId, current.history]);
 
-  const handleBetClear = (index) => {
-    setPlayers((prev) => prev.map((player, idx) => (idx === index ? { ...player, bet: 0 } : player)));
-  };
+  // Profile bankrolls follow their seats each time a round is settled at this
+  // table. Opening a new table or a saved session settles nothing, so its seat
+  // stacks never overwrite the profiles. Tournament chips are not real money.
+  const settledRounds = useRef(null);
+  useEffect(() => {
+    const previous = settledRounds.current;
+    settledRounds.current = { tableId: game.tableId, rounds: game.history.length };
+    if (isOnline || game.tournament || previous?.tableId !== game.tableId) return;
+    if (game.history.length > previous.rounds) updateProfiles((prev) => syncBankrolls(prev, game.players));
+  }, [game.tableId, game.history.length, game.players, game.tournament, isOnline]);
 
-  const handleBetAllIn = (index) => {
-    setPlayers((prev) =>
-      prev.map((player, idx) => (idx === index ? { ...player, bet: player.chips } : player))
-    );
+  const handleResetStats = () => {
+    const next = { ...stats, players: {} };
+    saveStats(next);
+    setStats(next);
   };
 
-  const formatChips = (value) => `$${value.toFixed(0)}`;
+  // Bot seats act on their own after a short pause so the table can follow them.
+  useEffect(() => {
+    if (isOnline || screen !== "table") return undefined;
+    const move = botMove(game);
+    if (!move) return undefined;
+    const timer = setTimeout(() => dispatch(move), BOT_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [game, isOnline, screen]);
+
+  useEffect(() => {
+    if (game.phase === "dealer") {
+      dispatch({ type: "playDealer" });
+    }
+  }, [game.phase]);
 
   useEffect(() => {
     if (players.length && betIndex >= players.length) {
@@ -404,208 +454,644 @@ export default function App() {
     }
   }, [betIndex, players.length]);
 
+  const clockProps = {
+    deadline: clockDeadline,
+    seconds: clock?.seconds,
+    phase,
+    offer: clockOffer,
+    bank: players[clockSeat]?.timeBank ?? 0,
+    onTimeBank: handleTimeBank,
+  };
+
   return (
-    <div className={screen === "table" ? "app app--table" : "app"}>
-      <header className="hero">
-        <div className="hero__title">
-          <span className="hero__label">Blackjack Royale</span>
-          <h1>Casino Table Suite</h1>
-          <p>Competitive blackjack wrapped in gold light and felt.</p>
-        </div>
-        <div className="hero__badge">
-          <span>{modeBadge}</span>
-          <strong>Round {round}</strong>
-        </div>
-      </header>
-
-      {screen === "lobby" && (
-        <section className="panel panel--lobby">
-          <div className="panel__header">
-            <h2>Select player count</h2>
-            <p>Pick how many seats are at the table, then deal in.</p>
+    <I18nContext.Provider value={i18n}>
+      <div
+        className={["app", showTable ? "app--table" : "", preferences.reducedMotion ? "app--still" : ""]
+          .filter(Boolean)
+          .join(" ")}
+      >
+        <header className="hero">
+          <div className="hero__title">
+            <span className="hero__label">{t("app.brand")}</span>
+            <h1>{t("app.title")}</h1>
+            <p>{t("app.tagline")}</p>
           </div>
-          <div className="player-count">
-            {[1, 2, 3, 4].map((count) => (
-              <button
-                key={`count-${count}`}
-                className={playerCount === count ? "btn btn--primary" : "btn"}
-                onClick={() => setPlayerCount(count)}
-              >
-                {count} Players
-              </button>
-            ))}
+          <div className="hero__badge">
+            <span>{modeBadge}</span>
+            <strong>{t("app.round", { round })}</strong>
+            <label className="hero__language">
+              <span className="sr-only">{t("language.label")}</span>
+              <select value={locale} onChange={(event) => handleLocale(event.target.value)}>
+                {Object.entries(LOCALES).map(([key, { label }]) => (
+                  <option key={`locale-${key}`} value={key} lang={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
           </div>
-          <div className="setup-actions">
-            <button className="btn btn--gold" onClick={handleLobbyStart}>
-              Open Table
-            </button>
-          </div>
-        </section>
-      )}
-
-      {screen === "table" && (
-        <section className="table">
-          <div className="table__header">
-            <div>
-              <h2>{tableTitle}</h2>
-              <p>Beat the dealer and grow your stack.</p>
+        </header>
+
+        {!isOnline && screen === "lobby" && (
+          <section className="panel panel--lobby">
+            <div className="panel__header">
+              <h2>{t("lobby.playerCountTitle")}</h2>
+              <p>{t("lobby.playerCountHint")}</p>
+            </div>
+            <div className="player-count">
+              {[1, 2, 3, 4].map((count) => (
+                <button
+                  key={`count-${count}`}
+                  className={playerCount === count ? "btn btn--primary" : "btn"}
+                  onClick={() => setPlayerCount(count)}
+                >
+                  {t("lobby.players", { count })}
+                </button>
+              ))}
             </div>
-            <div className="table__info">
-              {isMulti && <div className="chip-chip">Pot: {formatChips(totalPot)}</div>}
-              <div className="chip-chip">Deck: {deck.length}</div>
+            <div className="setup-grid">
+              {lobbyPicks.map((pick, index) => (
+                <label className="field" key={`seat-${index}`}>
+                  {t("lobby.seat", { seat: index + 1 })}
+                  <select value={pick} onChange={(event) => handleSeatPick(index, event.target.value)}>
+                    <option value="">{t("lobby.guest")}</option>
+                    {Object.values(profiles).map((profile) => (
+                      <option
+                        key={`profile-${profile.id}`}
+                        value={`profile:${profile.id}`}
+                        disabled={pick !== `profile:${profile.id}` && lobbyPicks.includes(`profile:${profile.id}`)}
+                      >
+                        {profile.avatar} {profile.name} · {chips(profile.bankroll)}
+                      </option>
+                    ))}
+                    {Object.keys(BOT_PERSONALITIES).map((key) => (
+                      <option key={`bot-${key}`} value={`bot:${key}`}>
+                        {t("lobby.bot", { label: t(`bots.${key}`) })}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
             </div>
-          </div>
+            <div className="panel__header panel__header--section">
+              <h2>{t("lobby.rulesTitle")}</h2>
+              <p>{t("lobby.rulesHint")}</p>
+            </div>
+            <RulesForm rules={rules} onChange={setRules} />
+            <div className="panel__header panel__header--section">
+              <h2>{t("lobby.formatTitle")}</h2>
+              <p>{t("lobby.formatHint")}</p>
+            </div>
+            <TournamentForm config={tournament} onChange={setTournament} />
+            <div className="setup-grid">
+              <label className="field">
+                {t("lobby.seed")}
+                <input
+                  type="text"
+                  placeholder={t("lobby.seedPlaceholder")}
+                  value={seed}
+                  onChange={(event) => setSeed(event.target.value)}
+                />
+              </label>
+            </div>
+            <div className="setup-actions">
+              <button className="btn btn--gold" onClick={handleLobbyStart}>
+                {t("lobby.open")}
+              </button>
+            </div>
+            <ScenarioEditor
+              scenarios={scenarios}
+              rules={rules}
+              onSave={handleScenarioSave}
+              onRemove={handleScenarioRemove}
+              onPlay={handleScenarioPlay}
+            />
+            <ProfilesPanel profiles={profiles} onCreate={handleCreateProfile} onRemove={handleRemoveProfile} />
+            <Leaderboard profiles={profiles} stats={stats} />
+            <SavedSession
+              saved={saved}
+              importErrors={importErrors}
+              onResume={handleResume}
+              onImport={handleImport}
+            />
+            <OnlineLobby online={online} onCreate={handleOnlineCreate} />
+          </section>
+        )}
 
-        <div className="dealer">
-          <div className="dealer__label">Dealer</div>
-          <div className="card-row">
-            {dealer.hand.map((card, index) => (
-              <div className={dealer.hidden && index === 0 ? "card card--back" : "card"} key={`dealer-${index}`}>
-                {dealer.hidden && index === 0 ? "?" : formatCard(card)}
+        {isOnline && !table && <WaitingRoom online={online} />}
+
+        {showTable && (
+          <section
+            className="table"
+            ref={tableRef}
+            style={phase === "roundEnd" ? { "--settle-delay": `${settleStep(current) * DEAL_STEP_MS}ms` } : undefined}
+          >
+            <div className="table__header">
+              <div>
+                <h2>{tableTitle}</h2>
+                <p>{t("table.subtitle")}</p>
+              </div>
+              <div className="table__info">
+                {isMulti && <div className="chip-chip">{t("table.pot", { amount: chips(pot) })}</div>}
+                {isMulti && house > 0 && <div className="chip-chip">{t("table.house", { amount: chips(house) })}</div>}
+                <div className="chip-chip">{t("table.deck", { count: cardsLeft(current) })}</div>
+                <button
+                  className={coachOn ? "btn btn--primary" : "btn btn--ghost"}
+                  onClick={() => setCoachOn((on) => !on)}
+                  aria-pressed={coachOn}
+                >
+                  {coachOn ? t("table.coachOn") : t("table.coachOff")}
+                </button>
+                <button
+                  className={trainerOn ? "btn btn--primary" : "btn btn--ghost"}
+                  onClick={() => setTrainerOn((on) => !on)}
+                  aria-pressed={trainerOn}
+                >
+                  {trainerOn ? t("table.trainerOn") : t("table.trainerOff")}
+                </button>
+                <button
+                  className={oddsOn ? "btn btn--primary" : "btn btn--ghost"}
+                  onClick={() => setOddsOn((on) => !on)}
+                  aria-pressed={oddsOn}
+                >
+                  {oddsOn ? t("table.oddsOn") : t("table.oddsOff")}
+                </button>
+                <button
+                  className={preferences.muted ? "btn btn--ghost" : "btn btn--primary"}
+                  onClick={() => togglePreference("muted")}
+                  aria-pressed={!preferences.muted}
+                >
+                  {preferences.muted ? t("table.soundOff") : t("table.soundOn")}
+                </button>
+                <button
+                  className={preferences.reducedMotion ? "btn btn--primary" : "btn btn--ghost"}
+                  onClick={() => togglePreference("reducedMotion")}
+                  aria-pressed={preferences.reducedMotion}
+                >
+                  {t("table.reducedMotion")}
+                </button>
+                <button
+                  className="btn btn--ghost"
+                  onClick={() => setHelpOpen((open) => !open)}
+                  aria-pressed={helpOpen}
+                  aria-keyshortcuts="?"
+                >
+                  {t("table.shortcuts")}
+                </button>
+                <button className="btn btn--ghost" onClick={() => window.open(displayUrl(), "blackjack-display")}>
+                  {t("table.display")}
+                </button>
+                <button className="btn btn--ghost" onClick={() => setHistoryOpen((open) => !open)}>
+                  {t("table.history", { count: current.history.length })}
+                </button>
+                {isOnline ? (
+                  <button className="btn btn--ghost" onClick={online.leave}>
+                    {t("table.leaveRoom", { code: online.view.room.code })}
+                  </button>
+                ) : (
+                  <div className="chip-actions">
+                    <button className="btn btn--ghost" onClick={() => exportSession(game)}>
+                      {t("table.exportSession")}
+                    </button>
+                    <button className="btn btn--ghost" onClick={handleLeaveTable}>
+                      {t("table.lobby")}
+                    </button>
+                  </div>
+                )}
               </div>
-            ))}
+            </div>
+
+            <RulesCard rules={current.rules} shared={isMulti} />
+            {current.tournament && <TournamentBar table={current} />}
+
+          <div className="dealer">
+            <div className="dealer__label">{t("table.dealer")}</div>
+            <div className="card-row" role="group" aria-label={t("table.dealerCards")}>
+              {dealer.hand.map((card, index) => (
+                <PlayingCard
+                  card={card}
+                  hidden={dealer.hidden && index < hiddenDealerCards(current.rules)}
+                  step={dealerCardStep(dealt.seats, index)}
+                  key={`dealer-${index}`}
+                />
+              ))}
+            </div>
+          <div className="dealer__total">
+            {dealer.hidden ? t("table.hiddenTotal") : t("table.total", { total: calculateHand(dealer.hand) })}
           </div>
-        <div className="dealer__total">
-          {dealer.hidden ? "?" : `Total: ${calculateHand(dealer.hand)}`}
-        </div>
-        </div>
-
-        <div className="players">
-          {players.map((player, index) => {
-            const isCurrent = index === currentIndex && phase === "playing" && player.status === "active";
-            const isBetting = phase === "betting";
-            const isFocusedBet = isBetting && index === activeBetIndex;
-            const total = calculateHand(player.hand);
-            return (
-              <div
-                className={[
-                  "player",
-                  isCurrent ? "player--active" : "",
-                  isFocusedBet ? "player--betting" : "",
-                ]
-                  .filter(Boolean)
-                  .join(" ")}
-                key={player.id}
-                onClick={isBetting ? () => setBetIndex(index) : undefined}
-              >
-                {isBetting ? (
-                  <>
-                    <div className="player__header player__header--betting">
-                      <div>
-                        <h3>{player.name}</h3>
-                        <span className="player__status">Betting</span>
+          </div>
+
+          <div
+            className="players"
+            role={pickingSeat ? "radiogroup" : "list"}
+            aria-label={pickingSeat ? t("table.bettingSeat") : t("table.seats")}
+          >
+            {players.map((player, index) => {
+              const isCurrent = index === currentIndex && phase === "playing";
+              const isBetting = phase === "betting";
+              const isFocusedBet = isBetting && index === activeBetIndex;
+              const isOut = isEliminated(current.tournament, index);
+              const betHidden = isSecretBetting(current) && index !== activeBetIndex;
+              const canPick = pickingSeat && !isBotSeat(player) && !isOut;
+              return (
+                <div
+                  className={[
+                    "player",
+                    isCurrent ? "player--active" : "",
+                    isFocusedBet ? "player--betting" : "",
+                  ]
+                    .filter(Boolean)
+                    .join(" ")}
+                  key={player.id}
+                  ref={(element) => {
+                    seatRefs.current[index] = element;
+                  }}
+                  role={pickingSeat ? "radio" : "listitem"}
+                  aria-checked={pickingSeat ? isFocusedBet : undefined}
+                  aria-disabled={pickingSeat && !canPick ? true : undefined}
+                  aria-current={isCurrent ? "true" : undefined}
+                  tabIndex={pickingSeat ? (isFocusedBet ? 0 : -1) : undefined}
+                  onKeyDown={pickingSeat ? (event) => handleSeatKey(event, index) : undefined}
+                  onClick={canPick ? () => setBetIndex(index) : undefined}
+                >
+                  {isBetting ? (
+                    <>
+                      <div className="player__header player__header--betting">
+                        <div>
+                          <h3>
+                            <Avatar avatar={player.avatar} color={player.color} />
+                            {name(player.name)}
+                            {index === mySeat ? t("seat.you") : ""}
+                            {isBotSeat(player) ? ` · ${t(`bots.${player.bot}`)}` : ""}
+                          </h3>
+                          <span className="player__status">{isOut ? t("seat.out") : t("seat.betting")}</span>
+                        </div>
+                        <div className="player__chips">{t("seat.chips", { amount: chips(player.chips) })}</div>
                       </div>
-                      <div className="player__chips">Chips: {formatChips(player.chips)}</div>
-                    </div>
-                    <div className="player__bet">Bet: {formatChips(player.bet)}</div>
-                  </>
-                ) : (
-                  <>
-                    <div className="player__header">
-                      <div>
-                        <h3>{player.name}</h3>
-                        <span className="player__status">{statusLabel(player.status)}</span>
+                      <div className="player__bet">
+                        {t("seat.bet", { amount: betHidden ? t("seat.secret") : chips(player.bet) })}
+                        {player.rebuys > 0 && (
+                          <span className="hint">
+                            {" · "}
+                            {t("seat.rebuys", { count: player.rebuys })}
+                          </span>
+                        )}
+                      </div>
+                      {!betHidden && sideBetTotal(player) > 0 && (
+                        <div className="player__side-bets">
+                          {circles
+                            .filter((circle) => circle !== "main" && player.sideBets[circle] > 0)
+                            .map((kind) =>
+                              t("sideBets.placed", {
+                                bet: i18n.sideBetName(kind),
+                                amount: chips(player.sideBets[kind]),
+                              })
+                            )
+                            .join(" · ")}
+                        </div>
+                      )}
+                    </>
+                  ) : (
+                    <>
+                      <div className="player__header">
+                        <div>
+                          <h3>
+                            <Avatar avatar={player.avatar} color={player.color} />
+                            {name(player.name)}
+                            {index === mySeat ? t("seat.you") : ""}
+                            {isBotSeat(player) ? ` · ${t(`bots.${player.bot}`)}` : ""}
+                          </h3>
+                          <span className="player__status">{isOut ? t("seat.out") : seatStatusLabel(t, player)}</span>
+                        </div>
+                        <div className="player__bank">
+                          <div className="player__chips">{t("seat.chips", { amount: chips(player.chips) })}</div>
+                          {player.insurance?.amount > 0 && (
+                            <div className="player__insurance">
+                              {t("seat.insurance", { amount: chips(player.insurance.amount) })}
+                            </div>
+                          )}
+                          {player.sideResults?.map((settled) => (
+                            <div
+                              className={`player__side-result ${
+                                settled.delta > 0 ? "player__delta--positive" : "player__delta--negative"
+                              }`}
+                              key={`side-${player.id}-${settled.kind}`}
+                            >
+                              {i18n.sideBet(settled)}
+                            </div>
+                          ))}
+                          {phase === "roundEnd" && player.delta !== 0 && (
+                            <div
+                              className={`player__delta ${
+                                player.delta > 0 ? "player__delta--positive" : "player__delta--negative"
+                              }`}
+                            >
+                              <span
+                                className={`chip-token chip-token--${player.delta > 0 ? "collect" : "pay"}`}
+                                aria-hidden="true"
+                              />
+                              {delta(player.delta)}
+                            </div>
+                          )}
+                        </div>
                       </div>
-                      <div className="player__bank">
-                        <div className="player__chips">Chips: {formatChips(player.chips)}</div>
-                        {phase === "roundEnd" && player.delta !== 0 && (
+                      {isCurrent && clock?.seat === index && clockDeadline !== null && <TurnClock {...clockProps} />}
+                      {player.hands.map((hand, handIndex) => (
+                        <div
+                          className={
+                            isCurrent && handIndex === current.handIndex && player.hands.length > 1
+                              ? "hand hand--active"
+                              : "hand"
+                          }
+                          key={`hand-${player.id}-${handIndex}`}
+                        >
                           <div
-                            className={`player__delta ${
-                              player.delta > 0 ? "player__delta--positive" : "player__delta--negative"
-                            }`}
+                            className="card-row"
+                            role="group"
+                            aria-label={
+                              player.hands.length > 1
+                                ? t("seat.handCards", { name: name(player.name), hand: handIndex + 1 })
+                                : t("seat.cards", { name: name(player.name) })
+                            }
                           >
-                            {player.delta > 0
-                              ? `+${formatChips(player.delta)}`
-                              : `-${formatChips(Math.abs(player.delta))}`}
+                            {hand.cards.map((card, cardIndex) => (
+                              <PlayingCard
+                                card={card}
+                                step={seatCardStep(dealt.seats, dealt.position(index), player.hands.length, cardIndex)}
+                                key={`player-${player.id}-${handIndex}-${cardIndex}-${formatCard(card)}`}
+                              />
+                            ))}
+                          </div>
+                          <div className="player__footer">
+                            <span className="player__total">
+                              {t("table.total", {
+                                total: oddsOn ? totalLabel(hand.cards) : calculateHand(hand.cards),
+                              })}
+                            </span>
+                            <span className="player__bet-value">
+                              {handIndex === 0 && <span className="chip-token" aria-hidden="true" />}
+                              {t("seat.bet", { amount: chips(hand.bet) })}
+                              {hand.doubled ? t("seat.doubled") : ""}
+                            </span>
+                            {player.hands.length > 1 && (
+                              <span className="player__status">{seatStatusLabel(t, { hands: [hand] })}</span>
+                            )}
+                            <span className="result">{i18n.result(hand.result, hand.bonus)}</span>
                           </div>
-                        )}
-                      </div>
-                    </div>
-                    <div className="card-row">
-                      {player.hand.map((card, cardIndex) => (
-                        <div className="card" key={`player-${player.id}-${cardIndex}`}>
-                          {formatCard(card)}
                         </div>
                       ))}
-                    </div>
-                    <div className="player__footer">
-                      <span className="player__total">Total: {player.hand.length ? total : "-"}</span>
-                      <span className="player__bet-value">Bet: {formatChips(player.bet)}</span>
-                      <span className="result">{resultLabel(player.result)}</span>
-                    </div>
-                  </>
-                )}
+                      {!player.hands.length && (
+                        <div className="player__footer">
+                          <span className="player__total">{t("table.noTotal")}</span>
+                          <span className="player__bet-value">{t("seat.bet", { amount: chips(player.bet) })}</span>
+                        </div>
+                      )}
+                    </>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          {phase === "betting" && players.length > 0 && (
+            <div className="bet-panel bet-panel--shared">
+              <div className="bet-panel__label">{t("bet.activeSeat")}</div>
+              <div className="bet-panel__focus">
+                <span>{activeBetPlayer ? name(activeBetPlayer.name) : t("bet.player")}</span>
+                <span className="bet-panel__amount">{chips(activeBetPlayer?.bet ?? 0)}</span>
               </div>
-            );
-          })}
-        </div>
-
-        {phase === "betting" && players.length > 0 && (
-          <div className="bet-panel bet-panel--shared">
-            <div className="bet-panel__label">Active betting seat</div>
-            <div className="bet-panel__focus">
-              <span>{activeBetPlayer?.name ?? "Player"}</span>
-              <span className="bet-panel__amount">{formatChips(activeBetPlayer?.bet ?? 0)}</span>
-            </div>
-            <div className="chip-row">
-              {CHIP_VALUES.map((value) => (
+              {circles.length > 1 && (
+                <div className="bet-circles" role="radiogroup" aria-label={t("sideBets.circles")}>
+                  {circles.map((circle) => (
+                    <button
+                      key={`circle-${circle}`}
+                      className={circle === activeCircle ? "bet-circle bet-circle--active" : "bet-circle"}
+                      role="radio"
+                      aria-checked={circle === activeCircle}
+                      aria-keyshortcuts={shortcutKey("betting", "betCircle")}
+                      onClick={() => setBetCircle(circle)}
+                    >
+                      <span className="bet-circle__label">
+                        {circle === "main" ? t("sideBets.main") : i18n.sideBetName(circle)}
+                      </span>
+                      <span className="bet-circle__amount">{chips(circleAmount(activeBetPlayer, circle))}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+              {clockDeadline !== null && <TurnClock {...clockProps} />}
+              <div className="chip-row" role="group" aria-label={t("bet.chips")}>
+                {current.rules.chipValues.map((value, index) => (
+                  <button
+                    key={`chip-shared-${value}`}
+                    className="chip-button"
+                    aria-label={t("bet.addChip", { amount: chips(value) })}
+                    aria-keyshortcuts={index < 9 ? String(index + 1) : undefined}
+                    onClick={() => handleBetAdd(activeBetIndex, value)}
+                    style={{ "--chip-color": CHIP_COLORS[value] ?? "#d6b36a" }}
+                  >
+                    <span className="chip-button__value">{chips(value)}</span>
+                  </button>
+                ))}
+              </div>
+              <div className="chip-actions">
                 <button
-                  key={`chip-shared-${value}`}
-                  className="chip-button"
-                  onClick={() => handleBetAdd(activeBetIndex, value)}
-                  style={{ "--chip-color": CHIP_COLORS[value] ?? "#d6b36a" }}
+                  className="btn btn--ghost"
+                  onClick={() => handleBetClear(activeBetIndex)}
+                  aria-keyshortcuts={shortcutKey("betting", "clear")}
                 >
-                  <span className="chip-button__value">${value}</span>
+                  {t("bet.clear")}
                 </button>
-              ))}
-            </div>
-            <div className="chip-actions">
-              <button className="btn btn--ghost" onClick={() => handleBetClear(activeBetIndex)}>
-                Clear
-              </button>
-              <button className="btn btn--ghost" onClick={() => handleBetAllIn(activeBetIndex)}>
-                All-in
-              </button>
-              {players.length > 1 && (
                 <button
                   className="btn btn--ghost"
-                  onClick={() => setBetIndex((prev) => (players.length ? (prev + 1) % players.length : 0))}
+                  onClick={() => handleBetAllIn(activeBetIndex)}
+                  aria-keyshortcuts={shortcutKey("betting", "allIn")}
                 >
-                  Next player
+                  {t("bet.allIn")}
                 </button>
-              )}
+                {rebuyOffer(current, activeBetIndex) > 0 && (
+                  <button
+                    className="btn btn--ghost"
+                    onClick={() => handleRebuy(activeBetIndex)}
+                    aria-keyshortcuts={shortcutKey("betting", "rebuy")}
+                  >
+                    {t(current.rules.rebuyMode === "topUp" ? "bet.topUp" : "bet.rebuy", {
+                      amount: chips(rebuyOffer(current, activeBetIndex)),
+                    })}
+                  </button>
+                )}
+                {pickingSeat && (
+                  <button
+                    className="btn btn--ghost"
+                    onClick={handleNextSeat}
+                    aria-keyshortcuts={shortcutKey("betting", "nextSeat")}
+                  >
+                    {t("bet.nextPlayer")}
+                  </button>
+                )}
+              </div>
             </div>
-          </div>
-        )}
+          )}
 
-        <div className="table__actions">
-          {phase === "betting" && (
-            <button className="btn btn--primary" onClick={handleDeal}>
-              Deal
-            </button>
+          {phase === "insurance" && (
+            <div className="bet-panel bet-panel--shared">
+              <div className="bet-panel__label">{t("insurance.title")}</div>
+              {clockDeadline !== null && <TurnClock {...clockProps} />}
+              {myInsurance.map((index, position) => {
+                const player = players[index];
+                const isEvenMoney = player.insurance.offer === "evenMoney";
+                return (
+                  <div className="bet-panel__focus" key={`insurance-${player.id}`}>
+                    <span>
+                      {isEvenMoney
+                        ? t("insurance.evenMoneyOffer", { name: name(player.name) })
+                        : t("insurance.insureOffer", {
+                            name: name(player.name),
+                            amount: chips(insuranceStake(player)),
+                          })}
+                    </span>
+                    <div className="chip-actions">
+                      <button
+                        className="btn btn--ghost"
+                        ref={position === 0 ? focusRefs.insurance : undefined}
+                        onClick={() => handleInsurance(index, true)}
+                        aria-keyshortcuts={position === 0 ? shortcutKey("insurance", "insure") : undefined}
+                      >
+                        {isEvenMoney ? t("insurance.takeEvenMoney") : t("insurance.insure")}
+                      </button>
+                      <button
+                        className="btn btn--ghost"
+                        onClick={() => handleInsurance(index, false)}
+                        aria-keyshortcuts={position === 0 ? shortcutKey("insurance", "decline") : undefined}
+                      >
+                        {t("insurance.decline")}
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
           )}
-          {phase === "playing" && (
-            <div className="action-row">
-              <button className="btn" onClick={handleHit}>
-                Hit
+
+          <div className="table__actions">
+            {phase === "betting" && (
+              <button
+                className="btn btn--primary"
+                ref={focusRefs.betting}
+                onClick={handleDeal}
+                disabled={botThinking}
+                aria-keyshortcuts={shortcutKey("betting", "deal")}
+              >
+                {t("actions.deal")}
               </button>
-              <button className="btn" onClick={handleStand}>
-                Stand
+            )}
+            {phase === "playing" && (
+              <div className="action-row">
+                <button
+                  className="btn"
+                  ref={focusRefs.playing}
+                  onClick={handleHit}
+                  disabled={!isMyTurn || !actions.hit}
+                  aria-keyshortcuts={shortcutKey("playing", "hit")}
+                >
+                  {t("actions.hit")}
+                </button>
+                <button
+                  className="btn"
+                  onClick={handleStand}
+                  disabled={!isMyTurn || !actions.stand}
+                  aria-keyshortcuts={shortcutKey("playing", "stand")}
+                >
+                  {t("actions.stand")}
+                </button>
+                <button
+                  className="btn"
+                  onClick={handleDouble}
+                  disabled={!isMyTurn || !actions.double}
+                  aria-keyshortcuts={shortcutKey("playing", "double")}
+                >
+                  {t("actions.double")}
+                </button>
+                <button
+                  className="btn"
+                  onClick={handleSplit}
+                  disabled={!isMyTurn || !actions.split}
+                  aria-keyshortcuts={shortcutKey("playing", "split")}
+                >
+                  {t("actions.split")}
+                </button>
+                <button
+                  className="btn btn--ghost"
+                  onClick={handleSurrender}
+                  disabled={!isMyTurn || !actions.surrender}
+                  aria-keyshortcuts={shortcutKey("playing", "surrender")}
+                >
+                  {t("actions.surrender")}
+                </button>
+                {variantOf(current.rules).hands > 1 && (
+                  <button
+                    className="btn"
+                    onClick={handleSwitch}
+                    disabled={!isMyTurn || !actions.switch}
+                    aria-keyshortcuts={shortcutKey("playing", "switch")}
+                  >
+                    {t("actions.switch")}
+                  </button>
+                )}
+              </div>
+            )}
+            {phase === "roundEnd" && !current.tournament?.finished && (
+              <button
+                className="btn btn--gold"
+                ref={focusRefs.roundEnd}
+                onClick={handleNextRound}
+                aria-keyshortcuts={shortcutKey("roundEnd", "nextRound")}
+              >
+                {t("actions.nextRound")}
               </button>
-            </div>
+            )}
+          </div>
+
+          {current.tournament?.finished && (
+            <TournamentStandings table={current} onLeave={isOnline ? online.leave : handleLeaveTable} />
           )}
-          {phase === "roundEnd" && (
-            <button className="btn btn--gold" onClick={handleNextRound}>
-              Next round
-            </button>
+
+          {coachOn && (
+            <CoachPanel
+              advice={isMyTurn ? coachAdvice(current) : null}
+              showHint={showHint}
+              onHint={() => setShowHint(true)}
+              lastGrade={lastGrade}
+              scores={coachScores}
+              players={players}
+              phase={phase}
+              round={round}
+            />
           )}
-        </div>
-
-        <div className="message">
-          <span>{message}</span>
-        </div>
-      </section>
-      )}
-    </div>
+
+          {oddsOn && <OddsPanel table={current} />}
+
+          <CountTrainer table={current} enabled={trainerOn} />
+
+          <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+            {announcement}
+          </div>
+
+          <div className="message">
+            <span>{i18n.message(message)}</span>
+            {botThinking && <span className="hint"> {t("table.botsPlaying")}</span>}
+          </div>
+
+          <FairnessPanel shoe={current.shoe} shoeHistory={current.shoeHistory} />
+
+          <StatsPanel stats={stats} names={players.map((player) => player.name)} onReset={handleResetStats} />
+
+          {helpOpen && <ShortcutHelp onClose={() => setHelpOpen(false)} />}
+
+          {historyOpen && <HistoryDrawer history={current.history} onClose={() => setHistoryOpen(false)} />}
+        </section>
+        )}
+      </div>
+    </I18nContext.Provider>
   );
 }
@@ -0,0 +1,98 @@
+import { calculateHand, emptyDealer, formatCard, hiddenDealerCards } from "./engine/index.js";
+
+// Sentences for a screen reader describing what changed at the table since the
+// previous state: cards dealt, the dealer's reveal, whose turn it is, results
+// and any new table message. `i18n` is the interface's language (see
+// createI18n).
+export const describeTableChange = (before, after, i18n) => {
+  if (!before || before === after) return [];
+  const { t, name, cardName } = i18n;
+  const holes = hiddenDealerCards(after.rules);
+
+  const handName = (player, handIndex) =>
+    player.hands.length > 1
+      ? t("announce.handOf", { name: name(player.name), hand: handIndex + 1 })
+      : name(player.name);
+
+  // Cards are matched by rank and suit rather than position, so a split (which
+  // moves the second card into a new hand) only announces the cards just drawn,
+  // and a Blackjack Switch swap announces none.
+  const seatChanges = (previous, player) => {
+    const lines = [];
+    if (player.hands.length > previous.hands.length && previous.hands.length) {
+      lines.push(t("announce.splits", { name: name(player.name) }));
+    }
+    if (player.hands[0]?.switched && !previous.hands[0]?.switched) {
+      lines.push(t("announce.switches", { name: name(player.name) }));
+    }
+    const seen = previous.hands.flatMap((hand) => hand.cards.map(formatCard));
+    player.hands.forEach((hand, handIndex) => {
+      const dealt = hand.cards.filter((card) => {
+        const at = seen.indexOf(formatCard(card));
+        if (at !== -1) seen.splice(at, 1);
+        return at === -1;
+      });
+      if (!dealt.length) return;
+      const cards = dealt.map(cardName).join(t("announce.and"));
+      lines.push(t("announce.gets", { hand: handName(player, handIndex), cards, total: calculateHand(hand.cards) }));
+    });
+    return lines;
+  };
+
+  const dealerChanges = (previous, dealer) => {
+    if (previous.hidden && !dealer.hidden && dealer.hand[0]) {
+      const drawn = dealer.hand.slice(2).map(cardName);
+      const revealed = dealer.hand.slice(0, holes).map(cardName);
+      return [
+        t("announce.reveals", { card: revealed.join(t("announce.and")) }),
+        ...(drawn.length ? [t("announce.drawsMany", { cards: drawn.join(t("announce.list")) })] : []),
+        t("announce.dealerHas", { total: calculateHand(dealer.hand) }),
+      ];
+    }
+    const lines = [];
+    dealer.hand.slice(previous.hand.length).forEach((card, offset) => {
+      const index = previous.hand.length + offset;
+      if (dealer.hidden && index < holes) lines.push(t("announce.holeCard"));
+      else if (card) lines.push(t(dealer.hidden ? "announce.shows" : "announce.draws", { card: cardName(card) }));
+    });
+    return lines;
+  };
+
+  const resultLines = (table) =>
+    table.players
+      .filter((player) => player.hands.length)
+      .map((player) =>
+        t("announce.result", {
+          name: name(player.name),
+          results: player.hands
+            .map((hand) => i18n.result(hand.result, hand.bonus).toLowerCase())
+            .join(t("announce.list")),
+          delta: i18n.delta(player.delta),
+        })
+      );
+
+  if (before.tableId !== after.tableId) return [i18n.message(after.message)];
+  const newRound = after.round !== before.round;
+  const lines = newRound ? [t("announce.round", { round: after.round })] : [];
+  after.players.forEach((player, seat) => {
+    const previous = before.players[seat];
+    if (previous) lines.push(...seatChanges(newRound ? { ...previous, hands: [] } : previous, player));
+  });
+  lines.push(...dealerChanges(newRound ? emptyDealer : before.dealer, after.dealer));
+  if (before.phase === "betting" && after.phase !== "betting") {
+    after.players.forEach((player) =>
+      player.sideResults?.forEach((settled) =>
+        lines.push(t("announce.sideBet", { name: name(player.name), result: i18n.sideBet(settled) }))
+      )
+    );
+  }
+  if (after.phase === "roundEnd" && before.phase !== "roundEnd") lines.push(...resultLines(after));
+  const turnMoved =
+    after.phase === "playing" &&
+    (before.phase !== "playing" || before.currentIndex !== after.currentIndex || before.handIndex !== after.handIndex);
+  if (turnMoved) {
+    lines.push(t("announce.toAct", { hand: handName(after.players[after.currentIndex], after.handIndex) }));
+  }
+  if (after.message !== before.message) lines.push(i18n.message(after.message));
+  return lines;
+};
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { describeTableChange } from "./announce.js";
+import { play, table } from "./engine/testUtils.js";
+import { createI18n } from "./i18n/index.js";
+
+const en = createI18n("en");
+
+describe("describeTableChange", () => {
+  it("announces the deal with the dealer's hole card kept hidden", () => {
+    const before = table(1, ["10", "9", "7", "8"], [25]);
+    const after = play(before, [{ type: "deal" }]);
+    expect(describeTableChange(before, after, en)).toEqual([
+      "Player 1 gets ten of spades and seven of spades, 17.",
+      "Dealer takes a face-down card.",
+      "Dealer shows eight of spades.",
+      "Player 1 to act.",
+      after.message,
+    ]);
+  });
+
+  it("announces a hit without repeating the cards already held", () => {
+    const before = play(table(1, ["5", "9", "6", "8", "10"], [25]), [{ type: "deal" }]);
+    const after = play(before, [{ type: "hit" }]);
+    expect(describeTableChange(before, after, en)[0]).toBe("Player 1 gets ten of spades, 21.");
+  });
+
+  it("announces the dealer's reveal and the results", () => {
+    const dealt = play(table(1, ["10", "10", "9", "7"], [25]), [{ type: "deal" }]);
+    const standing = play(dealt, [{ type: "stand" }]);
+    const after = play(standing, [{ type: "playDealer" }]);
+    const lines = describeTableChange(standing, after, en);
+    expect(lines).toContain("Dealer reveals ten of spades.");
+    expect(lines).toContain("Dealer has 17.");
+    expect(lines).toContain("Player 1: win, +$25.");
+  });
+
+  it("announces side bets as soon as they settle", () => {
+    const before = play(table(1, ["8", "9", "8", "7"], [25], { perfectPairs: "standard" }), [
+      { type: "addSideBet", seat: 0, kind: "perfectPairs", amount: 10 },
+    ]);
+    const after = play(before, [{ type: "deal" }]);
+    expect(describeTableChange(before, after, en)).toContain("Player 1: Perfect Pairs: Perfect pair +$250.");
+  });
+
+  it("speaks the interface language", () => {
+    const before = table(1, ["10", "9", "7", "8"], [25]);
+    const after = play(before, [{ type: "deal" }]);
+    expect(describeTableChange(before, after, createI18n("ja"))).toEqual([
+      "プレイヤー 1にスペードの10とスペードの7、合計17。",
+      "ディーラーが伏せたカードを取りました。",
+      "ディーラーのアップカードはスペードの8。",
+      "プレイヤー 1の番です。",
+      "アクションを選んでください。",
+    ]);
+  });
+
+  it("says nothing when the table has not changed", () => {
+    const state = table(1, ["10", "10", "9", "7"], [25]);
+    expect(describeTableChange(state, state, en)).toEqual([]);
+    expect(describeTableChange(null, state, en)).toEqual([]);
+  });
+});
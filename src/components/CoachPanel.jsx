@@ -0,0 +1,57 @@
+import { useI18n } from "../i18n/useI18n.js";
+
+export default function CoachPanel({ advice, showHint, onHint, lastGrade, scores, players, phase, round }) {
+  const { t, name, percent, reason } = useI18n();
+  const seatsThisRound = players
+    .map((player, index) => ({ player, score: scores[index] }))
+    .filter(({ score }) => score?.round === round);
+  const accuracy = (correct, decisions) => (decisions ? percent(correct / decisions) : t("coach.noScore"));
+
+  return (
+    <div className="coach" aria-live="polite">
+      <div className="coach__header">
+        <span className="bet-panel__label">{t("coach.title")}</span>
+        {advice && !showHint && (
+          <button className="btn btn--ghost" onClick={onHint}>
+            {t("coach.hint")}
+          </button>
+        )}
+      </div>
+      {advice && showHint && (
+        <p>
+          {t("coach.basicStrategy")} <strong>{t(`actions.${advice.action}`)}</strong>
+          {t("coach.stop")} {reason(advice)}
+        </p>
+      )}
+      {lastGrade && (
+        <p className={lastGrade.correct ? "coach__good" : "coach__bad"}>
+          {lastGrade.correct
+            ? t("coach.correct", {
+                name: name(players[lastGrade.seat]?.name),
+                action: t(`actions.${lastGrade.played}`),
+              })
+            : t("coach.wrong", {
+                name: name(players[lastGrade.seat]?.name),
+                played: t(`actions.${lastGrade.played}`),
+                best: t(`actions.${lastGrade.best}`),
+                reason: reason(lastGrade),
+              })}
+        </p>
+      )}
+      {phase === "roundEnd" && seatsThisRound.length > 0 && (
+        <ul className="coach__scores">
+          {seatsThisRound.map(({ player, score }) => (
+            <li key={`coach-${player.id}`}>
+              {t("coach.score", {
+                name: name(player.name),
+                correct: score.roundCorrect,
+                decisions: score.roundDecisions,
+                accuracy: accuracy(score.correct, score.decisions),
+              })}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import { useState } from "react";
+import { COUNT_SYSTEMS, countShoe, gradeCountAnswer, isBalanced, isQuizRound } from "../engine/index.js";
+import { useI18n } from "../i18n/useI18n.js";
+
+const QUIZ_INTERVALS = [0, 1, 3, 5];
+
+const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+export default function CountTrainer({ table, enabled }) {
+  const { t, number, percent } = useI18n();
+  const [system, setSystem] = useState("hiLo");
+  const [every, setEvery] = useState(3);
+  const [reveal, setReveal] = useState(false);
+  const [answer, setAnswer] = useState({ running: "", trueCount: "" });
+  const [answeredRound, setAnsweredRound] = useState(0);
+  const [score, setScore] = useState({ asked: 0, correct: 0 });
+  const [feedback, setFeedback] = useState(null);
+
+  if (!enabled) return null;
+
+  const count = countShoe(table, system);
+  const balanced = isBalanced(system, table.rules.variant);
+  const intervalLabel = (value) => {
+    if (value === 0) return t("trainer.never");
+    return value === 1 ? t("trainer.everyRound") : t("trainer.everyRounds", { count: value });
+  };
+  const quizDue = table.phase === "betting" && isQuizRound(table.round, every) && answeredRound !== table.round;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const result = gradeCountAnswer(count, answer);
+    setScore((prev) => ({ asked: prev.asked + 1, correct: prev.correct + (result.correct ? 1 : 0) }));
+    setFeedback({ ...result, running: count.running, trueCount: count.trueCount });
+    setAnsweredRound(table.round);
+    setAnswer({ running: "", trueCount: "" });
+  };
+
+  return (
+    <div className="coach trainer">
+      <div className="coach__header">
+        <span className="bet-panel__label">{t("trainer.title", { shoe: table.shoe.id })}</span>
+        <div className="chip-actions">
+          <select
+            value={system}
+            onChange={(event) => setSystem(event.target.value)}
+            aria-label={t("trainer.system")}
+          >
+            {Object.keys(COUNT_SYSTEMS).map((key) => (
+              <option key={key} value={key}>
+                {t(`countSystems.${key}`)}
+              </option>
+            ))}
+          </select>
+          <select
+            value={every}
+            onChange={(event) => setEvery(Number(event.target.value))}
+            aria-label={t("trainer.quiz")}
+          >
+            {QUIZ_INTERVALS.map((value) => (
+              <option key={`quiz-${value}`} value={value}>
+                {t("trainer.quizEvery", { interval: intervalLabel(value) })}
+              </option>
+            ))}
+          </select>
+          <button className="btn btn--ghost" onClick={() => setReveal((shown) => !shown)} disabled={quizDue}>
+            {reveal && !quizDue ? t("trainer.hide") : t("trainer.show")}
+          </button>
+        </div>
+      </div>
+
+      {count.cardsSeen === 0 && table.shoe.id > 1 && (
+        <p className="hint">{t("trainer.newShoe")}</p>
+      )}
+
+      {reveal && !quizDue && (
+        <p>
+          {t("trainer.running")} <strong>{signed(count.running)}</strong>
+          {balanced && (
+            <>
+              {" · "}
+              {t("trainer.trueCount")} <strong>{number(count.trueCount, 1)}</strong>
+            </>
+          )}
+          {" · "}
+          {t("trainer.progress", { cards: count.cardsSeen, decks: number(count.decksLeft, 1) })}
+        </p>
+      )}
+
+      {quizDue && (
+        <form className="trainer__quiz" onSubmit={handleSubmit}>
+          <span>{t("trainer.question")}</span>
+          <label className="field">
+            {t("trainer.runningField")}
+            <input
+              type="number"
+              required
+              value={answer.running}
+              onChange={(event) => setAnswer((prev) => ({ ...prev, running: event.target.value }))}
+            />
+          </label>
+          {balanced && (
+            <label className="field">
+              {t("trainer.trueField")}
+              <input
+                type="number"
+                step="0.5"
+                value={answer.trueCount}
+                onChange={(event) => setAnswer((prev) => ({ ...prev, trueCount: event.target.value }))}
+              />
+            </label>
+          )}
+          <button className="btn btn--primary" type="submit">
+            {t("trainer.check")}
+          </button>
+        </form>
+      )}
+
+      {feedback && (
+        <p className={feedback.correct ? "coach__good" : "coach__bad"}>
+          {feedback.correct ? t("trainer.correct") : t("trainer.wrong")}
+          {feedback.trueCount === null
+            ? t("trainer.answer", { running: signed(feedback.running) })
+            : t("trainer.answerWithTrue", {
+                running: signed(feedback.running),
+                trueCount: number(feedback.trueCount, 1),
+              })}
+        </p>
+      )}
+      {score.asked > 0 && (
+        <p className="hint">
+          {t("trainer.score", {
+            correct: score.correct,
+            asked: score.asked,
+            percent: percent(score.correct / score.asked),
+          })}
+        </p>
+      )}
+    </div>
+  );
+}
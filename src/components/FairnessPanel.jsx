@@ -0,0 +1,63 @@
+import { useState } from "react";
+import { verifyShoe } from "../engine/index.js";
+import { useI18n } from "../i18n/useI18n.js";
+
+const shortHash = (hash) => (hash ? `${hash.slice(0, 12)}…${hash.slice(-6)}` : null);
+
+export default function FairnessPanel({ shoe, shoeHistory }) {
+  const { t } = useI18n();
+  const [results, setResults] = useState({});
+
+  const handleVerify = (record) => setResults((prev) => ({ ...prev, [record.id]: verifyShoe(record) }));
+
+  return (
+    <details className="fairness">
+      <summary>{t("fairness.title", { shoe: shoe.id })}</summary>
+      <div className="fairness__current">
+        <span className="fairness__label">{t("fairness.commitment")}</span>
+        <code title={shoe.commitment ?? ""}>{shortHash(shoe.commitment) ?? t("fairness.none")}</code>
+        <span className="hint">
+          {shoe.commitment
+            ? t("fairness.dealt", { count: shoe.dealt?.length ?? shoe.dealtCount })
+            : t("fairness.stacked")}
+        </span>
+      </div>
+      {shoeHistory.length > 0 && (
+        <ul className="fairness__list">
+          {[...shoeHistory].reverse().map((record) => {
+            const result = results[record.id];
+            return (
+              <li key={`shoe-${record.id}`}>
+                <div>
+                  <strong>{t("fairness.shoe", { shoe: record.id })}</strong>
+                  <span className="hint">{t("fairness.cards", { count: record.dealt.length })}</span>
+                </div>
+                <div>
+                  <span className="fairness__label">{t("fairness.seed")}</span> <code>{record.seed}</code>
+                </div>
+                <div>
+                  <span className="fairness__label">{t("fairness.commitmentLabel")}</span>{" "}
+                  <code title={record.commitment}>{shortHash(record.commitment)}</code>
+                </div>
+                <div className="fairness__verify">
+                  <button className="btn btn--ghost" onClick={() => handleVerify(record)}>
+                    {t("fairness.verify")}
+                  </button>
+                  {result && (
+                    <span className={result.ok ? "fairness__ok" : "fairness__bad"}>
+                      {result.ok
+                        ? t("fairness.verified", { count: result.checked })
+                        : !result.commitmentOk
+                          ? t("fairness.badCommitment")
+                          : t("fairness.mismatches", { count: result.mismatches.length, checked: result.checked })}
+                    </span>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </details>
+  );
+}
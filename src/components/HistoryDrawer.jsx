@@ -0,0 +1,162 @@
+import { useMemo, useState } from "react";
+import { calculateHand, replayRound } from "../engine/index.js";
+import { useI18n } from "../i18n/useI18n.js";
+import { exportHistoryCsv, exportHistoryJson } from "../storage/history.js";
+import PlayingCard from "./PlayingCard.jsx";
+
+// `hidden` is how many cards, from the first, are face down.
+function ReplayCards({ cards, hidden = 0 }) {
+  return (
+    <div className="card-row">
+      {cards.map((card, index) => (
+        <PlayingCard card={card} hidden={index < hidden} key={`replay-card-${index}`} />
+      ))}
+    </div>
+  );
+}
+
+function Replay({ record, onBack }) {
+  const { t, chips, delta, name, result, frameLabel } = useI18n();
+  const frames = useMemo(() => replayRound(record), [record]);
+  const [step, setStep] = useState(0);
+  const frame = frames[step];
+  const isLast = step === frames.length - 1;
+
+  return (
+    <div className="history__replay">
+      <div className="history__controls">
+        <button className="btn btn--ghost" onClick={onBack}>
+          {t("history.allRounds")}
+        </button>
+        <button
+          className="btn btn--ghost"
+          onClick={() => setStep(0)}
+          disabled={step === 0}
+          aria-label={t("history.first")}
+        >
+          ⏮
+        </button>
+        <button className="btn btn--ghost" onClick={() => setStep(step - 1)} disabled={step === 0}>
+          {t("history.previous")}
+        </button>
+        <button className="btn btn--ghost" onClick={() => setStep(step + 1)} disabled={isLast}>
+          {t("history.next")}
+        </button>
+        <button
+          className="btn btn--ghost"
+          onClick={() => setStep(frames.length - 1)}
+          disabled={isLast}
+          aria-label={t("history.last")}
+        >
+          ⏭
+        </button>
+      </div>
+      <input
+        type="range"
+        min={0}
+        max={frames.length - 1}
+        value={step}
+        onChange={(event) => setStep(Number(event.target.value))}
+        aria-label={t("history.step")}
+      />
+      <div className="history__step">
+        <span className="fairness__label">{t("history.stepOf", { step: step + 1, count: frames.length })}</span>
+        <strong>{frameLabel(record, frame, step)}</strong>
+      </div>
+      <div className="history__seat">
+        <span className="dealer__label">{t("history.dealer")}</span>
+        <ReplayCards cards={frame.dealer.cards} hidden={frame.dealer.hidden ? frame.dealer.holes : 0} />
+        {!frame.dealer.hidden && frame.dealer.cards.length > 0 && (
+          <span className="hint">{t("history.total", { total: calculateHand(frame.dealer.cards) })}</span>
+        )}
+      </div>
+      {frame.seats.map((seat, seatIndex) => (
+        <div className="history__seat" key={`replay-seat-${seatIndex}`}>
+          <div>
+            <strong>{name(seat.name)}</strong>
+            <span className="hint">
+              {" · "}
+              {isLast
+                ? t("history.settledChips", { chips: chips(seat.chipsAfter), delta: delta(seat.delta) })
+                : chips(seat.chipsBefore)}
+            </span>
+          </div>
+          {seat.hands.map((hand, handIndex) => (
+            <div className="hand" key={`replay-hand-${seatIndex}-${handIndex}`}>
+              <ReplayCards cards={hand.cards} />
+              <span className="hint">
+                {t("history.handLine", { total: calculateHand(hand.cards), bet: chips(hand.bet) })}
+                {isLast && hand.result
+                  ? t("history.handResult", { result: result(hand.result, hand.bonus), delta: delta(hand.delta) })
+                  : ""}
+              </span>
+            </div>
+          ))}
+          {!seat.hands.length && (
+            <span className="hint">
+              {seat.bet ? t("history.bet", { amount: chips(seat.bet) }) : t("history.satOut")}
+            </span>
+          )}
+        </div>
+      ))}
+      <div className="hint">
+        {t("history.pot", { amount: chips(frame.pot) })}
+        {frame.ledger?.carried > 0 && t("history.carried")}
+        {frame.ledger?.house > 0 && t("history.houseTook", { amount: chips(frame.ledger.house) })}
+      </div>
+    </div>
+  );
+}
+
+export default function HistoryDrawer({ history, onClose }) {
+  const { t, delta, name } = useI18n();
+  const [selected, setSelected] = useState(null);
+  const record = selected === null ? null : history[selected];
+
+  return (
+    <aside className="history" aria-label={t("history.title")}>
+      <div className="history__header">
+        <h3>{t("history.title")}</h3>
+        <button className="btn btn--ghost" onClick={onClose}>
+          {t("history.close")}
+        </button>
+      </div>
+      {record ? (
+        <Replay key={selected} record={record} onBack={() => setSelected(null)} />
+      ) : (
+        <>
+          {!history.length && <p className="hint">{t("history.empty")}</p>}
+          <ul className="history__list">
+            {history
+              .map((entry, index) => ({ entry, index }))
+              .reverse()
+              .map(({ entry, index }) => (
+                <li key={`history-${index}`}>
+                  <div>
+                    <strong>{t("history.round", { round: entry.round })}</strong>
+                    <span className="hint">{t("history.shoe", { shoe: entry.shoe })}</span>
+                  </div>
+                  <span className="hint">
+                    {entry.results
+                      .map((result, seat) => `${name(entry.seats[seat].name)} ${delta(result.delta)}`)
+                      .join(", ")}
+                  </span>
+                  <button className="btn btn--ghost" onClick={() => setSelected(index)}>
+                    {t("history.replay")}
+                  </button>
+                </li>
+              ))}
+          </ul>
+        </>
+      )}
+      <div className="chip-actions history__export">
+        <button className="btn btn--ghost" onClick={() => exportHistoryJson(history)} disabled={!history.length}>
+          {t("history.exportJson")}
+        </button>
+        <button className="btn btn--ghost" onClick={() => exportHistoryCsv(history)} disabled={!history.length}>
+          {t("history.exportCsv")}
+        </button>
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,44 @@
+import { leaderboard } from "../engine/index.js";
+import { useI18n } from "../i18n/useI18n.js";
+import { Avatar } from "./ProfilesPanel.jsx";
+
+export default function Leaderboard({ profiles, stats }) {
+  const { t, chips, delta } = useI18n();
+  const rows = leaderboard(profiles, stats);
+  if (!rows.length) return null;
+
+  return (
+    <>
+      <div className="panel__header panel__header--section">
+        <h2>{t("leaderboard.title")}</h2>
+        <p>{t("leaderboard.hint")}</p>
+      </div>
+      <table className="leaderboard">
+        <thead>
+          <tr>
+            <th scope="col">{t("leaderboard.rank")}</th>
+            <th scope="col">{t("leaderboard.player")}</th>
+            <th scope="col">{t("leaderboard.net")}</th>
+            <th scope="col">{t("leaderboard.bankroll")}</th>
+            <th scope="col">{t("leaderboard.rebuys")}</th>
+            <th scope="col">{t("leaderboard.rounds")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, index) => (
+            <tr key={row.id}>
+              <td>{index + 1}</td>
+              <td>
+                <Avatar avatar={row.avatar} color={row.color} /> {row.name}
+              </td>
+              <td>{delta(row.net)}</td>
+              <td>{chips(row.bankroll)}</td>
+              <td>{row.rebuys}</td>
+              <td>{row.rounds}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </>
+  );
+}
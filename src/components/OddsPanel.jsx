@@ -0,0 +1,56 @@
+import { useMemo } from "react";
+import {
+  bustOdds,
+  DEALER_FINALS,
+  dealerOdds,
+  totalLabel,
+  unseenCards,
+  visibleDealerCards,
+} from "../engine/index.js";
+import { useI18n } from "../i18n/useI18n.js";
+
+// Odds for the hand on turn and the dealer's upcard, worked out exactly from
+// the cards nobody at the table has seen yet.
+export default function OddsPanel({ table }) {
+  const { t, name, percent, cardName } = useI18n();
+  const odds = useMemo(
+    () => ({ dealer: dealerOdds(table), bust: bustOdds(table), unseen: unseenCards(table).length }),
+    [table]
+  );
+  const player = table.players[table.currentIndex];
+  const hand = odds.bust === null ? null : player.hands[table.handIndex];
+  const [upcard] = visibleDealerCards(table);
+
+  return (
+    <div className="odds" aria-live="polite">
+      <div className="coach__header">
+        <span className="bet-panel__label">{t("odds.title")}</span>
+        <span className="hint">{t("odds.unseen", { count: odds.unseen })}</span>
+      </div>
+      {!odds.dealer && <p>{t("odds.waiting")}</p>}
+      {hand && (
+        <p>
+          {t("odds.hand", { name: name(player.name), total: totalLabel(hand.cards) })}
+          {" · "}
+          <strong>{t("odds.bustOnHit", { percent: percent(odds.bust, 1) })}</strong>
+        </p>
+      )}
+      {odds.dealer && (
+        <>
+          <p>{upcard ? t("odds.dealer", { card: cardName(upcard) }) : t("odds.dealerHidden")}</p>
+          <dl className="odds__finals">
+            {DEALER_FINALS.map((final) => (
+              <div className="odds__final" key={`final-${final}`}>
+                <dt>{final === "bust" ? t("odds.bust") : final}</dt>
+                <dd>
+                  <span className="odds__bar" style={{ "--odds": odds.dealer[final] }} aria-hidden="true" />
+                  {percent(odds.dealer[final], 1)}
+                </dd>
+              </div>
+            ))}
+          </dl>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import { useState } from "react";
+import { useI18n } from "../i18n/useI18n.js";
+import { defaultServerUrl } from "../net/useOnlineTable.js";
+
+export default function OnlineLobby({ online, onCreate }) {
+  const { t, onlineError } = useI18n();
+  const [url, setUrl] = useState(defaultServerUrl);
+  const [name, setName] = useState("");
+  const [seats, setSeats] = useState(2);
+  const [code, setCode] = useState("");
+  const busy = online.status === "connecting" || online.status === "reconnecting";
+
+  return (
+    <>
+      <div className="panel__header panel__header--section">
+        <h2>{t("online.title")}</h2>
+        <p>{t("online.hint")}</p>
+      </div>
+      <div className="setup-grid">
+        <label className="field">
+          {t("online.server")}
+          <input type="text" value={url} onChange={(event) => setUrl(event.target.value)} />
+        </label>
+        <label className="field">
+          {t("online.name")}
+          <input
+            type="text"
+            value={name}
+            placeholder={t("online.namePlaceholder")}
+            onChange={(event) => setName(event.target.value)}
+          />
+        </label>
+        <label className="field">
+          {t("online.seats")}
+          <select value={seats} onChange={(event) => setSeats(Number(event.target.value))}>
+            {[2, 3, 4].map((count) => (
+              <option key={`seats-${count}`} value={count}>
+                {t("online.seatCount", { count })}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="field">
+          {t("online.code")}
+          <input
+            type="text"
+            value={code}
+            maxLength={4}
+            placeholder={t("online.codePlaceholder")}
+            onChange={(event) => setCode(event.target.value.toUpperCase())}
+          />
+        </label>
+      </div>
+      <div className="setup-actions chip-actions">
+        <button className="btn" disabled={busy} onClick={() => onCreate({ url, name: name.trim(), seats })}>
+          {t("online.create")}
+        </button>
+        <button
+          className="btn"
+          disabled={busy || code.length !== 4}
+          onClick={() => online.join({ url, code, name: name.trim() })}
+        >
+          {t("online.join")}
+        </button>
+        {busy && <span className="hint">{t("online.connecting")}</span>}
+        {online.error && <span className="hint">{onlineError(online.error)}</span>}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,22 @@
+import { formatCard } from "../engine/index.js";
+import { useI18n } from "../i18n/useI18n.js";
+import { DEAL_STEP_MS } from "../motion.js";
+
+// A face-down card shows its back; online tables don't even send its face.
+// The same element turns over when the card is revealed, and `step` delays its
+// slide in from the shoe (see motion.js).
+export default function PlayingCard({ card, hidden = false, step = 0 }) {
+  const { t, cardName } = useI18n();
+  const faceDown = hidden || !card;
+  return (
+    <div
+      className={faceDown ? "card card--back" : "card"}
+      role="img"
+      aria-label={faceDown ? t("cards.faceDown") : cardName(card)}
+      style={{ "--deal-delay": `${step * DEAL_STEP_MS}ms` }}
+    >
+      <span className="card__face">{faceDown ? "" : formatCard(card)}</span>
+      <span className="card__back">?</span>
+    </div>
+  );
+}
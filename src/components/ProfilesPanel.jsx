@@ -0,0 +1,100 @@
+import { useState } from "react";
+import { MAX_NAME_LENGTH, PROFILE_AVATARS, PROFILE_COLORS, profileErrors } from "../engine/index.js";
+import { useI18n } from "../i18n/useI18n.js";
+
+export function Avatar({ avatar, color }) {
+  if (!avatar) return null;
+  return (
+    <span className="avatar" style={{ "--avatar-color": color }} aria-hidden="true">
+      {avatar}
+    </span>
+  );
+}
+
+export default function ProfilesPanel({ profiles, onCreate, onRemove }) {
+  const { t, chips, profileError } = useI18n();
+  const [name, setName] = useState("");
+  const [avatar, setAvatar] = useState(PROFILE_AVATARS[0]);
+  const [color, setColor] = useState(PROFILE_COLORS[0]);
+  const [errors, setErrors] = useState([]);
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    const problems = profileErrors(profiles, { name });
+    setErrors(problems);
+    if (problems.length) return;
+    onCreate({ name, avatar, color });
+    setName("");
+  };
+
+  return (
+    <>
+      <div className="panel__header panel__header--section">
+        <h2>{t("profiles.title")}</h2>
+        <p>{t("profiles.hint")}</p>
+      </div>
+      <form className="setup-grid" onSubmit={handleCreate}>
+        <label className="field">
+          {t("profiles.name")}
+          <input
+            type="text"
+            value={name}
+            maxLength={MAX_NAME_LENGTH}
+            onChange={(event) => setName(event.target.value)}
+          />
+        </label>
+        <label className="field">
+          {t("profiles.avatar")}
+          <select value={avatar} onChange={(event) => setAvatar(event.target.value)}>
+            {PROFILE_AVATARS.map((symbol) => (
+              <option key={`avatar-${symbol}`} value={symbol}>
+                {symbol}
+              </option>
+            ))}
+          </select>
+        </label>
+        <fieldset className="field profile-colors">
+          <legend>{t("profiles.colour")}</legend>
+          {PROFILE_COLORS.map((swatch) => (
+            <label key={`color-${swatch}`} className="profile-colors__swatch" style={{ "--avatar-color": swatch }}>
+              <input
+                type="radio"
+                name="profile-color"
+                value={swatch}
+                checked={color === swatch}
+                onChange={() => setColor(swatch)}
+              />
+              <span className="sr-only">{swatch}</span>
+            </label>
+          ))}
+        </fieldset>
+        <div className="setup-actions">
+          <button className="btn" type="submit">
+            {t("profiles.add")}
+          </button>
+        </div>
+      </form>
+      {errors.length > 0 && (
+        <ul className="import-errors">
+          {errors.map((error) => (
+            <li key={error}>{profileError(error)}</li>
+          ))}
+        </ul>
+      )}
+      {Object.values(profiles).length > 0 && (
+        <ul className="profiles">
+          {Object.values(profiles).map((profile) => (
+            <li key={profile.id} className="profiles__item">
+              <Avatar avatar={profile.avatar} color={profile.color} />
+              <strong>{profile.name}</strong>
+              <span className="hint">{chips(profile.bankroll)}</span>
+              <button className="btn btn--ghost" onClick={() => onRemove(profile.id)}>
+                {t("profiles.remove")}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,78 @@
+import { SIDE_BETS, variantOf } from "../engine/index.js";
+import { useI18n } from "../i18n/useI18n.js";
+
+export default function RulesCard({ rules, shared = false }) {
+  const { t, chips, percent, sideBetName, sideBetPays } = useI18n();
+  const limits = rules.maxBet
+    ? t("rulesCard.range", { min: chips(rules.minBet), max: chips(rules.maxBet) })
+    : t("rulesCard.minimum", { min: chips(rules.minBet) });
+
+  const rebuys = {
+    off: t("rulesCard.none"),
+    rebuy: t("rulesCard.whenBroke", { amount: chips(rules.rebuyAmount) }),
+    topUp: t("rulesCard.topUp", { amount: chips(rules.rebuyAmount) }),
+  }[rules.rebuyMode];
+  const rebuyLimit = rules.rebuyLimit === null ? "" : t("rulesCard.perSeat", { count: rules.rebuyLimit });
+  const clocks = [
+    rules.turnSeconds && t("rulesCard.turnClock", { seconds: rules.turnSeconds }),
+    rules.betSeconds && t("rulesCard.betClock", { seconds: rules.betSeconds }),
+    rules.timeBankSeconds && t("rulesCard.timeBank", { seconds: rules.timeBankSeconds }),
+  ];
+  const sideBets = Object.keys(SIDE_BETS).filter((kind) => rules[kind] !== "off");
+
+  return (
+    <dl className="rules-card">
+      <div>
+        <dt>{t("rulesCard.variant")}</dt>
+        <dd>{t(`variants.names.${rules.variant}`)}</dd>
+      </div>
+      <div>
+        <dt>{t("rulesCard.shoe")}</dt>
+        <dd>{t("rulesCard.shoeValue", { count: rules.decks, percent: percent(rules.penetration) })}</dd>
+      </div>
+      <div>
+        <dt>{t("rulesCard.dealer")}</dt>
+        <dd>{rules.dealerHitsSoft17 ? t("rulesCard.hitsSoft17") : t("rulesCard.standsAll17")}</dd>
+      </div>
+      <div>
+        <dt>{t("rulesCard.blackjack")}</dt>
+        <dd>{t("rulesCard.pays", { payout: variantOf(rules).naturalPayout ?? rules.blackjackPayout })}</dd>
+      </div>
+      <div>
+        <dt>{t("rulesCard.bets")}</dt>
+        <dd>{limits}</dd>
+      </div>
+      <div>
+        <dt>{t("rulesCard.rebuys")}</dt>
+        <dd>
+          {rebuys}
+          {rules.rebuyMode !== "off" && rebuyLimit}
+        </dd>
+      </div>
+      {shared && (
+        <div>
+          <dt>{t("rulesCard.pot")}</dt>
+          <dd>{t(`potModes.${rules.potMode}`)}</dd>
+        </div>
+      )}
+      {(rules.turnSeconds > 0 || rules.betSeconds > 0) && (
+        <div>
+          <dt>{t("rulesCard.clock")}</dt>
+          <dd>{clocks.filter(Boolean).join(" · ")}</dd>
+        </div>
+      )}
+      {sideBets.length > 0 && (
+        <div>
+          <dt>{t("rulesCard.sideBets")}</dt>
+          <dd>
+            {sideBets.map((kind) => (
+              <div key={`side-${kind}`}>
+                {t("rulesCard.sideBet", { bet: sideBetName(kind), pays: sideBetPays(kind, rules[kind]) })}
+              </div>
+            ))}
+          </dd>
+        </div>
+      )}
+    </dl>
+  );
+}
@@ -0,0 +1,218 @@
+import {
+  BET_TIMEOUTS,
+  BLACKJACK_PAYOUTS,
+  CHIP_SETS,
+  CLOCK_LIMITS,
+  MAX_DECKS,
+  POT_MODES,
+  REBUY_MODES,
+  SIDE_BET_PAY_TABLES,
+  VARIANTS,
+  variantOf,
+} from "../engine/index.js";
+import { useI18n } from "../i18n/useI18n.js";
+
+const PENETRATION_STEPS = [0.5, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9];
+
+const chipSetKey = (chipValues) =>
+  Object.keys(CHIP_SETS).find((key) => CHIP_SETS[key].join() === chipValues.join()) ?? "standard";
+
+export default function RulesForm({ rules, onChange }) {
+  const { t, chips, percent, sideBetPays } = useI18n();
+  const update = (key, value) => onChange({ ...rules, [key]: value });
+  const variant = variantOf(rules);
+  // 21+3 needs the dealer's upcard, which a hidden-dealer variant never shows.
+  const sideBets = Object.keys(SIDE_BET_PAY_TABLES).filter(
+    (kind) => !(variant.hideDealer && kind === "twentyOnePlusThree")
+  );
+
+  return (
+    <div className="setup-grid">
+      <label className="field">
+        {t("rules.variant")}
+        <select value={rules.variant} onChange={(event) => update("variant", event.target.value)}>
+          {Object.keys(VARIANTS).map((key) => (
+            <option key={`variant-${key}`} value={key}>
+              {t(`variants.names.${key}`)}
+            </option>
+          ))}
+        </select>
+        <span className="hint">{t(`variants.descriptions.${rules.variant}`)}</span>
+      </label>
+      <label className="field">
+        {t("rules.decks")}
+        <input
+          type="number"
+          min={1}
+          max={MAX_DECKS}
+          value={rules.decks}
+          onChange={(event) => update("decks", Number(event.target.value))}
+        />
+      </label>
+      <label className="field">
+        {t("rules.penetration")}
+        <select value={rules.penetration} onChange={(event) => update("penetration", Number(event.target.value))}>
+          {PENETRATION_STEPS.map((step) => (
+            <option key={`pen-${step}`} value={step}>
+              {percent(step)}
+            </option>
+          ))}
+        </select>
+      </label>
+      {!variant.naturalPayout && (
+        <label className="field">
+          {t("rules.payout")}
+          <select value={rules.blackjackPayout} onChange={(event) => update("blackjackPayout", event.target.value)}>
+            {Object.keys(BLACKJACK_PAYOUTS).map((payout) => (
+              <option key={`payout-${payout}`} value={payout}>
+                {payout}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      <label className="field">
+        {t("rules.chipSet")}
+        <select
+          value={chipSetKey(rules.chipValues)}
+          onChange={(event) => update("chipValues", CHIP_SETS[event.target.value])}
+        >
+          {Object.entries(CHIP_SETS).map(([key, values]) => (
+            <option key={`chips-${key}`} value={key}>
+              {values.map(chips).join(" / ")}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="field">
+        {t("rules.minBet")}
+        <input
+          type="number"
+          min={1}
+          value={rules.minBet}
+          onChange={(event) => update("minBet", Number(event.target.value))}
+        />
+      </label>
+      <label className="field">
+        {t("rules.maxBet")}
+        <input
+          type="number"
+          min={0}
+          placeholder={t("rules.noLimit")}
+          value={rules.maxBet ?? ""}
+          onChange={(event) => update("maxBet", event.target.value ? Number(event.target.value) : null)}
+        />
+      </label>
+      <label className="field">
+        {t("rules.potMode")}
+        <select value={rules.potMode} onChange={(event) => update("potMode", event.target.value)}>
+          {Object.keys(POT_MODES).map((key) => (
+            <option key={`pot-${key}`} value={key}>
+              {t(`potModes.${key}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="field">
+        {t("rules.rebuyMode")}
+        <select value={rules.rebuyMode} onChange={(event) => update("rebuyMode", event.target.value)}>
+          {Object.keys(REBUY_MODES).map((key) => (
+            <option key={`rebuy-${key}`} value={key}>
+              {t(`rebuyModes.${key}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+      {rules.rebuyMode !== "off" && (
+        <>
+          <label className="field">
+            {t("rules.rebuyAmount")}
+            <input
+              type="number"
+              min={rules.minBet}
+              value={rules.rebuyAmount}
+              onChange={(event) => update("rebuyAmount", Number(event.target.value))}
+            />
+          </label>
+          <label className="field">
+            {t("rules.rebuyLimit")}
+            <input
+              type="number"
+              min={0}
+              placeholder={t("rules.noLimit")}
+              value={rules.rebuyLimit ?? ""}
+              onChange={(event) => update("rebuyLimit", event.target.value === "" ? null : Number(event.target.value))}
+            />
+          </label>
+        </>
+      )}
+      <label className="field">
+        {t("rules.turnSeconds")}
+        <input
+          type="number"
+          min={0}
+          max={CLOCK_LIMITS.max}
+          placeholder={t("rules.untimed")}
+          value={rules.turnSeconds || ""}
+          onChange={(event) => update("turnSeconds", Number(event.target.value))}
+        />
+      </label>
+      <label className="field">
+        {t("rules.betSeconds")}
+        <input
+          type="number"
+          min={0}
+          max={CLOCK_LIMITS.max}
+          placeholder={t("rules.untimed")}
+          value={rules.betSeconds || ""}
+          onChange={(event) => update("betSeconds", Number(event.target.value))}
+        />
+      </label>
+      {(rules.turnSeconds > 0 || rules.betSeconds > 0) && (
+        <label className="field">
+          {t("rules.timeBankSeconds")}
+          <input
+            type="number"
+            min={0}
+            max={CLOCK_LIMITS.max}
+            value={rules.timeBankSeconds}
+            onChange={(event) => update("timeBankSeconds", Number(event.target.value))}
+          />
+        </label>
+      )}
+      {rules.betSeconds > 0 && (
+        <label className="field">
+          {t("rules.betTimeout")}
+          <select value={rules.betTimeout} onChange={(event) => update("betTimeout", event.target.value)}>
+            {Object.keys(BET_TIMEOUTS).map((key) => (
+              <option key={`timeout-${key}`} value={key}>
+                {t(`betTimeouts.${key}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {sideBets.map((kind) => (
+        <label className="field" key={`side-${kind}`}>
+          {t(`rules.${kind}`)}
+          <select value={rules[kind]} onChange={(event) => update(kind, event.target.value)}>
+            <option value="off">{t("rules.sideBetOff")}</option>
+            {Object.keys(SIDE_BET_PAY_TABLES[kind]).map((table) => (
+              <option key={`side-${kind}-${table}`} value={table}>
+                {sideBetPays(kind, table)}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+      <label className="field field--toggle">
+        {t("rules.soft17")}
+        <input
+          type="checkbox"
+          checked={rules.dealerHitsSoft17}
+          onChange={(event) => update("dealerHitsSoft17", event.target.checked)}
+        />
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import { useI18n } from "../i18n/useI18n.js";
+
+export default function SavedSession({ saved, importErrors, onResume, onImport }) {
+  const { t, chips, name, date, sessionError } = useI18n();
+  const handleFile = (event) => {
+    const [file] = event.target.files;
+    event.target.value = "";
+    if (file) onImport(file);
+  };
+
+  return (
+    <>
+      <div className="panel__header panel__header--section">
+        <h2>{t("saved.title")}</h2>
+        <p>{t("saved.hint")}</p>
+      </div>
+      {saved && (
+        <div className="saved-session">
+          <div>
+            <strong>{t("saved.round", { round: saved.game.round })}</strong>
+            <span className="hint">
+              {" · "}
+              {saved.game.players.map((player) => `${name(player.name)} ${chips(player.chips)}`).join(", ")}
+            </span>
+          </div>
+          {saved.savedAt && <span className="hint">{t("saved.savedAt", { date: date(saved.savedAt) })}</span>}
+        </div>
+      )}
+      <div className="setup-actions chip-actions">
+        {saved && (
+          <button className="btn btn--gold" onClick={onResume}>
+            {t("saved.resume")}
+          </button>
+        )}
+        <label className="btn btn--ghost">
+          {t("saved.import")}
+          <input type="file" accept="application/json,.json" hidden onChange={handleFile} />
+        </label>
+      </div>
+      {importErrors.length > 0 && (
+        <ul className="import-errors">
+          {importErrors.map((error) => (
+            <li key={error}>{sessionError(error)}</li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,174 @@
+import { useState } from "react";
+import { BUILT_IN_SCENARIOS, cardCodes, MAX_SCENARIO_SEATS, normalizeRules, scenarioErrors } from "../engine/index.js";
+import { useI18n } from "../i18n/useI18n.js";
+
+const blankDraft = () => ({ name: "", seats: [""], up: "", hole: "", next: "" });
+
+// The editor keeps what was typed; cards are only read when it is saved or played.
+const draftOf = (scenario) => ({
+  name: scenario.name,
+  seats: scenario.seats.map((cards) => cards.join(" ")),
+  up: scenario.dealer.up,
+  hole: scenario.dealer.hole,
+  next: scenario.next.join(" "),
+});
+
+const scenarioOf = (draft) => ({
+  name: draft.name,
+  seats: draft.seats.map(cardCodes),
+  dealer: { up: draft.up.trim(), hole: draft.hole.trim() },
+  next: cardCodes(draft.next),
+});
+
+export default function ScenarioEditor({ scenarios, rules, onSave, onRemove, onPlay }) {
+  const { t, scenarioError } = useI18n();
+  const [draft, setDraft] = useState(blankDraft);
+  const [errors, setErrors] = useState([]);
+
+  const update = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }));
+  const updateSeat = (index, value) =>
+    setDraft((prev) => ({ ...prev, seats: prev.seats.map((cards, idx) => (idx === index ? value : cards)) }));
+  const setSeatCount = (count) =>
+    setDraft((prev) => ({ ...prev, seats: Array.from({ length: count }, (_, index) => prev.seats[index] ?? "") }));
+
+  const check = (scenario) => {
+    const problems = scenarioErrors(scenario, normalizeRules(rules));
+    setErrors(problems);
+    return problems.length === 0;
+  };
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    const scenario = scenarioOf(draft);
+    if (check(scenario)) onSave(scenario);
+  };
+
+  const handlePlay = (scenario) => check(scenario) && onPlay(scenario);
+  // A scenario doesn't need a name to be tried out before it is saved.
+  const handlePlayDraft = () => handlePlay({ ...scenarioOf(draft), name: draft.name || t("scenarios.untitled") });
+
+  const handleEdit = (next) => {
+    setDraft(next);
+    setErrors([]);
+  };
+
+  const library = [
+    ...Object.entries(BUILT_IN_SCENARIOS).map(([id, scenario]) => ({
+      key: `built-in-${id}`,
+      scenario: { ...scenario, name: t(`scenarios.builtIn.${id}.name`) },
+      lesson: t(`scenarios.builtIn.${id}.lesson`),
+    })),
+    ...Object.values(scenarios).map((scenario) => ({ key: `saved-${scenario.name}`, scenario, saved: true })),
+  ];
+
+  return (
+    <>
+      <div className="panel__header panel__header--section">
+        <h2>{t("scenarios.title")}</h2>
+        <p>{t("scenarios.hint")}</p>
+      </div>
+      <ul className="scenarios">
+        {library.map(({ key, scenario, lesson, saved }) => (
+          <li key={key} className="scenarios__item">
+            <div>
+              <strong>{scenario.name}</strong>
+              <span className="hint">
+                {" · "}
+                {t("scenarios.summary", {
+                  seats: scenario.seats.map((cards) => cards.join(" ")).join(" / "),
+                  up: scenario.dealer.up,
+                })}
+              </span>
+              {lesson && <p className="hint">{lesson}</p>}
+            </div>
+            <div className="chip-actions">
+              <button className="btn" onClick={() => handlePlay(scenario)}>
+                {t("scenarios.play")}
+              </button>
+              <button className="btn btn--ghost" onClick={() => handleEdit(draftOf(scenario))}>
+                {t("scenarios.edit")}
+              </button>
+              {saved && (
+                <button className="btn btn--ghost" onClick={() => onRemove(scenario.name)}>
+                  {t("scenarios.remove")}
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+      <form className="setup-grid" onSubmit={handleSave}>
+        <label className="field">
+          {t("scenarios.name")}
+          <input type="text" value={draft.name} onChange={(event) => update("name", event.target.value)} />
+        </label>
+        <label className="field">
+          {t("scenarios.seats")}
+          <select value={draft.seats.length} onChange={(event) => setSeatCount(Number(event.target.value))}>
+            {Array.from({ length: MAX_SCENARIO_SEATS }, (_, index) => (
+              <option key={`seats-${index + 1}`} value={index + 1}>
+                {t("lobby.players", { count: index + 1 })}
+              </option>
+            ))}
+          </select>
+        </label>
+        {draft.seats.map((cards, index) => (
+          <label className="field" key={`seat-cards-${index}`}>
+            {t("scenarios.seatCards", { seat: index + 1 })}
+            <input
+              type="text"
+              placeholder={t("scenarios.seatPlaceholder")}
+              value={cards}
+              onChange={(event) => updateSeat(index, event.target.value)}
+            />
+          </label>
+        ))}
+        <label className="field">
+          {t("scenarios.upcard")}
+          <input
+            type="text"
+            placeholder={t("scenarios.upPlaceholder")}
+            value={draft.up}
+            onChange={(event) => update("up", event.target.value)}
+          />
+        </label>
+        <label className="field">
+          {t("scenarios.holeCard")}
+          <input
+            type="text"
+            placeholder={t("scenarios.holePlaceholder")}
+            value={draft.hole}
+            onChange={(event) => update("hole", event.target.value)}
+          />
+        </label>
+        <label className="field">
+          {t("scenarios.next")}
+          <input
+            type="text"
+            placeholder={t("scenarios.nextPlaceholder")}
+            value={draft.next}
+            onChange={(event) => update("next", event.target.value)}
+          />
+        </label>
+        <div className="setup-actions chip-actions">
+          <button className="btn" type="submit">
+            {t("scenarios.save")}
+          </button>
+          <button className="btn btn--ghost" type="button" onClick={handlePlayDraft}>
+            {t("scenarios.playDraft")}
+          </button>
+          <button className="btn btn--ghost" type="button" onClick={() => handleEdit(blankDraft())}>
+            {t("scenarios.clear")}
+          </button>
+        </div>
+      </form>
+      {errors.length > 0 && (
+        <ul className="import-errors">
+          {errors.map((error) => (
+            <li key={error}>{scenarioError(error)}</li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,48 @@
+import { useI18n } from "../i18n/useI18n.js";
+import { SHORTCUTS } from "../keyboard.js";
+
+export default function ShortcutHelp({ onClose }) {
+  const { t } = useI18n();
+
+  return (
+    <div
+      className="shortcuts"
+      role="dialog"
+      aria-labelledby="shortcuts-title"
+      onKeyDown={(event) => event.key === "Escape" && onClose()}
+    >
+      <div className="history__header">
+        <h3 id="shortcuts-title">{t("shortcuts.title")}</h3>
+        <button className="btn btn--ghost" onClick={onClose} autoFocus>
+          {t("shortcuts.close")}
+        </button>
+      </div>
+      {Object.entries(SHORTCUTS).map(([phase, keys]) => (
+        <section key={`shortcuts-${phase}`}>
+          <h4>{t(`shortcuts.phases.${phase}`)}</h4>
+          <dl>
+            {phase === "betting" && (
+              <div className="shortcuts__row">
+                <dt>
+                  <kbd>1</kbd>–<kbd>9</kbd>
+                </dt>
+                <dd>{t("shortcuts.labels.chip")}</dd>
+              </div>
+            )}
+            {Object.entries(keys).map(([key, action]) => (
+              <div key={`shortcut-${phase}-${key}`} className="shortcuts__row">
+                <dt>
+                  <kbd>{key.toUpperCase()}</kbd>
+                </dt>
+                <dd>{t(`shortcuts.labels.${action}`)}</dd>
+              </div>
+            ))}
+          </dl>
+        </section>
+      ))}
+      <p className="hint">
+        <kbd>?</kbd> {t("shortcuts.labels.help")} · {t("shortcuts.arrows")}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import { emptyPlayerStats, summarizeStats } from "../engine/index.js";
+import { useI18n } from "../i18n/useI18n.js";
+
+const CHART_WIDTH = 240;
+const CHART_HEIGHT = 60;
+
+const streakLabel = (t, streak) => {
+  if (streak > 0) return t("stats.won", { count: streak });
+  if (streak < 0) return t("stats.lost", { count: -streak });
+  return t("stats.noStreak");
+};
+
+function BankrollChart({ points }) {
+  const { t, chips } = useI18n();
+  if (points.length < 2) return <span className="hint">{t("stats.chartEmpty")}</span>;
+  const low = Math.min(...points);
+  const high = Math.max(...points);
+  const span = high - low || 1;
+  const coords = points
+    .map((value, index) => {
+      const x = (index / (points.length - 1)) * CHART_WIDTH;
+      const y = CHART_HEIGHT - ((value - low) / span) * CHART_HEIGHT;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+  return (
+    <svg
+      className="stats__chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      role="img"
+      aria-label={t("stats.chart", { from: chips(points[0]), to: chips(points[points.length - 1]) })}
+    >
+      <polyline points={coords} fill="none" stroke="currentColor" strokeWidth="2" />
+    </svg>
+  );
+}
+
+export default function StatsPanel({ stats, names, onReset }) {
+  const { t, chips, delta, percent, name: displayName } = useI18n();
+
+  return (
+    <details className="fairness stats">
+      <summary>{t("stats.title")}</summary>
+      <div className="stats__grid">
+        {names.map((name) => {
+          const entry = summarizeStats(stats.players[name] ?? emptyPlayerStats());
+          return (
+            <div className="stats__player" key={`stats-${name}`}>
+              <strong>{displayName(name)}</strong>
+              {entry.rounds ? (
+                <>
+                  <dl>
+                    <dt>{t("stats.rounds")}</dt>
+                    <dd>{t("stats.roundsValue", { rounds: entry.rounds, hands: entry.hands })}</dd>
+                    <dt>{t("stats.outcomes")}</dt>
+                    <dd>
+                      {percent(entry.winRate)} / {percent(entry.lossRate)} / {percent(entry.pushRate)}
+                    </dd>
+                    <dt>{t("stats.blackjackBust")}</dt>
+                    <dd>
+                      {percent(entry.blackjackRate)} / {percent(entry.bustRate)}
+                    </dd>
+                    <dt>{t("stats.net")}</dt>
+                    <dd>{delta(entry.net)}</dd>
+                    <dt>{t("stats.biggest")}</dt>
+                    <dd>
+                      {delta(entry.biggestWin)} / {delta(entry.biggestLoss)}
+                    </dd>
+                    <dt>{t("stats.averageBet")}</dt>
+                    <dd>{chips(entry.averageBet)}</dd>
+                    <dt>{t("stats.longestStreaks")}</dt>
+                    <dd>{t("stats.longestValue", { won: entry.longestWinStreak, lost: entry.longestLossStreak })}</dd>
+                    <dt>{t("stats.currentStreak")}</dt>
+                    <dd>{streakLabel(t, entry.streak)}</dd>
+                  </dl>
+                  <BankrollChart points={entry.bankroll} />
+                </>
+              ) : (
+                <span className="hint">{t("stats.empty")}</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <button className="btn btn--ghost" onClick={onReset}>
+        {t("stats.reset")}
+      </button>
+    </details>
+  );
+}
@@ -0,0 +1,163 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  calculateHand,
+  formatCard,
+  hiddenDealerCards,
+  isBotSeat,
+  isEliminated,
+  isMultiTable,
+} from "../engine/index.js";
+import { createI18n } from "../i18n/index.js";
+import { I18nContext, useI18n } from "../i18n/useI18n.js";
+import useTableDisplay from "../net/useTableDisplay.js";
+import { loadLocale } from "../storage/locale.js";
+import { loadPreferences } from "../storage/preferences.js";
+import PlayingCard from "./PlayingCard.jsx";
+import { Avatar } from "./ProfilesPanel.jsx";
+import { TournamentBar } from "./TournamentPanel.jsx";
+
+function DisplaySeat({ table, player, index }) {
+  const { t, chips, delta, name, result, sideBet } = useI18n();
+  const { phase } = table;
+  const isCurrent = phase === "playing" && index === table.currentIndex;
+  const split = player.hands.length > 1;
+  const status = () => {
+    if (isEliminated(table.tournament, index)) return t("seat.out");
+    if (player.sittingOut) return t("seat.sittingOut");
+    return phase === "betting" ? t("seat.betting") : "";
+  };
+
+  return (
+    <div className={isCurrent ? "display-seat display-seat--active" : "display-seat"} role="listitem">
+      <div className="display-seat__header">
+        <h2>
+          <Avatar avatar={player.avatar} color={player.color} />
+          {name(player.name)}
+          {isBotSeat(player) ? ` · ${t(`bots.${player.bot}`)}` : ""}
+        </h2>
+        <span className="player__status">{status()}</span>
+      </div>
+      <div className="display-seat__chips">{t("seat.chips", { amount: chips(player.chips) })}</div>
+      {phase === "betting" && (
+        <div className="display-seat__bet">
+          {t("seat.bet", { amount: player.bet === null ? t("seat.secret") : chips(player.bet) })}
+        </div>
+      )}
+      {player.hands.map((hand, handIndex) => (
+        <div
+          className={isCurrent && split && handIndex === table.handIndex ? "hand hand--active" : "hand"}
+          key={`hand-${player.id}-${handIndex}`}
+        >
+          <div
+            className="card-row"
+            role="group"
+            aria-label={
+              split
+                ? t("seat.handCards", { name: name(player.name), hand: handIndex + 1 })
+                : t("seat.cards", { name: name(player.name) })
+            }
+          >
+            {hand.cards.map((card, cardIndex) => (
+              <PlayingCard card={card} key={`card-${player.id}-${handIndex}-${cardIndex}-${formatCard(card)}`} />
+            ))}
+          </div>
+          <div className="player__footer">
+            <span className="player__total">{t("table.total", { total: calculateHand(hand.cards) })}</span>
+            <span className="player__bet-value">
+              {t("seat.bet", { amount: chips(hand.bet) })}
+              {hand.doubled ? t("seat.doubled") : ""}
+            </span>
+            <span className="result">{result(hand.result, hand.bonus)}</span>
+          </div>
+        </div>
+      ))}
+      {player.sideResults?.map((settled) => (
+        <div
+          className={`player__side-result ${settled.delta > 0 ? "player__delta--positive" : "player__delta--negative"}`}
+          key={`side-${player.id}-${settled.kind}`}
+        >
+          {sideBet(settled)}
+        </div>
+      ))}
+      {phase === "roundEnd" && player.delta !== 0 && (
+        <div className={`player__delta ${player.delta > 0 ? "player__delta--positive" : "player__delta--negative"}`}>
+          {delta(player.delta)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function DisplayTable({ table }) {
+  const { t, chips, message } = useI18n();
+  const { dealer } = table;
+  const isMulti = isMultiTable(table);
+
+  return (
+    <section className="display">
+      <div className="display__header">
+        <strong>{t("app.round", { round: table.round })}</strong>
+        {isMulti && <div className="chip-chip">{t("table.pot", { amount: chips(table.pot) })}</div>}
+        {isMulti && table.house > 0 && (
+          <div className="chip-chip">{t("table.house", { amount: chips(table.house) })}</div>
+        )}
+      </div>
+      {table.tournament && <TournamentBar table={table} />}
+
+      <div className="dealer">
+        <div className="dealer__label">{t("table.dealer")}</div>
+        <div className="card-row" role="group" aria-label={t("table.dealerCards")}>
+          {dealer.hand.map((card, index) => (
+            <PlayingCard
+              card={card}
+              hidden={dealer.hidden && index < hiddenDealerCards(table.rules)}
+              key={`dealer-${index}`}
+            />
+          ))}
+        </div>
+        <div className="dealer__total">
+          {dealer.hidden ? t("table.hiddenTotal") : t("table.total", { total: calculateHand(dealer.hand) })}
+        </div>
+      </div>
+
+      <div className="display__seats" role="list" aria-label={t("table.seats")}>
+        {table.players.map((player, index) => (
+          <DisplaySeat table={table} player={player} index={index} key={player.id} />
+        ))}
+      </div>
+
+      <p className="display__message" role="status">
+        {message(table.message)}
+      </p>
+    </section>
+  );
+}
+
+// The read-only table display (the #display route) for a second screen. It
+// follows the language of the tab it mirrors, and this browser's motion setting.
+export default function TableDisplay() {
+  const shown = useTableDisplay();
+  const [savedLocale] = useState(loadLocale);
+  const [{ reducedMotion }] = useState(loadPreferences);
+  const i18n = useMemo(() => createI18n(shown?.locale ?? savedLocale), [shown?.locale, savedLocale]);
+  const { t } = i18n;
+
+  useEffect(() => {
+    document.title = t("display.title");
+  }, [t]);
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <div className={reducedMotion ? "app app--display app--still" : "app app--display"}>
+        {shown ? (
+          <DisplayTable table={shown.table} />
+        ) : (
+          <section className="display display--waiting" role="status">
+            <h1>{t("display.waiting")}</h1>
+            <p>{t("display.waitingHint")}</p>
+          </section>
+        )}
+      </div>
+    </I18nContext.Provider>
+  );
+}
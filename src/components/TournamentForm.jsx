@@ -0,0 +1,76 @@
+import { BLIND_SCHEDULES, TOURNAMENT_DEFAULTS, TOURNAMENT_LENGTHS } from "../engine/index.js";
+import { useI18n } from "../i18n/useI18n.js";
+
+// `config` is null for a cash game.
+export default function TournamentForm({ config, onChange }) {
+  const { t, number } = useI18n();
+  const update = (key, value) => onChange({ ...config, [key]: value });
+
+  return (
+    <div className="setup-grid">
+      <label className="field">
+        {t("tournament.format")}
+        <select
+          value={config ? "tournament" : "cash"}
+          onChange={(event) => onChange(event.target.value === "tournament" ? { ...TOURNAMENT_DEFAULTS } : null)}
+        >
+          <option value="cash">{t("tournament.cash")}</option>
+          <option value="tournament">{t("tournament.tournament")}</option>
+        </select>
+      </label>
+      {config && (
+        <>
+          <label className="field">
+            {t("tournament.length")}
+            <span className="field__pair">
+              <input
+                type="number"
+                min={1}
+                value={config.count}
+                onChange={(event) => update("count", Number(event.target.value))}
+              />
+              <select value={config.length} onChange={(event) => update("length", event.target.value)}>
+                {Object.keys(TOURNAMENT_LENGTHS).map((key) => (
+                  <option key={`length-${key}`} value={key}>
+                    {t(`tournament.${key}`)}
+                  </option>
+                ))}
+              </select>
+            </span>
+          </label>
+          <label className="field">
+            {t("tournament.schedule")}
+            <select value={config.schedule} onChange={(event) => update("schedule", event.target.value)}>
+              {Object.entries(BLIND_SCHEDULES).map(([key, { levels }]) => (
+                <option key={`schedule-${key}`} value={key}>
+                  {t("tournament.scheduleOption", {
+                    label: t(`schedules.${key}`),
+                    levels: levels.map((level) => number(level, level % 1 ? 1 : 0)).join(", ×"),
+                  })}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="field">
+            {t("tournament.levelRounds")}
+            <input
+              type="number"
+              min={1}
+              value={config.levelRounds}
+              onChange={(event) => update("levelRounds", Number(event.target.value))}
+            />
+          </label>
+          <label className="field">
+            {t("tournament.startingChips")}
+            <input
+              type="number"
+              min={1}
+              value={config.startingChips}
+              onChange={(event) => update("startingChips", Number(event.target.value))}
+            />
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
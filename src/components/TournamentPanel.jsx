@@ -0,0 +1,60 @@
+import { BLIND_SCHEDULES, isFinalRound, minBetForLevel, tournamentStandings } from "../engine/index.js";
+import { useI18n } from "../i18n/useI18n.js";
+
+const progressLabel = (t, tournament) =>
+  tournament.length === "rounds"
+    ? t("tournament.roundOf", {
+        round: Math.min(tournament.roundsPlayed + 1, tournament.count),
+        count: tournament.count,
+      })
+    : t("tournament.handsPlayed", { played: tournament.handsPlayed, count: tournament.count });
+
+export function TournamentBar({ table }) {
+  const { t, chips } = useI18n();
+  const { tournament } = table;
+  const { levels } = BLIND_SCHEDULES[tournament.schedule];
+  const roundsToNext = tournament.levelRounds - (tournament.roundsPlayed % tournament.levelRounds);
+  const nextLevel = tournament.level + 1 < levels.length ? minBetForLevel(tournament, tournament.level + 1) : null;
+
+  return (
+    <div className="tournament-bar" role="status">
+      <strong>{t("tournament.level", { level: tournament.level + 1 })}</strong>
+      <span>{t("tournament.minimum", { amount: chips(minBetForLevel(tournament, tournament.level)) })}</span>
+      <span>{progressLabel(t, tournament)}</span>
+      {nextLevel !== null && !tournament.finished && (
+        <span className="hint">{t("tournament.nextLevel", { amount: chips(nextLevel), count: roundsToNext })}</span>
+      )}
+      {isFinalRound(table) && <span className="tournament-bar__final">{t("tournament.finalRound")}</span>}
+    </div>
+  );
+}
+
+export function TournamentStandings({ table, onLeave }) {
+  const { t, chips, name } = useI18n();
+
+  return (
+    <div className="tournament-standings" role="dialog" aria-labelledby="standings-title">
+      <h2 id="standings-title">{t("tournament.standings")}</h2>
+      <ol>
+        {tournamentStandings(table).map((row) => (
+          <li key={`place-${row.seat}`} className={row.place === 1 ? "tournament-standings__winner" : undefined}>
+            <span className="tournament-standings__place">
+              {t("tournament.place", { count: row.place, ordinal: true })}
+            </span>
+            <strong>{name(row.name)}</strong>
+            <span>
+              {row.eliminatedRound === null
+                ? chips(row.chips)
+                : t("tournament.outIn", { round: row.eliminatedRound })}
+            </span>
+          </li>
+        ))}
+      </ol>
+      {onLeave && (
+        <button className="btn btn--gold" onClick={onLeave}>
+          {t("tournament.backToLobby")}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import { useEffect, useRef, useState } from "react";
+import { useI18n } from "../i18n/useI18n.js";
+import { shortcutKey } from "../keyboard.js";
+
+// Counts down the engine's turn clock (see turnClock) from the moment this
+// screen first sees its key, and calls onExpire with the key when the time is
+// up. Returns the deadline, or null while nothing is timed. Seconds added from
+// a time bank push the same deadline back.
+export const useTurnClock = (clock, onExpire) => {
+  const key = clock?.key ?? null;
+  const [start, setStart] = useState(null);
+  useEffect(() => setStart(key === null ? null : { key, at: Date.now() }), [key]);
+  const deadline = clock && start?.key === key ? start.at + clock.seconds * 1000 : null;
+
+  const expire = useRef(onExpire);
+  expire.current = onExpire;
+  useEffect(() => {
+    if (deadline === null) return undefined;
+    const timer = setTimeout(() => expire.current(key), deadline - Date.now());
+    return () => clearTimeout(timer);
+  }, [deadline, key]);
+  return deadline;
+};
+
+export default function TurnClock({ deadline, seconds, phase, offer = 0, bank = 0, onTimeBank }) {
+  const { t } = useI18n();
+  const [now, setNow] = useState(Date.now);
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, []);
+  const left = Math.max(0, Math.ceil((deadline - now) / 1000));
+
+  return (
+    <div className={left <= 5 ? "turn-clock turn-clock--low" : "turn-clock"}>
+      <span className="turn-clock__bar" style={{ "--clock-left": Math.min(1, left / seconds) }} aria-hidden="true" />
+      <span className="turn-clock__time" role="timer">
+        {t("clock.left", { seconds: left })}
+      </span>
+      {offer > 0 && (
+        <button className="btn btn--ghost" onClick={onTimeBank} aria-keyshortcuts={shortcutKey(phase, "timeBank")}>
+          {t("clock.timeBank", { seconds: offer, bank })}
+        </button>
+      )}
+    </div>
+  );
+}
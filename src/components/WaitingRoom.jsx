@@ -0,0 +1,43 @@
+import { useI18n } from "../i18n/useI18n.js";
+
+export default function WaitingRoom({ online }) {
+  const { t, name, onlineError } = useI18n();
+  const { room, seat } = online.view;
+  const isHost = seat === room.hostSeat;
+
+  return (
+    <section className="panel">
+      <div className="panel__header">
+        <h2>{t("waiting.room", { code: room.code })}</h2>
+        <p>{t("waiting.hint")}</p>
+      </div>
+      <ul className="seat-list">
+        {Array.from({ length: room.capacity }).map((_, index) => {
+          const member = room.seats[index];
+          return (
+            <li key={`seat-${index}`} className={member?.connected ? "" : "seat-list__empty"}>
+              <span>{t("waiting.seat", { seat: index + 1 })}</span>
+              <strong>
+                {member ? name(member.name) : t("waiting.open")}
+                {index === seat ? t("seat.you") : ""}
+              </strong>
+              {member && !member.connected && <span className="hint">{t("waiting.reconnecting")}</span>}
+            </li>
+          );
+        })}
+      </ul>
+      <div className="setup-actions chip-actions">
+        {isHost && (
+          <button className="btn btn--gold" onClick={online.start}>
+            {t("waiting.openTable")}
+          </button>
+        )}
+        {!isHost && <span className="hint">{t("waiting.waitingForHost")}</span>}
+        <button className="btn btn--ghost" onClick={online.leave}>
+          {t("waiting.leave")}
+        </button>
+      </div>
+      {online.error && <p className="hint">{onlineError(online.error)}</p>}
+    </section>
+  );
+}
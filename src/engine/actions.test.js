@@ -0,0 +1,138 @@
+import { describe, expect, it } from "vitest";
+import { availableActions, gameReducer } from "./game.js";
+import { play, table } from "./testUtils.js";
+
+describe("double down", () => {
+  it("doubles the bet, draws exactly one card and pays the doubled stake", () => {
+    // player 6+5, dealer 10+7, double draws a 10
+    let state = table(1, ["6", "10", "5", "7", "10"], [100]);
+    state = gameReducer(state, { type: "deal" });
+    expect(availableActions(state).double).toBe(true);
+
+    state = gameReducer(state, { type: "double" });
+    expect(state.players[0].chips).toBe(800);
+    expect(state.players[0].hands[0]).toMatchObject({ bet: 200, doubled: true, status: "stand" });
+    expect(state.phase).toBe("dealer");
+
+    state = gameReducer(state, { type: "playDealer" });
+    expect(state.players[0]).toMatchObject({ chips: 1200, delta: 200, hands: [{ result: "win", delta: 200 }] });
+  });
+
+  it("is unavailable once the hand has three cards or the seat cannot cover it", () => {
+    let state = table(1, ["2", "10", "3", "7", "2"], [100]);
+    state = play(state, [{ type: "deal" }, { type: "hit" }]);
+    expect(availableActions(state).double).toBe(false);
+
+    state = table(1, ["6", "10", "5", "7"], [600]);
+    state = gameReducer(state, { type: "deal" });
+    expect(availableActions(state).double).toBe(false);
+    expect(gameReducer(state, { type: "double" })).toBe(state);
+  });
+});
+
+describe("split", () => {
+  it("plays each split hand in turn with its own bet and result", () => {
+    // player 8+8, dealer 10+7; split draws 3 then 10; first hand hits a 10
+    let state = table(1, ["8", "10", "8", "7", "3", "10", "10"], [100]);
+    state = gameReducer(state, { type: "deal" });
+    expect(availableActions(state).split).toBe(true);
+
+    state = gameReducer(state, { type: "split" });
+    expect(state.players[0].chips).toBe(800);
+    expect(state.players[0].hands.map((hand) => hand.cards.map((c) => c.rank))).toEqual([
+      ["8", "3"],
+      ["8", "10"],
+    ]);
+    expect(state.handIndex).toBe(0);
+
+    state = gameReducer(state, { type: "hit" });
+    expect(state.players[0].hands[0].status).toBe("stand");
+    expect(state.handIndex).toBe(1);
+
+    state = play(state, [{ type: "stand" }, { type: "playDealer" }]);
+    const [first, second] = state.players[0].hands;
+    expect(first).toMatchObject({ result: "win", delta: 100 });
+    expect(second).toMatchObject({ result: "win", delta: 100 });
+    expect(state.players[0]).toMatchObject({ chips: 1200, delta: 200 });
+  });
+
+  it("allows re-splitting a pair dealt onto a split hand", () => {
+    let state = table(1, ["9", "10", "9", "7", "9", "5", "4", "6"], [100]);
+    state = play(state, [{ type: "deal" }, { type: "split" }]);
+    expect(availableActions(state).split).toBe(true);
+    state = gameReducer(state, { type: "split" });
+    expect(state.players[0].hands).toHaveLength(3);
+    expect(state.players[0].chips).toBe(700);
+  });
+
+  it("gives split aces one card each and pays 21 as a plain win", () => {
+    let state = table(1, ["A", "10", "A", "7", "K", "5"], [100]);
+    state = play(state, [{ type: "deal" }, { type: "split" }]);
+    expect(state.players[0].hands.map((hand) => hand.status)).toEqual(["stand", "stand"]);
+    expect(state.phase).toBe("dealer");
+
+    state = gameReducer(state, { type: "playDealer" });
+    const [first, second] = state.players[0].hands;
+    expect(first).toMatchObject({ result: "win", delta: 100 });
+    expect(second).toMatchObject({ result: "lose", delta: -100 });
+  });
+
+  it("refuses unmatched cards", () => {
+    const state = gameReducer(table(1, ["8", "10", "9", "7"], [100]), { type: "deal" });
+    expect(availableActions(state).split).toBe(false);
+  });
+});
+
+describe("surrender", () => {
+  it("returns half the bet and ends the hand", () => {
+    let state = table(1, ["10", "10", "6", "9"], [100]);
+    state = gameReducer(state, { type: "deal" });
+    expect(availableActions(state).surrender).toBe(true);
+    state = play(state, [{ type: "surrender" }, { type: "playDealer" }]);
+    expect(state.players[0]).toMatchObject({ chips: 950, delta: -50, hands: [{ result: "surrender", delta: -50 }] });
+  });
+
+  it("keeps back the odd chip when half of an odd bet is returned", () => {
+    const state = play(table(1, ["10", "10", "6", "9"], [25]), [
+      { type: "deal" },
+      { type: "surrender" },
+      { type: "playDealer" },
+    ]);
+    expect(state.players[0]).toMatchObject({ chips: 987, delta: -13, hands: [{ result: "surrender", delta: -13 }] });
+  });
+
+  it("is only offered on the first two cards of an unsplit hand", () => {
+    let state = table(1, ["8", "10", "8", "7", "3", "10"], [100]);
+    state = play(state, [{ type: "deal" }, { type: "split" }]);
+    expect(availableActions(state).surrender).toBe(false);
+  });
+});
+
+describe("pot mode", () => {
+  it("adds double and split wagers to the pot and advances across seats", () => {
+    // seat 1: 8+8, seat 2: 6+5, dealer 10+7; seat 1 split draws 10, 10; seat 2 doubles onto 10
+    let state = table(2, ["8", "6", "10", "8", "5", "7", "10", "10", "10"], [100, 100]);
+    state = play(state, [{ type: "deal" }, { type: "split" }]);
+    expect(state.pot).toBe(300);
+    state = play(state, [{ type: "stand" }, { type: "stand" }]);
+    expect(state.currentIndex).toBe(1);
+    state = gameReducer(state, { type: "double" });
+    expect(state.pot).toBe(400);
+
+    state = gameReducer(state, { type: "playDealer" });
+    const [splitter, doubler] = state.players;
+    expect(splitter.hands.map((hand) => hand.result)).toEqual(["win", "win"]);
+    expect(doubler.hands[0].result).toBe("win");
+    expect(splitter.chips + doubler.chips).toBe(2000);
+    expect(state.pot).toBe(0);
+  });
+
+  it("refunds half of a surrendered stake from the pot", () => {
+    // seat 1 surrenders 10+6, seat 2 stands 10+9, dealer 10+8
+    let state = table(2, ["10", "10", "10", "6", "9", "8"], [100, 100]);
+    state = play(state, [{ type: "deal" }, { type: "surrender" }, { type: "stand" }, { type: "playDealer" }]);
+    const [surrendered, winner] = state.players;
+    expect(surrendered).toMatchObject({ chips: 950, hands: [{ result: "surrender" }] });
+    expect(winner).toMatchObject({ chips: 1050, hands: [{ result: "win" }] });
+  });
+});
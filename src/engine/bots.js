@@ -0,0 +1,83 @@
+import { handValue } from "./cards.js";
+import { availableActions, currentHand, pendingInsurance } from "./game.js";
+import { canCoverMinimum, dealerShouldHit, maxBetFor } from "./rules.js";
+import { recommendPlay } from "./strategy.js";
+import { visibleDealerCards } from "./variants.js";
+
+// How long a bot seat "thinks" before each move, so people can follow along.
+export const BOT_DELAY_MS = 700;
+
+const roundToMinimum = (amount, rules) => Math.max(rules.minBet, Math.floor(amount / rules.minBet) * rules.minBet);
+
+const mimicPlay = (state) => {
+  const { total, soft } = handValue(currentHand(state).cards);
+  return dealerShouldHit(total, soft, state.rules) ? "hit" : "stand";
+};
+
+// Basic strategy needs an upcard; with none showing (Pontoon) play like the dealer.
+const basicPlay = (state) => {
+  const [upcard] = visibleDealerCards(state);
+  if (!upcard) return mimicPlay(state);
+  return recommendPlay(currentHand(state).cards, upcard, state.rules, availableActions(state)).action;
+};
+
+export const BOT_PERSONALITIES = {
+  basic: {
+    label: "Basic strategy",
+    bet: (player, rules) => rules.minBet * 2,
+    play: basicPlay,
+  },
+  neverBust: {
+    label: "Never bust",
+    bet: (player, rules) => rules.minBet,
+    play: (state) => {
+      const { total, soft } = handValue(currentHand(state).cards);
+      return total >= (soft ? 18 : 12) ? "stand" : "hit";
+    },
+  },
+  dealerMimic: {
+    label: "Dealer mimic",
+    bet: (player, rules) => rules.minBet,
+    play: mimicPlay,
+  },
+  aggressive: {
+    label: "Aggressive bettor",
+    bet: (player, rules) => roundToMinimum(player.chips / 5, rules),
+    play: basicPlay,
+  },
+};
+
+export const isBotSeat = (player) => Boolean(player?.bot && BOT_PERSONALITIES[player.bot]);
+
+// The next move any bot at the table wants to make, or null when it is a
+// human's turn. Bots bet, decline insurance and play their own hands; when
+// every seat still in the game is a bot they also deal and move on.
+export const botMove = (state) => {
+  const { players, rules } = state;
+  const inPlay = players.filter((player) => canCoverMinimum(player, rules));
+  const allBots = inPlay.length > 0 && inPlay.every(isBotSeat);
+
+  if (state.phase === "betting") {
+    const seat = players.findIndex((player) => isBotSeat(player) && canCoverMinimum(player, rules) && player.bet === 0);
+    if (seat !== -1) {
+      const player = players[seat];
+      const amount = Math.min(BOT_PERSONALITIES[player.bot].bet(player, rules), maxBetFor(player, rules));
+      return { type: "addBet", seat, amount };
+    }
+    return allBots ? { type: "deal" } : null;
+  }
+  if (state.phase === "insurance") {
+    const seat = pendingInsurance(state).find((index) => isBotSeat(players[index]));
+    return seat === undefined ? null : { type: "insurance", seat, accept: false };
+  }
+  if (state.phase === "playing") {
+    const player = players[state.currentIndex];
+    const allowed = availableActions(state);
+    if (!isBotSeat(player) || !allowed.hit) return null;
+    // A play the variant doesn't allow here (standing too low in Pontoon) hits.
+    const play = BOT_PERSONALITIES[player.bot].play(state);
+    return { type: allowed[play] ? play : "hit" };
+  }
+  if (state.phase === "roundEnd" && allBots && !state.tournament?.finished) return { type: "nextRound" };
+  return null;
+};
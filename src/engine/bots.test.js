@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { BOT_PERSONALITIES, botMove } from "./bots.js";
+import { createGame, gameReducer } from "./game.js";
+import { play, stackDeck } from "./testUtils.js";
+
+const botTable = (bots, ranks, rules) =>
+  createGame({ playerCount: bots.length, seats: bots.map((bot) => ({ bot })), deck: stackDeck(ranks), rules });
+
+// Lets the bots act until they hand control back to a person. The dealer plays
+// itself, as it does in the app.
+const runBots = (state, limit = 20) => {
+  let next = state;
+  for (let step = 0; step < limit; step += 1) {
+    const move = next.phase === "dealer" ? { type: "playDealer" } : botMove(next);
+    if (!move) return next;
+    next = gameReducer(next, move);
+  }
+  return next;
+};
+
+describe("bot seats", () => {
+  it("names bot seats and remembers their personality", () => {
+    const state = botTable([null, "basic"], []);
+    expect(state.players.map(({ name, bot }) => [name, bot])).toEqual([
+      ["Player 1", null],
+      ["Bot 2", "basic"],
+    ]);
+  });
+
+  it("places bets for bots and leaves the deal to the person at the table", () => {
+    const state = runBots(botTable([null, "basic", "aggressive"], []));
+    expect(state.phase).toBe("betting");
+    expect(state.players.map((player) => player.bet)).toEqual([0, 20, 200]);
+  });
+
+  it("plays a bot's hand by its personality and stops at a human turn", () => {
+    // human 10+6, never-bust bot 10+2, dealer 7 (hole) + 10 (up); bot stands on 12
+    let state = play(botTable([null, "neverBust"], ["10", "10", "7", "6", "2", "10"]), [
+      { type: "addBet", seat: 0, amount: 50 },
+    ]);
+    state = gameReducer(runBots(state), { type: "deal" });
+    expect(botMove(state)).toBeNull();
+    state = runBots(gameReducer(state, { type: "stand" }));
+    expect(state.players[1].hands[0]).toMatchObject({ status: "stand" });
+    expect(state.phase).toBe("roundEnd");
+  });
+
+  it("declines insurance", () => {
+    // bot 10+9, dealer K (hole) + A (up)
+    const state = runBots(botTable(["basic"], ["10", "K", "9", "A"]), 3);
+    expect(state.phase).toBe("roundEnd");
+    expect(state.players[0].insurance).toMatchObject({ decision: "decline" });
+  });
+
+  it("runs a table of bots on its own", () => {
+    const state = runBots(botTable(["basic", "dealerMimic"], ["10", "9", "7", "8", "10", "10"]), 12);
+    expect(state.history).toHaveLength(1);
+    expect(state.phase === "betting" || state.phase === "playing").toBe(true);
+  });
+
+  it("stands the dealer mimic on 17 and hits below it", () => {
+    const mimic = BOT_PERSONALITIES.dealerMimic;
+    const at = (ranks) =>
+      mimic.play({
+        rules: { dealerHitsSoft17: false },
+        currentIndex: 0,
+        handIndex: 0,
+        players: [{ hands: [{ cards: ranks.map((rank) => ({ rank, value: Number(rank) || 10 })) }] }],
+      });
+    expect(at(["10", "6"])).toBe("hit");
+    expect(at(["10", "7"])).toBe("stand");
+  });
+});
@@ -0,0 +1,45 @@
+export const SUITS = ["♠", "♥", "♦", "♣"];
+export const RANKS = ["A", "2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K"];
+
+export const cardValue = (rank) => (rank === "A" ? 11 : ["J", "Q", "K"].includes(rank) ? 10 : Number(rank));
+
+export const createDeck = (ranks = RANKS) => {
+  const deck = [];
+  for (const suit of SUITS) {
+    for (const rank of ranks) {
+      deck.push({ suit, rank, value: cardValue(rank) });
+    }
+  }
+  return deck;
+};
+
+export const shuffle = (cards, rng = Math.random) => {
+  const deck = [...cards];
+  for (let i = deck.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+  return deck;
+};
+
+export const drawCard = (deck) => {
+  const next = [...deck];
+  const card = next.pop();
+  return { card, next };
+};
+
+export const handValue = (hand) => {
+  let total = hand.reduce((sum, card) => sum + card.value, 0);
+  let aces = hand.filter((card) => card.rank === "A").length;
+  while (total > 21 && aces > 0) {
+    total -= 10;
+    aces -= 1;
+  }
+  return { total, soft: aces > 0 };
+};
+
+export const calculateHand = (hand) => handValue(hand).total;
+
+export const isBlackjack = (hand) => hand.length === 2 && calculateHand(hand) === 21;
+
+export const formatCard = (card) => `${card.rank}${card.suit}`;
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { calculateHand, createDeck, drawCard, isBlackjack, shuffle } from "./cards.js";
+import { card } from "./testUtils.js";
+
+describe("createDeck", () => {
+  it("builds 52 unique cards", () => {
+    const deck = createDeck();
+    expect(deck).toHaveLength(52);
+    expect(new Set(deck.map((c) => `${c.rank}${c.suit}`)).size).toBe(52);
+  });
+});
+
+describe("shuffle", () => {
+  it("keeps every card and leaves the input untouched", () => {
+    const deck = createDeck();
+    const shuffled = shuffle(deck);
+    expect(shuffled).not.toBe(deck);
+    const ids = (cards) => cards.map((c) => `${c.rank}${c.suit}`).sort();
+    expect(ids(shuffled)).toEqual(ids(deck));
+  });
+});
+
+describe("drawCard", () => {
+  it("takes from the end without mutating the deck", () => {
+    const deck = [card("2"), card("K")];
+    const { card: drawn, next } = drawCard(deck);
+    expect(drawn.rank).toBe("K");
+    expect(next).toHaveLength(1);
+    expect(deck).toHaveLength(2);
+  });
+});
+
+describe("calculateHand", () => {
+  it("counts aces as 11 until the hand would bust", () => {
+    expect(calculateHand([card("A"), card("6")])).toBe(17);
+    expect(calculateHand([card("A"), card("6"), card("9")])).toBe(16);
+    expect(calculateHand([card("A"), card("A"), card("9")])).toBe(21);
+    expect(calculateHand([card("K"), card("Q"), card("5")])).toBe(25);
+  });
+
+  it("recognises a natural only on two cards", () => {
+    expect(isBlackjack([card("A"), card("K")])).toBe(true);
+    expect(isBlackjack([card("7"), card("7"), card("7")])).toBe(false);
+  });
+});
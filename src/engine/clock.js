@@ -0,0 +1,47 @@
+// Seconds a seat adds to the running clock each time it draws on its time bank.
+export const TIME_BANK_STEP = 15;
+
+const bonusFor = (state, key) => (state.clockBonus?.key === key ? state.clockBonus.seconds : 0);
+
+// The clock the table is waiting on, or null when nothing is timed. The engine
+// never reads the time itself: whoever runs the table counts the seconds down
+// and sends { type: "timeout", key } when they run out. Every decision gets a
+// new key, so a timeout that arrives after the seat has acted is ignored.
+// `seat` is the seat being timed, or null when the whole table is.
+export const turnClock = (state) => {
+  const { phase, round, rules } = state;
+  const clock = (key, seconds, seat = null) =>
+    seconds ? { key, seconds: seconds + bonusFor(state, key), seat } : null;
+  if (phase === "betting") return clock(`betting:${round}:${state.betTimeouts}`, rules.betSeconds);
+  if (phase === "insurance") return clock(`insurance:${round}`, rules.turnSeconds);
+  if (phase !== "playing") return null;
+  const player = state.players[state.currentIndex];
+  const hand = player?.hands[state.handIndex];
+  if (!hand || player.bot) return null;
+  // Every hit, double and split adds cards to the seat, and a switch swaps them,
+  // so each of the seat's decisions gets its own key.
+  const cards = player.hands.reduce((sum, each) => sum + each.cards.length, 0);
+  const key = `turn:${round}:${state.currentIndex}:${state.handIndex}:${cards}${hand.switched ? ":switched" : ""}`;
+  return clock(key, rules.turnSeconds, state.currentIndex);
+};
+
+// Seconds the seat could add to the running clock right now.
+export const timeBankOffer = (state, seat) => {
+  const clock = turnClock(state);
+  const player = state.players[seat];
+  if (!clock || !player || (clock.seat !== null && clock.seat !== seat)) return 0;
+  return Math.min(TIME_BANK_STEP, player.timeBank);
+};
+
+export const drawTimeBank = (state, seat) => {
+  const seconds = timeBankOffer(state, seat);
+  if (!seconds) return state;
+  const { key } = turnClock(state);
+  return {
+    ...state,
+    clockBonus: { key, seconds: bonusFor(state, key) + seconds },
+    players: state.players.map((player, idx) =>
+      idx === seat ? { ...player, timeBank: player.timeBank - seconds } : player
+    ),
+  };
+};
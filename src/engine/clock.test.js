@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import { TIME_BANK_STEP, timeBankOffer, turnClock } from "./clock.js";
+import { createGame, gameReducer } from "./game.js";
+import { normalizeRules } from "./rules.js";
+import { play, stackDeck, table } from "./testUtils.js";
+
+const TIMED = { turnSeconds: 20, betSeconds: 30, timeBankSeconds: 20 };
+// Seat 1 on 18, seat 2 on 17, the dealer on 17 with a 7 up.
+const ROUND = ["9", "10", "10", "9", "7", "7"];
+
+const expire = (state) => gameReducer(state, { type: "timeout", key: turnClock(state).key });
+
+describe("turn clocks", () => {
+  it("are off unless the table sets them", () => {
+    expect(turnClock(createGame())).toBeNull();
+    expect(normalizeRules({ turnSeconds: 2, betSeconds: 900, timeBankSeconds: -5 })).toMatchObject({
+      turnSeconds: 5,
+      betSeconds: 300,
+      timeBankSeconds: 0,
+    });
+  });
+
+  it("time the betting and each decision with its own key", () => {
+    const betting = table(2, ROUND, [10, 10], TIMED);
+    expect(turnClock(betting)).toEqual({ key: "betting:1:0", seconds: 30, seat: null });
+    const dealt = gameReducer(betting, { type: "deal" });
+    expect(turnClock(dealt)).toEqual({ key: "turn:1:0:0:2", seconds: 20, seat: 0 });
+    expect(turnClock(gameReducer(dealt, { type: "hit" })).key).toBe("turn:1:0:0:3");
+  });
+
+  it("start a new clock after a split or a switch leaves the seat on the same hand", () => {
+    const pair = play(table(1, ["8", "10", "8", "7", "3", "9"], [10], TIMED), [{ type: "deal" }]);
+    const split = gameReducer(pair, { type: "split" });
+    expect(split.handIndex).toBe(0);
+    expect(turnClock(split).key).not.toBe(turnClock(pair).key);
+
+    // hands 10+5 and 6+4 become 10+4 and 6+5, and the first is still to play.
+    const rules = { ...TIMED, variant: "switch" };
+    const dealt = play(table(1, ["10", "6", "10", "5", "4", "7"], [10], rules), [{ type: "deal" }]);
+    const switched = gameReducer(dealt, { type: "switch" });
+    expect(switched.handIndex).toBe(0);
+    expect(turnClock(switched).key).not.toBe(turnClock(dealt).key);
+  });
+
+  it("stand a seat that runs out of time and ignore late timeouts", () => {
+    const dealt = play(table(2, ROUND, [10, 10], TIMED), [{ type: "deal" }]);
+    const stood = expire(dealt);
+    expect(stood.players[0].hands[0].status).toBe("stand");
+    expect(stood.currentIndex).toBe(1);
+    expect(gameReducer(stood, { type: "timeout", key: turnClock(dealt).key })).toBe(stood);
+  });
+
+  it("decline insurance nobody answered", () => {
+    const offered = play(table(2, ["9", "10", "7", "9", "7", "A"], [10, 10], TIMED), [{ type: "deal" }]);
+    expect(offered.phase).toBe("insurance");
+    const declined = expire(offered);
+    expect(declined.phase).toBe("playing");
+    expect(declined.players.map((player) => player.insurance.decision)).toEqual(["decline", "decline"]);
+  });
+
+  it("sit out seats that haven't bet, or repeat their last bet", () => {
+    const first = play(table(2, [...ROUND, ...ROUND], [10, 20], { ...TIMED, betTimeout: "repeat" }), [
+      { type: "deal" },
+      { type: "stand" },
+      { type: "stand" },
+      { type: "playDealer" },
+      { type: "nextRound" },
+      { type: "addBet", seat: 0, amount: 50 },
+    ]);
+    const repeated = expire(first);
+    expect(repeated.phase).toBe("playing");
+    expect(repeated.players.map((player) => player.hands[0].bet)).toEqual([50, 20]);
+
+    const sitting = expire(gameReducer(first, { type: "restore", state: { ...first, rules: normalizeRules(TIMED) } }));
+    expect(sitting.players[1]).toMatchObject({ sittingOut: true, hands: [] });
+    expect(sitting.players[0].hands[0].bet).toBe(50);
+    const next = play(sitting, [{ type: "stand" }, { type: "playDealer" }, { type: "nextRound" }]);
+    expect(next.players[1].sittingOut).toBe(false);
+  });
+
+  it("start the betting clock over when nobody bets in time", () => {
+    const state = expire(createGame({ playerCount: 2, rules: TIMED }));
+    expect(state).toMatchObject({ phase: "betting", message: expect.stringMatching(/Time ran out/) });
+    expect(turnClock(state)).toEqual({ key: "betting:1:1", seconds: 30, seat: null });
+  });
+
+  it("stretch the running clock from a seat's time bank", () => {
+    const dealt = play(table(2, ROUND, [10, 10], TIMED), [{ type: "deal" }]);
+    expect(timeBankOffer(dealt, 1)).toBe(0);
+    const extended = play(dealt, [
+      { type: "timeBank", seat: 0 },
+      { type: "timeBank", seat: 0 },
+      { type: "timeBank", seat: 0 },
+    ]);
+    expect(turnClock(extended).seconds).toBe(20 + TIMED.timeBankSeconds);
+    expect(extended.players.map((player) => player.timeBank)).toEqual([0, TIMED.timeBankSeconds]);
+    expect(TIME_BANK_STEP).toBeLessThan(TIMED.timeBankSeconds);
+    expect(turnClock(gameReducer(extended, { type: "hit" })).seconds).toBe(20);
+  });
+
+  it("never time a bot's turn", () => {
+    const state = createGame({ playerCount: 2, seats: [{ bot: "basic" }], deck: stackDeck(ROUND), rules: TIMED });
+    const dealt = play(state, [
+      { type: "addBet", seat: 0, amount: 10 },
+      { type: "addBet", seat: 1, amount: 10 },
+      { type: "deal" },
+    ]);
+    expect(dealt).toMatchObject({ phase: "playing", currentIndex: 0 });
+    expect(turnClock(dealt)).toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+import { variantOf, visibleDealerCards } from "./variants.js";
+import { cardsLeft } from "./view.js";
+
+const tagsFor = (values) => (card) => values[card.rank] ?? values[card.value] ?? 0;
+
+// Tags are looked up by rank first, then by card value (so J/Q/K share the 10).
+// `shoeEnd` is where the running count lands once the whole shoe is seen; KO
+// ends on +4 so its running count reaches the key count without a true count.
+export const COUNT_SYSTEMS = {
+  hiLo: {
+    label: "Hi-Lo",
+    tag: tagsFor({ 2: 1, 3: 1, 4: 1, 5: 1, 6: 1, 10: -1, A: -1 }),
+  },
+  ko: {
+    label: "KO",
+    shoeEnd: 4,
+    tag: tagsFor({ 2: 1, 3: 1, 4: 1, 5: 1, 6: 1, 7: 1, 10: -1, A: -1 }),
+  },
+  omegaII: {
+    label: "Omega II",
+    tag: tagsFor({ 2: 1, 3: 1, 4: 2, 5: 2, 6: 2, 7: 1, 9: -1, 10: -2, A: 0 }),
+  },
+};
+
+const tagsPerDeck = (systemKey, variant) =>
+  variantOf({ variant }).deck().reduce((sum, card) => sum + COUNT_SYSTEMS[systemKey].tag(card), 0);
+
+// A count is balanced when a deck's tags cancel out. That depends on the
+// variant: a Spanish 21 deck has no tens, so even Hi-Lo comes out positive.
+// Only balanced counts are turned into a true count.
+export const isBalanced = (systemKey, variant = "classic") =>
+  tagsPerDeck(systemKey, variant) === 0;
+
+// Unbalanced counts start below zero by what the shoe's tags add up to, so they
+// still end the shoe where the system expects.
+export const initialCount = (systemKey, decks, variant = "classic") =>
+  (COUNT_SYSTEMS[systemKey].shoeEnd ?? 0) - tagsPerDeck(systemKey, variant) * decks;
+
+const recordCards = (record) => [
+  ...record.results.flatMap((result) => result.hands.flatMap((hand) => hand.cards)),
+  ...record.dealer,
+];
+
+const tableCards = (state) => [
+  ...state.players.flatMap((player) => player.hands.flatMap((hand) => hand.cards)),
+  ...visibleDealerCards(state).filter(Boolean),
+];
+
+// Every card a player at the table has seen since the current shoe was
+// shuffled: finished rounds from the hand history plus the cards face up now.
+// The hole card only counts once it is turned over.
+export const seenCards = (state) => {
+  const finished = state.history.filter((record) => record.shoe === state.shoe.id).flatMap(recordCards);
+  const live = state.phase === "betting" || state.phase === "roundEnd" ? [] : tableCards(state);
+  return [...finished, ...live];
+};
+
+export const countShoe = (state, systemKey = "hiLo") => {
+  const { tag } = COUNT_SYSTEMS[systemKey];
+  const cards = seenCards(state);
+  const { decks, variant } = state.rules;
+  const running = cards.reduce((sum, card) => sum + tag(card), initialCount(systemKey, decks, variant));
+  const decksLeft = Math.max(cardsLeft(state) / variantOf(state.rules).deck().length, 0.25);
+  return {
+    system: systemKey,
+    cardsSeen: cards.length,
+    running,
+    decksLeft,
+    trueCount: isBalanced(systemKey, variant) ? running / decksLeft : null,
+  };
+};
+
+// Quizzes come up at the start of every nth round, before the bets go in.
+export const isQuizRound = (round, every) => every > 0 && round > 1 && (round - 1) % every === 0;
+
+// The running count must be exact; a true count is accepted within half a
+// point, since players round it in their heads.
+export const gradeCountAnswer = (count, answer) => {
+  const runningOk = Number(answer.running) === count.running;
+  const trueOk =
+    count.trueCount === null || answer.trueCount === undefined || answer.trueCount === ""
+      ? null
+      : Math.abs(Number(answer.trueCount) - count.trueCount) <= 0.5;
+  return { runningOk, trueOk, correct: runningOk && trueOk !== false };
+};
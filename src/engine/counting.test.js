@@ -0,0 +1,100 @@
+import { describe, expect, it } from "vitest";
+import {
+  COUNT_SYSTEMS,
+  countShoe,
+  gradeCountAnswer,
+  initialCount,
+  isBalanced,
+  isQuizRound,
+  seenCards,
+} from "./counting.js";
+import { createGame, gameReducer } from "./game.js";
+import { createShoe } from "./rules.js";
+import { card, play, table } from "./testUtils.js";
+
+const tags = (systemKey, ranks) => ranks.map((rank) => COUNT_SYSTEMS[systemKey].tag(card(rank)));
+
+describe("count systems", () => {
+  it("tags each rank", () => {
+    const ranks = ["2", "4", "7", "8", "9", "10", "K", "A"];
+    expect(tags("hiLo", ranks)).toEqual([1, 1, 0, 0, 0, -1, -1, -1]);
+    expect(tags("ko", ranks)).toEqual([1, 1, 1, 0, 0, -1, -1, -1]);
+    expect(tags("omegaII", ranks)).toEqual([1, 2, 1, 0, -1, -2, -2, 0]);
+  });
+
+  it("starts KO below zero for multi-deck shoes", () => {
+    expect(initialCount("ko", 6)).toBe(-20);
+    expect(initialCount("hiLo", 6)).toBe(0);
+  });
+
+  it("starts lower for Spanish 21 decks, which have no tens", () => {
+    expect(initialCount("ko", 6, "spanish21")).toBe(-44);
+    expect(initialCount("hiLo", 6, "spanish21")).toBe(-24);
+    expect(isBalanced("hiLo")).toBe(true);
+    expect(isBalanced("hiLo", "spanish21")).toBe(false);
+    expect(isBalanced("omegaII", "spanish21")).toBe(false);
+  });
+});
+
+describe("countShoe", () => {
+  // player 5+6, dealer K (hole) + 4 (up); the player stands, the dealer draws 9
+  const dealt = () => play(table(1, ["5", "K", "6", "4", "9"], [100]), [{ type: "deal" }]);
+
+  it("counts face-up cards and leaves the hole card out until it is revealed", () => {
+    const state = dealt();
+    expect(seenCards(state)).toHaveLength(3);
+    expect(countShoe(state)).toMatchObject({ running: 3, cardsSeen: 3 });
+
+    const finished = play(state, [{ type: "stand" }, { type: "playDealer" }]);
+    expect(countShoe(finished)).toMatchObject({ running: 2, cardsSeen: 5 });
+    expect(countShoe(gameReducer(finished, { type: "nextRound" })).running).toBe(2);
+  });
+
+  it("turns the running count into a true count per deck left", () => {
+    const count = countShoe(dealt());
+    expect(count.decksLeft).toBeCloseTo(21 / 52);
+    expect(count.trueCount).toBeCloseTo(3 / (21 / 52));
+    expect(countShoe(dealt(), "ko").trueCount).toBeNull();
+  });
+
+  it("measures decks left in the variant's own decks", () => {
+    const spanish = play(table(1, ["5", "K", "6", "4"], [100], { variant: "spanish21" }), [{ type: "deal" }]);
+    expect(countShoe(spanish).decksLeft).toBeCloseTo(20 / 48);
+  });
+
+  it("ends a full Spanish 21 shoe on zero without a true count", () => {
+    const state = createGame({ rules: { variant: "spanish21", decks: 6 } });
+    const shoe = createShoe(6, "spanish21");
+    const record = { shoe: state.shoe.id, results: [{ hands: [{ cards: shoe }] }], dealer: [] };
+    const count = countShoe({ ...state, deck: [], history: [record] });
+    const tagged = shoe.reduce((sum, next) => sum + COUNT_SYSTEMS.hiLo.tag(next), 0);
+    expect(count.running).toBe(initialCount("hiLo", 6, "spanish21") + tagged);
+    expect(count.running).toBe(0);
+    expect(count.trueCount).toBeNull();
+  });
+
+  it("starts again from zero when a fresh shoe is shuffled", () => {
+    const finished = play(dealt(), [{ type: "stand" }, { type: "playDealer" }, { type: "nextRound" }]);
+    const reshuffled = { ...finished, shoe: { ...finished.shoe, id: finished.shoe.id + 1 } };
+    expect(countShoe(reshuffled)).toMatchObject({ running: 0, cardsSeen: 0 });
+  });
+});
+
+describe("count quizzes", () => {
+  it("comes up every nth round after the first", () => {
+    expect([1, 2, 3, 4, 5].filter((round) => isQuizRound(round, 2))).toEqual([3, 5]);
+    expect(isQuizRound(4, 0)).toBe(false);
+  });
+
+  it("needs the exact running count and a true count within half a point", () => {
+    const count = { running: 5, trueCount: 2.4 };
+    expect(gradeCountAnswer(count, { running: "5", trueCount: "2" })).toEqual({
+      runningOk: true,
+      trueOk: true,
+      correct: true,
+    });
+    expect(gradeCountAnswer(count, { running: "5", trueCount: "3" }).correct).toBe(false);
+    expect(gradeCountAnswer(count, { running: "4" }).correct).toBe(false);
+    expect(gradeCountAnswer({ running: -18, trueCount: null }, { running: "-18", trueCount: "1" }).correct).toBe(true);
+  });
+});
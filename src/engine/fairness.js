@@ -0,0 +1,49 @@
+import { formatCard, shuffle } from "./cards.js";
+import { createRng } from "./random.js";
+import { createShoe } from "./rules.js";
+import { sha256 } from "./sha256.js";
+
+export const shoeOrder = (deck) => deck.map(formatCard).join(",");
+
+export const commitShoe = (seed, deck) => sha256(`${seed}|${shoeOrder(deck)}`);
+
+// Each shoe gets its own seed derived from the table seed, so revealing one
+// shoe's seed says nothing about the shoes still to come.
+export const shoeSeed = (tableSeed, id) => sha256(`${tableSeed}:shoe:${id}`);
+
+export const shuffleShoe = (seed, decks, variant) => shuffle(createShoe(decks, variant), createRng(seed));
+
+// The shoe record keeps the variant whose decks it was built from so it can be
+// rebuilt when the seed is revealed.
+export const buildShoe = (tableSeed, id, decks, variant = "classic") => {
+  const seed = shoeSeed(tableSeed, id);
+  const deck = shuffleShoe(seed, decks, variant);
+  return { deck, shoe: { id, decks, variant, seed, commitment: commitShoe(seed, deck), dealt: [] } };
+};
+
+// Stacked or imported decks have no seed and cannot be verified.
+export const unseededShoe = (id, decks, variant = "classic") => ({
+  id,
+  decks,
+  variant,
+  seed: null,
+  commitment: null,
+  dealt: [],
+});
+
+// Cards leave the shoe from the end of the deck array.
+export const recordDealt = (shoe, before, after) => {
+  if (after.length >= before.length) return shoe;
+  const drawn = before.slice(after.length).reverse();
+  return { ...shoe, dealt: [...shoe.dealt, ...drawn.map(formatCard)] };
+};
+
+export const verifyShoe = (record) => {
+  const deck = shuffleShoe(record.seed, record.decks, record.variant);
+  const commitmentOk = commitShoe(record.seed, deck) === record.commitment;
+  const expected = [...deck].reverse().map(formatCard);
+  const mismatches = record.dealt
+    .map((code, index) => (code === expected[index] ? null : { index, dealt: code, expected: expected[index] }))
+    .filter(Boolean);
+  return { ok: commitmentOk && !mismatches.length, commitmentOk, checked: record.dealt.length, mismatches };
+};
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { formatCard, shuffle } from "./cards.js";
+import { buildShoe, commitShoe, verifyShoe } from "./fairness.js";
+import { createGame, gameReducer } from "./game.js";
+import { createRng } from "./random.js";
+import { createShoe } from "./rules.js";
+import { sha256 } from "./sha256.js";
+import { play } from "./testUtils.js";
+
+describe("sha256", () => {
+  it("matches the reference digests", () => {
+    expect(sha256("")).toBe("e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855");
+    expect(sha256("abc")).toBe("ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+  });
+});
+
+describe("createRng", () => {
+  it("replays the same sequence for the same seed", () => {
+    const a = createRng("table-7");
+    const b = createRng("table-7");
+    const c = createRng("table-8");
+    const first = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(first);
+    expect([c(), c(), c()]).not.toEqual(first);
+    expect(first.every((n) => n >= 0 && n < 1)).toBe(true);
+  });
+
+  it("drives shuffle reproducibly", () => {
+    const order = (seed) => shuffle(createShoe(2), createRng(seed)).map(formatCard);
+    expect(order("abc")).toEqual(order("abc"));
+    expect(order("abc")).not.toEqual(order("abd"));
+  });
+});
+
+const playRounds = (state, rounds) => {
+  let next = state;
+  for (let i = 0; i < rounds; i += 1) {
+    next = play(next, [{ type: "addBet", seat: 0, amount: 10 }, { type: "deal" }]);
+    while (next.phase === "insurance") next = gameReducer(next, { type: "insurance", seat: 0, accept: false });
+    while (next.phase === "playing") next = gameReducer(next, { type: "stand" });
+    next = play(next, [{ type: "playDealer" }, { type: "nextRound" }]);
+  }
+  return next;
+};
+
+describe("shoe commitment", () => {
+  it("is published before the first deal and reproducible from the table seed", () => {
+    const state = createGame({ seed: "night-1" });
+    expect(state.shoe.commitment).toBe(commitShoe(state.shoe.seed, state.deck));
+    expect(createGame({ seed: "night-1" }).deck).toEqual(state.deck);
+    expect(buildShoe("night-1", 2, 1).shoe.seed).not.toBe(state.shoe.seed);
+  });
+
+  it("records every card dealt and reveals the shoe once it is exhausted", () => {
+    const start = createGame({ seed: "night-2" });
+    const state = playRounds(start, 20);
+    expect(state.shoe.id).toBeGreaterThan(1);
+    const [first] = state.shoeHistory;
+    expect(first).toMatchObject({ id: 1, seed: start.shoe.seed, commitment: start.shoe.commitment });
+    expect(first.dealt.length).toBeGreaterThan(30);
+    expect(verifyShoe(first)).toMatchObject({ ok: true, commitmentOk: true, checked: first.dealt.length });
+  });
+
+  it("flags a tampered deal or commitment", () => {
+    const state = playRounds(createGame({ seed: "night-3" }), 20);
+    const [record] = state.shoeHistory;
+    const forged = record.dealt[0] === "A♠" ? "2♠" : "A♠";
+    const result = verifyShoe({ ...record, dealt: [forged, ...record.dealt.slice(1)] });
+    expect(result.ok).toBe(false);
+    expect(result.mismatches).toEqual([{ index: 0, dealt: forged, expected: record.dealt[0] }]);
+    expect(verifyShoe({ ...record, commitment: "0".repeat(64) }).commitmentOk).toBe(false);
+  });
+});
@@ -0,0 +1,675 @@
+import { calculateHand, drawCard, handValue, isBlackjack } from "./cards.js";
+import { drawTimeBank, turnClock } from "./clock.js";
+import { buildShoe, recordDealt, unseededShoe } from "./fairness.js";
+import { closeRoundLog, logEvents, openRoundLog } from "./history.js";
+import { canDouble, canSplit, canSurrender, createHand, isNatural, statusAfterDraw } from "./hands.js";
+import { randomSeed } from "./random.js";
+import {
+  canCoverMinimum,
+  cutCardPosition,
+  dealerShouldHit,
+  DEFAULT_RULES,
+  isBetAllowed,
+  isChipAmount,
+  maxBetFor,
+  normalizeRules,
+  openingDealSize,
+} from "./rules.js";
+import { resolveResult, settlePot, settleSolo, wholeChips } from "./settlement.js";
+import { emptySideBets, settleSideBets, SIDE_BETS, sideBetRoom, sideBetTotal } from "./sidebets.js";
+import { applyBlindLevel, createTournament, isFinalRound, recordTournamentRound } from "./tournament.js";
+import { drawStatus, hiddenDealerCards, variantOf } from "./variants.js";
+
+export const STARTING_CHIPS = 1000;
+
+export const PHASES = ["betting", "insurance", "playing", "dealer", "roundEnd"];
+
+export const MESSAGES = {
+  betting: "Select chips and press Deal to start the round.",
+  playing: "Choose your action.",
+  insurance: "Dealer shows an Ace. Each seat may take insurance or even money.",
+  peekClear: "Dealer checked for blackjack. Choose your action.",
+  dealerBlackjack: "Dealer has blackjack.",
+  roundEnd: "Round complete. Start the next round when ready.",
+  noChips: "No players have chips left to bet.",
+  invalidBet: "Each player must bet within the table limits and their chip balance.",
+  tournamentOver: "The tournament is over. See the final standings.",
+  finalRound: "Final round: place your secret bets.",
+  noBets: "Time ran out before anyone placed a bet.",
+};
+
+export const emptyDealer = { hand: [], hidden: true };
+
+export const isMultiTable = (state) => state.players.length > 1;
+
+export const buildPlayers = (count, existing = [], timeBank = 0) =>
+  Array.from({ length: count }).map((_, index) => ({
+    id: index + 1,
+    name: existing[index]?.name ?? `${existing[index]?.bot ? "Bot" : "Player"} ${index + 1}`,
+    bot: existing[index]?.bot ?? null,
+    profileId: existing[index]?.profileId ?? null,
+    avatar: existing[index]?.avatar ?? null,
+    color: existing[index]?.color ?? null,
+    chips: existing[index]?.chips ?? STARTING_CHIPS,
+    roundStartChips: existing[index]?.roundStartChips ?? existing[index]?.chips ?? STARTING_CHIPS,
+    rebuys: existing[index]?.rebuys ?? 0,
+    timeBank,
+    lastBet: 0,
+    sittingOut: false,
+    bet: 0,
+    sideBets: emptySideBets(),
+    sideResults: [],
+    hands: [],
+    insurance: null,
+    delta: 0,
+  }));
+
+// A tournament starts every seat on the same stack and turns rebuys off.
+export const createGame = ({ playerCount = 1, seats = [], deck, rules, seed, tournament } = {}) => {
+  const tableRules = normalizeRules(tournament ? { ...rules, rebuyMode: "off" } : rules);
+  const event = tournament ? createTournament(tournament, tableRules) : null;
+  const tableSeed = seed || randomSeed();
+  const firstShoe = deck
+    ? { deck, shoe: unseededShoe(1, tableRules.decks, tableRules.variant) }
+    : buildShoe(tableSeed, 1, tableRules.decks, tableRules.variant);
+  const tableSeats = event
+    ? Array.from({ length: playerCount }, (_, index) => ({
+        ...seats[index],
+        chips: event.startingChips,
+        roundStartChips: event.startingChips,
+      }))
+    : seats;
+  const game = {
+    tableId: randomSeed(),
+    phase: "betting",
+    round: 1,
+    pot: 0,
+    house: 0,
+    sideBetHouse: 0,
+    rules: tableRules,
+    tableSeed,
+    deck: firstShoe.deck,
+    shoe: firstShoe.shoe,
+    shoeHistory: [],
+    history: [],
+    roundLog: null,
+    dealer: emptyDealer,
+    players: buildPlayers(playerCount, tableSeats, tableRules.timeBankSeconds),
+    tournament: event,
+    currentIndex: 0,
+    handIndex: 0,
+    clockBonus: null,
+    betTimeouts: 0,
+  };
+  return { ...game, message: isFinalRound(game) ? MESSAGES.finalRound : MESSAGES.betting };
+};
+
+export const nextActiveIndex = (players, fromSeat = -1, fromHand = -1) => {
+  for (let seat = Math.max(fromSeat, 0); seat < players.length; seat += 1) {
+    const start = seat === fromSeat ? fromHand + 1 : 0;
+    for (let hand = start; hand < players[seat].hands.length; hand += 1) {
+      if (players[seat].hands[hand].status === "active") return { seat, hand };
+    }
+  }
+  return null;
+};
+
+export const dealerUpcard = (dealer) => dealer.hand[1];
+
+export const currentHand = (state) => state.players[state.currentIndex]?.hands[state.handIndex];
+
+export const availableActions = (state) => {
+  const player = state.players[state.currentIndex];
+  const hand = currentHand(state);
+  const playable = state.phase === "playing" && hand?.status === "active";
+  const allowed = {
+    hit: playable,
+    stand: playable,
+    double: playable && canDouble(player, hand),
+    split: playable && canSplit(player, hand),
+    surrender: playable && canSurrender(player, hand),
+    switch: false,
+  };
+  const { actions } = variantOf(state.rules);
+  return playable && actions ? actions(player, hand, allowed) : allowed;
+};
+
+// The finished shoe is retired with its seed revealed, and a freshly committed
+// shoe takes its place. A shoe that runs out mid-round still holds the hole
+// card, so it waits in the round log until the round is settled.
+const nextShoe = (state) => {
+  const next = buildShoe(state.tableSeed, state.shoe.id + 1, state.rules.decks, state.rules.variant);
+  const changed = { ...state, deck: next.deck, shoe: next.shoe };
+  if (!state.shoe.seed) return changed;
+  if (!state.roundLog) return { ...changed, shoeHistory: [...state.shoeHistory, state.shoe] };
+  const retiredShoes = [...(state.roundLog.retiredShoes ?? []), state.shoe];
+  return { ...changed, roundLog: { ...state.roundLog, retiredShoes } };
+};
+
+export const ensureShoe = (state) =>
+  state.deck.length >= cutCardPosition(state.rules, state.players.length) ? state : nextShoe(state);
+
+// Each seat gets one hand per the variant (two in Blackjack Switch), each
+// carrying the seat's bet.
+export const dealInitial = (preparedDeck, preparedPlayers, activeSeats, rules = DEFAULT_RULES) => {
+  let nextDeck = preparedDeck;
+  const handCount = variantOf(rules).hands;
+  const dealtPlayers = preparedPlayers.map((player, index) => ({
+    ...player,
+    hands: activeSeats.has(index) ? Array.from({ length: handCount }, () => createHand(player.bet)) : [],
+  }));
+  const nextDealer = { hand: [], hidden: true };
+  const events = [];
+
+  for (let i = 0; i < 2; i += 1) {
+    for (let p = 0; p < dealtPlayers.length; p += 1) {
+      if (!activeSeats.has(p)) continue;
+      dealtPlayers[p].hands.forEach((hand, handIndex) => {
+        const draw = drawCard(nextDeck);
+        nextDeck = draw.next;
+        hand.cards.push(draw.card);
+        events.push({ type: "card", to: "seat", seat: p, hand: handIndex, card: draw.card });
+      });
+    }
+    const dealerDraw = drawCard(nextDeck);
+    nextDeck = dealerDraw.next;
+    nextDealer.hand.push(dealerDraw.card);
+    events.push({ type: "card", to: "dealer", card: dealerDraw.card, hidden: i < hiddenDealerCards(rules) });
+  }
+
+  dealtPlayers.forEach((player) => {
+    player.hands.forEach((hand) => {
+      if (isNatural(hand)) {
+        hand.status = "blackjack";
+      }
+    });
+  });
+
+  return { nextDeck, dealtPlayers, nextDealer, events };
+};
+
+// `update` returns the seat's changed wagers.
+const updateBets = (state, seat, update) => {
+  if (state.phase !== "betting") return state;
+  return {
+    ...state,
+    players: state.players.map((player, idx) => (idx === seat ? { ...player, ...update(player) } : player)),
+  };
+};
+
+const addSideBet = (state, seat, kind, amount) => {
+  if (!SIDE_BETS[kind] || !isChipAmount(amount)) return state;
+  return updateBets(state, seat, (player) => {
+    const stake = Math.min(sideBetRoom(player, kind, state.rules), player.sideBets[kind] + amount);
+    return { sideBets: { ...player.sideBets, [kind]: stake } };
+  });
+};
+
+const advanceTurn = (state, fromSeat, fromHand) => {
+  const next = nextActiveIndex(state.players, fromSeat, fromHand);
+  if (!next) {
+    return { ...state, phase: "dealer" };
+  }
+  return { ...state, currentIndex: next.seat, handIndex: next.hand };
+};
+
+const updateCurrentSeat = (state, update) => {
+  const { currentIndex } = state;
+  return {
+    ...state,
+    players: state.players.map((player, idx) => (idx === currentIndex ? update(player) : player)),
+  };
+};
+
+const finishAction = (state) => {
+  const hand = currentHand(state);
+  return hand.status === "active" ? state : advanceTurn(state, state.currentIndex, state.handIndex);
+};
+
+// Extra wagers from doubling and splitting go into the pot just like the opening bet.
+const commitChips = (state, amount) => ({
+  ...updateCurrentSeat(state, (player) => ({ ...player, chips: player.chips - amount })),
+  pot: isMultiTable(state) ? state.pot + amount : state.pot,
+});
+
+const deal = (state) => {
+  const { players } = state;
+  const { rules } = state;
+  const eligibleSeats = players
+    .map((player, index) => (canCoverMinimum(player, rules) && !player.sittingOut ? index : -1))
+    .filter((index) => index !== -1);
+  if (!eligibleSeats.length) {
+    return { ...state, message: MESSAGES.noChips };
+  }
+
+  const invalid = eligibleSeats.some((index) => !isBetAllowed(players[index].bet, players[index], rules));
+  if (invalid) {
+    return { ...state, message: MESSAGES.invalidBet };
+  }
+
+  // Only seats that get cards are charged; any bet left on another seat is
+  // handed back. The bet goes on each of a seat's hands.
+  const { hands } = variantOf(rules);
+  const potIncrease = eligibleSeats.reduce((sum, index) => sum + players[index].bet * hands, 0);
+  const reservedPlayers = players.map((player, index) => {
+    const dealtIn = eligibleSeats.includes(index);
+    return {
+      ...player,
+      chips: dealtIn ? player.chips - player.bet * hands - sideBetTotal(player) : player.chips,
+      bet: dealtIn ? player.bet : 0,
+      sideBets: dealtIn ? player.sideBets : emptySideBets(),
+      roundStartChips: player.chips,
+      lastBet: (dealtIn && player.bet) || player.lastBet,
+      delta: 0,
+      hands: [],
+      insurance: null,
+    };
+  });
+
+  const { nextDeck, dealtPlayers, nextDealer, events } = dealInitial(
+    state.deck,
+    reservedPlayers,
+    new Set(eligibleSeats),
+    rules
+  );
+  const sides = settleSideBets(dealtPlayers, dealerUpcard(nextDealer), rules);
+
+  const dealt = {
+    ...state,
+    phase: "playing",
+    deck: nextDeck,
+    players: sides.players,
+    dealer: nextDealer,
+    pot: isMultiTable(state) ? state.pot + potIncrease : state.pot,
+    sideBetHouse: state.sideBetHouse + sides.house,
+    message: MESSAGES.playing,
+    roundLog: openRoundLog(state, [...events, ...sides.events]),
+  };
+
+  // With both cards down the dealer always checks for a natural, and there is
+  // no upcard to insure against.
+  if (variantOf(rules).hideDealer) return peek(dealt);
+  const upcard = dealerUpcard(nextDealer);
+  if (upcard.rank === "A") return offerInsurance(dealt);
+  if (upcard.value === 10) return peek(dealt);
+  return advanceTurn(dealt, -1, -1);
+};
+
+// Insurance covers every hand a seat plays, at half their bets rounded down to
+// whole chips; even money is only for a seat whose one hand is a natural.
+export const insuranceStake = (player) => wholeChips(player.hands.reduce((sum, hand) => sum + hand.bet, 0) / 2);
+
+const insuranceOffer = (player) => {
+  if (!player.hands.length) return null;
+  if (player.hands.length === 1 && isNatural(player.hands[0])) return "evenMoney";
+  return player.chips >= insuranceStake(player) ? "insurance" : null;
+};
+
+const offerInsurance = (state) => {
+  const players = state.players.map((player) => {
+    const offer = insuranceOffer(player);
+    return { ...player, insurance: offer ? { offer, decision: null, amount: 0 } : null };
+  });
+  if (!players.some((player) => player.insurance)) {
+    return peek({ ...state, players });
+  }
+  return { ...state, phase: "insurance", players, message: MESSAGES.insurance };
+};
+
+export const pendingInsurance = (state) =>
+  state.phase === "insurance"
+    ? state.players.map((player, index) => (player.insurance?.decision === null ? index : -1)).filter((i) => i !== -1)
+    : [];
+
+const decideInsurance = (state, seat, accept) => {
+  if (!pendingInsurance(state).includes(seat)) return state;
+
+  const player = state.players[seat];
+  const { offer } = player.insurance;
+  const amount = accept && offer === "insurance" ? insuranceStake(player) : 0;
+  const decided = {
+    ...logEvents(state, { type: "insurance", seat, offer, accept, amount }),
+    pot: isMultiTable(state) ? state.pot + amount : state.pot,
+    players: state.players.map((p, idx) =>
+      idx === seat
+        ? {
+            ...p,
+            chips: p.chips - amount,
+            insurance: { offer, decision: accept ? "accept" : "decline", amount },
+            hands: accept && offer === "evenMoney" ? [{ ...p.hands[0], evenMoney: true }] : p.hands,
+          }
+        : p
+    ),
+  };
+  return pendingInsurance(decided).length ? decided : peek(decided);
+};
+
+// The dealer checks the hole card whenever the upcard could make a natural; a
+// dealer blackjack ends the round before anyone acts.
+const peek = (state) => {
+  if (isBlackjack(state.dealer.hand)) {
+    const revealed = { ...state, dealer: { ...state.dealer, hidden: false } };
+    return settleRound(logEvents(revealed, { type: "peek", blackjack: true }), MESSAGES.dealerBlackjack);
+  }
+  const checked = logEvents(state, { type: "peek", blackjack: false });
+  return advanceTurn({ ...checked, phase: "playing", message: MESSAGES.peekClear }, -1, -1);
+};
+
+const updateCurrentHand = (state, update) =>
+  updateCurrentSeat(state, (player) => ({
+    ...player,
+    hands: player.hands.map((hand, idx) => (idx === state.handIndex ? update(hand) : hand)),
+  }));
+
+// Logs a player action and the cards it drew, in the order they were dealt.
+const logAction = (state, action, cards = [], hands = [state.handIndex]) =>
+  logEvents(
+    state,
+    { type: "action", action, seat: state.currentIndex, hand: state.handIndex },
+    ...cards.map((card, index) => ({ type: "card", to: "seat", seat: state.currentIndex, hand: hands[index], card }))
+  );
+
+const hit = (state) => {
+  if (!availableActions(state).hit) return state;
+
+  const draw = drawCard(state.deck);
+  const next = updateCurrentHand({ ...logAction(state, "hit", [draw.card]), deck: draw.next }, (hand) => {
+    const cards = [...hand.cards, draw.card];
+    return { ...hand, cards, status: drawStatus(cards, state.rules) };
+  });
+  return finishAction(next);
+};
+
+const stand = (state) => {
+  if (!availableActions(state).stand) return state;
+  return finishAction(updateCurrentHand(logAction(state, "stand"), (hand) => ({ ...hand, status: "stand" })));
+};
+
+const double = (state) => {
+  if (!availableActions(state).double) return state;
+
+  const { bet } = currentHand(state);
+  const draw = drawCard(state.deck);
+  const logged = logAction(state, "double", [draw.card]);
+  const next = updateCurrentHand(commitChips({ ...logged, deck: draw.next }, bet), (hand) => {
+    const cards = [...hand.cards, draw.card];
+    return {
+      ...hand,
+      cards,
+      bet: hand.bet * 2,
+      doubled: true,
+      // A doubled hand takes one card whatever it comes to.
+      status: drawStatus(cards, state.rules) === "bust" ? "bust" : "stand",
+    };
+  });
+  return finishAction(next);
+};
+
+const split = (state) => {
+  if (!availableActions(state).split) return state;
+
+  const hand = currentHand(state);
+  const [first, second] = hand.cards;
+  const splitAces = first.rank === "A";
+  const firstDraw = drawCard(state.deck);
+  const secondDraw = drawCard(firstDraw.next);
+
+  // Split aces get one card each and stand; every other split plays on.
+  const buildSplitHand = (cards) =>
+    createHand(hand.bet, cards, { split: true, status: splitAces ? "stand" : statusAfterDraw(cards) });
+
+  const splitHands = [buildSplitHand([first, firstDraw.card]), buildSplitHand([second, secondDraw.card])];
+  const logged = logAction(state, "split", [firstDraw.card, secondDraw.card], [state.handIndex, state.handIndex + 1]);
+  const next = updateCurrentSeat(commitChips({ ...logged, deck: secondDraw.next }, hand.bet), (player) => ({
+    ...player,
+    hands: [
+      ...player.hands.slice(0, state.handIndex),
+      ...splitHands,
+      ...player.hands.slice(state.handIndex + 1),
+    ],
+  }));
+  return finishAction(next);
+};
+
+// Blackjack Switch: the seat's two hands swap their second cards, then play
+// resumes from the first of them still to act.
+const switchCards = (state) => {
+  if (!availableActions(state).switch) return state;
+  const next = updateCurrentSeat(logAction(state, "switch"), (player) => {
+    const [first, second] = player.hands;
+    const swapped = [
+      [first.cards[0], second.cards[1]],
+      [second.cards[0], first.cards[1]],
+    ];
+    return {
+      ...player,
+      hands: swapped.map((cards, index) => ({
+        ...player.hands[index],
+        cards,
+        switched: true,
+        status: statusAfterDraw(cards),
+      })),
+    };
+  });
+  return advanceTurn(next, state.currentIndex, -1);
+};
+
+const surrender = (state) => {
+  if (!availableActions(state).surrender) return state;
+  return finishAction(updateCurrentHand(logAction(state, "surrender"), (hand) => ({ ...hand, status: "surrender" })));
+};
+
+const playDealer = (state) => {
+  if (state.phase !== "dealer") return state;
+
+  const nextDealer = { ...state.dealer, hidden: false };
+  const events = nextDealer.hand
+    .slice(0, hiddenDealerCards(state.rules))
+    .map((card) => ({ type: "reveal", card }));
+  let nextDeck = state.deck;
+  let { total, soft } = handValue(nextDealer.hand);
+  while (dealerShouldHit(total, soft, state.rules)) {
+    const draw = drawCard(nextDeck);
+    nextDeck = draw.next;
+    nextDealer.hand = [...nextDealer.hand, draw.card];
+    events.push({ type: "card", to: "dealer", card: draw.card, hidden: false });
+    ({ total, soft } = handValue(nextDealer.hand));
+  }
+
+  return settleRound(logEvents({ ...state, deck: nextDeck, dealer: nextDealer }, ...events), MESSAGES.roundEnd);
+};
+
+const settleRound = (state, message) => {
+  const { dealer } = state;
+  const dealerTotal = calculateHand(dealer.hand);
+  const dealerBlackjack = isBlackjack(dealer.hand);
+  const dealerBust = dealerTotal > 21;
+  const { bonus } = variantOf(state.rules);
+  const resolvedPlayers = state.players.map((player) => ({
+    ...player,
+    hands: player.hands.map((hand) => {
+      const result = resolveResult(hand, dealerTotal, dealerBlackjack, dealerBust, state.rules);
+      const earned = result === "win" ? bonus?.(hand) : null;
+      return earned ? { ...hand, result, bonus: earned } : { ...hand, result };
+    }),
+  }));
+
+  const settled = isMultiTable(state)
+    ? settlePot(resolvedPlayers, state.pot, dealerBlackjack, state.rules)
+    : { players: settleSolo(resolvedPlayers, dealerBlackjack, state.rules), pot: state.pot, house: 0, ledger: null };
+
+  const closed = recordTournamentRound(
+    closeRoundLog(
+      {
+        ...state,
+        phase: "roundEnd",
+        players: settled.players,
+        pot: settled.pot,
+        house: state.house + settled.house,
+        message,
+      },
+      settled.ledger
+    )
+  );
+  return closed.tournament?.finished ? { ...closed, message: MESSAGES.tournamentOver } : closed;
+};
+
+// Chips a seat would get from a rebuy right now, or 0 when the table rules
+// don't allow one. Rebuys only happen while bets are being placed.
+export const rebuyOffer = (state, seat) => {
+  const player = state.players[seat];
+  const { rules } = state;
+  if (!player || state.phase !== "betting") return 0;
+  if (rules.rebuyLimit !== null && player.rebuys >= rules.rebuyLimit) return 0;
+  if (rules.rebuyMode === "rebuy") return canCoverMinimum(player, rules) ? 0 : rules.rebuyAmount;
+  if (rules.rebuyMode === "topUp") return Math.max(0, rules.rebuyAmount - player.chips);
+  return 0;
+};
+
+const rebuy = (state, seat) => {
+  const amount = rebuyOffer(state, seat);
+  if (!amount) return state;
+  return {
+    ...state,
+    players: state.players.map((player, idx) =>
+      idx === seat ? { ...player, chips: player.chips + amount, rebuys: player.rebuys + 1 } : player
+    ),
+  };
+};
+
+// When the betting clock runs out, every seat that can bet but hasn't either
+// repeats its last bet or sits the round out, as the table rules say, and the
+// cards go out to whoever is left. If that leaves nobody, the betting clock
+// starts over.
+const betTimeout = (state) => {
+  const { rules } = state;
+  const players = state.players.map((player) => {
+    if (player.sittingOut || !canCoverMinimum(player, rules) || isBetAllowed(player.bet, player, rules)) return player;
+    return rules.betTimeout === "repeat" && isBetAllowed(player.lastBet, player, rules)
+      ? { ...player, bet: player.lastBet }
+      : { ...player, bet: 0, sideBets: emptySideBets(), sittingOut: true };
+  });
+  if (!players.some((player) => !player.sittingOut && canCoverMinimum(player, rules))) {
+    return { ...state, betTimeouts: state.betTimeouts + 1, message: MESSAGES.noBets };
+  }
+  return deal({ ...state, players });
+};
+
+// A seat that runs out of time stands, or hits a Pontoon hand too low to stand
+// on; insurance nobody answered is declined.
+const timeout = (state, key) => {
+  if (turnClock(state)?.key !== key) return state;
+  if (state.phase === "betting") return betTimeout(state);
+  if (state.phase === "insurance") {
+    return pendingInsurance(state).reduce((next, seat) => decideInsurance(next, seat, false), state);
+  }
+  return availableActions(state).stand ? stand(state) : hit(state);
+};
+
+const nextRound = (state) => {
+  if (state.phase !== "roundEnd" || state.tournament?.finished) return state;
+  const next = applyBlindLevel({
+    ...state,
+    phase: "betting",
+    round: state.round + 1,
+    dealer: emptyDealer,
+    currentIndex: 0,
+    handIndex: 0,
+    clockBonus: null,
+    betTimeouts: 0,
+    players: state.players.map((player) => ({
+      ...player,
+      sittingOut: false,
+      bet: 0,
+      sideBets: emptySideBets(),
+      sideResults: [],
+      hands: [],
+      insurance: null,
+      delta: 0,
+    })),
+  });
+  return { ...next, message: isFinalRound(next) ? MESSAGES.finalRound : MESSAGES.betting };
+};
+
+const applyAction = (state, action) => {
+  switch (action.type) {
+    case "newTable":
+      return createGame({
+        playerCount: action.playerCount,
+        seats: action.seats,
+        deck: action.deck,
+        rules: action.rules,
+        seed: action.seed,
+        tournament: action.tournament,
+      });
+    case "addBet":
+      if (!isChipAmount(action.amount)) return state;
+      return updateBets(state, action.seat, (player) => ({
+        bet: Math.min(maxBetFor(player, state.rules), player.bet + action.amount),
+      }));
+    case "addSideBet":
+      return addSideBet(state, action.seat, action.kind, action.amount);
+    case "clearBet":
+      return updateBets(state, action.seat, () => ({ bet: 0, sideBets: emptySideBets() }));
+    case "allIn":
+      return updateBets(state, action.seat, (player) => ({ bet: maxBetFor(player, state.rules) }));
+    case "rebuy":
+      return rebuy(state, action.seat);
+    case "deal":
+      return state.phase === "betting" ? deal(state) : state;
+    case "insurance":
+      return decideInsurance(state, action.seat, action.accept);
+    case "hit":
+      return hit(state);
+    case "stand":
+      return stand(state);
+    case "double":
+      return double(state);
+    case "split":
+      return split(state);
+    case "surrender":
+      return surrender(state);
+    case "switch":
+      return switchCards(state);
+    case "timeBank":
+      return drawTimeBank(state, action.seat);
+    case "timeout":
+      return timeout(state, action.key);
+    case "playDealer":
+      return playDealer(state);
+    case "nextRound":
+      return nextRound(state);
+    default:
+      return state;
+  }
+};
+
+// The most cards `action` can draw: the opening deal, a hit or split, or the
+// dealer's whole hand.
+const cardsNeeded = (state, action) => {
+  if (state.phase === "betting") {
+    return ["deal", "timeout"].includes(action.type) ? openingDealSize(state.rules, state.players.length) : 0;
+  }
+  if (state.phase === "playing") return { hit: 1, double: 1, timeout: 1, split: 2 }[action.type] ?? 0;
+  if (state.phase !== "dealer" || action.type !== "playDealer") return 0;
+  let hand = state.dealer.hand;
+  let drawn = 0;
+  for (let value = handValue(hand); dealerShouldHit(value.total, value.soft, state.rules); value = handValue(hand)) {
+    if (drawn === state.deck.length) return drawn + 1;
+    drawn += 1;
+    hand = [...hand, state.deck[state.deck.length - drawn]];
+  }
+  return drawn;
+};
+
+// A round that would run the shoe dry moves on to the next shoe first; the
+// cards left in the old one are burned, as at the cut card.
+export const gameReducer = (state, action) => {
+  if (action.type === "restore") return action.state;
+  if (action.type === "newTable") return applyAction(state, action);
+  const dealing = ["deal", "timeout"].includes(action.type) && state.phase === "betting";
+  const shuffled = dealing ? ensureShoe(state) : state;
+  const prepared = shuffled.deck.length < cardsNeeded(shuffled, action) ? nextShoe(shuffled) : shuffled;
+  const next = applyAction(prepared, action);
+  return next.deck === prepared.deck ? next : { ...next, shoe: recordDealt(next.shoe, prepared.deck, next.deck) };
+};
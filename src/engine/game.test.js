@@ -0,0 +1,135 @@
+import { describe, expect, it } from "vitest";
+import { createGame, gameReducer } from "./game.js";
+import { play, table } from "./testUtils.js";
+
+describe("betting", () => {
+  it("caps bets at the seat's chips and supports clear and all-in", () => {
+    let state = createGame({ playerCount: 1 });
+    state = gameReducer(state, { type: "addBet", seat: 0, amount: 5000 });
+    expect(state.players[0].bet).toBe(1000);
+    state = gameReducer(state, { type: "clearBet", seat: 0 });
+    expect(state.players[0].bet).toBe(0);
+    state = gameReducer(state, { type: "allIn", seat: 0 });
+    expect(state.players[0].bet).toBe(1000);
+  });
+
+  it("refuses to deal until every seat with chips has a bet", () => {
+    const state = table(2, [], [100, 0]);
+    const next = gameReducer(state, { type: "deal" });
+    expect(next.phase).toBe("betting");
+    expect(next.message).toMatch(/must bet/);
+  });
+});
+
+describe("solo round", () => {
+  it("walks betting → playing → dealer → roundEnd and pays a win 1:1", () => {
+    // player 10+8, dealer 10+7
+    let state = table(1, ["10", "10", "8", "7"], [100]);
+    state = gameReducer(state, { type: "deal" });
+    expect(state.phase).toBe("playing");
+    expect(state.players[0].chips).toBe(900);
+
+    state = gameReducer(state, { type: "stand" });
+    expect(state.phase).toBe("dealer");
+
+    state = gameReducer(state, { type: "playDealer" });
+    expect(state.phase).toBe("roundEnd");
+    expect(state.dealer.hidden).toBe(false);
+    expect(state.players[0]).toMatchObject({ chips: 1100, delta: 100, hands: [{ result: "win" }] });
+  });
+
+  it("pays a natural 3:2 and skips straight to the dealer", () => {
+    let state = table(1, ["A", "10", "K", "7"], [100]);
+    state = gameReducer(state, { type: "deal" });
+    expect(state.players[0].hands[0].status).toBe("blackjack");
+    expect(state.phase).toBe("dealer");
+    state = gameReducer(state, { type: "playDealer" });
+    expect(state.players[0]).toMatchObject({ chips: 1150, delta: 150, hands: [{ result: "blackjack" }] });
+  });
+
+  it("loses the bet on a bust without the dealer drawing", () => {
+    let state = table(1, ["10", "10", "6", "6", "K"], [100]);
+    state = play(state, [{ type: "deal" }, { type: "hit" }]);
+    expect(state.players[0].hands[0].status).toBe("bust");
+    state = gameReducer(state, { type: "playDealer" });
+    expect(state.dealer.hand).toHaveLength(3);
+    expect(state.players[0]).toMatchObject({ chips: 900, delta: -100, hands: [{ result: "lose" }] });
+  });
+
+  it("returns the bet on a push and when both hold naturals", () => {
+    let state = table(1, ["10", "10", "8", "8"], [100]);
+    state = play(state, [{ type: "deal" }, { type: "stand" }, { type: "playDealer" }]);
+    expect(state.players[0]).toMatchObject({ chips: 1000, delta: 0, hands: [{ result: "push" }] });
+
+    state = table(1, ["A", "A", "K", "Q"], [100]);
+    state = play(state, [{ type: "deal" }, { type: "playDealer" }]);
+    expect(state.players[0]).toMatchObject({ chips: 1000, hands: [{ result: "push" }] });
+  });
+
+  it("stands a seat automatically on a hit to 21", () => {
+    let state = table(1, ["5", "10", "6", "8", "K"], [100]);
+    state = play(state, [{ type: "deal" }, { type: "hit" }]);
+    expect(state.players[0].hands[0].status).toBe("stand");
+    expect(state.phase).toBe("dealer");
+  });
+
+  it("resets the seat for the next round", () => {
+    let state = table(1, ["10", "10", "8", "7"], [100]);
+    state = play(state, [{ type: "deal" }, { type: "stand" }, { type: "playDealer" }, { type: "nextRound" }]);
+    expect(state).toMatchObject({ phase: "betting", round: 2 });
+    expect(state.players[0]).toMatchObject({ bet: 0, hands: [], chips: 1100 });
+  });
+});
+
+describe("multi-seat pot", () => {
+  it("splits the pot between winners weighted by stake", () => {
+    // seat 1: 10+9 (19), seat 2: 10+8 (18), seat 3: 10+6 (16), dealer 10+7
+    let state = table(3, ["10", "10", "10", "10", "9", "8", "6", "7"], [100, 200, 100]);
+    state = gameReducer(state, { type: "deal" });
+    expect(state.pot).toBe(400);
+    state = play(state, [{ type: "stand" }, { type: "stand" }, { type: "stand" }, { type: "playDealer" }]);
+
+    const [first, second, third] = state.players;
+    expect(first).toMatchObject({ chips: 900 + 133, hands: [{ result: "win" }] });
+    expect(second).toMatchObject({ chips: 800 + 267, hands: [{ result: "win" }] });
+    expect(third).toMatchObject({ chips: 900, delta: -100, hands: [{ result: "lose" }] });
+    expect(state.pot).toBe(0);
+  });
+
+  it("weights a natural at 1.5 and refunds pushes out of the pot", () => {
+    // seat 1: A+K, seat 2: 10+7 (push), seat 3: 10+9, dealer 10+7
+    let state = table(3, ["A", "10", "10", "10", "K", "7", "9", "7"], [100, 100, 100]);
+    state = play(state, [{ type: "deal" }, { type: "stand" }, { type: "stand" }, { type: "playDealer" }]);
+
+    const [natural, push, win] = state.players;
+    expect(push).toMatchObject({ chips: 1000, delta: 0, hands: [{ result: "push" }] });
+    expect(natural).toMatchObject({ chips: 900 + 120, hands: [{ result: "blackjack" }] });
+    expect(win).toMatchObject({ chips: 900 + 80, hands: [{ result: "win" }] });
+  });
+
+  it("carries the pot over when nobody beats the dealer", () => {
+    let state = table(2, ["10", "10", "10", "6", "5", "10"], [100, 50]);
+    state = play(state, [{ type: "deal" }, { type: "stand" }, { type: "stand" }, { type: "playDealer" }]);
+    expect(state.players.map((p) => p.hands[0].result)).toEqual(["lose", "lose"]);
+    expect(state.pot).toBe(150);
+  });
+
+  it("sits out seats without chips", () => {
+    let state = table(2, ["10", "10", "8", "7"], [0, 0]);
+    state = {
+      ...state,
+      players: state.players.map((p, idx) => (idx === 1 ? { ...p, chips: 0 } : { ...p, bet: 100 })),
+    };
+    state = gameReducer(state, { type: "deal" });
+    expect(state.players[1]).toMatchObject({ hands: [] });
+    expect(state.players[0].hands[0].cards).toHaveLength(2);
+  });
+
+  it("hands back a bet from a seat too short to be dealt in", () => {
+    let state = table(2, ["10", "10", "8", "7"], [100, 0]);
+    state = { ...state, players: state.players.map((p, idx) => (idx === 1 ? { ...p, chips: 5, bet: 5 } : p)) };
+    state = gameReducer(state, { type: "deal" });
+    expect(state.players[1]).toMatchObject({ chips: 5, bet: 0, hands: [] });
+    expect(state.pot).toBe(100);
+  });
+});
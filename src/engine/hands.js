@@ -0,0 +1,39 @@
+import { calculateHand, isBlackjack } from "./cards.js";
+
+export const MAX_HANDS = 4;
+
+export const createHand = (bet, cards = [], extra = {}) => ({
+  cards,
+  bet,
+  status: "active",
+  result: "",
+  delta: 0,
+  doubled: false,
+  split: false,
+  ...extra,
+});
+
+// Split hands that make 21 on two cards are paid as a regular 21, not a natural,
+// and so are Blackjack Switch hands that made it by swapping cards.
+export const isNatural = (hand) => !hand.split && !hand.switched && isBlackjack(hand.cards);
+
+export const canDouble = (player, hand) =>
+  Boolean(hand) && hand.status === "active" && hand.cards.length === 2 && player.chips >= hand.bet;
+
+export const canSplit = (player, hand) =>
+  Boolean(hand) &&
+  hand.status === "active" &&
+  hand.cards.length === 2 &&
+  hand.cards[0].value === hand.cards[1].value &&
+  player.hands.length < MAX_HANDS &&
+  player.chips >= hand.bet;
+
+export const canSurrender = (player, hand) =>
+  Boolean(hand) && hand.status === "active" && hand.cards.length === 2 && player.hands.length === 1;
+
+export const statusAfterDraw = (cards) => {
+  const total = calculateHand(cards);
+  if (total > 21) return "bust";
+  if (total === 21) return "stand";
+  return "active";
+};
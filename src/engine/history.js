@@ -0,0 +1,221 @@
+import { calculateHand, formatCard } from "./cards.js";
+import { SIDE_BETS } from "./sidebets.js";
+
+export const HISTORY_FORMAT = "blackjack-royale/history";
+
+// A round log is opened when the cards go out and closed at settlement. Events
+// are appended in the order they happen at the table:
+//   { type: "card", to: "seat", seat, hand, card }   { type: "card", to: "dealer", card, hidden }
+//   { type: "action", action, seat, hand }            { type: "insurance", seat, offer, accept, amount }
+//   { type: "peek", blackjack }                       { type: "reveal", card }
+//   { type: "sideBet", seat, kind, amount, outcome, delta }
+// A shoe that runs out during the round is kept in `retiredShoes` until then.
+export const openRoundLog = (state, events = []) => ({
+  round: state.round,
+  shoe: state.shoe.id,
+  potBefore: state.pot,
+  seats: state.players.map((player) => ({ name: player.name, chipsBefore: player.chips, bet: player.bet })),
+  events,
+});
+
+export const logEvents = (state, ...events) =>
+  state.roundLog ? { ...state, roundLog: { ...state.roundLog, events: [...state.roundLog.events, ...events] } } : state;
+
+export const closeRoundLog = (state, ledger = null) => {
+  if (!state.roundLog) return state;
+  const { retiredShoes = [], ...log } = state.roundLog;
+  const record = {
+    ...log,
+    dealer: state.dealer.hand,
+    potAfter: state.pot,
+    ledger,
+    results: state.players.map((player) => ({
+      hands: player.hands.map(({ cards, bet, result, delta, doubled, split, bonus }) => ({
+        cards,
+        bet,
+        result,
+        delta,
+        doubled,
+        split,
+        ...(bonus && { bonus }),
+      })),
+      insurance: player.insurance,
+      sideBets: player.sideResults,
+      chipsAfter: player.chips,
+      delta: player.delta,
+    })),
+  };
+  return {
+    ...state,
+    history: [...state.history, record],
+    shoeHistory: [...state.shoeHistory, ...retiredShoes],
+    roundLog: null,
+  };
+};
+
+// Whether a seat played more than one hand, by splitting or in Blackjack Switch.
+export const seatSplit = (record, seat) =>
+  record.events.some((event) => event.type === "card" && event.to === "seat" && event.seat === seat && event.hand > 0);
+
+const handLabel = (record, seat, hand) => {
+  const { name } = record.seats[seat];
+  return seatSplit(record, seat) ? `${name} (hand ${hand + 1})` : name;
+};
+
+const ACTION_VERBS = {
+  hit: "hits",
+  stand: "stands",
+  double: "doubles down",
+  split: "splits",
+  surrender: "surrenders",
+  switch: "switches cards",
+};
+
+export const describeEvent = (record, event) => {
+  switch (event.type) {
+    case "card":
+      if (event.to === "dealer") {
+        return event.hidden ? "Dealer takes the hole card" : `Dealer draws ${formatCard(event.card)}`;
+      }
+      return `${handLabel(record, event.seat, event.hand)} is dealt ${formatCard(event.card)}`;
+    case "action":
+      return `${handLabel(record, event.seat, event.hand)} ${ACTION_VERBS[event.action] ?? event.action}`;
+    case "insurance": {
+      const { name } = record.seats[event.seat];
+      const wager = event.offer === "evenMoney" ? "even money" : "insurance";
+      return `${name} ${event.accept ? "takes" : "declines"} ${wager}`;
+    }
+    case "peek":
+      return event.blackjack ? "Dealer peeks: blackjack" : "Dealer peeks: no blackjack";
+    case "reveal":
+      return `Dealer reveals ${formatCard(event.card)}`;
+    case "sideBet": {
+      const wager = `${record.seats[event.seat].name}'s ${SIDE_BETS[event.kind]}`;
+      return event.outcome ? `${wager} wins (${event.outcome})` : `${wager} loses`;
+    }
+    default:
+      return event.type;
+  }
+};
+
+const applyEvent = (frame, event) => {
+  const seats = frame.seats.map((seat) => ({ ...seat, hands: seat.hands.map((hand) => ({ ...hand })) }));
+  let { dealer } = frame;
+  if (event.type === "card" && event.to === "dealer") {
+    dealer = { ...dealer, cards: [...dealer.cards, event.card], holes: dealer.holes + (event.hidden ? 1 : 0) };
+  } else if (event.type === "card") {
+    const hands = seats[event.seat].hands;
+    if (!hands[event.hand]) hands[event.hand] = { cards: [], bet: seats[event.seat].bet };
+    hands[event.hand].cards = [...hands[event.hand].cards, event.card];
+  } else if (event.type === "action" && event.action === "split") {
+    const hands = seats[event.seat].hands;
+    const [first, second] = hands[event.hand].cards;
+    hands.splice(event.hand, 1, { ...hands[event.hand], cards: [first] }, { ...hands[event.hand], cards: [second] });
+  } else if (event.type === "action" && event.action === "switch") {
+    const [first, second] = seats[event.seat].hands;
+    seats[event.seat].hands = [
+      { ...first, cards: [first.cards[0], second.cards[1]] },
+      { ...second, cards: [second.cards[0], first.cards[1]] },
+    ];
+  } else if (event.type === "action" && event.action === "double") {
+    const hand = seats[event.seat].hands[event.hand];
+    hand.bet *= 2;
+  } else if (event.type === "reveal" || (event.type === "peek" && event.blackjack)) {
+    dealer = { ...dealer, hidden: false };
+  }
+  return { ...frame, seats, dealer };
+};
+
+// Rebuilds the table one event at a time so a finished round can be stepped
+// through. Each frame keeps the event that produced it (null for the first and
+// last) next to its English label. The last frame carries the settled results.
+// The dealer's `holes` counts the cards dealt face down.
+export const replayRound = (record) => {
+  const start = {
+    label: `Round ${record.round}: bets are placed`,
+    event: null,
+    dealer: { cards: [], hidden: true, holes: 0 },
+    seats: record.seats.map((seat) => ({ ...seat, hands: [] })),
+    pot: record.potBefore,
+  };
+  const frames = [start];
+  record.events.forEach((event) => {
+    frames.push({ ...applyEvent(frames[frames.length - 1], event), label: describeEvent(record, event), event });
+  });
+  const last = frames[frames.length - 1];
+  frames.push({
+    ...last,
+    label: "Round settled",
+    event: null,
+    dealer: { cards: record.dealer, hidden: false, holes: 0 },
+    seats: last.seats.map((seat, index) => ({
+      ...seat,
+      hands: record.results[index].hands,
+      chipsAfter: record.results[index].chipsAfter,
+      delta: record.results[index].delta,
+    })),
+    pot: record.potAfter,
+    ledger: record.ledger ?? null,
+  });
+  return frames;
+};
+
+export const serializeHistory = (history, exportedAt = new Date().toISOString()) => ({
+  format: HISTORY_FORMAT,
+  version: 1,
+  exportedAt,
+  rounds: history,
+});
+
+const CSV_COLUMNS = [
+  "round",
+  "shoe",
+  "seat",
+  "player",
+  "hand",
+  "cards",
+  "total",
+  "bet",
+  "result",
+  "hand_delta",
+  "chips_before",
+  "chips_after",
+  "dealer_cards",
+  "dealer_total",
+  "pot_before",
+  "pot_after",
+];
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCards = (cards) => cards.map(formatCard).join(" ");
+
+// One row per hand played; seats that sat a round out get no rows for it.
+export const historyToCsv = (history) => {
+  const rows = history.flatMap((record) =>
+    record.results.flatMap((result, seat) =>
+      result.hands.map((hand, index) => [
+        record.round,
+        record.shoe,
+        seat + 1,
+        record.seats[seat].name,
+        index + 1,
+        formatCards(hand.cards),
+        calculateHand(hand.cards),
+        hand.bet,
+        hand.result,
+        hand.delta,
+        record.seats[seat].chipsBefore,
+        result.chipsAfter,
+        formatCards(record.dealer),
+        calculateHand(record.dealer),
+        record.potBefore,
+        record.potAfter,
+      ])
+    )
+  );
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(csvCell).join(",")).join("\n");
+};
@@ -0,0 +1,160 @@
+import { describe, expect, it } from "vitest";
+import { verifyShoe } from "./fairness.js";
+import { createGame, gameReducer } from "./game.js";
+import { historyToCsv, replayRound, serializeHistory } from "./history.js";
+import { play, table } from "./testUtils.js";
+import { redactState } from "./view.js";
+
+const codes = (cards) => cards.map((card) => `${card.rank}${card.suit}`);
+
+// player 8+8, dealer 10 (hole) + 6 (up); the split draws 3 and 10, the dealer draws 2
+const splitRound = () =>
+  play(table(1, ["8", "10", "8", "6", "3", "10", "2"], [100]), [
+    { type: "deal" },
+    { type: "split" },
+    { type: "stand" },
+    { type: "stand" },
+    { type: "playDealer" },
+  ]);
+
+describe("hand history", () => {
+  it("records every card and action of a round in order", () => {
+    const state = splitRound();
+    expect(state.roundLog).toBeNull();
+    expect(state.history).toHaveLength(1);
+
+    const [record] = state.history;
+    expect(record).toMatchObject({ round: 1, potBefore: 0, potAfter: 0, seats: [{ chipsBefore: 1000, bet: 100 }] });
+    expect(record.events.map(({ type, to, action, hand }) => [type, to ?? action, hand])).toEqual([
+      ["card", "seat", 0],
+      ["card", "dealer", undefined],
+      ["card", "seat", 0],
+      ["card", "dealer", undefined],
+      ["action", "split", 0],
+      ["card", "seat", 0],
+      ["card", "seat", 1],
+      ["action", "stand", 0],
+      ["action", "stand", 1],
+      ["reveal", undefined, undefined],
+      ["card", "dealer", undefined],
+    ]);
+    expect(record.results[0]).toMatchObject({
+      chipsAfter: 900,
+      delta: -100,
+      hands: [
+        { bet: 100, result: "lose", delta: -100 },
+        { bet: 100, result: "push", delta: 0 },
+      ],
+    });
+  });
+
+  it("keeps finished rounds when the table moves on", () => {
+    let state = gameReducer(splitRound(), { type: "nextRound" });
+    expect(state.history).toHaveLength(1);
+    expect(state.players[0].hands).toEqual([]);
+    state = play(state, [{ type: "addBet", seat: 0, amount: 50 }, { type: "deal" }]);
+    expect(state.roundLog).toMatchObject({ round: 2, seats: [{ bet: 50 }] });
+  });
+
+  it("logs insurance decisions and a dealer blackjack found on the peek", () => {
+    // player 10+9, dealer K (hole) + A (up)
+    const state = play(table(2, ["10", "10", "K", "9", "8", "A"], [100, 100]), [
+      { type: "deal" },
+      { type: "insurance", seat: 0, accept: true },
+      { type: "insurance", seat: 1, accept: false },
+    ]);
+    const [record] = state.history;
+    expect(record.potBefore).toBe(0);
+    expect(record.events.slice(-3)).toEqual([
+      { type: "insurance", seat: 0, offer: "insurance", accept: true, amount: 50 },
+      { type: "insurance", seat: 1, offer: "insurance", accept: false, amount: 0 },
+      { type: "peek", blackjack: true },
+    ]);
+    expect(record.results[0].insurance).toMatchObject({ decision: "accept", amount: 50 });
+  });
+
+  it("keeps the open round log away from networked clients", () => {
+    const state = play(table(1, ["8", "10", "8", "6"], [100]), [{ type: "deal" }]);
+    expect(state.roundLog.events[1]).toMatchObject({ to: "dealer", hidden: true });
+    expect(redactState(state).roundLog).toBeNull();
+  });
+
+  it("holds back a shoe that runs out mid-round until the hole card is shown", () => {
+    const dealt = play(createGame({ playerCount: 2, seed: "dry-shoe" }), [
+      { type: "addBet", seat: 0, amount: 10 },
+      { type: "addBet", seat: 1, amount: 10 },
+      { type: "deal" },
+    ]);
+    expect(dealt.phase).toBe("playing");
+    const { seed } = dealt.shoe;
+    const hit = gameReducer({ ...dealt, deck: [] }, { type: "hit" });
+    const view = redactState(hit);
+    expect(view.shoe.id).toBe(2);
+    expect(view.dealer.hand[0]).toBeNull();
+    expect(view.shoeHistory).toEqual([]);
+    expect(JSON.stringify(view)).not.toContain(seed);
+
+    let settled = hit;
+    while (settled.phase === "playing") settled = gameReducer(settled, { type: "stand" });
+    settled = gameReducer(settled, { type: "playDealer" });
+    expect(settled.phase).toBe("roundEnd");
+    expect(settled.shoeHistory).toMatchObject([{ id: 1, seed }]);
+    expect(verifyShoe(settled.shoeHistory[0]).ok).toBe(true);
+    expect(settled.history[0].retiredShoes).toBeUndefined();
+  });
+});
+
+describe("replayRound", () => {
+  it("steps through the round from the bets to the settlement", () => {
+    const record = splitRound().history[0];
+    const frames = replayRound(record);
+    expect(frames).toHaveLength(record.events.length + 2);
+    expect(frames[0]).toMatchObject({ dealer: { cards: [], hidden: true }, seats: [{ hands: [] }] });
+
+    const dealt = frames[4];
+    expect(codes(dealt.seats[0].hands[0].cards)).toEqual(["8♠", "8♠"]);
+    expect(dealt.dealer.hidden).toBe(true);
+
+    const afterSplit = frames[7];
+    expect(afterSplit.label).toBe("Player 1 (hand 2) is dealt 10♠");
+    expect(afterSplit.seats[0].hands.map((hand) => codes(hand.cards))).toEqual([
+      ["8♠", "3♠"],
+      ["8♠", "10♠"],
+    ]);
+
+    const settled = frames[frames.length - 1];
+    expect(settled.dealer).toMatchObject({ hidden: false });
+    expect(codes(settled.dealer.cards)).toEqual(["10♠", "6♠", "2♠"]);
+    expect(settled.seats[0]).toMatchObject({ chipsAfter: 900, delta: -100 });
+  });
+});
+
+describe("history export", () => {
+  it("writes one CSV row per hand", () => {
+    const history = splitRound().history;
+    const [header, ...rows] = historyToCsv(history).split("\n");
+    expect(header.split(",")).toContain("hand_delta");
+    expect(rows).toEqual([
+      "1,1,1,Player 1,1,8♠ 3♠,11,100,lose,-100,1000,900,10♠ 6♠ 2♠,18,0,0",
+      "1,1,1,Player 1,2,8♠ 10♠,18,100,push,0,1000,900,10♠ 6♠ 2♠,18,0,0",
+    ]);
+  });
+
+  it("quotes names that would break a CSV row", () => {
+    const history = splitRound().history.map((record) => ({
+      ...record,
+      seats: [{ ...record.seats[0], name: 'Ann, "the shark"' }],
+    }));
+    expect(historyToCsv(history).split("\n")[1]).toContain('"Ann, ""the shark"""');
+  });
+
+  it("wraps the rounds in a labelled JSON document", () => {
+    const history = splitRound().history;
+    expect(serializeHistory(history, "2026-10-19T12:00:00.000Z")).toEqual({
+      format: "blackjack-royale/history",
+      version: 1,
+      exportedAt: "2026-10-19T12:00:00.000Z",
+      rounds: history,
+    });
+  });
+});
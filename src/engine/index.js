@@ -0,0 +1,23 @@
+export * from "./bots.js";
+export * from "./cards.js";
+export * from "./clock.js";
+export * from "./counting.js";
+export * from "./fairness.js";
+export * from "./hands.js";
+export * from "./history.js";
+export * from "./odds.js";
+export * from "./profiles.js";
+export * from "./random.js";
+export * from "./rules.js";
+export * from "./scenarios.js";
+export * from "./session.js";
+export * from "./settlement.js";
+export * from "./sidebets.js";
+export * from "./sha256.js";
+export * from "./simulation.js";
+export * from "./stats.js";
+export * from "./strategy.js";
+export * from "./tournament.js";
+export * from "./variants.js";
+export * from "./view.js";
+export * from "./game.js";
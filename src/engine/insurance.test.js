@@ -0,0 +1,112 @@
+import { describe, expect, it } from "vitest";
+import { gameReducer, pendingInsurance } from "./game.js";
+import { play, table } from "./testUtils.js";
+
+describe("dealer peek", () => {
+  it("ends the round at once when a ten upcard hides an ace", () => {
+    // player 10+8, dealer A (hole) + K (up)
+    let state = table(1, ["10", "A", "8", "K"], [100]);
+    state = gameReducer(state, { type: "deal" });
+    expect(state.phase).toBe("roundEnd");
+    expect(state.dealer.hidden).toBe(false);
+    expect(state.message).toMatch(/Dealer has blackjack/);
+    expect(state.players[0]).toMatchObject({ chips: 900, hands: [{ result: "lose" }] });
+  });
+
+  it("lets play continue when a ten upcard has no natural behind it", () => {
+    let state = table(1, ["10", "7", "8", "K"], [100]);
+    state = gameReducer(state, { type: "deal" });
+    expect(state.phase).toBe("playing");
+    expect(state.dealer.hidden).toBe(true);
+  });
+
+  it("pushes a seat natural against a dealer natural", () => {
+    let state = table(1, ["A", "K", "Q", "A"], [100]);
+    state = play(state, [{ type: "deal" }, { type: "insurance", seat: 0, accept: false }]);
+    expect(state.phase).toBe("roundEnd");
+    expect(state.players[0]).toMatchObject({ chips: 1000, hands: [{ result: "push" }] });
+  });
+});
+
+describe("insurance", () => {
+  it("offers insurance on an ace upcard and pays 2:1 on a dealer natural", () => {
+    // player 10+6, dealer K (hole) + A (up)
+    let state = table(1, ["10", "K", "6", "A"], [100]);
+    state = gameReducer(state, { type: "deal" });
+    expect(state.phase).toBe("insurance");
+    expect(pendingInsurance(state)).toEqual([0]);
+    expect(state.players[0].insurance.offer).toBe("insurance");
+
+    state = gameReducer(state, { type: "insurance", seat: 0, accept: true });
+    expect(state.phase).toBe("roundEnd");
+    expect(state.players[0].insurance.amount).toBe(50);
+    // -100 main bet, +100 net on the insurance
+    expect(state.players[0]).toMatchObject({ chips: 1000, delta: 0, hands: [{ result: "lose" }] });
+  });
+
+  it("loses the insurance stake when the dealer has no natural", () => {
+    let state = table(1, ["10", "7", "9", "A"], [100]);
+    state = play(state, [{ type: "deal" }, { type: "insurance", seat: 0, accept: true }]);
+    expect(state.phase).toBe("playing");
+    expect(state.players[0].chips).toBe(850);
+
+    state = play(state, [{ type: "stand" }, { type: "playDealer" }]);
+    expect(state.players[0]).toMatchObject({ chips: 1050, delta: 50, hands: [{ result: "win" }] });
+  });
+
+  it("waits for every seat before peeking", () => {
+    let state = table(2, ["10", "10", "K", "6", "7", "A"], [100, 100]);
+    state = gameReducer(state, { type: "deal" });
+    expect(pendingInsurance(state)).toEqual([0, 1]);
+    state = gameReducer(state, { type: "insurance", seat: 1, accept: true });
+    expect(state.phase).toBe("insurance");
+    expect(gameReducer(state, { type: "insurance", seat: 1, accept: false })).toBe(state);
+    state = gameReducer(state, { type: "insurance", seat: 0, accept: false });
+    expect(state.phase).toBe("roundEnd");
+  });
+
+  it("pays even money 1:1 to a natural whatever the hole card", () => {
+    let state = table(1, ["A", "K", "K", "A"], [100]);
+    state = play(state, [{ type: "deal" }, { type: "insurance", seat: 0, accept: true }]);
+    expect(state.players[0]).toMatchObject({ chips: 1100, hands: [{ result: "evenMoney" }] });
+
+    state = table(1, ["A", "7", "K", "A"], [100]);
+    state = gameReducer(state, { type: "deal" });
+    expect(state.players[0].insurance.offer).toBe("evenMoney");
+    state = gameReducer(state, { type: "insurance", seat: 0, accept: true });
+    expect(state.phase).toBe("dealer");
+    state = gameReducer(state, { type: "playDealer" });
+    expect(state.players[0]).toMatchObject({ chips: 1100, hands: [{ result: "evenMoney" }] });
+  });
+});
+
+describe("insurance in pot mode", () => {
+  it("pays winning insurance out of the pot and carries the rest", () => {
+    // seat 1: 10+6 insured, seat 2: 10+7 uninsured, dealer K (hole) + A (up)
+    let state = table(2, ["10", "10", "K", "6", "7", "A"], [100, 100]);
+    state = play(state, [
+      { type: "deal" },
+      { type: "insurance", seat: 0, accept: true },
+      { type: "insurance", seat: 1, accept: false },
+    ]);
+    const [insured, bare] = state.players;
+    expect(insured).toMatchObject({ chips: 1000, delta: 0 });
+    expect(bare).toMatchObject({ chips: 900, delta: -100 });
+    expect(state.pot).toBe(100);
+  });
+
+  it("adds lost insurance stakes to the pot shared by the winners", () => {
+    // seat 1: 10+9 insured, seat 2: 10+6, dealer 7 (hole) + A (up)
+    let state = table(2, ["10", "10", "7", "9", "6", "A"], [100, 100]);
+    state = play(state, [
+      { type: "deal" },
+      { type: "insurance", seat: 0, accept: true },
+      { type: "insurance", seat: 1, accept: false },
+    ]);
+    expect(state.pot).toBe(250);
+    state = play(state, [{ type: "stand" }, { type: "stand" }, { type: "playDealer" }]);
+    const [insured, loser] = state.players;
+    expect(insured).toMatchObject({ chips: 1100, hands: [{ result: "win" }] });
+    expect(loser).toMatchObject({ chips: 900, hands: [{ result: "lose" }] });
+  });
+});
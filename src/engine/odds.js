@@ -0,0 +1,149 @@
+import { handValue } from "./cards.js";
+import { seenCards } from "./counting.js";
+import { createShoe, dealerShouldHit } from "./rules.js";
+import { hiddenDealerCards, visibleDealerCards } from "./variants.js";
+
+// Card values as the engine scores them: 2–10, with the ace as 11.
+const VALUES = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+export const DEALER_FINALS = ["17", "18", "19", "20", "21", "bust"];
+
+// "7/17" while an ace can still count as 11 (and the hand isn't 21 yet).
+export const totalLabel = (cards) => {
+  const { total, soft } = handValue(cards);
+  return soft && total < 21 ? `${total - 10}/${total}` : String(total);
+};
+
+// Cards the players haven't seen: the rest of the shoe and the dealer's
+// face-down cards. Online tables don't get the shoe, so it is rebuilt from the
+// cards seen since the shuffle.
+export const unseenCards = (state) => {
+  const holes = state.dealer.hidden ? state.dealer.hand.slice(0, hiddenDealerCards(state.rules)) : [];
+  if (state.deck) return [...state.deck, ...holes];
+  const left = createShoe(state.shoe.decks, state.rules.variant);
+  seenCards(state).forEach((card) => {
+    const at = left.findIndex((other) => other.rank === card.rank && other.suit === card.suit);
+    if (at !== -1) left.splice(at, 1);
+  });
+  return left;
+};
+
+const countValues = (cards) => {
+  const counts = Object.fromEntries(VALUES.map((value) => [value, 0]));
+  cards.forEach((card) => {
+    counts[card.value] += 1;
+  });
+  return counts;
+};
+
+const sumCounts = (counts) => VALUES.reduce((sum, value) => sum + counts[value], 0);
+
+// `hard` counts aces as 1; one ace is worth 11 whenever that doesn't bust.
+const score = (hard, hasAce) =>
+  hasAce && hard + 10 <= 21 ? { total: hard + 10, soft: true } : { total: hard, soft: false };
+
+const addValue = (hard, value) => hard + (value === 11 ? 1 : value);
+
+const upcardOf = (state) => visibleDealerCards(state)[0] ?? null;
+
+// The chance of each run of values the dealer's face-down cards could be.
+// Once the dealer has peeked (under a ten or an ace, or always when both cards
+// are down) they are known not to make a natural.
+const holeOdds = (state, counts) => {
+  const up = upcardOf(state);
+  const holes = hiddenDealerCards(state.rules);
+  const peeked = ["playing", "dealer"].includes(state.phase) && (!up || up.value === 10 || up.value === 11);
+  const runs = [];
+  const deal = (values, chance) => {
+    if (values.length === holes) {
+      const [first, second] = up ? [...values, up.value] : values;
+      if (!(peeked && first + second === 21)) runs.push({ values, chance });
+      return;
+    }
+    const left = sumCounts(counts);
+    VALUES.forEach((value) => {
+      if (!counts[value]) return;
+      const odds = counts[value] / left;
+      counts[value] -= 1;
+      deal([...values, value], chance * odds);
+      counts[value] += 1;
+    });
+  };
+  deal([], 1);
+  const total = runs.reduce((sum, run) => sum + run.chance, 0);
+  return runs.map((run) => ({ ...run, chance: run.chance / total }));
+};
+
+// Every way the dealer's hand can finish from here, drawing from `counts`
+// without replacement. Counts are restored after each branch.
+const dealerFinals = (counts, hard, hasAce, rules, memo) => {
+  const { total, soft } = score(hard, hasAce);
+  if (total > 21) return { bust: 1 };
+  const left = sumCounts(counts);
+  if (!dealerShouldHit(total, soft, rules) || !left) return { [total]: 1 };
+  const key = `${VALUES.map((value) => counts[value]).join(",")}|${hard}|${hasAce}`;
+  if (memo.has(key)) return memo.get(key);
+  const finals = {};
+  VALUES.forEach((value) => {
+    if (!counts[value]) return;
+    const chance = counts[value] / left;
+    counts[value] -= 1;
+    const next = dealerFinals(counts, addValue(hard, value), hasAce || value === 11, rules, memo);
+    counts[value] += 1;
+    Object.entries(next).forEach(([final, odds]) => {
+      finals[final] = (finals[final] ?? 0) + chance * odds;
+    });
+  });
+  memo.set(key, finals);
+  return finals;
+};
+
+// The chance of each final dealer total (17–21 or bust) from the cards the
+// dealer shows, or null when no card is face down.
+export const dealerOdds = (state) => {
+  if (!state.dealer.hidden || !state.dealer.hand.length) return null;
+  const shown = visibleDealerCards(state).map((card) => card.value);
+  const counts = countValues(unseenCards(state));
+  const memo = new Map();
+  const finals = Object.fromEntries(DEALER_FINALS.map((final) => [final, 0]));
+  holeOdds(state, counts).forEach(({ values, chance }) => {
+    values.forEach((value) => {
+      counts[value] -= 1;
+    });
+    const dealt = [...shown, ...values];
+    const next = dealerFinals(counts, dealt.reduce(addValue, 0), dealt.includes(11), state.rules, memo);
+    values.forEach((value) => {
+      counts[value] += 1;
+    });
+    Object.entries(next).forEach(([final, odds]) => {
+      if (final in finals) finals[final] += chance * odds;
+    });
+  });
+  return finals;
+};
+
+// The chance of each value coming off the shoe next: any unseen card except
+// the ones the dealer is sitting on.
+const nextCardOdds = (counts, runs, holes) => {
+  const left = sumCounts(counts) - holes;
+  const odds = Object.fromEntries(VALUES.map((value) => [value, counts[value] / left]));
+  runs.forEach(({ values, chance }) => {
+    values.forEach((value) => {
+      odds[value] -= chance / left;
+    });
+  });
+  return odds;
+};
+
+// The chance that one more card busts the hand on turn, or null when no hand
+// is waiting on a decision.
+export const bustOdds = (state) => {
+  const hand = state.players[state.currentIndex]?.hands[state.handIndex];
+  if (state.phase !== "playing" || hand?.status !== "active" || !state.dealer.hidden) return null;
+  const counts = countValues(unseenCards(state));
+  const holes = hiddenDealerCards(state.rules);
+  if (sumCounts(counts) <= holes) return null;
+  const { total, soft } = handValue(hand.cards);
+  const hard = soft ? total - 10 : total;
+  const next = nextCardOdds(counts, holeOdds(state, counts), holes);
+  return VALUES.filter((value) => addValue(hard, value) > 21).reduce((odds, value) => odds + next[value], 0);
+};
@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { createGame } from "./game.js";
+import { bustOdds, dealerOdds, totalLabel, unseenCards } from "./odds.js";
+import { card, play, stackDeck, table } from "./testUtils.js";
+import { redactState } from "./view.js";
+
+const dealt = (ranks, deck) =>
+  play(createGame({ deck: deck ?? stackDeck(ranks) }), [
+    { type: "addBet", seat: 0, amount: 10 },
+    { type: "deal" },
+  ]);
+
+describe("odds", () => {
+  it("labels soft totals with both counts", () => {
+    expect(totalLabel([card("A"), card("6")])).toBe("7/17");
+    expect(totalLabel([card("A"), card("A")])).toBe("2/12");
+    expect(totalLabel([card("A"), card("K")])).toBe("21");
+    expect(totalLabel([card("A"), card("6"), card("K")])).toBe("17");
+  });
+
+  it("counts the hole card among the cards that could come next", () => {
+    // 16 against a 9: the hole 7 and the K still to come both bust it.
+    const state = dealt(["10", "7", "6", "9", "K", "5"]);
+    expect(unseenCards(state)).toHaveLength(23);
+    expect(bustOdds(state)).toBeCloseTo(2 / 23, 10);
+  });
+
+  it("knows the hole card can't make a natural once the dealer has peeked", () => {
+    // Under a K the hole is one of 22 cards that aren't the ace, so the 7 is
+    // less likely to come next than to be the hole card.
+    const state = dealt(["10", "7", "6", "K", "A", "5"]);
+    expect(state.phase).toBe("playing");
+    expect(bustOdds(state)).toBeCloseTo(21 / 484, 10);
+  });
+
+  it("spreads the dealer's finishing totals over the remaining cards", () => {
+    // The hole is a K (19) or the 7, which draws a K to bust.
+    const deck = [...Array.from({ length: 20 }, () => card("K")), ...stackDeck(["10", "7", "6", "9"], 0)];
+    const odds = dealerOdds(dealt(null, deck));
+    expect(odds["19"]).toBeCloseTo(20 / 21, 10);
+    expect(odds.bust).toBeCloseTo(1 / 21, 10);
+    expect(odds["17"] + odds["18"] + odds["20"] + odds["21"]).toBe(0);
+  });
+
+  it("work from what an online seat can see", () => {
+    const first = play(createGame({ playerCount: 2, seed: "odds" }), [
+      { type: "addBet", seat: 0, amount: 10 },
+      { type: "addBet", seat: 1, amount: 10 },
+      { type: "deal" },
+    ]);
+    const finished = play(first, [{ type: "stand" }, { type: "stand" }, { type: "playDealer" }, { type: "nextRound" }]);
+    const state = play(finished, [
+      { type: "addBet", seat: 0, amount: 10 },
+      { type: "addBet", seat: 1, amount: 10 },
+      { type: "deal" },
+    ]);
+    const online = redactState(state, 0);
+    const names = (cards) => cards.map((unseen) => `${unseen.rank}${unseen.suit}`).sort();
+    expect(names(unseenCards(online))).toEqual(names(unseenCards(state)));
+    expect(dealerOdds(online)).toEqual(dealerOdds(state));
+    const total = Object.values(dealerOdds(state)).reduce((sum, odds) => sum + odds, 0);
+    expect(total).toBeCloseTo(1, 10);
+  });
+
+  it("have nothing to say before the cards are out", () => {
+    const betting = table(1, ["10", "7", "6", "9"], [10]);
+    expect(unseenCards(betting)).toHaveLength(24);
+    expect(dealerOdds(betting)).toBeNull();
+    expect(bustOdds(betting)).toBeNull();
+  });
+});
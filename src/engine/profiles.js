@@ -0,0 +1,94 @@
+import { STARTING_CHIPS } from "./game.js";
+import { randomSeed } from "./random.js";
+
+export const PROFILE_AVATARS = ["♠", "♥", "♦", "♣", "★", "♛", "☀", "☂"];
+export const PROFILE_COLORS = ["#d6b36a", "#4aa3df", "#e25b4c", "#49b86e", "#7d5bd8", "#f08a3c"];
+export const MAX_NAME_LENGTH = 20;
+
+// Profiles are stored as { [id]: profile }. A bankroll follows its profile from
+// table to table; boughtIn counts every chip the profile was ever given, so
+// bankroll - boughtIn is what it has won or lost overall.
+export const emptyProfiles = () => ({});
+
+export const PROFILE_ERRORS = {
+  noName: "Enter a name.",
+  tooLong: `Names can be at most ${MAX_NAME_LENGTH} characters.`,
+  reserved: "That name is used for guest and bot seats.",
+  taken: "Another profile already uses that name.",
+};
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+export const profileErrors = (profiles, { name }) => {
+  const trimmed = name?.trim() ?? "";
+  if (!trimmed) return [PROFILE_ERRORS.noName];
+  if (trimmed.length > MAX_NAME_LENGTH) return [PROFILE_ERRORS.tooLong];
+  if (/^(Player|Bot) \d+$/.test(trimmed)) return [PROFILE_ERRORS.reserved];
+  if (Object.values(profiles).some((profile) => sameName(profile.name, trimmed))) return [PROFILE_ERRORS.taken];
+  return [];
+};
+
+export const addProfile = (profiles, { name, avatar, color }, id = randomSeed()) => ({
+  ...profiles,
+  [id]: {
+    id,
+    name: name.trim(),
+    avatar: PROFILE_AVATARS.includes(avatar) ? avatar : PROFILE_AVATARS[0],
+    color: PROFILE_COLORS.includes(color) ? color : PROFILE_COLORS[0],
+    bankroll: STARTING_CHIPS,
+    boughtIn: STARTING_CHIPS,
+    rebuys: 0,
+  },
+});
+
+export const removeProfile = (profiles, id) => {
+  const { [id]: removed, ...rest } = profiles;
+  return removed ? rest : profiles;
+};
+
+// The seat a profile takes at a new table, bringing its bankroll along.
+export const profileSeat = (profile) => ({
+  name: profile.name,
+  profileId: profile.id,
+  avatar: profile.avatar,
+  color: profile.color,
+  chips: profile.bankroll,
+});
+
+export const recordRebuy = (profiles, id, amount) => {
+  const profile = profiles[id];
+  if (!profile || amount <= 0) return profiles;
+  return {
+    ...profiles,
+    [id]: {
+      ...profile,
+      bankroll: profile.bankroll + amount,
+      boughtIn: profile.boughtIn + amount,
+      rebuys: profile.rebuys + 1,
+    },
+  };
+};
+
+// Copies seat stacks back to their profiles. Only call this between rounds,
+// while no chips are riding on a hand. Returns the same object when nothing
+// changed so callers can skip saving.
+export const syncBankrolls = (profiles, players) => {
+  let next = profiles;
+  players.forEach((player) => {
+    const profile = next[player.profileId];
+    if (!profile || profile.bankroll === player.chips) return;
+    next = { ...next, [profile.id]: { ...profile, bankroll: player.chips } };
+  });
+  return next;
+};
+
+// All-time standings, best net result first. Rounds played come from the
+// statistics panel, which tracks seats by name.
+export const leaderboard = (profiles, stats) =>
+  Object.values(profiles)
+    .map((profile) => ({
+      ...profile,
+      net: profile.bankroll - profile.boughtIn,
+      rounds: stats?.players[profile.name]?.rounds ?? 0,
+    }))
+    .sort((a, b) => b.net - a.net || b.bankroll - a.bankroll || a.name.localeCompare(b.name));
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { createGame, gameReducer } from "./game.js";
+import { addProfile, leaderboard, profileErrors, profileSeat, recordRebuy, syncBankrolls } from "./profiles.js";
+
+const withProfiles = () => {
+  let profiles = addProfile({}, { name: " Ana ", avatar: "♥", color: "#4aa3df" }, "ana");
+  profiles = addProfile(profiles, { name: "Ben", avatar: "nope", color: "nope" }, "ben");
+  return profiles;
+};
+
+describe("player profiles", () => {
+  it("creates profiles with a starting bankroll and checks names", () => {
+    const profiles = withProfiles();
+    expect(profiles.ana).toMatchObject({ name: "Ana", avatar: "♥", bankroll: 1000, boughtIn: 1000, rebuys: 0 });
+    expect(profiles.ben).toMatchObject({ avatar: "♠", color: "#d6b36a" });
+    expect(profileErrors(profiles, { name: "ana" })).toEqual(["Another profile already uses that name."]);
+    expect(profileErrors(profiles, { name: "  " })).toEqual(["Enter a name."]);
+    expect(profileErrors(profiles, { name: "Player 2" })).toHaveLength(1);
+    expect(profileErrors(profiles, { name: "Cleo" })).toEqual([]);
+  });
+
+  it("seats a profile with its bankroll and copies the stack back", () => {
+    const profiles = { ...withProfiles(), ana: { ...withProfiles().ana, bankroll: 640 } };
+    const state = createGame({ playerCount: 2, seats: [profileSeat(profiles.ana), {}] });
+    expect(state.players[0]).toMatchObject({ name: "Ana", profileId: "ana", chips: 640, roundStartChips: 640 });
+    expect(state.players[1]).toMatchObject({ name: "Player 2", profileId: null });
+
+    expect(syncBankrolls(profiles, state.players)).toBe(profiles);
+    const won = { ...state.players[0], chips: 900 };
+    expect(syncBankrolls(profiles, [won, state.players[1]]).ana.bankroll).toBe(900);
+  });
+
+  it("ranks profiles by net result including rebuys", () => {
+    let profiles = withProfiles();
+    profiles = recordRebuy({ ...profiles, ana: { ...profiles.ana, bankroll: 0 } }, "ana", 1000);
+    profiles = { ...profiles, ana: { ...profiles.ana, bankroll: 1500 } };
+    const stats = { players: { Ben: { rounds: 12 } }, tables: {} };
+    expect(leaderboard(profiles, stats).map(({ name, net, rebuys, rounds }) => [name, net, rebuys, rounds])).toEqual([
+      ["Ben", 0, 0, 12],
+      ["Ana", -500, 1, 0],
+    ]);
+  });
+});
+
+describe("rebuys", () => {
+  const broke = (rules) => {
+    const state = createGame({ playerCount: 2, rules });
+    return { ...state, players: state.players.map((player, idx) => (idx === 0 ? { ...player, chips: 5 } : player)) };
+  };
+
+  it("lets a broke seat buy back in until the limit", () => {
+    let state = broke({ rebuyAmount: 500, rebuyLimit: 1 });
+    state = gameReducer(state, { type: "rebuy", seat: 0 });
+    expect(state.players[0]).toMatchObject({ chips: 505, rebuys: 1 });
+    expect(gameReducer(state, { type: "rebuy", seat: 1 })).toBe(state);
+
+    const spent = { ...state, players: state.players.map((p, idx) => (idx === 0 ? { ...p, chips: 0 } : p)) };
+    expect(gameReducer(spent, { type: "rebuy", seat: 0 })).toBe(spent);
+  });
+
+  it("tops a seat up to the rebuy amount", () => {
+    const state = broke({ rebuyMode: "topUp", rebuyAmount: 800 });
+    expect(gameReducer(state, { type: "rebuy", seat: 0 }).players[0].chips).toBe(800);
+    expect(gameReducer(state, { type: "rebuy", seat: 1 })).toBe(state);
+  });
+
+  it("refuses rebuys when they are off or a round is under way", () => {
+    const off = broke({ rebuyMode: "off" });
+    expect(gameReducer(off, { type: "rebuy", seat: 0 })).toBe(off);
+    const dealing = { ...broke(), phase: "playing" };
+    expect(gameReducer(dealing, { type: "rebuy", seat: 0 })).toBe(dealing);
+  });
+});
@@ -0,0 +1,24 @@
+import { sha256Words } from "./sha256.js";
+
+export const randomSeed = () => {
+  const words = new Uint32Array(4);
+  globalThis.crypto.getRandomValues(words);
+  return Array.from(words, (word) => word.toString(16).padStart(8, "0")).join("");
+};
+
+// sfc32 seeded from the SHA-256 of the seed string. Returns floats in [0, 1)
+// so it can stand in for Math.random anywhere.
+export const createRng = (seed) => {
+  let [a, b, c, d] = sha256Words(seed);
+  const next = () => {
+    const t = (((a + b) >>> 0) + d) >>> 0;
+    d = (d + 1) >>> 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) >>> 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) >>> 0;
+    return t / 4294967296;
+  };
+  for (let i = 0; i < 12; i += 1) next();
+  return next;
+};
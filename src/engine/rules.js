@@ -0,0 +1,142 @@
+import { SIDE_BET_PAY_TABLES, sideBetTotal } from "./sidebets.js";
+import { VARIANTS, variantOf } from "./variants.js";
+
+export const RESHUFFLE_THRESHOLD = 15;
+export const MAX_DECKS = 8;
+
+export const BLACKJACK_PAYOUTS = {
+  "3:2": 1.5,
+  "6:5": 1.2,
+};
+
+// How a multi-seat table splits its shared pot.
+export const POT_MODES = {
+  proportional: "Proportional",
+  winnerTakesAll: "Winner takes all",
+  sidePots: "Side pots",
+  dealerTakes: "Dealer takes unclaimed",
+};
+
+// When a seat may buy more chips between rounds.
+export const REBUY_MODES = {
+  off: "No rebuys",
+  rebuy: "Rebuy when broke",
+  topUp: "Top up to the rebuy amount",
+};
+
+// What happens to a seat that hasn't bet when the betting clock runs out.
+export const BET_TIMEOUTS = {
+  sitOut: "Sit the round out",
+  repeat: "Repeat the last bet",
+};
+
+// Turn clocks are off (0) or between these many seconds.
+export const CLOCK_LIMITS = { min: 5, max: 300 };
+
+export const CHIP_SETS = {
+  low: [1, 5, 10, 25, 50, 100],
+  standard: [10, 25, 50, 100, 250, 500],
+  high: [100, 250, 500, 1000, 5000],
+};
+
+export const DEFAULT_RULES = {
+  variant: "classic",
+  decks: 1,
+  penetration: 0.75,
+  dealerHitsSoft17: false,
+  blackjackPayout: "3:2",
+  minBet: 10,
+  maxBet: null,
+  chipValues: CHIP_SETS.standard,
+  potMode: "proportional",
+  rebuyMode: "rebuy",
+  rebuyAmount: 1000,
+  rebuyLimit: null,
+  turnSeconds: 0,
+  betSeconds: 0,
+  timeBankSeconds: 60,
+  betTimeout: "sitOut",
+  perfectPairs: "off",
+  twentyOnePlusThree: "off",
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// A side bet is "off" or the key of one of its pay tables.
+const sideBetTable = (kind, value) => (SIDE_BET_PAY_TABLES[kind][value] ? value : "off");
+
+const clockSeconds = (value) => {
+  const seconds = Math.floor(Number(value) || 0);
+  return seconds > 0 ? clamp(seconds, CLOCK_LIMITS.min, CLOCK_LIMITS.max) : 0;
+};
+
+export const normalizeRules = (rules = {}) => {
+  const merged = { ...DEFAULT_RULES, ...rules };
+  const minBet = Math.max(1, Math.floor(Number(merged.minBet) || DEFAULT_RULES.minBet));
+  const maxBet = merged.maxBet ? Math.max(minBet, Math.floor(Number(merged.maxBet))) : null;
+  const variant = VARIANTS[merged.variant] ? merged.variant : DEFAULT_RULES.variant;
+  return {
+    variant,
+    decks: clamp(Math.floor(Number(merged.decks) || 1), 1, MAX_DECKS),
+    penetration: clamp(Number(merged.penetration) || DEFAULT_RULES.penetration, 0.5, 0.9),
+    dealerHitsSoft17: Boolean(merged.dealerHitsSoft17),
+    blackjackPayout: BLACKJACK_PAYOUTS[merged.blackjackPayout] ? merged.blackjackPayout : DEFAULT_RULES.blackjackPayout,
+    minBet,
+    maxBet,
+    chipValues: merged.chipValues?.length ? [...merged.chipValues].sort((a, b) => a - b) : DEFAULT_RULES.chipValues,
+    potMode: POT_MODES[merged.potMode] ? merged.potMode : DEFAULT_RULES.potMode,
+    rebuyMode: REBUY_MODES[merged.rebuyMode] ? merged.rebuyMode : DEFAULT_RULES.rebuyMode,
+    rebuyAmount: Math.max(minBet, Math.floor(Number(merged.rebuyAmount) || DEFAULT_RULES.rebuyAmount)),
+    rebuyLimit:
+      merged.rebuyLimit === null || merged.rebuyLimit === "" || !Number.isFinite(Number(merged.rebuyLimit))
+        ? null
+        : Math.max(0, Math.floor(Number(merged.rebuyLimit))),
+    turnSeconds: clockSeconds(merged.turnSeconds),
+    betSeconds: clockSeconds(merged.betSeconds),
+    timeBankSeconds: clamp(Math.floor(Number(merged.timeBankSeconds) || 0), 0, CLOCK_LIMITS.max),
+    betTimeout: BET_TIMEOUTS[merged.betTimeout] ? merged.betTimeout : DEFAULT_RULES.betTimeout,
+    perfectPairs: sideBetTable("perfectPairs", merged.perfectPairs),
+    // 21+3 reads the dealer's upcard, which Pontoon never shows.
+    twentyOnePlusThree: VARIANTS[variant].hideDealer
+      ? "off"
+      : sideBetTable("twentyOnePlusThree", merged.twentyOnePlusThree),
+  };
+};
+
+export const blackjackMultiplier = (rules) => variantOf(rules).naturalOdds ?? BLACKJACK_PAYOUTS[rules.blackjackPayout];
+
+export const createShoe = (decks = 1, variant = "classic") => {
+  const { deck } = VARIANTS[variant] ?? VARIANTS.classic;
+  return Array.from({ length: decks }).flatMap(() => deck());
+};
+
+// Cards the opening deal takes: two for each hand at the table and the dealer's.
+export const openingDealSize = (rules, seats) => (seats * variantOf(rules).hands + 1) * 2;
+
+// Cards left in the shoe when the cut card comes out. Never lower than the
+// fixed threshold, nor than the opening deal with about two more cards a hand,
+// so tables dealing more hands reshuffle sooner. A round that still runs the
+// shoe dry moves on to the next one (see game.js).
+export const cutCardPosition = (rules, seats = 1) =>
+  Math.max(
+    RESHUFFLE_THRESHOLD,
+    openingDealSize(rules, seats) + seats * variantOf(rules).hands * 2,
+    Math.round(rules.decks * variantOf(rules).deck().length * (1 - rules.penetration))
+  );
+
+// The bet goes on each of a seat's hands, so a Blackjack Switch seat can stake
+// half its stack. Chips already on side bets can't also go on the main bet.
+export const maxBetFor = (player, rules) => {
+  const stack = Math.floor((player.chips - sideBetTotal(player)) / variantOf(rules).hands);
+  return rules.maxBet ? Math.min(stack, rules.maxBet) : stack;
+};
+
+// Whether a seat has the chips to play a hand at the table minimum.
+export const canCoverMinimum = (player, rules) => player.chips >= rules.minBet * variantOf(rules).hands;
+
+// Chips added to a bet must be a whole, positive number of chips.
+export const isChipAmount = (amount) => Number.isInteger(amount) && amount > 0;
+
+export const isBetAllowed = (bet, player, rules) => bet >= rules.minBet && bet <= maxBetFor(player, rules);
+
+export const dealerShouldHit = (total, soft, rules) => total < 17 || (total === 17 && soft && rules.dealerHitsSoft17);
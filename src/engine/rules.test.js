@@ -0,0 +1,135 @@
+import { describe, expect, it } from "vitest";
+import { formatCard } from "./cards.js";
+import { verifyShoe } from "./fairness.js";
+import { createGame, ensureShoe, gameReducer } from "./game.js";
+import { createShoe, cutCardPosition, normalizeRules } from "./rules.js";
+import { simulate } from "./simulation.js";
+import { play, stackDeck, table } from "./testUtils.js";
+
+describe("normalizeRules", () => {
+  it("fills defaults and clamps out-of-range values", () => {
+    const rules = normalizeRules({ decks: 12, penetration: 0.99, blackjackPayout: "2:1", minBet: 25, maxBet: 5 });
+    expect(rules).toMatchObject({ decks: 8, penetration: 0.9, blackjackPayout: "3:2", minBet: 25, maxBet: 25 });
+    expect(normalizeRules().maxBet).toBeNull();
+    expect(normalizeRules({ potMode: "sidePots" }).potMode).toBe("sidePots");
+    expect(normalizeRules({ potMode: "lottery" }).potMode).toBe("proportional");
+    expect(normalizeRules({ minBet: 50, rebuyAmount: 20, rebuyLimit: 2.7 })).toMatchObject({
+      rebuyMode: "rebuy",
+      rebuyAmount: 50,
+      rebuyLimit: 2,
+    });
+  });
+});
+
+describe("shoe", () => {
+  it("builds one 52-card deck per configured deck", () => {
+    expect(createShoe(6)).toHaveLength(312);
+    expect(createGame({ rules: { decks: 2 } }).deck).toHaveLength(104);
+  });
+
+  it("reshuffles once the cut card is reached", () => {
+    const rules = normalizeRules({ decks: 6, penetration: 0.75 });
+    expect(cutCardPosition(rules)).toBe(78);
+    const state = createGame({ rules });
+    const worn = { ...state, deck: state.deck.slice(0, 80) };
+    expect(ensureShoe(worn)).toBe(worn);
+    const reshuffled = ensureShoe({ ...state, deck: state.deck.slice(0, 77) });
+    expect(reshuffled.deck).toHaveLength(312);
+    expect(reshuffled.shoe.id).toBe(2);
+  });
+
+  it("never cuts deeper than the safety threshold", () => {
+    expect(cutCardPosition(normalizeRules({ decks: 1, penetration: 0.9 }))).toBe(15);
+  });
+
+  it("moves on to the next shoe when a round runs the shoe dry", () => {
+    const dealt = play(createGame({ seed: "dry-shoe" }), [
+      { type: "addBet", seat: 0, amount: 10 },
+      { type: "deal" },
+    ]);
+    expect(dealt.phase).toBe("playing");
+    const hit = gameReducer({ ...dealt, deck: [] }, { type: "hit" });
+    expect(hit.players[0].hands[0].cards).toHaveLength(3);
+    expect(hit.shoe).toMatchObject({ id: 2, dealt: [formatCard(hit.players[0].hands[0].cards[2])] });
+    expect(hit.shoeHistory).toEqual([]);
+    expect(verifyShoe(hit.shoe).ok).toBe(true);
+    expect(() => simulate({ rounds: 300, seats: 4, rules: { decks: 1 }, seed: "dry" })).not.toThrow();
+  });
+});
+
+describe("soft 17", () => {
+  // player 10+8, dealer 6 (hole) + A (up) — insurance declined, then a 3 if the dealer hits
+  const ranks = ["10", "6", "8", "A", "3"];
+
+  it("stands on soft 17 under S17", () => {
+    let state = table(1, ranks, [100], { dealerHitsSoft17: false });
+    state = play(state, [{ type: "deal" }, { type: "insurance", seat: 0, accept: false }, { type: "stand" }]);
+    state = gameReducer(state, { type: "playDealer" });
+    expect(state.dealer.hand).toHaveLength(2);
+    expect(state.players[0].hands[0].result).toBe("win");
+  });
+
+  it("draws to soft 17 under H17", () => {
+    let state = table(1, ranks, [100], { dealerHitsSoft17: true });
+    state = play(state, [{ type: "deal" }, { type: "insurance", seat: 0, accept: false }, { type: "stand" }]);
+    state = gameReducer(state, { type: "playDealer" });
+    expect(state.dealer.hand).toHaveLength(3);
+    expect(state.players[0].hands[0].result).toBe("lose");
+  });
+});
+
+describe("blackjack payout", () => {
+  it("pays 6:5 naturals in solo play", () => {
+    const state = play(table(1, ["A", "10", "K", "7"], [100], { blackjackPayout: "6:5" }), [
+      { type: "deal" },
+      { type: "playDealer" },
+    ]);
+    expect(state.players[0]).toMatchObject({ chips: 1120, delta: 120 });
+  });
+
+  it("rounds a 6:5 natural on an odd bet down to whole chips", () => {
+    const state = play(table(1, ["A", "10", "K", "7"], [13], { blackjackPayout: "6:5" }), [
+      { type: "deal" },
+      { type: "playDealer" },
+    ]);
+    expect(state.players[0]).toMatchObject({ chips: 1015, delta: 15, hands: [{ result: "blackjack", delta: 15 }] });
+  });
+
+  it("weights 6:5 naturals at 1.2 in the pot", () => {
+    // seat 1: A+K, seat 2: 10+9, dealer 10+7
+    const state = play(table(2, ["A", "10", "10", "K", "9", "7"], [100, 100], { blackjackPayout: "6:5" }), [
+      { type: "deal" },
+      { type: "stand" },
+      { type: "playDealer" },
+    ]);
+    const [natural, win] = state.players;
+    expect(natural.chips - 900).toBe(Math.round((200 * 1.2) / 2.2));
+    expect(win.chips - 900).toBe(Math.round(200 / 2.2));
+  });
+});
+
+describe("bet limits", () => {
+  it("clamps bets and all-in to the table maximum", () => {
+    let state = createGame({ playerCount: 1, rules: { maxBet: 200 } });
+    state = gameReducer(state, { type: "addBet", seat: 0, amount: 500 });
+    expect(state.players[0].bet).toBe(200);
+    state = gameReducer(state, { type: "allIn", seat: 0 });
+    expect(state.players[0].bet).toBe(200);
+  });
+
+  it("rejects a deal below the table minimum", () => {
+    const state = table(1, ["10", "10", "8", "7"], [25], { minBet: 50 });
+    expect(gameReducer(state, { type: "deal" }).phase).toBe("betting");
+  });
+
+  it("sits out seats that cannot cover the minimum", () => {
+    let state = createGame({ playerCount: 2, deck: stackDeck(["10", "10", "8", "7"]), rules: { minBet: 50 } });
+    state = {
+      ...state,
+      players: state.players.map((p, idx) => (idx === 1 ? { ...p, chips: 40 } : { ...p, bet: 100 })),
+    };
+    state = gameReducer(state, { type: "deal" });
+    expect(state.phase).toBe("playing");
+    expect(state.players[1].hands).toHaveLength(0);
+  });
+});
@@ -0,0 +1,138 @@
+import { cardValue, formatCard, RANKS, shuffle, SUITS } from "./cards.js";
+import { createShoe } from "./rules.js";
+import { variantOf } from "./variants.js";
+
+export const MAX_SCENARIO_SEATS = 4;
+
+export const SCENARIO_ERRORS = {
+  noName: "Give the scenario a name.",
+  seats: `A scenario has one to ${MAX_SCENARIO_SEATS} seats.`,
+  badCard: "Write each card as a rank and a suit, like A♠, 10h or kd.",
+  dealerCards: "The dealer needs an upcard and a hole card.",
+  seatCards: "Each seat needs two starting cards for every hand it plays.",
+  notInShoe: "The shoe doesn't hold that many of one of those cards.",
+};
+
+const SUIT_LETTERS = { s: "♠", h: "♥", d: "♦", c: "♣" };
+
+// Cards are written as a rank and a suit: "A♠", "10♥", or with letters, "Td"
+// or "qc".
+export const parseCard = (code) => {
+  const match = /^(10|[2-9TJQKA])([♠♥♦♣SHDC])$/i.exec(String(code).trim());
+  if (!match) return null;
+  const rank = match[1].toUpperCase() === "T" ? "10" : match[1].toUpperCase();
+  const suit = SUIT_LETTERS[match[2].toLowerCase()] ?? match[2];
+  return RANKS.includes(rank) && SUITS.includes(suit) ? { suit, rank, value: cardValue(rank) } : null;
+};
+
+// Splits what was typed into a card field: "A♠ 7d, 2c" is three cards.
+export const cardCodes = (text) => text.split(/[\s,]+/).filter(Boolean);
+
+// A scenario sets up the first round of a table:
+//   { name, seats: [[codes]], dealer: { up, hole }, next: [codes] }
+// Each seat lists its starting cards hand by hand (two per hand, so four in
+// Blackjack Switch), and `next` is drawn after them in order, by hits, doubles,
+// splits and the dealer alike.
+export const scenarioErrors = (scenario, rules) => {
+  const errors = [];
+  const { seats = [], dealer = {}, next = [] } = scenario;
+  if (!scenario.name?.trim()) errors.push(SCENARIO_ERRORS.noName);
+  if (seats.length < 1 || seats.length > MAX_SCENARIO_SEATS) errors.push(SCENARIO_ERRORS.seats);
+  const codes = [dealer.up, dealer.hole, ...seats.flat(), ...next].filter(Boolean);
+  if (codes.some((code) => !parseCard(code))) return [...errors, SCENARIO_ERRORS.badCard];
+  if (!dealer.up || !dealer.hole) errors.push(SCENARIO_ERRORS.dealerCards);
+  if (seats.some((cards) => cards.length !== variantOf(rules).hands * 2)) errors.push(SCENARIO_ERRORS.seatCards);
+  if (!errors.length && !takeFromShoe(scenarioOrder(scenario, rules), rules)) errors.push(SCENARIO_ERRORS.notInShoe);
+  return errors;
+};
+
+// The scenario's cards in the order they leave the shoe: the opening deal
+// goes round the seats hand by hand, hole card first, then everything in `next`.
+const scenarioOrder = (scenario, rules) => {
+  const { hands } = variantOf(rules);
+  const order = [];
+  for (let i = 0; i < 2; i += 1) {
+    scenario.seats.forEach((cards) => {
+      for (let hand = 0; hand < hands; hand += 1) order.push(cards[hand * 2 + i]);
+    });
+    order.push(i === 0 ? scenario.dealer.hole : scenario.dealer.up);
+  }
+  return [...order, ...scenario.next].map(parseCard);
+};
+
+// The rest of the shoe once the scenario's cards are taken out of it, or null
+// when it doesn't hold them all.
+const takeFromShoe = (cards, rules) => {
+  const rest = createShoe(rules.decks, rules.variant);
+  for (const wanted of cards) {
+    const index = rest.findIndex((card) => card.rank === wanted.rank && card.suit === wanted.suit);
+    if (index === -1) return null;
+    rest.splice(index, 1);
+  }
+  return rest;
+};
+
+// A full shoe that deals the scenario first, with the rest of its cards
+// shuffled underneath so counts and odds still add up. Check the scenario with
+// scenarioErrors first.
+export const scenarioDeck = (scenario, rules, rng = Math.random) => {
+  const stacked = scenarioOrder(scenario, rules);
+  return [...shuffle(takeFromShoe(stacked, rules), rng), ...stacked.reverse()];
+};
+
+// Writes every card the same way so saved scenarios read cleanly.
+export const normalizeScenario = ({ name, seats, dealer, next = [] }) => {
+  const tidy = (code) => formatCard(parseCard(code));
+  return {
+    name: name.trim(),
+    seats: seats.map((cards) => cards.map(tidy)),
+    dealer: { up: tidy(dealer.up), hole: tidy(dealer.hole) },
+    next: next.map(tidy),
+  };
+};
+
+// Saved scenarios are stored as { [name]: scenario }; saving under a name that
+// is already taken replaces that scenario.
+export const emptyScenarios = () => ({});
+
+export const saveScenario = (library, scenario) => {
+  const saved = normalizeScenario(scenario);
+  return { ...library, [saved.name]: saved };
+};
+
+export const removeScenario = (library, name) => {
+  const { [name]: removed, ...rest } = library;
+  return removed ? rest : library;
+};
+
+// Teaching spots that come with the game. Their names and lessons are in the
+// dictionaries under scenarios.builtIn.<id>.
+export const BUILT_IN_SCENARIOS = {
+  softEighteen: {
+    name: "Soft 18 against a 9",
+    seats: [["A♠", "7♦"]],
+    dealer: { up: "9♣", hole: "K♥" },
+    next: ["2♥", "5♠"],
+  },
+  aceAgainstBlackjack: {
+    name: "Dealer ace against a blackjack",
+    seats: [["A♥", "K♠"]],
+    dealer: { up: "A♣", hole: "6♦" },
+    next: ["4♠", "10♣"],
+  },
+  splitEights: {
+    name: "Split eights against a 10",
+    seats: [["8♠", "8♥"]],
+    dealer: { up: "10♦", hole: "7♠" },
+    next: ["3♣", "10♥", "J♦", "5♥"],
+  },
+  noWinners: {
+    name: "A pot with no winners",
+    seats: [
+      ["10♠", "6♥"],
+      ["9♦", "7♣"],
+    ],
+    dealer: { up: "10♥", hole: "Q♦" },
+    next: ["K♣", "8♠", "3♥"],
+  },
+};
@@ -0,0 +1,98 @@
+import { describe, expect, it } from "vitest";
+import { createGame } from "./game.js";
+import { normalizeRules } from "./rules.js";
+import {
+  BUILT_IN_SCENARIOS,
+  cardCodes,
+  parseCard,
+  removeScenario,
+  saveScenario,
+  SCENARIO_ERRORS,
+  scenarioDeck,
+  scenarioErrors,
+} from "./scenarios.js";
+import { play } from "./testUtils.js";
+
+const rules = normalizeRules();
+const start = (scenario, tableRules = rules) =>
+  play(
+    createGame({ playerCount: scenario.seats.length, deck: scenarioDeck(scenario, tableRules), rules: tableRules }),
+    scenario.seats.map((_, seat) => ({ type: "addBet", seat, amount: 50 }))
+  );
+const shown = (cards) => cards.map((card) => `${card.rank}${card.suit}`);
+
+describe("scenarios", () => {
+  it("read cards written with suit symbols or letters", () => {
+    expect(parseCard("10♥")).toEqual({ rank: "10", suit: "♥", value: 10 });
+    expect(parseCard("td")).toEqual({ rank: "10", suit: "♦", value: 10 });
+    expect(parseCard(" As ")).toEqual({ rank: "A", suit: "♠", value: 11 });
+    expect(parseCard("1♠")).toBeNull();
+    expect(parseCard("Kx")).toBeNull();
+    expect(cardCodes(" A♠ 7d,2c ")).toEqual(["A♠", "7d", "2c"]);
+  });
+
+  it("explain what is wrong with a scenario", () => {
+    const scenario = { name: "Test", seats: [["A♠", "7♦"]], dealer: { up: "9♣", hole: "K♥" }, next: [] };
+    expect(scenarioErrors(scenario, rules)).toEqual([]);
+    expect(scenarioErrors({ ...scenario, name: " ", next: ["7x"] }, rules)).toEqual([
+      SCENARIO_ERRORS.noName,
+      SCENARIO_ERRORS.badCard,
+    ]);
+    expect(scenarioErrors({ ...scenario, dealer: { up: "9♣" } }, rules)).toEqual([SCENARIO_ERRORS.dealerCards]);
+    expect(scenarioErrors(scenario, normalizeRules({ variant: "switch" }))).toEqual([SCENARIO_ERRORS.seatCards]);
+    expect(scenarioErrors({ ...scenario, next: ["A♠"] }, rules)).toEqual([SCENARIO_ERRORS.notInShoe]);
+    expect(scenarioErrors({ ...scenario, next: ["A♠"] }, normalizeRules({ decks: 2 }))).toEqual([]);
+    expect(scenarioErrors({ ...scenario, seats: [] }, rules)).toEqual([SCENARIO_ERRORS.seats]);
+  });
+
+  it("come with built-in spots that fit the default table", () => {
+    Object.values(BUILT_IN_SCENARIOS).forEach((scenario) => expect(scenarioErrors(scenario, rules)).toEqual([]));
+  });
+
+  it("deal the stacked cards first from a full shoe", () => {
+    const tableRules = normalizeRules({ decks: 2 });
+    let state = start(BUILT_IN_SCENARIOS.softEighteen, tableRules);
+    expect(state.deck).toHaveLength(104);
+    state = play(state, [{ type: "deal" }]);
+    expect(shown(state.players[0].hands[0].cards)).toEqual(["A♠", "7♦"]);
+    expect(shown(state.dealer.hand)).toEqual(["K♥", "9♣"]);
+    state = play(state, [{ type: "hit" }, { type: "stand" }, { type: "playDealer" }]);
+    expect(shown(state.players[0].hands[0].cards)).toEqual(["A♠", "7♦", "2♥"]);
+    expect(state.players[0].hands[0].result).toBe("win");
+  });
+
+  it("carry the pot over when nobody at the table wins", () => {
+    const state = play(start(BUILT_IN_SCENARIOS.noWinners), [
+      { type: "deal" },
+      { type: "hit" },
+      { type: "hit" },
+      { type: "playDealer" },
+    ]);
+    expect(state.players.map((player) => player.hands[0].status)).toEqual(["bust", "bust"]);
+    expect(state.pot).toBe(100);
+  });
+
+  it("deal each hand's cards in Blackjack Switch", () => {
+    const scenario = {
+      name: "Switch",
+      seats: [["10♠", "5♥", "6♦", "A♣"]],
+      dealer: { up: "7♠", hole: "10♦" },
+      next: [],
+    };
+    const state = play(start(scenario, normalizeRules({ variant: "switch" })), [{ type: "deal" }]);
+    expect(state.players[0].hands.map((hand) => shown(hand.cards))).toEqual([
+      ["10♠", "5♥"],
+      ["6♦", "A♣"],
+    ]);
+  });
+
+  it("are saved by name and written tidily", () => {
+    const scenario = { name: " Mine ", seats: [["as", "Td"]], dealer: { up: "9c", hole: "kh" }, next: ["2s"] };
+    const library = saveScenario({}, scenario);
+    expect(library).toEqual({
+      Mine: { name: "Mine", seats: [["A♠", "10♦"]], dealer: { up: "9♣", hole: "K♥" }, next: ["2♠"] },
+    });
+    expect(Object.keys(saveScenario(library, { ...scenario, next: [] }))).toEqual(["Mine"]);
+    expect(removeScenario(library, "Mine")).toEqual({});
+  });
+});
@@ -0,0 +1,213 @@
+import { RANKS, SUITS } from "./cards.js";
+import { BOT_PERSONALITIES } from "./bots.js";
+import { PHASES } from "./game.js";
+import { randomSeed } from "./random.js";
+import { normalizeRules } from "./rules.js";
+import { VARIANTS } from "./variants.js";
+
+export const SESSION_FORMAT = "blackjack-royale/session";
+export const SESSION_VERSION = 10;
+
+// MIGRATIONS[n] upgrades a version n file to version n + 1. Add a step here
+// whenever the saved game state changes shape, then bump SESSION_VERSION.
+export const MIGRATIONS = {
+  // v2 added the hand history; older tables start with an empty log.
+  1: (data) => ({ ...data, game: { ...data.game, history: [], roundLog: null } }),
+  // v3 gave each table an id so player statistics count its rounds once.
+  2: (data) => ({ ...data, game: { tableId: randomSeed(), ...data.game } }),
+  // v4 added bot seats; every seat in an older file is a person.
+  3: (data) => ({
+    ...data,
+    game: { ...data.game, players: data.game.players?.map((player) => ({ bot: null, ...player })) },
+  }),
+  // v5 let the dealer take unclaimed pots; the house has taken nothing yet.
+  4: (data) => ({ ...data, game: { house: 0, ...data.game } }),
+  // v6 added player profiles and rebuys; older seats are guests that never rebought.
+  5: (data) => ({
+    ...data,
+    game: {
+      ...data.game,
+      players: data.game.players?.map((player) => ({
+        profileId: null,
+        avatar: null,
+        color: null,
+        rebuys: 0,
+        ...player,
+      })),
+    },
+  }),
+  // v7 added tournaments; older tables are cash games.
+  6: (data) => ({ ...data, game: { tournament: null, ...data.game } }),
+  // v8 added turn clocks; older tables play untimed and nobody has a time bank.
+  7: (data) => ({
+    ...data,
+    game: {
+      clockBonus: null,
+      betTimeouts: 0,
+      ...data.game,
+      players: data.game.players?.map((player) => ({ timeBank: 0, lastBet: 0, sittingOut: false, ...player })),
+    },
+  }),
+  // v9 added side bets; nobody has placed one yet.
+  8: (data) => ({
+    ...data,
+    game: {
+      sideBetHouse: 0,
+      ...data.game,
+      players: data.game.players?.map((player) => ({
+        sideBets: { perfectPairs: 0, twentyOnePlusThree: 0 },
+        sideResults: [],
+        ...player,
+      })),
+    },
+  }),
+  // v10 added game variants; older tables, and the shoes they dealt, are classic.
+  9: (data) => ({
+    ...data,
+    game: {
+      ...data.game,
+      rules: { variant: "classic", ...data.game.rules },
+      shoe: data.game.shoe && { variant: "classic", ...data.game.shoe },
+      shoeHistory: data.game.shoeHistory?.map((shoe) => ({ variant: "classic", ...shoe })),
+    },
+  }),
+};
+
+export const serializeSession = (state, savedAt = new Date().toISOString()) => ({
+  format: SESSION_FORMAT,
+  version: SESSION_VERSION,
+  savedAt,
+  game: state,
+});
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isAmount = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+const cardErrors = (card, path) =>
+  isObject(card) && SUITS.includes(card.suit) && RANKS.includes(card.rank) && typeof card.value === "number"
+    ? []
+    : [`${path} is not a card`];
+
+const cardListErrors = (cards, path) =>
+  Array.isArray(cards)
+    ? cards.flatMap((card, index) => cardErrors(card, `${path}[${index}]`))
+    : [`${path} must be a list`];
+
+const handErrors = (hand, path) => {
+  if (!isObject(hand)) return [`${path} must be an object`];
+  return [
+    ...cardListErrors(hand.cards, `${path}.cards`),
+    ...(isAmount(hand.bet) ? [] : [`${path}.bet must be a non-negative number`]),
+    ...(typeof hand.status === "string" ? [] : [`${path}.status must be a string`]),
+  ];
+};
+
+const playerErrors = (player, path) => {
+  if (!isObject(player)) return [`${path} must be an object`];
+  return [
+    ...(typeof player.name === "string" ? [] : [`${path}.name must be a string`]),
+    ...(isAmount(player.chips) ? [] : [`${path}.chips must be a non-negative number`]),
+    ...(isAmount(player.bet) ? [] : [`${path}.bet must be a non-negative number`]),
+    ...(player.bot === null || player.bot in BOT_PERSONALITIES ? [] : [`${path}.bot is not a known personality`]),
+    ...(player.profileId === null || typeof player.profileId === "string"
+      ? []
+      : [`${path}.profileId must be a string or null`]),
+    ...(isCount(player.rebuys) ? [] : [`${path}.rebuys must be a whole number`]),
+    ...(isAmount(player.timeBank) ? [] : [`${path}.timeBank must be a non-negative number`]),
+    ...(isObject(player.sideBets) && Object.values(player.sideBets).every(isAmount)
+      ? []
+      : [`${path}.sideBets must map side bets to non-negative amounts`]),
+    ...(Array.isArray(player.hands)
+      ? player.hands.flatMap((hand, index) => handErrors(hand, `${path}.hands[${index}]`))
+      : [`${path}.hands must be a list`]),
+  ];
+};
+
+const shoeErrors = (shoe, path) => {
+  if (!isObject(shoe)) return [`${path} must be an object`];
+  return [
+    ...(isCount(shoe.id) ? [] : [`${path}.id must be a whole number`]),
+    ...(shoe.seed === null || typeof shoe.seed === "string" ? [] : [`${path}.seed must be a string or null`]),
+    ...(Array.isArray(shoe.dealt) ? [] : [`${path}.dealt must be a list`]),
+    ...(shoe.variant in VARIANTS ? [] : [`${path}.variant is not a known variant`]),
+  ];
+};
+
+export const validateGame = (game) => {
+  if (!isObject(game)) return ["game must be an object"];
+  const players = Array.isArray(game.players) ? game.players : [];
+  return [
+    ...(typeof game.tableId === "string" && game.tableId ? [] : ["tableId must be a non-empty string"]),
+    ...(PHASES.includes(game.phase) ? [] : [`phase must be one of ${PHASES.join(", ")}`]),
+    ...(Number.isInteger(game.round) && game.round >= 1 ? [] : ["round must be a positive whole number"]),
+    ...(isAmount(game.pot) ? [] : ["pot must be a non-negative number"]),
+    ...(isAmount(game.house) ? [] : ["house must be a non-negative number"]),
+    ...(Number.isFinite(game.sideBetHouse) ? [] : ["sideBetHouse must be a number"]),
+    ...(isObject(game.rules) ? [] : ["rules must be an object"]),
+    ...cardListErrors(game.deck, "deck"),
+    ...(isObject(game.dealer) && typeof game.dealer.hidden === "boolean"
+      ? cardListErrors(game.dealer.hand, "dealer.hand")
+      : ["dealer must have a hand and a hidden flag"]),
+    ...(players.length >= 1 && players.length <= 4 ? [] : ["players must list 1 to 4 seats"]),
+    ...players.flatMap((player, index) => playerErrors(player, `players[${index}]`)),
+    ...(isCount(game.currentIndex) && isCount(game.handIndex)
+      ? []
+      : ["currentIndex and handIndex must be whole numbers"]),
+    ...shoeErrors(game.shoe, "shoe"),
+    ...(Array.isArray(game.shoeHistory) ? [] : ["shoeHistory must be a list"]),
+    ...(Array.isArray(game.history) ? [] : ["history must be a list"]),
+    ...(game.roundLog === null || isObject(game.roundLog) ? [] : ["roundLog must be an object or null"]),
+    ...(game.tournament === null || (isObject(game.tournament) && Array.isArray(game.tournament.eliminated))
+      ? []
+      : ["tournament must be an object or null"]),
+  ];
+};
+
+// Problems a player can act on. The validation messages below them are for
+// whoever is debugging a damaged file and are not meant to be translated.
+export const SESSION_ERRORS = {
+  notJson: "The file is not valid JSON.",
+  notSession: "This is not a Blackjack Royale session file.",
+  noVersion: "The session file has no valid version.",
+  newer: "The session was saved by a newer version of the game.",
+};
+
+export const migrateSession = (data, migrations = MIGRATIONS, targetVersion = SESSION_VERSION) => {
+  let next = data;
+  while (next.version < targetVersion) {
+    const step = migrations[next.version];
+    if (!step) throw new Error(`No migration from session version ${next.version}.`);
+    next = { ...step(next), version: next.version + 1 };
+  }
+  return next;
+};
+
+// Accepts parsed JSON from storage or an imported file. Returns the game state
+// ready for the reducer, or the list of problems found.
+export const readSession = (data) => {
+  if (!isObject(data) || data.format !== SESSION_FORMAT) {
+    return { ok: false, errors: [SESSION_ERRORS.notSession] };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return { ok: false, errors: [SESSION_ERRORS.noVersion] };
+  }
+  if (data.version > SESSION_VERSION) {
+    return { ok: false, errors: [SESSION_ERRORS.newer] };
+  }
+
+  let migrated;
+  try {
+    migrated = migrateSession(data);
+  } catch (error) {
+    return { ok: false, errors: [error.message] };
+  }
+
+  const errors = validateGame(migrated.game);
+  if (errors.length) return { ok: false, errors };
+  return {
+    ok: true,
+    savedAt: migrated.savedAt,
+    game: { ...migrated.game, rules: normalizeRules(migrated.game.rules) },
+  };
+};
@@ -0,0 +1,125 @@
+import { describe, expect, it } from "vitest";
+import { createGame, gameReducer } from "./game.js";
+import { SESSION_VERSION, migrateSession, readSession, serializeSession } from "./session.js";
+import { play, table } from "./testUtils.js";
+
+const midRound = () =>
+  play(table(2, ["10", "10", "9", "8", "6", "7", "5"], [100, 50], { decks: 2 }), [{ type: "deal" }]);
+
+describe("session files", () => {
+  it("round-trips a game through JSON", () => {
+    const state = midRound();
+    const file = JSON.parse(JSON.stringify(serializeSession(state, "2026-10-19T20:00:00.000Z")));
+    const loaded = readSession(file);
+    expect(loaded).toMatchObject({ ok: true, savedAt: "2026-10-19T20:00:00.000Z" });
+    expect(loaded.game).toEqual(state);
+
+    const resumed = gameReducer(createGame(), { type: "restore", state: loaded.game });
+    expect(gameReducer(resumed, { type: "stand" }).players[0].hands[0].status).toBe("stand");
+  });
+
+  it("rejects files from another app or a newer version", () => {
+    expect(readSession({ hello: "world" }).errors[0]).toMatch(/not a Blackjack Royale session/);
+    const file = serializeSession(createGame());
+    expect(readSession({ ...file, version: SESSION_VERSION + 1 }).errors[0]).toMatch(/newer version/);
+    expect(readSession({ ...file, version: 0 }).ok).toBe(false);
+  });
+
+  it("reports every schema problem with its path", () => {
+    const state = midRound();
+    const broken = {
+      ...state,
+      phase: "napping",
+      pot: -5,
+      players: [{ ...state.players[0], chips: "lots" }, { ...state.players[1], hands: [{ cards: [{ rank: "Z" }] }] }],
+    };
+    const { ok, errors } = readSession(serializeSession(broken));
+    expect(ok).toBe(false);
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        expect.stringMatching(/^phase/),
+        expect.stringMatching(/^pot/),
+        "players[0].chips must be a non-negative number",
+        "players[1].hands[0].cards[0] is not a card",
+      ])
+    );
+  });
+
+  it("upgrades older files one version at a time", () => {
+    const migrations = {
+      1: (data) => ({ ...data, game: { ...data.game, round: data.game.turn } }),
+      2: (data) => ({ ...data, game: { ...data.game, pot: data.game.pot ?? 0 } }),
+    };
+    const migrated = migrateSession({ version: 1, game: { turn: 7 } }, migrations, 3);
+    expect(migrated).toEqual({ version: 3, game: { turn: 7, round: 7, pot: 0 } });
+    expect(() => migrateSession({ version: 1, game: {} }, {}, 2)).toThrow(/No migration from session version 1/);
+  });
+
+  it("gives version 1 files an empty hand history", () => {
+    const { history, roundLog, ...older } = midRound();
+    const loaded = readSession({ ...serializeSession(older), version: 1 });
+    expect(loaded.ok).toBe(true);
+    expect(loaded.game).toMatchObject({ history: [], roundLog: null });
+  });
+
+  it("gives version 2 files a table id", () => {
+    const { tableId, ...older } = midRound();
+    const loaded = readSession({ ...serializeSession(older), version: 2 });
+    expect(loaded.game.tableId).toMatch(/^[0-9a-f]{32}$/);
+    expect(loaded.game.tableId).not.toBe(tableId);
+  });
+
+  it("gives version 4 files an empty house", () => {
+    const { house, ...older } = midRound();
+    const loaded = readSession({ ...serializeSession(older), version: 4 });
+    expect(loaded.ok).toBe(true);
+    expect(loaded.game.house).toBe(0);
+  });
+
+  it("gives version 5 seats no profile and no rebuys", () => {
+    const older = midRound();
+    older.players = older.players.map(({ profileId, avatar, color, rebuys, ...player }) => player);
+    const loaded = readSession({ ...serializeSession(older), version: 5 });
+    expect(loaded.ok).toBe(true);
+    expect(loaded.game.players[0]).toMatchObject({ profileId: null, avatar: null, color: null, rebuys: 0 });
+  });
+
+  it("makes version 6 tables cash games", () => {
+    const { tournament, ...older } = midRound();
+    const loaded = readSession({ ...serializeSession(older), version: 6 });
+    expect(loaded.ok).toBe(true);
+    expect(loaded.game.tournament).toBeNull();
+  });
+
+  it("leaves version 7 tables untimed", () => {
+    const { clockBonus, betTimeouts, ...older } = midRound();
+    older.players = older.players.map(({ timeBank, lastBet, sittingOut, ...player }) => player);
+    older.rules = { ...older.rules, turnSeconds: undefined };
+    const loaded = readSession({ ...serializeSession(older), version: 7 });
+    expect(loaded.ok).toBe(true);
+    expect(loaded.game).toMatchObject({ clockBonus: null, betTimeouts: 0 });
+    expect(loaded.game.rules.turnSeconds).toBe(0);
+    expect(loaded.game.players[0]).toMatchObject({ timeBank: 0, lastBet: 0, sittingOut: false });
+  });
+
+  it("gives version 8 seats no side bets", () => {
+    const { sideBetHouse, ...older } = midRound();
+    older.players = older.players.map(({ sideBets, sideResults, ...player }) => player);
+    const loaded = readSession({ ...serializeSession(older), version: 8 });
+    expect(loaded.ok).toBe(true);
+    expect(loaded.game.sideBetHouse).toBe(0);
+    expect(loaded.game.players[0]).toMatchObject({
+      sideBets: { perfectPairs: 0, twentyOnePlusThree: 0 },
+      sideResults: [],
+    });
+  });
+
+  it("makes version 9 tables and their shoes classic", () => {
+    const older = midRound();
+    const { variant, ...shoe } = older.shoe;
+    const loaded = readSession({ ...serializeSession({ ...older, shoe }), version: 9 });
+    expect(loaded.ok).toBe(true);
+    expect(loaded.game.rules.variant).toBe("classic");
+    expect(loaded.game.shoe.variant).toBe("classic");
+  });
+});
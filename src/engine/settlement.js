@@ -0,0 +1,237 @@
+import { calculateHand } from "./cards.js";
+import { isNatural } from "./hands.js";
+import { DEFAULT_RULES, blackjackMultiplier } from "./rules.js";
+import { variantOf } from "./variants.js";
+
+const sum = (amounts) => amounts.reduce((total, amount) => total + amount, 0);
+
+export const resolveResult = (hand, dealerTotal, dealerBlackjack, dealerBust, rules = DEFAULT_RULES) => {
+  const playerTotal = calculateHand(hand.cards);
+  if (hand.evenMoney) return "evenMoney";
+  if (hand.status === "surrender") return "surrender";
+  if (hand.status === "bust") return "lose";
+  const dealer = { total: dealerTotal, blackjack: dealerBlackjack, bust: dealerBust };
+  const variantResult = variantOf(rules).resolve?.(hand, dealer);
+  if (variantResult) return variantResult;
+  if (isNatural(hand) && dealerBlackjack) return "push";
+  if (dealerBlackjack) return "lose";
+  if (isNatural(hand)) return "blackjack";
+  if (dealerBust) return "win";
+  if (playerTotal > dealerTotal) return "win";
+  if (playerTotal < dealerTotal) return "lose";
+  return "push";
+};
+
+// Chips are only ever paid whole. A payout that works out to part of a chip (a
+// 6:5 natural or a 3:2 bonus on an odd bet, half of an odd bet surrendered) is
+// rounded down, and the odd part stays with the house or in the pot. The
+// allowance absorbs float noise such as 25 * 2.2 = 55.00000000000001.
+export const wholeChips = (amount) => Math.floor(amount + 1e-9);
+
+// Portion of a hand's wager handed straight back regardless of the pot.
+const refundOf = (hand) => {
+  if (hand.result === "push") return hand.bet;
+  if (hand.result === "surrender") return wholeChips(hand.bet / 2);
+  return 0;
+};
+
+const isWinner = (hand) => ["win", "blackjack", "evenMoney"].includes(hand.result);
+
+// What a winning hand is paid to one: the natural payout for a blackjack, the
+// variant's bonus for a hand that earned one, otherwise even money.
+export const winOdds = (hand, rules = DEFAULT_RULES) => {
+  if (hand.result === "blackjack") return blackjackMultiplier(rules);
+  return (hand.result === "win" && variantOf(rules).bonuses?.[hand.bonus]) || 1;
+};
+
+// Insurance pays 2:1, so a winning stake comes back three times over.
+export const insuranceReturn = (player, dealerBlackjack) =>
+  dealerBlackjack && player.insurance?.decision === "accept" ? player.insurance.amount * 3 : 0;
+
+const withHandReturns = (player, returnOf, sideReturn) => {
+  const hands = player.hands.map((hand, index) => ({ ...hand, delta: returnOf(hand, index) - hand.bet }));
+  const returned = sum(player.hands.map((hand, index) => returnOf(hand, index)));
+  const finalChips = player.chips + sideReturn + returned;
+  return {
+    ...player,
+    hands,
+    chips: finalChips,
+    delta: finalChips - player.roundStartChips,
+  };
+};
+
+export const settleSolo = (players, dealerBlackjack = false, rules = DEFAULT_RULES) =>
+  players.map((player) =>
+    withHandReturns(
+      player,
+      (hand) => {
+        if (isWinner(hand)) return hand.bet + wholeChips(hand.bet * winOdds(hand, rules));
+        return refundOf(hand);
+      },
+      insuranceReturn(player, dealerBlackjack)
+    )
+  );
+
+// Splits a whole number of chips between claims by weight without creating or
+// losing any: each claim gets the floor of its share and the chips left over go
+// to the largest remainders, earlier claims first on a tie. Fractions of a chip
+// are not split at all; they come back as `left`.
+export const splitExact = (amount, weights) => {
+  const total = sum(weights);
+  if (total <= 0) return { shares: weights.map(() => 0), left: amount };
+  const whole = Math.floor(amount);
+  const exact = weights.map((weight) => (whole * weight) / total);
+  const shares = exact.map(Math.floor);
+  let spare = whole - sum(shares);
+  const order = exact.map((_, index) => index).sort((a, b) => exact[b] - shares[b] - (exact[a] - shares[a]) || a - b);
+  for (const index of order) {
+    if (spare <= 0) break;
+    shares[index] += 1;
+    spare -= 1;
+  }
+  return { shares, left: amount - whole };
+};
+
+// A natural outranks any other 21; otherwise the higher total wins.
+const handRank = (hand) => (hand.result === "blackjack" || hand.evenMoney ? 22 : calculateHand(hand.cards));
+
+// Splits the pool between every winning hand by weight.
+const splitProportional = (claims, pool) => {
+  const winners = claims.filter((claim) => claim.winner);
+  const { shares, left } = splitExact(pool, winners.map((claim) => claim.weight));
+  return { payouts: winners.map((claim, index) => [claim, shares[index]]), returned: [], left };
+};
+
+// Only the best winning hands share the pool.
+const splitWinnerTakesAll = (claims, pool) => {
+  const best = Math.max(...claims.filter((claim) => claim.winner).map((claim) => handRank(claim.hand)));
+  return splitProportional(
+    claims.map((claim) => ({ ...claim, winner: claim.winner && handRank(claim.hand) === best })),
+    pool
+  );
+};
+
+// Poker-style side pots: a seat's wagers left in the pool set the most it can
+// win from each other seat. Each layer is split between the winners who
+// reached it; layers above every winner go back to the seats that paid in.
+// Chips in the pool that are not anyone's wager this round (a carried-over pot,
+// lost insurance) join the main pot, and winning insurance is paid out of it.
+const splitSidePots = (claims, pool, players) => {
+  const stakes = players.map((_, seat) =>
+    sum(claims.filter((claim) => claim.seat === seat).map((claim) => claim.hand.bet - claim.refund))
+  );
+  const levels = [...new Set(stakes.filter((stake) => stake > 0))].sort((a, b) => a - b);
+  const layers = levels.map((level, index) => {
+    const contributors = stakes.map((stake, seat) => (stake >= level ? seat : -1)).filter((seat) => seat !== -1);
+    return { contributors, amount: (level - (levels[index - 1] ?? 0)) * contributors.length };
+  });
+  let extra = pool - sum(stakes);
+  for (const layer of layers) {
+    const moved = Math.max(extra, -layer.amount);
+    layer.amount += moved;
+    extra -= moved;
+    if (extra >= 0) break;
+  }
+
+  const payouts = [];
+  const returned = [];
+  let left = extra;
+  layers.forEach((layer) => {
+    const eligible = claims.filter((claim) => claim.winner && layer.contributors.includes(claim.seat));
+    if (eligible.length) {
+      const split = splitProportional(eligible, layer.amount);
+      payouts.push(...split.payouts);
+      left += split.left;
+    } else {
+      const { shares, left: rest } = splitExact(layer.amount, layer.contributors.map(() => 1));
+      layer.contributors.forEach((seat, index) => returned.push([seat, shares[index]]));
+      left += rest;
+    }
+  });
+  return { payouts, returned, left };
+};
+
+const POT_SPLITS = {
+  proportional: { split: splitProportional, unclaimed: "carry" },
+  winnerTakesAll: { split: splitWinnerTakesAll, unclaimed: "carry" },
+  sidePots: { split: splitSidePots, unclaimed: "carry" },
+  dealerTakes: { split: splitProportional, unclaimed: "house" },
+};
+
+// Insurance stakes sit in the pot with the main bets; winning insurance and
+// pushed or surrendered stakes are paid out of the pot first, then the pot
+// mode splits the remaining pool. A pool nobody wins carries over to the next
+// round, or goes to the house when the dealer takes unclaimed pots. The ledger
+// accounts for every chip that was in the pot.
+export const settlePot = (players, pot, dealerBlackjack = false, rules = DEFAULT_RULES) => {
+  const modeKey = POT_SPLITS[rules.potMode] ? rules.potMode : DEFAULT_RULES.potMode;
+  const mode = POT_SPLITS[modeKey];
+  const insurance = players.map((player) => insuranceReturn(player, dealerBlackjack));
+  const claims = players.flatMap((player, seat) =>
+    player.hands.map((hand, index) => ({
+      seat,
+      index,
+      hand,
+      refund: refundOf(hand),
+      winner: isWinner(hand),
+      weight: hand.bet * winOdds(hand, rules),
+    }))
+  );
+  const pool = pot - sum(claims.map((claim) => claim.refund)) - sum(insurance);
+
+  const claimed = claims.some((claim) => claim.winner);
+  const split = claimed ? mode.split(claims, pool, players) : { payouts: [], returned: [], left: pool };
+  const toHouse = !claimed && mode.unclaimed === "house" ? split.left : 0;
+  const carried = split.left - toHouse;
+
+  const payouts = players.map((player) => player.hands.map(() => 0));
+  split.payouts.forEach(([claim, amount]) => {
+    payouts[claim.seat][claim.index] += amount;
+  });
+  const returned = players.map(() => 0);
+  split.returned.forEach(([seat, amount]) => {
+    returned[seat] += amount;
+  });
+
+  return {
+    players: players.map((player, seat) =>
+      withHandReturns(
+        player,
+        (hand, index) => refundOf(hand) + payouts[seat][index],
+        insurance[seat] + returned[seat]
+      )
+    ),
+    pot: carried,
+    house: toHouse,
+    ledger: {
+      mode: modeKey,
+      opening: pot,
+      insurance,
+      refunds: players.map((player) => sum(player.hands.map(refundOf))),
+      payouts: payouts.map(sum),
+      returned,
+      house: toHouse,
+      carried,
+    },
+  };
+};
+
+// Every chip a multi-seat table holds: the seats' stacks, the pot, whatever
+// the house has taken and its running side-bet result. Settlement must never
+// change it.
+export const tableChips = (state) =>
+  sum(state.players.map((player) => player.chips)) + state.pot + (state.house ?? 0) + (state.sideBetHouse ?? 0);
+
+// Checks a ledger balances: everything that was in the pot was paid out,
+// returned, carried over or taken by the house.
+export const ledgerBalances = (ledger) => {
+  const out = sum([
+    ...ledger.insurance,
+    ...ledger.refunds,
+    ...ledger.payouts,
+    ...ledger.returned,
+    ledger.house,
+    ledger.carried,
+  ]);
+  return Math.abs(out - ledger.opening) < 1e-9;
+};
@@ -0,0 +1,106 @@
+import { describe, expect, it } from "vitest";
+import { botMove } from "./bots.js";
+import { createGame, gameReducer } from "./game.js";
+import { POT_MODES, normalizeRules } from "./rules.js";
+import { ledgerBalances, settlePot, splitExact, tableChips } from "./settlement.js";
+import { card } from "./testUtils.js";
+
+const seat = (bet, result, ranks = ["10", "8"]) => ({
+  chips: 1000 - bet,
+  roundStartChips: 1000,
+  insurance: null,
+  hands: [{ cards: ranks.map((rank) => card(rank)), bet, result, status: "stand" }],
+});
+
+const settle = (players, pot, potMode) => settlePot(players, pot, false, normalizeRules({ potMode }));
+
+const chipsOf = (settled) => settled.players.map((player) => player.chips);
+
+describe("splitExact", () => {
+  it("hands leftover chips to the largest remainders, earlier claims first", () => {
+    expect(splitExact(100, [1, 1, 1])).toEqual({ shares: [34, 33, 33], left: 0 });
+    expect(splitExact(101, [1, 1])).toEqual({ shares: [51, 50], left: 0 });
+    expect(splitExact(10, [1, 2])).toEqual({ shares: [3, 7], left: 0 });
+  });
+
+  it("keeps fractions of a chip back instead of splitting them", () => {
+    expect(splitExact(10.5, [1, 1])).toEqual({ shares: [5, 5], left: 0.5 });
+    expect(splitExact(40, [])).toEqual({ shares: [], left: 40 });
+  });
+});
+
+describe("pot modes", () => {
+  it("splits the pool by stake without creating chips", () => {
+    const settled = settle([seat(100, "win"), seat(100, "win"), seat(100, "win"), seat(100, "lose")], 400);
+    expect(chipsOf(settled)).toEqual([1034, 1033, 1033, 900]);
+    expect(settled.pot).toBe(0);
+    expect(settled.ledger).toMatchObject({ mode: "proportional", payouts: [134, 133, 133, 0], carried: 0 });
+  });
+
+  it("gives the whole pool to the best hand in winner-takes-all", () => {
+    const players = [seat(100, "win", ["10", "9"]), seat(100, "win", ["10", "10"]), seat(100, "lose")];
+    const settled = settle(players, 300, "winnerTakesAll");
+    expect(chipsOf(settled)).toEqual([900, 1200, 900]);
+    expect(settled.players[0].hands[0].delta).toBe(-100);
+  });
+
+  it("caps an all-in seat at its own stake with side pots", () => {
+    const players = [seat(50, "win"), seat(200, "lose"), seat(200, "lose")];
+    const settled = settle(players, 480, "sidePots");
+    // main pot: 50 from each seat plus the 30 carried in; the rest goes back
+    expect(chipsOf(settled)).toEqual([950 + 180, 800 + 150, 800 + 150]);
+    expect(settled.ledger).toMatchObject({ payouts: [180, 0, 0], returned: [0, 150, 150], carried: 0 });
+  });
+
+  it("shares a side pot between the winners who reached it", () => {
+    const players = [seat(50, "win"), seat(100, "win"), seat(100, "lose")];
+    const settled = settle(players, 250, "sidePots");
+    // main pot 150 split 1:2, side pot 100 all to seat 2
+    expect(chipsOf(settled)).toEqual([950 + 50, 900 + 200, 900]);
+  });
+
+  it("carries an unclaimed pool over, or gives it to the house", () => {
+    const losers = [seat(100, "lose"), seat(50, "lose")];
+    expect(settle(losers, 150)).toMatchObject({ pot: 150, house: 0 });
+    expect(settle(losers, 150, "dealerTakes")).toMatchObject({ pot: 0, house: 150 });
+    expect(settle([seat(100, "win"), seat(50, "lose")], 150, "dealerTakes")).toMatchObject({ pot: 0, house: 0 });
+  });
+
+  it("balances the ledger with refunds rounded down to whole chips", () => {
+    const surrendered = { ...seat(25, "surrender"), hands: [{ ...seat(25).hands[0], result: "surrender" }] };
+    const settled = settle([seat(100, "win"), seat(100, "win"), seat(100, "push"), surrendered], 325);
+    expect(settled.ledger.refunds).toEqual([0, 0, 100, 12]);
+    expect(settled.ledger.payouts).toEqual([107, 106, 0, 0]);
+    expect(settled.pot).toBe(0);
+    expect(ledgerBalances(settled.ledger)).toBe(true);
+  });
+});
+
+// Lets a table of bots play on with real shuffled shoes and checks that no
+// settlement ever creates or destroys a chip.
+const playBots = (state, steps) => {
+  let next = state;
+  for (let step = 0; step < steps; step += 1) {
+    const move = next.phase === "dealer" ? { type: "playDealer" } : botMove(next);
+    if (!move) break;
+    const chips = tableChips(next);
+    next = gameReducer(next, move);
+    expect(tableChips(next)).toBe(chips);
+  }
+  return next;
+};
+
+describe("chip conservation", () => {
+  it.each(Object.keys(POT_MODES))("holds in %s mode", (potMode) => {
+    const state = createGame({
+      playerCount: 3,
+      seats: [{ bot: "basic" }, { bot: "aggressive" }, { bot: "neverBust" }],
+      rules: { potMode, minBet: 25 },
+      seed: `conservation-${potMode}`,
+    });
+    const after = playBots(state, 1500);
+    expect(after.history.length).toBeGreaterThan(50);
+    after.history.forEach((record) => expect(ledgerBalances(record.ledger)).toBe(true));
+    expect(tableChips(after)).toBe(3000);
+  });
+});
@@ -0,0 +1,88 @@
+import { RANKS } from "./cards.js";
+import { variantOf } from "./variants.js";
+
+export const SIDE_BETS = {
+  perfectPairs: "Perfect Pairs",
+  twentyOnePlusThree: "21+3",
+};
+
+// What each outcome pays to one, best outcome first. A table turns a side bet
+// on by picking one of its pay tables.
+export const SIDE_BET_PAY_TABLES = {
+  perfectPairs: {
+    standard: { perfect: 25, coloured: 12, mixed: 6 },
+    highPerfect: { perfect: 30, coloured: 10, mixed: 5 },
+  },
+  twentyOnePlusThree: {
+    standard: { suitedTrips: 100, straightFlush: 40, trips: 30, straight: 10, flush: 5 },
+    flat: { suitedTrips: 9, straightFlush: 9, trips: 9, straight: 9, flush: 9 },
+  },
+};
+
+export const emptySideBets = () => ({ perfectPairs: 0, twentyOnePlusThree: 0 });
+
+export const sideBetTotal = (player) => Object.values(player.sideBets ?? {}).reduce((sum, amount) => sum + amount, 0);
+
+const isRed = (card) => card.suit === "♥" || card.suit === "♦";
+
+// The first two cards as a pair: same suit, same colour or mixed.
+export const perfectPairsOutcome = ([first, second]) => {
+  if (first.rank !== second.rank) return null;
+  if (first.suit === second.suit) return "perfect";
+  return isRed(first) === isRed(second) ? "coloured" : "mixed";
+};
+
+// Ranks in order with the ace both low (A-2-3) and high (Q-K-A).
+const isStraight = (cards) => {
+  const positions = cards.map((card) => RANKS.indexOf(card.rank)).sort((a, b) => a - b);
+  const run = (values) => values.every((value, index) => index === 0 || value === values[index - 1] + 1);
+  return run(positions) || (positions[0] === 0 && run([...positions.slice(1), RANKS.length]));
+};
+
+// The player's two cards and the dealer's upcard as a three-card poker hand.
+export const twentyOnePlusThreeOutcome = (cards, upcard) => {
+  const hand = [...cards.slice(0, 2), upcard];
+  const flush = hand.every((card) => card.suit === hand[0].suit);
+  const trips = hand.every((card) => card.rank === hand[0].rank);
+  if (trips) return flush ? "suitedTrips" : "trips";
+  const straight = isStraight(hand);
+  if (straight && flush) return "straightFlush";
+  if (straight) return "straight";
+  return flush ? "flush" : null;
+};
+
+const OUTCOMES = { perfectPairs: perfectPairsOutcome, twentyOnePlusThree: twentyOnePlusThreeOutcome };
+
+// Chips the seat can still put on `kind` without going past its stack or the
+// table maximum. The main bet is held back once for every hand it goes on.
+export const sideBetRoom = (player, kind, rules) => {
+  if (rules[kind] === "off") return 0;
+  const free = player.chips - player.bet * variantOf(rules).hands - sideBetTotal(player) + player.sideBets[kind];
+  return Math.max(0, Math.min(free, rules.maxBet ?? free));
+};
+
+// Side bets are decided by the opening cards and settled with the house the
+// moment they are dealt, so they never touch a shared pot. Stakes were taken
+// when the cards went out; a win returns the stake with its payout. Each
+// result is { kind, amount, outcome, delta }.
+export const settleSideBets = (players, upcard, rules) => {
+  const events = [];
+  let house = 0;
+  const settled = players.map((player, seat) => {
+    const results = Object.keys(SIDE_BETS)
+      .filter((kind) => player.sideBets[kind] > 0 && player.hands.length)
+      .map((kind) => {
+        const amount = player.sideBets[kind];
+        const outcome = OUTCOMES[kind](player.hands[0].cards, upcard);
+        const pays = outcome ? SIDE_BET_PAY_TABLES[kind][rules[kind]][outcome] : 0;
+        return { kind, amount, outcome, delta: outcome ? amount * pays : -amount };
+      });
+    results.forEach((result) => {
+      events.push({ type: "sideBet", seat, ...result });
+      house -= result.delta;
+    });
+    const returned = results.reduce((sum, result) => sum + (result.outcome ? result.amount + result.delta : 0), 0);
+    return { ...player, chips: player.chips + returned, sideResults: results };
+  });
+  return { players: settled, events, house };
+};
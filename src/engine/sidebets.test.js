@@ -0,0 +1,105 @@
+import { describe, expect, it } from "vitest";
+import { createGame } from "./game.js";
+import { tableChips } from "./settlement.js";
+import { perfectPairsOutcome, twentyOnePlusThreeOutcome } from "./sidebets.js";
+import { card, play, stackDeck } from "./testUtils.js";
+
+const SIDE_RULES = { perfectPairs: "standard", twentyOnePlusThree: "standard" };
+
+describe("side bet outcomes", () => {
+  it("grades pairs by suit and colour", () => {
+    expect(perfectPairsOutcome([card("A"), card("A")])).toBe("perfect");
+    expect(perfectPairsOutcome([card("Q", "♠"), card("Q", "♣")])).toBe("coloured");
+    expect(perfectPairsOutcome([card("7", "♠"), card("7", "♥")])).toBe("mixed");
+    expect(perfectPairsOutcome([card("10"), card("K")])).toBeNull();
+  });
+
+  it("reads 21+3 as a three-card poker hand", () => {
+    const hand = (ranks, suits, up) =>
+      twentyOnePlusThreeOutcome([card(ranks[0], suits[0]), card(ranks[1], suits[1])], up);
+    expect(hand(["7", "7"], ["♥", "♥"], card("7", "♥"))).toBe("suitedTrips");
+    expect(hand(["7", "7"], ["♥", "♠"], card("7", "♦"))).toBe("trips");
+    expect(hand(["9", "10"], ["♠", "♠"], card("J"))).toBe("straightFlush");
+    expect(hand(["Q", "K"], ["♠", "♥"], card("A", "♦"))).toBe("straight");
+    expect(hand(["A", "2"], ["♠", "♥"], card("3", "♦"))).toBe("straight");
+    expect(hand(["K", "A"], ["♠", "♥"], card("2", "♦"))).toBeNull();
+    expect(hand(["2", "5"], ["♣", "♣"], card("9", "♣"))).toBe("flush");
+  });
+});
+
+describe("side bets at the table", () => {
+  // Seat 1: 8♥ 8♦ (coloured pair). Seat 2: 9♠ 10♠ with the dealer's J♠ up
+  // (straight flush). The dealer's K♣ hole card means no blackjack.
+  const cards = [card("8", "♥"), card("9"), card("K", "♣"), card("8", "♦"), card("10"), card("J")];
+  const bets = [
+    { type: "addBet", seat: 0, amount: 50 },
+    { type: "addSideBet", seat: 0, kind: "perfectPairs", amount: 10 },
+    { type: "addSideBet", seat: 0, kind: "twentyOnePlusThree", amount: 5 },
+    { type: "addBet", seat: 1, amount: 50 },
+    { type: "addSideBet", seat: 1, kind: "twentyOnePlusThree", amount: 5 },
+  ];
+
+  it("settle with the house as soon as the cards are out, outside the pot", () => {
+    const state = createGame({ playerCount: 2, deck: stackDeck(cards), rules: SIDE_RULES });
+    const dealt = play(state, [...bets, { type: "deal" }]);
+    expect(dealt.phase).toBe("playing");
+    expect(dealt.pot).toBe(100);
+    expect(dealt.players.map((player) => player.chips)).toEqual([1000 - 65 + 130, 1000 - 55 + 205]);
+    expect(dealt.players[0].sideResults).toEqual([
+      { kind: "perfectPairs", amount: 10, outcome: "coloured", delta: 120 },
+      { kind: "twentyOnePlusThree", amount: 5, outcome: null, delta: -5 },
+    ]);
+    expect(dealt.sideBetHouse).toBe(-315);
+    expect(tableChips(dealt)).toBe(tableChips(state));
+    expect(dealt.roundLog.events.filter((event) => event.type === "sideBet")).toHaveLength(3);
+
+    const settled = play(dealt, [{ type: "stand" }, { type: "stand" }, { type: "playDealer" }]);
+    expect(settled.players[0].delta).toBe(115 + settled.players[0].hands[0].delta);
+    expect(settled.history[0].results[1].sideBets[0]).toMatchObject({ outcome: "straightFlush", delta: 200 });
+  });
+
+  it("pay a solo seat straight from its stack", () => {
+    const solo = [card("8", "♥"), card("K", "♣"), card("8", "♦"), card("J")];
+    const state = createGame({ deck: stackDeck(solo), rules: SIDE_RULES });
+    const dealt = play(state, [...bets.slice(0, 2), { type: "deal" }]);
+    expect(dealt.pot).toBe(0);
+    expect(dealt.players[0].chips).toBe(1000 - 60 + 130);
+  });
+
+  it("only take side bets the table offers and the stack covers", () => {
+    const state = createGame({ rules: { perfectPairs: "standard", maxBet: 100 } });
+    const placed = play(state, [
+      { type: "addSideBet", seat: 0, kind: "twentyOnePlusThree", amount: 25 },
+      { type: "addSideBet", seat: 0, kind: "perfectPairs", amount: 500 },
+      { type: "allIn", seat: 0 },
+    ]);
+    expect(placed.players[0]).toMatchObject({ bet: 100, sideBets: { perfectPairs: 100, twentyOnePlusThree: 0 } });
+    const broke = play(createGame({ rules: SIDE_RULES, seats: [{ chips: 60 }] }), [
+      { type: "addSideBet", seat: 0, kind: "perfectPairs", amount: 25 },
+      { type: "allIn", seat: 0 },
+    ]);
+    expect(broke.players[0].bet).toBe(35);
+    expect(play(broke, [{ type: "clearBet", seat: 0 }]).players[0].sideBets.perfectPairs).toBe(0);
+  });
+
+  it("leave the main bet free for both Blackjack Switch hands", () => {
+    const state = createGame({ rules: { ...SIDE_RULES, variant: "switch" } });
+    const placed = play(state, [
+      { type: "addBet", seat: 0, amount: 400 },
+      { type: "addSideBet", seat: 0, kind: "perfectPairs", amount: 500 },
+    ]);
+    expect(placed.players[0].sideBets.perfectPairs).toBe(200);
+    expect(play(placed, [{ type: "deal" }]).phase).not.toBe("betting");
+  });
+
+  it("ignore chip amounts that are not positive", () => {
+    const state = createGame({ rules: SIDE_RULES });
+    const placed = play(state, [
+      { type: "addSideBet", seat: 0, kind: "perfectPairs", amount: -5000 },
+      { type: "addSideBet", seat: 0, kind: "twentyOnePlusThree", amount: Number.NaN },
+      { type: "addBet", seat: 0, amount: -50 },
+      { type: "addBet", seat: 0, amount: Infinity },
+    ]);
+    expect(placed.players[0]).toMatchObject({ bet: 0, sideBets: { perfectPairs: 0, twentyOnePlusThree: 0 } });
+  });
+});
@@ -0,0 +1,143 @@
+import { calculateHand } from "./cards.js";
+import { BOT_PERSONALITIES, botMove } from "./bots.js";
+import { createGame, gameReducer, isMultiTable } from "./game.js";
+import { maxBetFor, normalizeRules } from "./rules.js";
+import { tableChips } from "./settlement.js";
+
+export const BETTING_STRATEGIES = {
+  flat: { label: "Flat", next: (base) => base },
+  // Doubles the bet after every losing round and drops back after a win or push.
+  martingale: { label: "Martingale", next: (base, previous, delta) => (delta < 0 ? previous * 2 : base) },
+};
+
+const emptySeatResult = (strategy) => ({
+  strategy,
+  rounds: 0,
+  hands: 0,
+  wagered: 0,
+  net: 0,
+  sumSquares: 0,
+  wins: 0,
+  losses: 0,
+  pushes: 0,
+  blackjacks: 0,
+  busts: 0,
+});
+
+const tallySeat = (seat, player, wager) => {
+  const { hands, delta } = player;
+  const count = (test) => hands.filter(test).length;
+  return {
+    ...seat,
+    rounds: seat.rounds + 1,
+    hands: seat.hands + hands.length,
+    wagered: seat.wagered + wager,
+    net: seat.net + delta,
+    sumSquares: seat.sumSquares + delta * delta,
+    wins: seat.wins + count((hand) => ["win", "blackjack", "evenMoney"].includes(hand.result)),
+    losses: seat.losses + count((hand) => hand.result === "lose"),
+    pushes: seat.pushes + count((hand) => hand.result === "push"),
+    blackjacks: seat.blackjacks + count((hand) => hand.result === "blackjack"),
+    busts: seat.busts + count((hand) => calculateHand(hand.cards) > 21),
+  };
+};
+
+// Plays one round to settlement with every seat driven by its bot personality.
+const playRound = (state, bets) => {
+  let next = bets.reduce((acc, amount, seat) => gameReducer(acc, { type: "addBet", seat, amount }), state);
+  next = gameReducer(next, { type: "deal" });
+  while (next.phase !== "roundEnd") {
+    const move = next.phase === "dealer" ? { type: "playDealer" } : botMove(next);
+    if (!move) throw new Error(`Simulation stalled in the ${next.phase} phase.`);
+    next = gameReducer(next, move);
+  }
+  return next;
+};
+
+// Runs rounds through the real reducer. Every seat has an unlimited bankroll
+// (chips are topped up before each round) so results measure the game itself
+// rather than the odds of going broke. History logs are dropped as the run
+// goes so memory stays flat over millions of rounds. Shared-pot tables are
+// checked every round for chips created or destroyed by settlement.
+export const simulate = ({
+  rounds = 10000,
+  seats = 1,
+  strategies = ["basic"],
+  betting = "flat",
+  bet,
+  rules,
+  seed,
+  bankroll = 1e9,
+  onProgress,
+} = {}) => {
+  const tableRules = normalizeRules(rules);
+  const baseBet = bet ?? tableRules.minBet;
+  const seatStrategies = Array.from({ length: seats }, (_, index) => strategies[index % strategies.length]);
+  seatStrategies.forEach((strategy) => {
+    if (!BOT_PERSONALITIES[strategy]) throw new Error(`Unknown playing strategy "${strategy}".`);
+  });
+  if (!BETTING_STRATEGIES[betting]) throw new Error(`Unknown betting strategy "${betting}".`);
+
+  let state = createGame({
+    playerCount: seats,
+    seats: seatStrategies.map((bot) => ({ bot })),
+    rules: tableRules,
+    seed,
+  });
+  let results = seatStrategies.map(emptySeatResult);
+  let bets = seatStrategies.map(() => baseBet);
+  let dealerBusts = 0;
+  let carryovers = 0;
+
+  for (let round = 1; round <= rounds; round += 1) {
+    state = { ...state, players: state.players.map((player) => ({ ...player, chips: bankroll })) };
+    const wagers = bets.map((amount, seat) => Math.min(amount, maxBetFor(state.players[seat], tableRules)));
+    const chipsBefore = tableChips(state);
+    state = playRound(state, wagers);
+    if (isMultiTable(state) && tableChips(state) !== chipsBefore) {
+      throw new Error(`Round ${round} changed the chips at the table from ${chipsBefore} to ${tableChips(state)}.`);
+    }
+
+    results = results.map((seat, index) => tallySeat(seat, state.players[index], wagers[index]));
+    if (calculateHand(state.dealer.hand) > 21) dealerBusts += 1;
+    if (isMultiTable(state) && state.pot > 0) carryovers += 1;
+    bets = wagers.map((wager, seat) => BETTING_STRATEGIES[betting].next(baseBet, wager, state.players[seat].delta));
+
+    state = gameReducer({ ...state, history: [], shoeHistory: [] }, { type: "nextRound" });
+    if (onProgress && round % 10000 === 0) onProgress(round);
+  }
+
+  return {
+    rounds,
+    seed: state.tableSeed,
+    rules: tableRules,
+    betting,
+    dealerBustRate: dealerBusts / rounds,
+    carryoverRate: carryovers / rounds,
+    potLeft: state.pot,
+    houseTake: state.house,
+    seats: results.map(summarizeSeat),
+  };
+};
+
+export const summarizeSeat = (seat) => {
+  const mean = seat.rounds ? seat.net / seat.rounds : 0;
+  const variance = seat.rounds ? seat.sumSquares / seat.rounds - mean * mean : 0;
+  const perHand = (count) => (seat.hands ? count / seat.hands : 0);
+  return {
+    strategy: seat.strategy,
+    rounds: seat.rounds,
+    hands: seat.hands,
+    wagered: seat.wagered,
+    net: seat.net,
+    expectedReturn: seat.wagered ? seat.net / seat.wagered : 0,
+    meanPerRound: mean,
+    variancePerRound: variance,
+    stdDevPerRound: Math.sqrt(Math.max(variance, 0)),
+    winRate: perHand(seat.wins),
+    lossRate: perHand(seat.losses),
+    pushRate: perHand(seat.pushes),
+    blackjackRate: perHand(seat.blackjacks),
+    bustRate: perHand(seat.busts),
+  };
+};
@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { BETTING_STRATEGIES, simulate } from "./simulation.js";
+
+describe("simulate", () => {
+  it("reproduces a run from its seed", () => {
+    const options = { rounds: 300, seats: 2, strategies: ["basic", "neverBust"], seed: "sim-seed" };
+    const first = simulate(options);
+    expect(simulate(options)).toEqual(first);
+    expect(first.seed).toBe("sim-seed");
+    expect(simulate({ ...options, seed: "other-seed" })).not.toEqual(first);
+  });
+
+  it("reports per-seat returns and rates that add up", () => {
+    const strategies = ["basic", "neverBust", "dealerMimic"];
+    const report = simulate({ rounds: 400, seats: 3, strategies, seed: "rates" });
+    expect(report.seats.map((seat) => seat.strategy)).toEqual(strategies);
+    report.seats.forEach((seat) => {
+      expect(seat.rounds).toBe(400);
+      expect(seat.wagered).toBe(4000);
+      expect(seat.expectedReturn).toBeCloseTo(seat.net / 4000);
+      expect(seat.winRate + seat.lossRate + seat.pushRate).toBeLessThanOrEqual(1);
+      expect(seat.stdDevPerRound).toBeGreaterThan(0);
+    });
+    expect(report.seats[1].bustRate).toBe(0);
+    expect(report.carryoverRate).toBeGreaterThan(0);
+  });
+
+  it("doubles martingale bets after a loss and caps them at the table limit", () => {
+    expect(BETTING_STRATEGIES.martingale.next(10, 40, -40)).toBe(80);
+    expect(BETTING_STRATEGIES.martingale.next(10, 40, 0)).toBe(10);
+    const report = simulate({ rounds: 200, betting: "martingale", rules: { maxBet: 80 }, seed: "marty" });
+    expect(report.seats[0].wagered).toBeGreaterThan(2000);
+    expect(report.seats[0].wagered).toBeLessThanOrEqual(200 * 80);
+  });
+
+  it("sends unclaimed pots to the house when the dealer takes them", () => {
+    const options = { rounds: 300, seats: 3, seed: "house" };
+    expect(simulate(options)).toMatchObject({ houseTake: 0 });
+    const report = simulate({ ...options, rules: { potMode: "dealerTakes" } });
+    expect(report.houseTake).toBeGreaterThan(0);
+    expect(report.carryoverRate).toBeLessThan(0.01);
+  });
+
+  it("rejects unknown strategies", () => {
+    expect(() => simulate({ strategies: ["psychic"] })).toThrow(/Unknown playing strategy/);
+    expect(() => simulate({ betting: "hunch" })).toThrow(/Unknown betting strategy/);
+  });
+});
@@ -0,0 +1,95 @@
+import { calculateHand } from "./cards.js";
+
+// Enough points for a readable chart without letting storage grow forever.
+export const BANKROLL_POINTS = 200;
+
+const WINNING_RESULTS = ["win", "blackjack", "evenMoney"];
+
+export const emptyStats = () => ({ players: {}, tables: {} });
+
+export const emptyPlayerStats = () => ({
+  rounds: 0,
+  hands: 0,
+  wins: 0,
+  losses: 0,
+  pushes: 0,
+  blackjacks: 0,
+  busts: 0,
+  surrenders: 0,
+  net: 0,
+  totalBet: 0,
+  biggestWin: 0,
+  biggestLoss: 0,
+  streak: 0,
+  longestWinStreak: 0,
+  longestLossStreak: 0,
+  bankroll: [],
+});
+
+// Streaks count rounds won or lost in a row; a break-even round leaves the
+// running streak alone.
+const nextStreak = (streak, delta) => {
+  if (delta > 0) return streak > 0 ? streak + 1 : 1;
+  if (delta < 0) return streak < 0 ? streak - 1 : -1;
+  return streak;
+};
+
+const addRound = (entry, result) => {
+  const { hands } = result;
+  const count = (test) => hands.filter(test).length;
+  const streak = nextStreak(entry.streak, result.delta);
+  return {
+    ...entry,
+    rounds: entry.rounds + 1,
+    hands: entry.hands + hands.length,
+    wins: entry.wins + count((hand) => WINNING_RESULTS.includes(hand.result)),
+    losses: entry.losses + count((hand) => hand.result === "lose"),
+    pushes: entry.pushes + count((hand) => hand.result === "push"),
+    blackjacks: entry.blackjacks + count((hand) => hand.result === "blackjack"),
+    busts: entry.busts + count((hand) => calculateHand(hand.cards) > 21),
+    surrenders: entry.surrenders + count((hand) => hand.result === "surrender"),
+    net: entry.net + result.delta,
+    totalBet: entry.totalBet + hands.reduce((sum, hand) => sum + hand.bet, 0),
+    biggestWin: Math.max(entry.biggestWin, result.delta),
+    biggestLoss: Math.min(entry.biggestLoss, result.delta),
+    streak,
+    longestWinStreak: Math.max(entry.longestWinStreak, streak),
+    longestLossStreak: Math.max(entry.longestLossStreak, -streak),
+    bankroll: [...entry.bankroll, result.chipsAfter].slice(-BANKROLL_POINTS),
+  };
+};
+
+// Folds one finished round from the hand history into the per-player totals.
+// Players are keyed by seat name so they carry over between tables.
+export const recordRoundStats = (stats, record) => ({
+  ...stats,
+  players: record.results.reduce((players, result, index) => {
+    if (!result.hands.length) return players;
+    const { name } = record.seats[index];
+    return { ...players, [name]: addRound(players[name] ?? emptyPlayerStats(), result) };
+  }, stats.players),
+});
+
+// Adds every round of a table's history not already counted. The last round
+// recorded per table is kept so resuming or re-rendering never counts twice.
+export const recordTableStats = (stats, tableId, history) => {
+  const last = stats.tables[tableId] ?? 0;
+  const fresh = history.filter((record) => record.round > last);
+  if (!fresh.length) return stats;
+  return {
+    ...fresh.reduce(recordRoundStats, stats),
+    tables: { ...stats.tables, [tableId]: fresh[fresh.length - 1].round },
+  };
+};
+
+const rate = (part, whole) => (whole ? part / whole : 0);
+
+export const summarizeStats = (entry) => ({
+  ...entry,
+  winRate: rate(entry.wins, entry.hands),
+  lossRate: rate(entry.losses, entry.hands),
+  pushRate: rate(entry.pushes, entry.hands),
+  blackjackRate: rate(entry.blackjacks, entry.hands),
+  bustRate: rate(entry.busts, entry.hands),
+  averageBet: rate(entry.totalBet, entry.rounds),
+});
@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import { gameReducer } from "./game.js";
+import { emptyStats, recordTableStats, summarizeStats } from "./stats.js";
+import { play, table } from "./testUtils.js";
+
+const hand = (cards, result, delta, bet = 100) => ({
+  cards: cards.map((rank) => ({ rank, suit: "♠", value: rank === "K" ? 10 : Number(rank) })),
+  bet,
+  result,
+  delta,
+});
+
+const round = (number, results) => ({
+  round: number,
+  seats: results.map((_, index) => ({ name: `Player ${index + 1}`, bet: 100 })),
+  results,
+});
+
+describe("player statistics", () => {
+  it("totals results, rates, extremes and streaks per player", () => {
+    const history = [
+      round(1, [{ hands: [hand(["K", "9"], "win", 100)], delta: 100, chipsAfter: 1100 }]),
+      round(2, [{ hands: [hand(["K", "9"], "win", 150)], delta: 150, chipsAfter: 1250 }]),
+      round(3, [{ hands: [hand(["K", "6", "8"], "lose", -100)], delta: -100, chipsAfter: 1150 }]),
+      round(4, [{ hands: [hand(["K", "8"], "push", 0)], delta: 0, chipsAfter: 1150 }]),
+      round(5, [
+        {
+          hands: [hand(["8", "K", "5"], "lose", -100), hand(["8", "3"], "lose", -100)],
+          delta: -200,
+          chipsAfter: 950,
+        },
+      ]),
+    ];
+    const stats = recordTableStats(emptyStats(), "table-1", history);
+    const player = summarizeStats(stats.players["Player 1"]);
+
+    expect(player).toMatchObject({
+      rounds: 5,
+      hands: 6,
+      wins: 2,
+      losses: 3,
+      pushes: 1,
+      busts: 2,
+      net: -50,
+      biggestWin: 150,
+      biggestLoss: -200,
+      longestWinStreak: 2,
+      longestLossStreak: 2,
+      streak: -2,
+      averageBet: 120,
+      bankroll: [1100, 1250, 1150, 1150, 950],
+    });
+    expect(player.winRate).toBeCloseTo(2 / 6);
+    expect(player.bustRate).toBeCloseTo(2 / 6);
+  });
+
+  it("counts each table round once and skips seats that sat out", () => {
+    const first = [round(1, [{ hands: [hand(["K", "9"], "win", 100)], delta: 100, chipsAfter: 1100 }, { hands: [] }])];
+    let stats = recordTableStats(emptyStats(), "table-1", first);
+    stats = recordTableStats(stats, "table-1", first);
+    expect(stats.players["Player 1"].rounds).toBe(1);
+    expect(stats.players["Player 2"]).toBeUndefined();
+    expect(stats.tables).toEqual({ "table-1": 1 });
+
+    stats = recordTableStats(stats, "table-2", first);
+    expect(stats.players["Player 1"]).toMatchObject({ rounds: 2, net: 200 });
+  });
+
+  it("reads rounds straight from a table's hand history", () => {
+    // player 10+9 against dealer 7 (hole) + 10 (up)
+    const state = play(table(1, ["10", "7", "9", "10"], [100]), [
+      { type: "deal" },
+      { type: "stand" },
+      { type: "playDealer" },
+    ]);
+    const stats = recordTableStats(emptyStats(), state.tableId, state.history);
+    expect(stats.players["Player 1"]).toMatchObject({ rounds: 1, wins: 1, net: 100, bankroll: [1100] });
+    expect(gameReducer(state, { type: "nextRound" }).tableId).toBe(state.tableId);
+  });
+
+  it("counts what was staked after doubles and splits", () => {
+    // player 6+5 doubles into 10 against dealer 7 (hole) + 10 (up)
+    const state = play(table(1, ["6", "7", "5", "10", "10"], [100]), [
+      { type: "deal" },
+      { type: "double" },
+      { type: "playDealer" },
+    ]);
+    const stats = recordTableStats(emptyStats(), state.tableId, state.history);
+    expect(summarizeStats(stats.players["Player 1"])).toMatchObject({ rounds: 1, net: 200, averageBet: 200 });
+  });
+});
@@ -0,0 +1,204 @@
+import { handValue } from "./cards.js";
+import { availableActions, currentHand, pendingInsurance } from "./game.js";
+import { visibleDealerCards } from "./variants.js";
+
+export const ACTION_LABELS = {
+  hit: "Hit",
+  stand: "Stand",
+  double: "Double",
+  split: "Split",
+  surrender: "Surrender",
+  switch: "Switch",
+  insure: "Take insurance",
+  decline: "Decline insurance",
+};
+
+const PLAYING_ACTIONS = ["hit", "stand", "double", "split", "surrender"];
+
+const upcardName = (value) => (value === 11 ? "an Ace" : value === 8 ? "an 8" : `a ${value}`);
+
+// Why basic strategy makes each play, keyed so the interface can show them in
+// other languages. {total} is the player's total and {up} the dealer's upcard.
+export const REASONS = {
+  splitAces: "Always split aces: each one starts a hand worth 11.",
+  splitEights: "Always split eights: 16 is the worst total, two hands starting on 8 do better.",
+  keepTens: "Never split tens: 20 already wins most of the time.",
+  splitNines: "Split nines: two hands of 9 beat a single 18 against this upcard.",
+  keepNines: "Stand on 18 with a pair of nines against {up}.",
+  splitSevens: "Split sevens against a dealer 2–7: 14 is too weak to stand on or hit safely.",
+  keepSevens: "Do not split sevens against a strong upcard; hit the 14.",
+  splitSixes: "Split sixes against a weak dealer card and let the dealer bust.",
+  keepSixes: "Do not split sixes against a strong upcard; hit the 12.",
+  splitFours: "Split fours only against a 5 or 6, when the dealer is most likely to bust.",
+  keepFours: "Hit a pair of fours; 8 cannot bust.",
+  splitSmallPairs: "Split small pairs against a dealer 2–7 to get more money out against a weak card.",
+  keepSmallPairs: "Hit small pairs against a strong upcard.",
+  softStand: "Soft {total} is strong enough to stand on.",
+  softNineteenDouble: "Soft 19 against a 6 doubles when the dealer hits soft 17.",
+  softEighteenDouble: "Soft 18 against {up}: double while the dealer is weak, otherwise stand.",
+  softEighteenStand: "Soft 18 against {up} is a standing hand.",
+  softEighteenHit: "Soft 18 against {up} is an underdog; hit, a soft hand cannot bust on one card.",
+  softDouble: "Double soft {total} against {up}: the dealer is likely to bust and you cannot.",
+  softHit: "Hit soft {total}: one card cannot bust a soft hand.",
+  hardStand: "Stand on hard {total}; the risk of busting is too high.",
+  stiffStand: "Stand on {total} against {up} and let the dealer risk the bust.",
+  stiffHit: "Hit {total} against {up}: the dealer will usually finish on 17 or better.",
+  twelveStand: "Stand on 12 against {up}, the dealer's most likely bust cards.",
+  twelveHit: "Hit 12 against {up}; only a ten-value card busts you.",
+  elevenDouble: "Double 11 against {up}: any ten-value card makes 21.",
+  elevenHit: "Hit 11 against an Ace when the dealer stands on soft 17.",
+  tenDouble: "Double 10 against {up}: you are the favourite to finish higher.",
+  tenHit: "Hit 10 against {up}; the dealer is too strong to double into.",
+  nineDouble: "Double 9 against {up} while the dealer is weak.",
+  nineHit: "Hit 9 against {up}.",
+  lowHit: "Hit {total}; no card can bust you.",
+  surrender: "Hard {total} against {up} loses more than half the time, so give up half the bet.",
+  evenMoney:
+    "Even money is insurance on your blackjack; basic strategy declines it and keeps the full blackjack payout.",
+  insurance: "Insurance only pays when the hole card is a ten, which happens less than a third of the time.",
+};
+
+const fillReason = (key, total, up) => REASONS[key].replace("{total}", total).replace("{up}", upcardName(up));
+
+const between = (value, low, high) => value >= low && value <= high;
+
+// "D" doubles when allowed and otherwise hits; "Ds" doubles or stands.
+const resolve = (play, allowed) => {
+  if (play === "D") return allowed.double ? "double" : "hit";
+  if (play === "Ds") return allowed.double ? "double" : "stand";
+  return play;
+};
+
+const shouldSurrender = (total, up, rules) =>
+  (total === 16 && up >= 9) ||
+  (total === 15 && up === 10) ||
+  (rules.dealerHitsSoft17 && up === 11 && (total === 15 || total === 17));
+
+const pairPlay = (rank, up) => {
+  switch (rank) {
+    case 11:
+      return ["split", "splitAces"];
+    case 8:
+      return ["split", "splitEights"];
+    case 10:
+      return ["stand", "keepTens"];
+    case 9:
+      return between(up, 2, 6) || up === 8 || up === 9 ? ["split", "splitNines"] : ["stand", "keepNines"];
+    case 7:
+      return up <= 7 ? ["split", "splitSevens"] : ["hit", "keepSevens"];
+    case 6:
+      return up <= 6 ? ["split", "splitSixes"] : ["hit", "keepSixes"];
+    case 4:
+      return up === 5 || up === 6 ? ["split", "splitFours"] : ["hit", "keepFours"];
+    case 3:
+    case 2:
+      return up <= 7 ? ["split", "splitSmallPairs"] : ["hit", "keepSmallPairs"];
+    default:
+      return null;
+  }
+};
+
+const softPlay = (total, up, rules) => {
+  if (total >= 20) return ["stand", "softStand"];
+  if (total === 19) {
+    return rules.dealerHitsSoft17 && up === 6 ? ["Ds", "softNineteenDouble"] : ["stand", "softStand"];
+  }
+  if (total === 18) {
+    if (between(up, 3, 6) || (rules.dealerHitsSoft17 && up === 2)) return ["Ds", "softEighteenDouble"];
+    return up <= 8 ? ["stand", "softEighteenStand"] : ["hit", "softEighteenHit"];
+  }
+  const doubleFrom = { 17: 3, 16: 4, 15: 4, 14: 5, 13: 5 }[total] ?? 7;
+  return between(up, doubleFrom, 6) ? ["D", "softDouble"] : ["hit", "softHit"];
+};
+
+const hardPlay = (total, up, rules) => {
+  if (total >= 17) return ["stand", "hardStand"];
+  if (total >= 13) return up <= 6 ? ["stand", "stiffStand"] : ["hit", "stiffHit"];
+  if (total === 12) return between(up, 4, 6) ? ["stand", "twelveStand"] : ["hit", "twelveHit"];
+  if (total === 11) {
+    return up <= 10 || rules.dealerHitsSoft17 || rules.decks === 1 ? ["D", "elevenDouble"] : ["hit", "elevenHit"];
+  }
+  if (total === 10) return up <= 9 ? ["D", "tenDouble"] : ["hit", "tenHit"];
+  if (total === 9) return between(up, rules.decks === 1 ? 2 : 3, 6) ? ["D", "nineDouble"] : ["hit", "nineHit"];
+  return ["hit", "lowHit"];
+};
+
+// Basic strategy for the table rules, falling back to the best play that is
+// actually available (for example hitting when a double is no longer allowed).
+export const recommendPlay = (cards, upcard, rules, allowed) => {
+  const up = upcard.value;
+  const { total, soft } = handValue(cards);
+  const isPair = cards.length === 2 && cards[0].value === cards[1].value;
+  const advise = (action, reasonKey) => ({
+    action,
+    reason: fillReason(reasonKey, total, up),
+    reasonKey,
+    reasonValues: { total, up },
+  });
+
+  if (allowed.surrender && !soft && !(isPair && cards[0].value === 8) && shouldSurrender(total, up, rules)) {
+    return advise("surrender", "surrender");
+  }
+  if (isPair && allowed.split) {
+    const play = pairPlay(cards[0].value, up);
+    if (play) return advise(play[0], play[1]);
+  }
+  const [play, reasonKey] = soft ? softPlay(total, up, rules) : hardPlay(total, up, rules);
+  return advise(resolve(play, allowed), reasonKey);
+};
+
+// No advice when the dealer shows no upcard (Pontoon): the chart is read against it.
+export const coachAdvice = (state) => {
+  const allowed = availableActions(state);
+  const [upcard] = visibleDealerCards(state);
+  if (!allowed.hit || !upcard) return null;
+  return recommendPlay(currentHand(state).cards, upcard, state.rules, allowed);
+};
+
+// Grades a table action against basic strategy before it is applied. Returns
+// null for actions the coach has no opinion on.
+export const gradeAction = (state, action) => {
+  if (action.type === "insurance") {
+    if (!pendingInsurance(state).includes(action.seat)) return null;
+    const reasonKey = state.players[action.seat].insurance.offer === "evenMoney" ? "evenMoney" : "insurance";
+    return {
+      seat: action.seat,
+      played: action.accept ? "insure" : "decline",
+      best: "decline",
+      correct: !action.accept,
+      reason: REASONS[reasonKey],
+      reasonKey,
+      reasonValues: {},
+    };
+  }
+  const advice = coachAdvice(state);
+  if (!advice || !PLAYING_ACTIONS.includes(action.type)) return null;
+  return {
+    seat: state.currentIndex,
+    played: action.type,
+    best: advice.action,
+    correct: action.type === advice.action,
+    reason: advice.reason,
+    reasonKey: advice.reasonKey,
+    reasonValues: advice.reasonValues,
+  };
+};
+
+export const emptyCoachScore = () => ({ decisions: 0, correct: 0, roundDecisions: 0, roundCorrect: 0, round: 0 });
+
+// Keeps a running and a per-round score for each seat.
+export const scoreGrade = (scores, grade, round) => {
+  const previous = scores[grade.seat] ?? emptyCoachScore();
+  const sameRound = previous.round === round;
+  const mark = grade.correct ? 1 : 0;
+  return {
+    ...scores,
+    [grade.seat]: {
+      decisions: previous.decisions + 1,
+      correct: previous.correct + mark,
+      roundDecisions: (sameRound ? previous.roundDecisions : 0) + 1,
+      roundCorrect: (sameRound ? previous.roundCorrect : 0) + mark,
+      round,
+    },
+  };
+};
@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import { gameReducer } from "./game.js";
+import { DEFAULT_RULES, normalizeRules } from "./rules.js";
+import { coachAdvice, gradeAction, recommendPlay, scoreGrade } from "./strategy.js";
+import { card, play, table } from "./testUtils.js";
+
+const ALL = { hit: true, stand: true, double: true, split: true, surrender: true };
+const NO_EXTRAS = { hit: true, stand: true, double: false, split: false, surrender: false };
+const H17 = normalizeRules({ decks: 6, dealerHitsSoft17: true });
+const S17 = normalizeRules({ decks: 6 });
+
+const advise = (ranks, up, rules = S17, allowed = ALL) =>
+  recommendPlay(ranks.map((rank) => card(rank)), card(up), rules, allowed).action;
+
+describe("recommendPlay", () => {
+  it("plays hard totals by the dealer upcard", () => {
+    expect(advise(["10", "7"], "A")).toBe("stand");
+    expect(advise(["10", "6"], "6")).toBe("stand");
+    expect(advise(["10", "6"], "7", S17, NO_EXTRAS)).toBe("hit");
+    expect(advise(["10", "2"], "3")).toBe("hit");
+    expect(advise(["10", "2"], "4")).toBe("stand");
+    expect(advise(["6", "5"], "10")).toBe("double");
+    expect(advise(["5", "4"], "2")).toBe("hit");
+  });
+
+  it("follows the dealer soft 17 rule", () => {
+    expect(advise(["6", "5"], "A", S17)).toBe("hit");
+    expect(advise(["6", "5"], "A", H17)).toBe("double");
+    expect(advise(["A", "7"], "2", S17)).toBe("stand");
+    expect(advise(["A", "7"], "2", H17)).toBe("double");
+    expect(advise(["10", "7"], "A", H17)).toBe("surrender");
+  });
+
+  it("doubles soft hands against weak cards and hits them otherwise", () => {
+    expect(advise(["A", "6"], "3")).toBe("double");
+    expect(advise(["A", "2"], "4")).toBe("hit");
+    expect(advise(["A", "7"], "9")).toBe("hit");
+    expect(advise(["A", "7"], "4", S17, NO_EXTRAS)).toBe("stand");
+  });
+
+  it("splits pairs by the chart and otherwise plays the total", () => {
+    expect(advise(["8", "8"], "10")).toBe("split");
+    expect(advise(["A", "A"], "A")).toBe("split");
+    expect(advise(["K", "Q"], "6")).toBe("stand");
+    expect(advise(["9", "9"], "7")).toBe("stand");
+    expect(advise(["5", "5"], "6")).toBe("double");
+    expect(advise(["8", "8"], "10", S17, NO_EXTRAS)).toBe("hit");
+  });
+
+  it("surrenders only when it is offered", () => {
+    expect(advise(["10", "6"], "10")).toBe("surrender");
+    expect(advise(["10", "5"], "10")).toBe("surrender");
+    expect(advise(["10", "6"], "10", S17, NO_EXTRAS)).toBe("hit");
+  });
+});
+
+describe("coach grading", () => {
+  // player 10+6, dealer 7 (hole) + 10 (up)
+  const dealt = () => play(table(1, ["10", "7", "6", "10"], [100], DEFAULT_RULES), [{ type: "deal" }]);
+
+  it("advises the current hand and explains why", () => {
+    const advice = coachAdvice(dealt());
+    expect(advice.action).toBe("surrender");
+    expect(advice.reason).toMatch(/Hard 16 against a 10/);
+    expect(coachAdvice(gameReducer(dealt(), { type: "stand" }))).toBeNull();
+  });
+
+  it("flags deviations and keeps a per-round score", () => {
+    const state = dealt();
+    const mistake = gradeAction(state, { type: "stand" });
+    expect(mistake).toMatchObject({ seat: 0, played: "stand", best: "surrender", correct: false });
+    expect(gradeAction(state, { type: "surrender" }).correct).toBe(true);
+    expect(gradeAction(state, { type: "deal" })).toBeNull();
+
+    let scores = scoreGrade({}, mistake, 1);
+    scores = scoreGrade(scores, { ...mistake, correct: true }, 1);
+    expect(scores[0]).toMatchObject({ decisions: 2, correct: 1, roundDecisions: 2, roundCorrect: 1 });
+    scores = scoreGrade(scores, { ...mistake, correct: true }, 2);
+    expect(scores[0]).toMatchObject({ decisions: 3, correct: 2, roundDecisions: 1, roundCorrect: 1, round: 2 });
+  });
+
+  it("marks insurance as a mistake", () => {
+    // player 10+9, dealer K (hole) + A (up)
+    const state = play(table(1, ["10", "K", "9", "A"], [100]), [{ type: "deal" }]);
+    expect(gradeAction(state, { type: "insurance", seat: 0, accept: true })).toMatchObject({
+      played: "insure",
+      correct: false,
+    });
+    expect(gradeAction(state, { type: "insurance", seat: 0, accept: false }).correct).toBe(true);
+  });
+});
@@ -0,0 +1,20 @@
+import { cardValue } from "./cards.js";
+import { createGame, gameReducer } from "./game.js";
+
+export const card = (rank, suit = "♠") => ({ suit, rank, value: cardValue(rank) });
+
+// Builds a deck whose first listed card is drawn first, padded past the cut card
+// (cutCardPosition) of a default table so ensureShoe deals from it rather than
+// a fresh shoe. Entries are ranks (dealt as spades) or whole cards.
+export const stackDeck = (ranks, padding = 20) => {
+  const filler = Array.from({ length: padding }, () => card("2", "♣"));
+  return [...filler, ...ranks.map((rank) => (typeof rank === "string" ? card(rank) : rank)).reverse()];
+};
+
+export const play = (state, actions) => actions.reduce(gameReducer, state);
+
+export const table = (playerCount, ranks, bets, rules) =>
+  play(
+    createGame({ playerCount, deck: stackDeck(ranks), rules }),
+    bets.map((amount, seat) => ({ type: "addBet", seat, amount }))
+  );
@@ -0,0 +1,128 @@
+import { variantOf } from "./variants.js";
+
+// Minimum-bet multipliers for each blind level, applied to the table minimum
+// the tournament starts with. The last level holds until the end.
+export const BLIND_SCHEDULES = {
+  slow: { label: "Slow", levels: [1, 1.5, 2, 3, 4, 5, 6, 8, 10] },
+  standard: { label: "Standard", levels: [1, 2, 3, 5, 8, 12, 20] },
+  turbo: { label: "Turbo", levels: [1, 3, 6, 12, 25, 50] },
+};
+
+export const TOURNAMENT_LENGTHS = { rounds: "Rounds", hands: "Hands" };
+
+export const TOURNAMENT_DEFAULTS = {
+  length: "rounds",
+  count: 20,
+  levelRounds: 5,
+  schedule: "standard",
+  startingChips: 1000,
+};
+
+export const normalizeTournament = (config = {}) => {
+  const merged = { ...TOURNAMENT_DEFAULTS, ...config };
+  const whole = (value, fallback, min) => Math.max(min, Math.floor(Number(value) || fallback));
+  return {
+    length: TOURNAMENT_LENGTHS[merged.length] ? merged.length : TOURNAMENT_DEFAULTS.length,
+    count: whole(merged.count, TOURNAMENT_DEFAULTS.count, 1),
+    levelRounds: whole(merged.levelRounds, TOURNAMENT_DEFAULTS.levelRounds, 1),
+    schedule: BLIND_SCHEDULES[merged.schedule] ? merged.schedule : TOURNAMENT_DEFAULTS.schedule,
+    startingChips: whole(merged.startingChips, TOURNAMENT_DEFAULTS.startingChips, 1),
+  };
+};
+
+// The tournament record kept on the game state. Seats that bust out are
+// listed in `eliminated` in the order they fell.
+export const createTournament = (config, rules) => ({
+  ...normalizeTournament(config),
+  baseMinBet: rules.minBet,
+  level: 0,
+  roundsPlayed: 0,
+  handsPlayed: 0,
+  eliminated: [],
+  finished: false,
+});
+
+export const minBetForLevel = (tournament, level) => {
+  const { levels } = BLIND_SCHEDULES[tournament.schedule];
+  return Math.ceil(tournament.baseMinBet * levels[Math.min(level, levels.length - 1)]);
+};
+
+export const isEliminated = (tournament, seat) => Boolean(tournament?.eliminated.some((entry) => entry.seat === seat));
+
+const seatsLeft = (state) => state.players.filter((_, seat) => !isEliminated(state.tournament, seat)).length;
+
+// The last round of a tournament is played with secret bets. In a hands-long
+// tournament it is the round that will reach the hand count.
+export const isFinalRound = (state) => {
+  const { tournament } = state;
+  if (!tournament || tournament.finished) return false;
+  if (tournament.length === "rounds") return tournament.roundsPlayed + 1 >= tournament.count;
+  return tournament.handsPlayed + seatsLeft(state) >= tournament.count;
+};
+
+// Bets stay hidden from the other seats while a final round is being bet.
+export const isSecretBetting = (state) => state.phase === "betting" && isFinalRound(state);
+
+// Called once a round settles: counts it, moves up a blind level when one is
+// due, knocks out every seat that can no longer cover the next minimum, and
+// ends the tournament when its length is reached or one seat (or none) is left.
+export const recordTournamentRound = (state) => {
+  const { tournament } = state;
+  if (!tournament || tournament.finished) return state;
+  const final = isFinalRound(state);
+  const roundsPlayed = tournament.roundsPlayed + 1;
+  const level = Math.floor(roundsPlayed / tournament.levelRounds);
+  const handsPlayed = tournament.handsPlayed + state.players.reduce((sum, player) => sum + player.hands.length, 0);
+  // A seat covers the minimum on every hand it plays (two in Blackjack Switch).
+  const nextMinimum = minBetForLevel(tournament, level) * variantOf(state.rules).hands;
+  const busted = final
+    ? []
+    : state.players
+        .map((player, seat) => (player.chips < nextMinimum && !isEliminated(tournament, seat) ? seat : -1))
+        .filter((seat) => seat !== -1)
+        .map((seat) => ({ seat, round: state.round }));
+  const eliminated = [...tournament.eliminated, ...busted];
+  const remaining = state.players.length - eliminated.length;
+  return {
+    ...state,
+    tournament: {
+      ...tournament,
+      roundsPlayed,
+      handsPlayed,
+      level,
+      eliminated,
+      finished: final || remaining <= (state.players.length > 1 ? 1 : 0),
+    },
+  };
+};
+
+// Raises the table minimum to the current blind level before betting opens.
+export const applyBlindLevel = (state) => {
+  if (!state.tournament) return state;
+  const minBet = minBetForLevel(state.tournament, state.tournament.level);
+  const { maxBet } = state.rules;
+  return { ...state, rules: { ...state.rules, minBet, maxBet: maxBet === null ? null : Math.max(maxBet, minBet) } };
+};
+
+// Final placings. Seats still in are ranked by chips; seats knocked out rank
+// below them, the later they fell the better. Equal results share a place.
+export const tournamentStandings = (state) => {
+  const { tournament, players } = state;
+  const outRound = (seat) => tournament.eliminated.find((entry) => entry.seat === seat)?.round ?? null;
+  const rows = players
+    .map((player, seat) => ({ seat, name: player.name, chips: player.chips, eliminatedRound: outRound(seat) }))
+    .sort((a, b) => {
+      if (a.eliminatedRound !== b.eliminatedRound) {
+        if (a.eliminatedRound === null) return -1;
+        if (b.eliminatedRound === null) return 1;
+        return b.eliminatedRound - a.eliminatedRound;
+      }
+      return b.chips - a.chips || a.seat - b.seat;
+    });
+  return rows.map((row, index) => {
+    const tiedWith = rows.findIndex(
+      (other) => other.eliminatedRound === row.eliminatedRound && other.chips === row.chips
+    );
+    return { ...row, place: (tiedWith === -1 ? index : tiedWith) + 1 };
+  });
+};
@@ -0,0 +1,97 @@
+import { describe, expect, it } from "vitest";
+import { botMove } from "./bots.js";
+import { createGame, gameReducer } from "./game.js";
+import { play, stackDeck } from "./testUtils.js";
+import { isFinalRound, isSecretBetting, tournamentStandings } from "./tournament.js";
+import { redactState } from "./view.js";
+
+const tournamentTable = (playerCount, ranks, tournament, rules) =>
+  createGame({ playerCount, deck: stackDeck(ranks), rules: { minBet: 10, ...rules }, tournament });
+
+const standAll = (state, bets) =>
+  play(state, [
+    ...bets.map((amount, seat) => ({ type: "addBet", seat, amount })),
+    { type: "deal" },
+    ...bets.map(() => ({ type: "stand" })),
+    { type: "playDealer" },
+  ]);
+
+describe("tournaments", () => {
+  it("starts every seat on the same stack with rebuys off", () => {
+    const state = createGame({
+      playerCount: 2,
+      seats: [{ chips: 5000 }],
+      rules: { rebuyMode: "topUp" },
+      tournament: { startingChips: 500 },
+    });
+    expect(state.players.map((player) => player.chips)).toEqual([500, 500]);
+    expect(state.rules.rebuyMode).toBe("off");
+    expect(state.tournament).toMatchObject({ count: 20, level: 0, roundsPlayed: 0, eliminated: [], finished: false });
+    expect(createGame().tournament).toBeNull();
+  });
+
+  it("raises the minimum bet on the blind schedule", () => {
+    // seat 10+9 stands, dealer 10 (hole) + 7 (up) twice over
+    const ranks = ["10", "10", "9", "7", "10", "10", "9", "7"];
+    let state = tournamentTable(1, ranks, { levelRounds: 1, schedule: "standard" });
+    state = gameReducer(standAll(state, [10]), { type: "nextRound" });
+    expect(state.rules.minBet).toBe(20);
+    const short = play(state, [{ type: "addBet", seat: 0, amount: 10 }, { type: "deal" }]);
+    expect(short).toMatchObject({ phase: "betting", message: expect.stringMatching(/table limits/) });
+    state = gameReducer(standAll(state, [20]), { type: "nextRound" });
+    expect(state.rules.minBet).toBe(30);
+  });
+
+  it("knocks out a seat that cannot cover the next minimum and ends with one left", () => {
+    // seat 1: 10+9, seat 2: 10+6, dealer 10 (hole) + 8 (up)
+    let state = tournamentTable(2, ["10", "10", "10", "9", "6", "8"], { levelRounds: 1, startingChips: 100 });
+    state = standAll(state, [10, 90]);
+    expect(state.tournament.eliminated).toEqual([{ seat: 1, round: 1 }]);
+    expect(state.tournament.finished).toBe(true);
+    expect(state.message).toMatch(/tournament is over/);
+    expect(gameReducer(state, { type: "nextRound" })).toBe(state);
+    const standings = tournamentStandings(state).map((row) => [row.name, row.place, row.eliminatedRound]);
+    expect(standings).toEqual([
+      ["Player 1", 1, null],
+      ["Player 2", 2, 1],
+    ]);
+  });
+
+  it("plays the last round with secret bets", () => {
+    let state = tournamentTable(2, [], { count: 1 });
+    expect(isFinalRound(state)).toBe(true);
+    expect(state.message).toMatch(/secret bets/);
+    state = play(state, [
+      { type: "addBet", seat: 0, amount: 50 },
+      { type: "addBet", seat: 1, amount: 30 },
+    ]);
+    expect(isSecretBetting(state)).toBe(true);
+    expect(redactState(state, 0).players.map((player) => player.bet)).toEqual([50, null]);
+    expect(redactState(state, 1).players.map((player) => player.bet)).toEqual([null, 30]);
+  });
+
+  it("counts hands toward a hands-long tournament", () => {
+    const state = tournamentTable(3, [], { length: "hands", count: 7 });
+    expect(isFinalRound(state)).toBe(false);
+    expect(isFinalRound({ ...state, tournament: { ...state.tournament, handsPlayed: 4 } })).toBe(true);
+  });
+
+  it("runs a table of bots to the end", () => {
+    let state = createGame({
+      playerCount: 3,
+      seats: [{ bot: "basic" }, { bot: "aggressive" }, { bot: "neverBust" }],
+      tournament: { count: 12, levelRounds: 3, schedule: "turbo" },
+      seed: "bot-tournament",
+    });
+    for (let step = 0; step < 400; step += 1) {
+      const move = state.phase === "dealer" ? { type: "playDealer" } : botMove(state);
+      if (!move) break;
+      state = gameReducer(state, move);
+    }
+    expect(state.tournament.finished).toBe(true);
+    expect(state.tournament.roundsPlayed).toBeLessThanOrEqual(12);
+    const places = tournamentStandings(state).map((row) => row.place);
+    expect(places[0]).toBe(1);
+    expect(places).toHaveLength(3);
+  });
+});
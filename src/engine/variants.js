@@ -0,0 +1,123 @@
+import { calculateHand, createDeck, RANKS } from "./cards.js";
+import { isNatural, statusAfterDraw } from "./hands.js";
+
+// Spanish 21 takes the four tens out of every deck; the picture cards stay.
+const SPANISH_RANKS = RANKS.filter((rank) => rank !== "10");
+
+const isSuited = (cards) => cards.every((card) => card.suit === cards[0].suit);
+
+// Spanish 21 pays extra on a 21 made with five or more cards, or with 6-7-8 or
+// 7-7-7 (more when suited, most in spades). Doubled hands don't qualify.
+const spanishBonus = (hand) => {
+  const { cards } = hand;
+  if (hand.doubled || isNatural(hand) || calculateHand(cards) !== 21) return null;
+  const combo = { "6,7,8": "sixSevenEight", "7,7,7": "tripleSevens" }[
+    cards.map((card) => card.rank).sort().join()
+  ];
+  if (combo) {
+    if (!isSuited(cards)) return combo;
+    return cards[0].suit === "♠" ? `${combo}Spades` : `${combo}Suited`;
+  }
+  if (cards.length >= 7) return "sevenCard21";
+  if (cards.length === 6) return "sixCard21";
+  return cards.length === 5 ? "fiveCard21" : null;
+};
+
+// In Pontoon the dealer wins every tie, and a five-card trick beats anything
+// but the dealer's pontoon.
+const pontoonResult = (hand, dealer) => {
+  if (dealer.blackjack) return "lose";
+  if (isNatural(hand)) return "blackjack";
+  if (hand.cards.length >= 5 || dealer.bust) return "win";
+  return calculateHand(hand.cards) > dealer.total ? "win" : "lose";
+};
+
+// Each variant deals from its own deck and may change how many hands a seat
+// plays, how hands are decided and paid, and which actions are allowed. Hooks
+// a variant leaves out play as classic blackjack:
+//   resolve(hand, dealer)   a hand's result, or null for the classic one;
+//                           `dealer` is { total, blackjack, bust }
+//   bonus(hand)             the key of the bonus a winning hand earns, if any,
+//                           paying `bonuses[key]` to one
+//   actions(player, hand, allowed)   the actions allowed instead
+// A variant with a fixed natural payout ignores the table's payout rule, and
+// one that hides the dealer deals both of the dealer's cards face down.
+export const VARIANTS = {
+  classic: {
+    label: "Classic",
+    deck: () => createDeck(),
+    hands: 1,
+  },
+  spanish21: {
+    label: "Spanish 21",
+    deck: () => createDeck(SPANISH_RANKS),
+    hands: 1,
+    resolve: (hand, dealer) => {
+      if (dealer.blackjack || calculateHand(hand.cards) !== 21) return null;
+      return isNatural(hand) ? "blackjack" : "win";
+    },
+    bonus: spanishBonus,
+    bonuses: {
+      fiveCard21: 1.5,
+      sixCard21: 2,
+      sevenCard21: 3,
+      sixSevenEight: 1.5,
+      sixSevenEightSuited: 2,
+      sixSevenEightSpades: 3,
+      tripleSevens: 1.5,
+      tripleSevensSuited: 2,
+      tripleSevensSpades: 3,
+    },
+    // Doubling is allowed on any number of cards.
+    actions: (player, hand, allowed) => ({ ...allowed, double: allowed.hit && player.chips >= hand.bet }),
+  },
+  switch: {
+    label: "Blackjack Switch",
+    deck: () => createDeck(),
+    hands: 2,
+    naturalPayout: "1:1",
+    naturalOdds: 1,
+    resolve: (hand, dealer) => (dealer.total === 22 && !isNatural(hand) ? "push" : null),
+    actions: (player, hand, allowed) => ({ ...allowed, switch: allowed.hit && canSwitch(player) }),
+  },
+  pontoon: {
+    label: "Pontoon",
+    deck: () => createDeck(),
+    hands: 1,
+    naturalPayout: "2:1",
+    naturalOdds: 2,
+    hideDealer: true,
+    resolve: pontoonResult,
+    bonus: (hand) => (hand.cards.length >= 5 ? "fiveCardTrick" : null),
+    bonuses: { fiveCardTrick: 2 },
+    // A hand under 15 must take another card, and there is no surrender.
+    actions: (player, hand, allowed) => ({
+      ...allowed,
+      stand: allowed.stand && calculateHand(hand.cards) >= 15,
+      surrender: false,
+    }),
+  },
+};
+
+export const variantOf = (rules) => VARIANTS[rules?.variant] ?? VARIANTS.classic;
+
+// Cards of the dealer's that stay face down until the dealer plays.
+export const hiddenDealerCards = (rules) => (variantOf(rules).hideDealer ? 2 : 1);
+
+// The dealer's cards the players can see.
+export const visibleDealerCards = (state) =>
+  state.dealer.hidden ? state.dealer.hand.slice(hiddenDealerCards(state.rules)) : state.dealer.hand;
+
+// In Blackjack Switch a seat may swap the second cards of its two hands once,
+// before either hand has been played.
+export const canSwitch = (player) =>
+  player.hands.length === 2 &&
+  player.hands.every(
+    (hand) => ["active", "blackjack"].includes(hand.status) && hand.cards.length === 2 && !hand.switched
+  );
+
+// Pontoon stands a hand on its fifth card unless it has bust: a five-card trick.
+export const drawStatus = (cards, rules) =>
+  variantOf(rules) === VARIANTS.pontoon && cards.length >= 5 && calculateHand(cards) <= 21
+    ? "stand"
+    : statusAfterDraw(cards);
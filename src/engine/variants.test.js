@@ -0,0 +1,147 @@
+import { describe, expect, it } from "vitest";
+import { buildShoe, verifyShoe } from "./fairness.js";
+import { availableActions, createGame } from "./game.js";
+import { replayRound } from "./history.js";
+import { dealerOdds } from "./odds.js";
+import { createShoe, cutCardPosition, maxBetFor, normalizeRules } from "./rules.js";
+import { card, play, table } from "./testUtils.js";
+import { VARIANTS, variantOf } from "./variants.js";
+import { simulate } from "./simulation.js";
+import { redactState } from "./view.js";
+
+const hand = (cards, extra = {}) => ({ cards, doubled: false, split: false, ...extra });
+
+describe("variants", () => {
+  it("fall back to classic blackjack", () => {
+    expect(variantOf({ variant: "baccarat" })).toBe(VARIANTS.classic);
+    expect(normalizeRules({ variant: "baccarat" }).variant).toBe("classic");
+  });
+});
+
+describe("Spanish 21", () => {
+  it("deals from decks without the tens and shoes that still verify", () => {
+    const shoe = createShoe(2, "spanish21");
+    expect(shoe).toHaveLength(96);
+    expect(shoe.some((dealt) => dealt.rank === "10")).toBe(false);
+    expect(shoe.filter((dealt) => dealt.value === 10)).toHaveLength(24);
+    expect(cutCardPosition(normalizeRules({ variant: "spanish21", decks: 6 }))).toBe(72);
+    const built = buildShoe("spanish", 1, 2, "spanish21");
+    expect(built.deck).toHaveLength(96);
+    expect(verifyShoe(built.shoe).ok).toBe(true);
+  });
+
+  it("lets a player's 21 beat the dealer's 21 and pays a five-card bonus", () => {
+    // player 2+3, dealer 10 (hole) + 4 (up); the player hits 4, 5 and 7 to 21
+    // on five cards, then the dealer draws a 7 to 21.
+    let state = table(1, ["2", "10", "3", "4", "4", "5", "7", "7"], [100], { variant: "spanish21" });
+    state = play(state, [{ type: "deal" }, { type: "hit" }]);
+    expect(availableActions(state).double).toBe(true);
+    state = play(state, [{ type: "hit" }, { type: "hit" }, { type: "playDealer" }]);
+    expect(state.players[0].hands[0]).toMatchObject({ result: "win", bonus: "fiveCard21", delta: 150 });
+    expect(state.players[0].chips).toBe(1150);
+  });
+
+  it("stands a hand doubled into 21 and pays it without the card-count bonus", () => {
+    // the same cards, but the player doubles on 14 and draws the 7.
+    let state = table(1, ["2", "10", "3", "4", "4", "5", "7", "7"], [100], { variant: "spanish21" });
+    state = play(state, [{ type: "deal" }, { type: "hit" }, { type: "hit" }, { type: "double" }]);
+    expect(state.players[0].hands[0]).toMatchObject({ status: "stand", doubled: true, bet: 200 });
+    state = play(state, [{ type: "playDealer" }]);
+    expect(state.players[0].hands[0]).toMatchObject({ result: "win", delta: 200 });
+    expect(state.players[0].hands[0].bonus).toBeUndefined();
+  });
+
+  it("pays more for suited and spade 6-7-8 and 7-7-7, but not on a double", () => {
+    const { bonus } = VARIANTS.spanish21;
+    expect(bonus(hand([card("7", "♥"), card("7", "♣"), card("7", "♥")]))).toBe("tripleSevens");
+    expect(bonus(hand([card("8", "♥"), card("6", "♥"), card("7", "♥")]))).toBe("sixSevenEightSuited");
+    expect(bonus(hand([card("7"), card("8"), card("6")]))).toBe("sixSevenEightSpades");
+    expect(bonus(hand([card("7"), card("7"), card("7")], { doubled: true }))).toBeNull();
+    expect(bonus(hand([card("5"), card("6"), card("K")]))).toBeNull();
+  });
+});
+
+describe("Blackjack Switch", () => {
+  it("deals two hands on the bet and lets them swap their second cards", () => {
+    // hands 10+5 and 6+A, dealer 10 (hole) + 7 (up). Switching makes 10+A,
+    // which is 21 but not a natural, and 6+5.
+    let state = table(1, ["10", "6", "10", "5", "A", "7"], [50], { variant: "switch" });
+    expect(maxBetFor(state.players[0], state.rules)).toBe(500);
+    state = play(state, [{ type: "deal" }]);
+    expect(state.players[0].chips).toBe(900);
+    expect(state.players[0].hands.map((dealt) => dealt.bet)).toEqual([50, 50]);
+    expect(availableActions(state).switch).toBe(true);
+
+    state = play(state, [{ type: "switch" }]);
+    expect(state.players[0].hands.map((dealt) => dealt.status)).toEqual(["stand", "active"]);
+    expect(state.handIndex).toBe(1);
+    expect(availableActions(state).switch).toBe(false);
+    state = play(state, [{ type: "stand" }, { type: "playDealer" }]);
+    expect(state.players[0].hands.map((dealt) => dealt.result)).toEqual(["win", "lose"]);
+    expect(state.players[0].chips).toBe(1000);
+
+    const frames = replayRound(state.history[0]);
+    const switched = frames.find((frame) => frame.event?.action === "switch");
+    expect(switched.seats[0].hands.map((dealt) => dealt.cards.map((shown) => shown.rank))).toEqual([
+      ["10", "A"],
+      ["6", "5"],
+    ]);
+  });
+
+  it("pushes against a dealer 22 except for a natural, which pays even money", () => {
+    // hands 10+9 and A+K, dealer 10 (hole) + 6 (up) draws a 6.
+    let state = table(1, ["10", "A", "10", "9", "K", "6", "6"], [50], { variant: "switch" });
+    state = play(state, [{ type: "deal" }, { type: "stand" }, { type: "playDealer" }]);
+    expect(state.players[0].hands.map((dealt) => dealt.result)).toEqual(["push", "blackjack"]);
+    expect(state.players[0].chips).toBe(1050);
+  });
+
+  it("keeps a full table dealing from a single deck", () => {
+    const rules = normalizeRules({ variant: "switch" });
+    expect(cutCardPosition(rules, 4)).toBe(34);
+    expect(() => simulate({ rounds: 300, seats: 4, rules, seed: "full-switch" })).not.toThrow();
+  });
+});
+
+describe("Pontoon", () => {
+  it("hides both dealer cards and pays a five-card trick 2:1", () => {
+    // player 2+3 against dealer 10+8, both face down; the player must hit,
+    // and stands automatically on the fifth card.
+    let state = table(1, ["2", "10", "3", "8", "2", "2", "2"], [100], { variant: "pontoon" });
+    state = play(state, [{ type: "deal" }]);
+    expect(state.phase).toBe("playing");
+    expect(redactState(state).dealer.hand).toEqual([null, null]);
+    expect(availableActions(state)).toMatchObject({ hit: true, stand: false, surrender: false });
+
+    state = play(state, [{ type: "stand" }, { type: "hit" }, { type: "hit" }, { type: "hit" }]);
+    expect(state.phase).toBe("dealer");
+    state = play(state, [{ type: "playDealer" }]);
+    expect(state.players[0].hands[0]).toMatchObject({ result: "win", bonus: "fiveCardTrick", delta: 200 });
+    expect(state.history[0].events.filter((event) => event.type === "reveal")).toHaveLength(2);
+  });
+
+  it("gives the dealer ties and a dealer pontoon beats the player's", () => {
+    const tie = play(table(1, ["10", "10", "8", "8"], [100], { variant: "pontoon" }), [
+      { type: "deal" },
+      { type: "stand" },
+      { type: "playDealer" },
+    ]);
+    expect(tie.players[0].hands[0].result).toBe("lose");
+
+    const naturals = play(table(1, ["A", "A", "K", "K"], [100], { variant: "pontoon" }), [{ type: "deal" }]);
+    expect(naturals.phase).toBe("roundEnd");
+    expect(naturals.players[0].hands[0].result).toBe("lose");
+  });
+
+  it("drops 21+3 and works out the dealer's odds with no upcard", () => {
+    expect(normalizeRules({ variant: "pontoon", twentyOnePlusThree: "standard" }).twentyOnePlusThree).toBe("off");
+    const state = play(createGame({ seed: "pontoon", rules: { variant: "pontoon" } }), [
+      { type: "addBet", seat: 0, amount: 10 },
+      { type: "deal" },
+    ]);
+    expect(state.phase).toBe("playing");
+    const odds = dealerOdds(state);
+    expect(Object.values(odds).reduce((sum, chance) => sum + chance, 0)).toBeCloseTo(1, 10);
+    expect(dealerOdds(redactState(state, 0))).toEqual(odds);
+  });
+});
@@ -0,0 +1,29 @@
+import { isSecretBetting } from "./tournament.js";
+import { hiddenDealerCards } from "./variants.js";
+
+// What a networked client is allowed to see: no undealt cards, no seeds for
+// shoes still in play, and no face-down dealer cards before the reveal. The live
+// shoe's dealt log would leak the hole card, so only its length goes out, and
+// the open round log (which also holds the hole card) stays on the server.
+// During a tournament's secret-bet round a seat only sees its own bets.
+export const redactState = (state, seat = null) => {
+  const { deck, tableSeed, shoe, dealer, ...rest } = state;
+  const { seed, dealt, ...publicShoe } = shoe;
+  const holes = hiddenDealerCards(state.rules);
+  const players = isSecretBetting(state)
+    ? state.players.map((player, index) => (index === seat ? player : { ...player, bet: null, sideBets: null }))
+    : state.players;
+  return {
+    ...rest,
+    players,
+    deck: null,
+    roundLog: null,
+    cardsLeft: deck.length,
+    shoe: { ...publicShoe, dealtCount: dealt.length },
+    dealer: dealer.hidden
+      ? { ...dealer, hand: dealer.hand.map((card, index) => (index < holes ? null : card)) }
+      : dealer,
+  };
+};
+
+export const cardsLeft = (state) => (state.deck ? state.deck.length : state.cardsLeft);
@@ -0,0 +1,21 @@
+const chipFormats = new Map();
+
+// Chips are counted in dollars. Formats are cached per locale tag since
+// Intl.NumberFormat is slow to build.
+const chipFormat = (tag) => {
+  if (!chipFormats.has(tag)) {
+    const digits = { minimumFractionDigits: 0, maximumFractionDigits: 0 };
+    chipFormats.set(tag, new Intl.NumberFormat(tag, { style: "currency", currency: "USD", ...digits }));
+  }
+  return chipFormats.get(tag);
+};
+
+export const formatChips = (value, tag = "en-US") => chipFormat(tag).format(value);
+
+export const formatDelta = (value, tag = "en-US") => {
+  if (value > 0) return `+${formatChips(value, tag)}`;
+  return value < 0 ? `-${formatChips(Math.abs(value), tag)}` : formatChips(0, tag);
+};
+
+export const formatPercent = (value, tag = "en-US", digits = 0) =>
+  new Intl.NumberFormat(tag, { style: "percent", maximumFractionDigits: digits }).format(value);
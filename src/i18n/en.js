@@ -0,0 +1,610 @@
+import { MESSAGES, PROFILE_ERRORS, REASONS, SCENARIO_ERRORS, SESSION_ERRORS } from "../engine/index.js";
+
+// Sentences the engine writes itself come straight from its catalogs, so the
+// English interface always says exactly what the engine and its tests do.
+export default {
+  language: {
+    label: "Language",
+  },
+  app: {
+    brand: "Blackjack Royale",
+    title: "Casino Table Suite",
+    tagline: "Competitive blackjack wrapped in gold light and felt.",
+    solo: "SOLO",
+    multi: "MULTI",
+    round: "Round {round}",
+  },
+  lobby: {
+    playerCountTitle: "Select player count",
+    playerCountHint: "Pick how many seats are at the table, then deal in.",
+    players: "{count} Players",
+    seat: "Seat {seat}",
+    guest: "Guest",
+    bot: "Bot · {label}",
+    rulesTitle: "Table rules",
+    rulesHint: "Set the shoe, dealer rule, payouts and limits for this table.",
+    formatTitle: "Table format",
+    formatHint: "Play an open-ended cash game, or a tournament with rising minimums and eliminations.",
+    seed: "Table seed (optional)",
+    seedPlaceholder: "Random",
+    open: "Open Table",
+  },
+  table: {
+    soloTitle: "Solo Table",
+    multiTitle: "Multiplayer Table",
+    subtitle: "Beat the dealer and grow your stack.",
+    pot: "Pot: {amount}",
+    house: "House: {amount}",
+    deck: "Deck: {count}",
+    coachOn: "Coach on",
+    coachOff: "Coach off",
+    trainerOn: "Trainer on",
+    trainerOff: "Trainer off",
+    oddsOn: "Odds on",
+    oddsOff: "Odds off",
+    soundOn: "Sound on",
+    soundOff: "Sound off",
+    reducedMotion: "Reduced motion",
+    shortcuts: "Shortcuts (?)",
+    history: "History ({count})",
+    leaveRoom: "Leave room {code}",
+    exportSession: "Export session",
+    lobby: "Lobby",
+    dealer: "Dealer",
+    dealerCards: "Dealer's cards",
+    total: "Total: {total}",
+    hiddenTotal: "?",
+    noTotal: "Total: -",
+    seats: "Seats",
+    bettingSeat: "Betting seat",
+    botsPlaying: "Bots are playing…",
+    display: "Table display",
+  },
+  display: {
+    title: "Blackjack Royale · Table display",
+    waiting: "Waiting for a table",
+    waitingHint: "Open a table in another tab of this browser and it will appear here.",
+  },
+  seat: {
+    player: "Player {number}",
+    bot: "Bot {number}",
+    you: " (you)",
+    betting: "Betting",
+    out: "Out",
+    chips: "Chips: {amount}",
+    bet: "Bet: {amount}",
+    secret: "Secret",
+    rebuys: "Rebuys: {count}",
+    insurance: "Insurance: {amount}",
+    hands: "{count} Hands",
+    doubled: " ×2",
+    cards: "{name}'s cards",
+    handCards: "{name}'s hand {hand}",
+    sittingOut: "Sitting out",
+  },
+  sideBets: {
+    names: {
+      perfectPairs: "Perfect Pairs",
+      twentyOnePlusThree: "21+3",
+    },
+    outcomes: {
+      perfect: "Perfect pair",
+      coloured: "Coloured pair",
+      mixed: "Mixed pair",
+      suitedTrips: "Suited trips",
+      straightFlush: "Straight flush",
+      trips: "Three of a kind",
+      straight: "Straight",
+      flush: "Flush",
+    },
+    circles: "Bet circles",
+    main: "Main bet",
+    placed: "{bet} {amount}",
+    won: "{bet}: {outcome} {delta}",
+    lost: "{bet}: no win {delta}",
+    pays: "{outcome} {pays}:1",
+    list: ", ",
+  },
+  status: {
+    active: "Action",
+    stand: "Stand",
+    bust: "Bust",
+    blackjack: "Blackjack",
+    surrender: "Surrender",
+    idle: "Idle",
+  },
+  results: {
+    win: "WIN",
+    lose: "LOSE",
+    push: "PUSH",
+    blackjack: "BLACKJACK",
+    surrender: "SURRENDER",
+    evenMoney: "EVEN MONEY",
+    withBonus: "{result} · {bonus}",
+  },
+  bet: {
+    activeSeat: "Active betting seat",
+    player: "Player",
+    chips: "Chips",
+    addChip: "Add {amount}",
+    clear: "Clear",
+    allIn: "All-in",
+    rebuy: "Rebuy {amount}",
+    topUp: "Top up {amount}",
+    nextPlayer: "Next player",
+  },
+  insurance: {
+    title: "Insurance",
+    evenMoneyOffer: "{name} — even money?",
+    insureOffer: "{name} — insure for {amount}?",
+    takeEvenMoney: "Take even money",
+    insure: "Insure",
+    decline: "Decline",
+  },
+  actions: {
+    deal: "Deal",
+    hit: "Hit",
+    stand: "Stand",
+    double: "Double",
+    split: "Split",
+    surrender: "Surrender",
+    switch: "Switch",
+    insure: "Take insurance",
+    decline: "Decline insurance",
+    nextRound: "Next round",
+  },
+  coach: {
+    title: "Coach",
+    hint: "Hint",
+    basicStrategy: "Basic strategy:",
+    stop: ".",
+    correct: "{name}: {action} was correct.",
+    wrong: "{name} chose {played}; basic strategy says {best}. {reason}",
+    score: "{name}: {correct}/{decisions} this round · {accuracy} accuracy overall",
+    noScore: "—",
+  },
+  odds: {
+    title: "Odds",
+    unseen: { one: "{count} unseen card", other: "{count} unseen cards" },
+    waiting: "Odds appear once the cards are out.",
+    hand: "{name}: {total}",
+    bustOnHit: "bust on a hit {percent}",
+    dealer: "Dealer's final total with {card} up",
+    dealerHidden: "Dealer's final total with both cards down",
+    bust: "Bust",
+  },
+  upcards: {
+    ace: "an Ace",
+    eight: "an 8",
+    card: "a {value}",
+  },
+  reasons: REASONS,
+  trainer: {
+    title: "Count trainer · Shoe #{shoe}",
+    system: "Count system",
+    quiz: "Quiz",
+    quizEvery: "Quiz: {interval}",
+    never: "Never",
+    everyRound: "Every round",
+    everyRounds: "Every {count} rounds",
+    show: "Show count",
+    hide: "Hide count",
+    newShoe: "New shoe shuffled: the count starts over.",
+    running: "Running count",
+    trueCount: "True count",
+    progress: "{cards} cards seen · {decks} decks left",
+    question: "Quiz: what is the count?",
+    runningField: "Running",
+    trueField: "True",
+    check: "Check",
+    correct: "Correct.",
+    wrong: "Not quite.",
+    answer: " The running count was {running}.",
+    answerWithTrue: " The running count was {running} and the true count {trueCount}.",
+    score: "Quiz score: {correct}/{asked} ({percent})",
+  },
+  countSystems: {
+    hiLo: "Hi-Lo",
+    ko: "KO",
+    omegaII: "Omega II",
+  },
+  bots: {
+    basic: "Basic strategy",
+    neverBust: "Never bust",
+    dealerMimic: "Dealer mimic",
+    aggressive: "Aggressive bettor",
+  },
+  fairness: {
+    title: "Provably fair · Shoe #{shoe}",
+    commitment: "Current commitment",
+    dealt: "{count} cards dealt. The seed is revealed when the shoe is exhausted.",
+    stacked: "This shoe was stacked by hand and cannot be verified.",
+    shoe: "Shoe #{shoe}",
+    cards: " · {count} cards",
+    seed: "Seed",
+    commitmentLabel: "Commitment",
+    verify: "Verify",
+    verified: "Verified: commitment matches and all {count} cards were dealt in order.",
+    badCommitment: "Commitment does not match the revealed seed.",
+    mismatches: "{count} of {checked} cards did not match the shoe.",
+    none: "—",
+  },
+  stats: {
+    title: "Player statistics",
+    chartEmpty: "Play a few rounds to chart the bankroll.",
+    chart: "Bankroll from {from} to {to}",
+    rounds: "Rounds",
+    roundsValue: "{rounds} ({hands} hands)",
+    outcomes: "Win / loss / push",
+    blackjackBust: "Blackjack / bust",
+    net: "Net",
+    biggest: "Biggest win / loss",
+    averageBet: "Average bet",
+    longestStreaks: "Longest streaks",
+    longestValue: "{won} won / {lost} lost",
+    currentStreak: "Current streak",
+    won: "{count} won",
+    lost: "{count} lost",
+    noStreak: "—",
+    empty: "No finished rounds yet.",
+    reset: "Reset statistics",
+  },
+  history: {
+    title: "Hand history",
+    close: "Close",
+    empty: "Finished rounds will appear here.",
+    round: "Round {round}",
+    shoe: " · Shoe #{shoe}",
+    replay: "Replay",
+    exportJson: "Export JSON",
+    exportCsv: "Export CSV",
+    allRounds: "All rounds",
+    previous: "Prev",
+    next: "Next",
+    first: "First step",
+    last: "Last step",
+    step: "Replay step",
+    stepOf: "Step {step} of {count}",
+    dealer: "Dealer",
+    total: "Total: {total}",
+    handLine: "Total: {total} · Bet: {bet}",
+    handResult: " · {result} {delta}",
+    settledChips: "{chips} ({delta})",
+    bet: "Bet: {amount}",
+    satOut: "Sat out",
+    pot: "Pot: {amount}",
+    carried: " carried to the next round",
+    houseTook: " · the house took {amount}",
+  },
+  events: {
+    start: "Round {round}: bets are placed",
+    settled: "Round settled",
+    holeCard: "Dealer takes the hole card",
+    dealerDraws: "Dealer draws {card}",
+    dealt: "{hand} is dealt {card}",
+    splitHand: "{name} (hand {hand})",
+    hit: "{hand} hits",
+    stand: "{hand} stands",
+    double: "{hand} doubles down",
+    split: "{hand} splits",
+    surrender: "{hand} surrenders",
+    switch: "{hand} switches cards",
+    sideBetWins: "{name}'s {bet} wins: {outcome}",
+    sideBetLoses: "{name}'s {bet} loses",
+    takesInsurance: "{name} takes insurance",
+    declinesInsurance: "{name} declines insurance",
+    takesEvenMoney: "{name} takes even money",
+    declinesEvenMoney: "{name} declines even money",
+    peekBlackjack: "Dealer peeks: blackjack",
+    peekClear: "Dealer peeks: no blackjack",
+    reveal: "Dealer reveals {card}",
+  },
+  rules: {
+    variant: "Game",
+    decks: "Decks in the shoe",
+    penetration: "Cut card (penetration)",
+    payout: "Blackjack pays",
+    chipSet: "Chip set",
+    minBet: "Minimum bet",
+    maxBet: "Maximum bet",
+    noLimit: "No limit",
+    potMode: "Shared pot (2+ seats)",
+    rebuyMode: "Rebuys",
+    rebuyAmount: "Rebuy amount",
+    rebuyLimit: "Rebuys per seat",
+    soft17: "Dealer hits soft 17",
+    turnSeconds: "Turn clock (seconds)",
+    betSeconds: "Betting clock (seconds)",
+    untimed: "Untimed",
+    timeBankSeconds: "Time bank per seat (seconds)",
+    betTimeout: "When betting time runs out",
+    perfectPairs: "Perfect Pairs side bet",
+    twentyOnePlusThree: "21+3 side bet",
+    sideBetOff: "Not offered",
+  },
+  potModes: {
+    proportional: "Proportional",
+    winnerTakesAll: "Winner takes all",
+    sidePots: "Side pots",
+    dealerTakes: "Dealer takes unclaimed",
+  },
+  betTimeouts: {
+    sitOut: "Sit the round out",
+    repeat: "Repeat the last bet",
+  },
+  rebuyModes: {
+    off: "No rebuys",
+    rebuy: "Rebuy when broke",
+    topUp: "Top up to the rebuy amount",
+  },
+  variants: {
+    names: {
+      classic: "Classic blackjack",
+      spanish21: "Spanish 21",
+      switch: "Blackjack Switch",
+      pontoon: "Pontoon",
+    },
+    descriptions: {
+      classic: "One hand a seat, dealt from standard 52-card decks.",
+      spanish21: "No tens in the deck. A player's 21 always wins, and five-card, 6-7-8 and 7-7-7 21s pay a bonus.",
+      switch: "Two hands a seat that may swap their second cards. A dealer 22 pushes, and blackjack pays 1:1.",
+      pontoon:
+        "Dealer cards stay face down and the dealer wins ties. A five-card trick pays 2:1; stand on 15 or more.",
+    },
+    bonuses: {
+      fiveCard21: "Five-card 21",
+      sixCard21: "Six-card 21",
+      sevenCard21: "Seven-card 21",
+      sixSevenEight: "6-7-8",
+      sixSevenEightSuited: "Suited 6-7-8",
+      sixSevenEightSpades: "Spades 6-7-8",
+      tripleSevens: "7-7-7",
+      tripleSevensSuited: "Suited 7-7-7",
+      tripleSevensSpades: "Spades 7-7-7",
+      fiveCardTrick: "Five-card trick",
+    },
+  },
+  rulesCard: {
+    variant: "Game",
+    shoe: "Shoe",
+    shoeValue: { one: "{count} deck, cut at {percent}", other: "{count} decks, cut at {percent}" },
+    dealer: "Dealer",
+    hitsSoft17: "Hits soft 17",
+    standsAll17: "Stands on all 17s",
+    blackjack: "Blackjack",
+    pays: "Pays {payout}",
+    bets: "Bets",
+    range: "{min} – {max}",
+    minimum: "{min} minimum",
+    rebuys: "Rebuys",
+    none: "None",
+    whenBroke: "{amount} when broke",
+    topUp: "Top up to {amount}",
+    perSeat: ", {count} per seat",
+    pot: "Pot",
+    clock: "Clock",
+    turnClock: "{seconds}s a turn",
+    betClock: "{seconds}s to bet",
+    timeBank: "{seconds}s time bank",
+    sideBets: "Side bets",
+    sideBet: "{bet}: {pays}",
+  },
+  clock: {
+    left: "{seconds}s left",
+    timeBank: "+{seconds}s ({bank}s banked)",
+  },
+  tournament: {
+    format: "Format",
+    cash: "Cash game",
+    tournament: "Tournament",
+    length: "Length",
+    rounds: "Rounds",
+    hands: "Hands",
+    schedule: "Blind schedule",
+    scheduleOption: "{label} (×{levels})",
+    levelRounds: "Rounds per level",
+    startingChips: "Starting stack",
+    level: "Level {level}",
+    minimum: "Minimum {amount}",
+    roundOf: "Round {round} of {count}",
+    handsPlayed: "{played} of {count} hands played",
+    nextLevel: { one: "{amount} in {count} round", other: "{amount} in {count} rounds" },
+    finalRound: "Final round · secret bets",
+    standings: "Final standings",
+    outIn: "Out in round {round}",
+    backToLobby: "Back to the lobby",
+    place: { one: "{count}st", two: "{count}nd", few: "{count}rd", other: "{count}th" },
+  },
+  schedules: {
+    slow: "Slow",
+    standard: "Standard",
+    turbo: "Turbo",
+  },
+  profiles: {
+    title: "Profiles",
+    hint: "Named players keep their bankroll from table to table. Pick them for a seat above.",
+    name: "Name",
+    avatar: "Avatar",
+    colour: "Colour",
+    add: "Add profile",
+    remove: "Remove",
+  },
+  profileErrors: PROFILE_ERRORS,
+  scenarios: {
+    title: "Scenarios",
+    hint: "Stack the first round's cards to rehearse a spot. Seats and rules come from the settings above.",
+    summary: "{seats} against {up}",
+    play: "Play",
+    edit: "Edit",
+    remove: "Remove",
+    name: "Name",
+    seats: "Seats",
+    seatCards: "Seat {seat} cards",
+    seatPlaceholder: "A♠ 7d",
+    upcard: "Dealer upcard",
+    upPlaceholder: "9c",
+    holeCard: "Dealer hole card",
+    holePlaceholder: "Kh",
+    next: "Next cards in the shoe",
+    nextPlaceholder: "2h 5s",
+    save: "Save scenario",
+    playDraft: "Play without saving",
+    clear: "Clear",
+    untitled: "Untitled scenario",
+    builtIn: {
+      softEighteen: {
+        name: "Soft 18 against a 9",
+        lesson: "Basic strategy hits soft 18 against a 9; standing loses to the dealer's likely 19.",
+      },
+      aceAgainstBlackjack: {
+        name: "Dealer ace against a blackjack",
+        lesson: "Decide whether to take even money, then see what the dealer had underneath.",
+      },
+      splitEights: {
+        name: "Split eights against a 10",
+        lesson: "Sixteen is the worst hand there is; two hands starting from 8 do better.",
+      },
+      noWinners: {
+        name: "A pot with no winners",
+        lesson: "Two seats with 16 against a 10. When nobody beats the dealer the pot waits for the next round.",
+      },
+    },
+  },
+  scenarioErrors: SCENARIO_ERRORS,
+  leaderboard: {
+    title: "Leaderboard",
+    hint: "All-time results for every profile, rebuys included.",
+    rank: "#",
+    player: "Player",
+    net: "Net",
+    bankroll: "Bankroll",
+    rebuys: "Rebuys",
+    rounds: "Rounds",
+  },
+  saved: {
+    title: "Saved table",
+    hint: "Pick up where you left off, or load a session exported from another machine.",
+    round: "Round {round}",
+    savedAt: "Saved {date}",
+    resume: "Resume table",
+    import: "Import session",
+    damaged: "The session file is damaged: {detail}",
+  },
+  sessionErrors: SESSION_ERRORS,
+  online: {
+    title: "Play online",
+    hint: "Open a room on the table server and share its code, or join a friend's room.",
+    server: "Server",
+    name: "Your name",
+    namePlaceholder: "Player",
+    seats: "Seats",
+    seatCount: "{count} seats",
+    code: "Room code",
+    codePlaceholder: "ABCD",
+    create: "Create room",
+    join: "Join room",
+    connecting: "Connecting…",
+    errors: {
+      badAddress: "That server address is not valid.",
+      noRoom: "No table with that code.",
+      started: "That table has already started.",
+      full: "That table is full.",
+      noSeat: "Could not find your seat at that table.",
+      notHost: "Only the host can open the table.",
+      alreadyOpen: "The table is already open.",
+      notOpen: "The table has not opened yet.",
+      notAllowed: "That action is not allowed.",
+      ownSeat: "You can only act for your own seat.",
+      notYourTurn: "It is not your turn.",
+      badAmount: "Bets must be a whole, positive number of chips.",
+      joinFirst: "Join a table first.",
+      unknown: "Unknown message.",
+      notJson: "Messages must be JSON.",
+    },
+  },
+  waiting: {
+    room: "Room {code}",
+    hint: "Share this code with the other players. The host opens the table once everyone is seated.",
+    seat: "Seat {seat}",
+    open: "Open",
+    reconnecting: "Reconnecting…",
+    openTable: "Open Table",
+    waitingForHost: "Waiting for the host to open the table…",
+    leave: "Leave room",
+  },
+  shortcuts: {
+    title: "Keyboard shortcuts",
+    close: "Close",
+    arrows: "Arrow keys move between betting seats.",
+    phases: {
+      betting: "Betting",
+      insurance: "Insurance",
+      playing: "Your turn",
+      roundEnd: "Round over",
+    },
+    labels: {
+      deal: "Deal",
+      clear: "Clear the bet",
+      allIn: "All-in",
+      nextSeat: "Next betting seat",
+      rebuy: "Rebuy or top up",
+      insure: "Take insurance or even money",
+      decline: "Decline insurance",
+      hit: "Hit",
+      stand: "Stand",
+      double: "Double",
+      split: "Split",
+      surrender: "Surrender",
+      switch: "Switch the second cards",
+      nextRound: "Next round",
+      chip: "Add a chip (1 is the smallest)",
+      timeBank: "Use the time bank",
+      betCircle: "Next bet circle",
+      help: "Show or hide this list",
+    },
+  },
+  announce: {
+    round: "Round {round}.",
+    splits: "{name} splits.",
+    switches: "{name} switches cards.",
+    handOf: "{name}, hand {hand}",
+    gets: "{hand} gets {cards}, {total}.",
+    and: " and ",
+    list: ", ",
+    holeCard: "Dealer takes a face-down card.",
+    shows: "Dealer shows {card}.",
+    draws: "Dealer draws {card}.",
+    reveals: "Dealer reveals {card}.",
+    drawsMany: "Dealer draws {cards}.",
+    dealerHas: "Dealer has {total}.",
+    result: "{name}: {results}, {delta}.",
+    sideBet: "{name}: {result}.",
+    toAct: "{hand} to act.",
+  },
+  cards: {
+    name: "{rank} of {suit}",
+    faceDown: "face-down card",
+    ranks: {
+      A: "ace",
+      2: "two",
+      3: "three",
+      4: "four",
+      5: "five",
+      6: "six",
+      7: "seven",
+      8: "eight",
+      9: "nine",
+      10: "ten",
+      J: "jack",
+      Q: "queen",
+      K: "king",
+    },
+    suits: {
+      "♠": "spades",
+      "♥": "hearts",
+      "♦": "diamonds",
+      "♣": "clubs",
+    },
+  },
+  messages: MESSAGES,
+};
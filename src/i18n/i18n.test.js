@@ -0,0 +1,120 @@
+import { readdirSync, readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { MESSAGES } from "../engine/index.js";
+import { card } from "../engine/testUtils.js";
+import en from "./en.js";
+import { createI18n, detectLocale, translate } from "./index.js";
+import ja from "./ja.js";
+
+const isPlural = (node) => typeof node === "object" && typeof node.other === "string";
+
+// Every translatable string as [key, text]; the forms of a plural entry count
+// as one string.
+const entries = (node, prefix = "") =>
+  Object.entries(node).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === "string") return [[path, value]];
+    if (isPlural(value)) return [[path, Object.values(value).join(" ")]];
+    return entries(value, path);
+  });
+
+const placeholders = (text) => [...new Set(text.match(/\{\w+\}/g) ?? [])].sort();
+
+const source = (path) => readFileSync(new URL(path, import.meta.url), "utf8");
+const sourceFiles = (dir, options) =>
+  readdirSync(new URL(dir, import.meta.url), options)
+    .filter((file) => /\.jsx?$/.test(file) && !file.includes(".test."))
+    .map((file) => `${dir}/${file}`);
+
+const matches = (text, pattern) => [...text.matchAll(pattern)].map((match) => match[1]);
+
+// JSX text children and user-facing attributes that are written out in full
+// rather than looked up.
+const JSX_TEXT = /(?:(?<=[\w"}/])>|^\s*>)([^<>{}]*)(?=<[/A-Za-z]|\{)/gm;
+const JSX_ATTRIBUTE = /\b(?:aria-label|placeholder|title|alt)="([^"]*)"/g;
+
+describe("dictionaries", () => {
+  const english = new Map(entries(en));
+  const japanese = new Map(entries(ja));
+
+  it("translate every key into both languages", () => {
+    expect([...japanese.keys()].sort()).toEqual([...english.keys()].sort());
+    for (const [key, text] of [...english, ...japanese]) expect(text.trim(), key).not.toBe("");
+  });
+
+  it("use the same placeholders in both languages", () => {
+    for (const [key, text] of english) expect(placeholders(japanese.get(key)), key).toEqual(placeholders(text));
+  });
+
+  it("define every key the interface asks for", () => {
+    const keys = sourceFiles("..", { recursive: true }).flatMap((file) => matches(source(file), /\bt\(\s*"([\w.]+)"/g));
+    expect(keys.length).toBeGreaterThan(100);
+    for (const key of keys) expect(english.has(key), key).toBe(true);
+  });
+
+  it("leave no hard-coded text in the components", () => {
+    for (const file of ["../App.jsx", ...sourceFiles("../components")]) {
+      const text = source(file).replace(/^\s*\/\/.*$/gm, "");
+      const written = [...matches(text, JSX_TEXT), ...matches(text, JSX_ATTRIBUTE)];
+      expect(written.filter((value) => /\p{L}/u.test(value)), file).toEqual([]);
+    }
+  });
+});
+
+describe("translate", () => {
+  it("fills placeholders and falls back to the key", () => {
+    expect(translate("en", "app.round", { round: 4 })).toBe("Round 4");
+    expect(translate("ja", "app.round", { round: 4 })).toBe("ラウンド 4");
+    expect(translate("ja", "no.such.key")).toBe("no.such.key");
+  });
+
+  it("picks plural and ordinal forms", () => {
+    expect(translate("en", "rulesCard.shoeValue", { count: 1, percent: "75%" })).toBe("1 deck, cut at 75%");
+    expect(translate("en", "rulesCard.shoeValue", { count: 6, percent: "75%" })).toBe("6 decks, cut at 75%");
+    expect([1, 2, 3, 4, 11, 22].map((count) => translate("en", "tournament.place", { count, ordinal: true }))).toEqual([
+      "1st",
+      "2nd",
+      "3rd",
+      "4th",
+      "11th",
+      "22nd",
+    ]);
+    expect(translate("ja", "tournament.place", { count: 2, ordinal: true })).toBe("2位");
+  });
+
+  it("detects the browser's language", () => {
+    expect(detectLocale(["ja-JP", "en-US"])).toBe("ja");
+    expect(detectLocale(["fr-FR", "en-GB"])).toBe("en");
+    expect(detectLocale(["fr-FR"])).toBe("en");
+  });
+});
+
+describe("createI18n", () => {
+  const english = createI18n("en");
+  const japanese = createI18n("ja");
+
+  it("formats chips for the locale", () => {
+    expect(english.chips(1234.5)).toBe("$1,235");
+    expect(english.delta(-25)).toBe("-$25");
+    expect(english.delta(40)).toBe("+$40");
+    expect(japanese.chips(1000)).toBe("$1,000");
+    expect(english.percent(0.75)).toBe("75%");
+  });
+
+  it("says card names out loud", () => {
+    expect(english.cardName(card("10", "♥"))).toBe("ten of hearts");
+    expect(english.cardName(card("A"))).toBe("ace of spades");
+    expect(english.cardName(card("7", "♦"))).toBe("seven of diamonds");
+    expect(english.cardName(card("Q", "♣"))).toBe("queen of clubs");
+    expect(japanese.cardName(card("10", "♥"))).toBe("ハートの10");
+  });
+
+  it("translates default seat names and engine messages", () => {
+    expect(japanese.name("Player 2")).toBe("プレイヤー 2");
+    expect(japanese.name("Bot 3")).toBe("ボット 3");
+    expect(japanese.name("Aiko")).toBe("Aiko");
+    expect(english.message(MESSAGES.betting)).toBe(MESSAGES.betting);
+    expect(japanese.message(MESSAGES.betting)).toBe(ja.messages.betting);
+    expect(japanese.message("Something unexpected")).toBe("Something unexpected");
+  });
+});
@@ -0,0 +1,175 @@
+import {
+  formatCard,
+  MESSAGES,
+  PROFILE_ERRORS,
+  SCENARIO_ERRORS,
+  SESSION_ERRORS,
+  seatSplit,
+  SIDE_BET_PAY_TABLES,
+} from "../engine/index.js";
+import { formatChips, formatDelta, formatPercent } from "../format.js";
+import en from "./en.js";
+import ja from "./ja.js";
+
+export const LOCALES = {
+  en: { label: "English", tag: "en-US", dictionary: en },
+  ja: { label: "日本語", tag: "ja-JP", dictionary: ja },
+};
+
+export const DEFAULT_LOCALE = "en";
+
+export const isLocale = (value) => Object.hasOwn(LOCALES, value);
+
+// The first supported language the browser asks for, English otherwise.
+export const detectLocale = (languages = globalThis.navigator?.languages ?? []) =>
+  languages.map((language) => language.slice(0, 2).toLowerCase()).find(isLocale) ?? DEFAULT_LOCALE;
+
+const lookup = (dictionary, key) => key.split(".").reduce((node, part) => node?.[part], dictionary);
+
+// Plural entries are objects keyed by Intl.PluralRules category with an
+// `other` fallback; `count` picks the form and `ordinal` switches to 1st/2nd.
+const isPlural = (node) => typeof node === "object" && node !== null && typeof node.other === "string";
+
+const pick = (node, tag, values) => {
+  if (!isPlural(node)) return node;
+  const category = new Intl.PluralRules(tag, { type: values.ordinal ? "ordinal" : "cardinal" }).select(values.count);
+  return node[category] ?? node.other;
+};
+
+export const translate = (locale, key, values = {}) => {
+  const { tag, dictionary } = LOCALES[locale] ?? LOCALES[DEFAULT_LOCALE];
+  const text = pick(lookup(dictionary, key) ?? lookup(en, key), tag, values);
+  if (typeof text !== "string") return key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+};
+
+const keyOf = (catalog, text) => Object.keys(catalog).find((key) => catalog[key] === text);
+
+const DEFAULT_NAME = /^(Player|Bot) (\d+)$/;
+
+// Everything the interface needs to speak one language: `t` for dictionary
+// keys, number formats, and helpers that translate text the engine, the
+// server or a saved file hands over in English.
+export const createI18n = (locale) => {
+  const { tag } = LOCALES[locale] ?? LOCALES[DEFAULT_LOCALE];
+  const t = (key, values) => translate(locale, key, values);
+  const chips = (value) => formatChips(value, tag);
+  const delta = (value) => formatDelta(value, tag);
+  const percent = (value, digits = 0) => formatPercent(value, tag, digits);
+  const number = (value, digits = 0) =>
+    new Intl.NumberFormat(tag, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+
+  // Guest and bot seats are named "Player 2" or "Bot 3" in the game state;
+  // chosen names are shown as they are.
+  const name = (raw) => {
+    const match = DEFAULT_NAME.exec(raw ?? "");
+    return match ? t(match[1] === "Bot" ? "seat.bot" : "seat.player", { number: match[2] }) : raw;
+  };
+
+  // How a card is said out loud: "ten of hearts".
+  const cardName = (card) =>
+    t("cards.name", { rank: t(`cards.ranks.${card.rank}`), suit: t(`cards.suits.${card.suit}`) });
+
+  // A hand's result, with the variant bonus it earned: "WIN · Five-card 21".
+  const result = (value, bonus) => {
+    if (!value) return "";
+    const text = t(`results.${value}`);
+    return bonus ? t("results.withBonus", { result: text, bonus: t(`variants.bonuses.${bonus}`) }) : text;
+  };
+
+  const upcard = (value) => {
+    if (value === 11) return t("upcards.ace");
+    return value === 8 ? t("upcards.eight") : t("upcards.card", { value });
+  };
+
+  const known = (section, catalog, text) => {
+    const key = keyOf(catalog, text);
+    return key ? t(`${section}.${key}`) : text;
+  };
+
+  const message = (text) => known("messages", MESSAGES, text);
+  const profileError = (text) => known("profileErrors", PROFILE_ERRORS, text);
+  const scenarioError = (text) => known("scenarioErrors", SCENARIO_ERRORS, text);
+  const sessionError = (text) =>
+    keyOf(SESSION_ERRORS, text) ? known("sessionErrors", SESSION_ERRORS, text) : t("saved.damaged", { detail: text });
+  const onlineError = (code) => (lookup(en, `online.errors.${code}`) ? t(`online.errors.${code}`) : code);
+
+  const reason = ({ reasonKey, reasonValues }) =>
+    t(`reasons.${reasonKey}`, { total: reasonValues.total, up: upcard(reasonValues.up) });
+
+  const sideBetName = (kind) => t(`sideBets.names.${kind}`);
+  const outcome = (value) => t(`sideBets.outcomes.${value}`);
+
+  // A settled side bet: "Perfect Pairs: Coloured pair +$120".
+  const sideBet = (settled) => {
+    const values = { bet: sideBetName(settled.kind), delta: delta(settled.delta) };
+    return settled.outcome
+      ? t("sideBets.won", { ...values, outcome: outcome(settled.outcome) })
+      : t("sideBets.lost", values);
+  };
+
+  // A pay table, best outcome first: "Perfect pair 25:1, Coloured pair 12:1, …".
+  const sideBetPays = (kind, table) =>
+    Object.entries(SIDE_BET_PAY_TABLES[kind][table])
+      .map(([value, pays]) => t("sideBets.pays", { outcome: outcome(value), pays }))
+      .join(t("sideBets.list"));
+
+  // The replay label for a frame: its event, or the start and end of the round.
+  const frameLabel = (record, frame, index) => {
+    const { event } = frame;
+    if (!event) return index === 0 ? t("events.start", { round: record.round }) : t("events.settled");
+    const seatName = event.seat === undefined ? "" : name(record.seats[event.seat].name);
+    const hand = seatSplit(record, event.seat)
+      ? t("events.splitHand", { name: seatName, hand: event.hand + 1 })
+      : seatName;
+    switch (event.type) {
+      case "card":
+        if (event.to === "dealer") {
+          return event.hidden ? t("events.holeCard") : t("events.dealerDraws", { card: formatCard(event.card) });
+        }
+        return t("events.dealt", { hand, card: formatCard(event.card) });
+      case "action":
+        return t(`events.${event.action}`, { hand });
+      case "insurance": {
+        const wager = event.offer === "evenMoney" ? "EvenMoney" : "Insurance";
+        return t(`events.${event.accept ? "takes" : "declines"}${wager}`, { name: seatName });
+      }
+      case "peek":
+        return t(event.blackjack ? "events.peekBlackjack" : "events.peekClear");
+      case "reveal":
+        return t("events.reveal", { card: formatCard(event.card) });
+      case "sideBet":
+        return event.outcome
+          ? t("events.sideBetWins", { name: seatName, bet: sideBetName(event.kind), outcome: outcome(event.outcome) })
+          : t("events.sideBetLoses", { name: seatName, bet: sideBetName(event.kind) });
+      default:
+        return frame.label;
+    }
+  };
+
+  const date = (value) => new Date(value).toLocaleString(tag);
+
+  return {
+    locale,
+    tag,
+    t,
+    chips,
+    delta,
+    percent,
+    number,
+    name,
+    cardName,
+    result,
+    message,
+    profileError,
+    scenarioError,
+    sessionError,
+    onlineError,
+    reason,
+    sideBetName,
+    sideBet,
+    sideBetPays,
+    frameLabel,
+    date,
+  };
+};
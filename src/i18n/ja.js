@@ -0,0 +1,673 @@
+import { MAX_NAME_LENGTH, MAX_SCENARIO_SEATS } from "../engine/index.js";
+
+export default {
+  language: {
+    label: "言語",
+  },
+  app: {
+    brand: "Blackjack Royale",
+    title: "カジノテーブルスイート",
+    tagline: "金色の光とフェルトに包まれた、対戦型ブラックジャック。",
+    solo: "ソロ",
+    multi: "マルチ",
+    round: "ラウンド {round}",
+  },
+  lobby: {
+    playerCountTitle: "プレイヤー人数を選択",
+    playerCountHint: "テーブルの席数を選んでから配りましょう。",
+    players: "{count}人",
+    seat: "{seat}番席",
+    guest: "ゲスト",
+    bot: "ボット・{label}",
+    rulesTitle: "テーブルルール",
+    rulesHint: "このテーブルのシュー、ディーラーのルール、配当、ベット上限を設定します。",
+    formatTitle: "テーブル形式",
+    formatHint: "終わりのないキャッシュゲームか、最低ベットが上がり脱落のあるトーナメントを選べます。",
+    seed: "テーブルシード（任意）",
+    seedPlaceholder: "ランダム",
+    open: "テーブルを開く",
+  },
+  table: {
+    soloTitle: "ソロテーブル",
+    multiTitle: "マルチプレイヤーテーブル",
+    subtitle: "ディーラーに勝ってチップを増やしましょう。",
+    pot: "ポット: {amount}",
+    house: "ハウス: {amount}",
+    deck: "デッキ残り: {count}",
+    coachOn: "コーチ オン",
+    coachOff: "コーチ オフ",
+    trainerOn: "トレーナー オン",
+    trainerOff: "トレーナー オフ",
+    oddsOn: "確率 オン",
+    oddsOff: "確率 オフ",
+    soundOn: "サウンド オン",
+    soundOff: "サウンド オフ",
+    reducedMotion: "動きを減らす",
+    shortcuts: "ショートカット (?)",
+    history: "履歴 ({count})",
+    leaveRoom: "ルーム {code} を退出",
+    exportSession: "セッションを書き出す",
+    lobby: "ロビー",
+    dealer: "ディーラー",
+    dealerCards: "ディーラーのカード",
+    total: "合計: {total}",
+    hiddenTotal: "?",
+    noTotal: "合計: -",
+    seats: "座席",
+    bettingSeat: "ベットする座席",
+    botsPlaying: "ボットがプレイ中…",
+    display: "テーブル表示",
+  },
+  display: {
+    title: "Blackjack Royale · テーブル表示",
+    waiting: "テーブルを待っています",
+    waitingHint: "このブラウザの別のタブでテーブルを開くと、ここに表示されます。",
+  },
+  seat: {
+    player: "プレイヤー {number}",
+    bot: "ボット {number}",
+    you: "（あなた）",
+    betting: "ベット中",
+    out: "脱落",
+    chips: "チップ: {amount}",
+    bet: "ベット: {amount}",
+    secret: "非公開",
+    rebuys: "リバイ: {count}回",
+    insurance: "インシュランス: {amount}",
+    hands: "{count}ハンド",
+    doubled: " ×2",
+    cards: "{name}のカード",
+    handCards: "{name}のハンド{hand}",
+    sittingOut: "見送り",
+  },
+  sideBets: {
+    names: {
+      perfectPairs: "パーフェクトペア",
+      twentyOnePlusThree: "21+3",
+    },
+    outcomes: {
+      perfect: "パーフェクトペア",
+      coloured: "カラーペア",
+      mixed: "ミックスペア",
+      suitedTrips: "スーテッドスリーカード",
+      straightFlush: "ストレートフラッシュ",
+      trips: "スリーカード",
+      straight: "ストレート",
+      flush: "フラッシュ",
+    },
+    circles: "ベットサークル",
+    main: "メインベット",
+    placed: "{bet} {amount}",
+    won: "{bet}: {outcome} {delta}",
+    lost: "{bet}: はずれ {delta}",
+    pays: "{outcome} {pays}:1",
+    list: "、",
+  },
+  status: {
+    active: "アクション",
+    stand: "スタンド",
+    bust: "バースト",
+    blackjack: "ブラックジャック",
+    surrender: "サレンダー",
+    idle: "待機",
+  },
+  results: {
+    win: "勝ち",
+    lose: "負け",
+    push: "引き分け",
+    blackjack: "ブラックジャック",
+    surrender: "サレンダー",
+    evenMoney: "イーブンマネー",
+    withBonus: "{result} · {bonus}",
+  },
+  bet: {
+    activeSeat: "ベット中の座席",
+    player: "プレイヤー",
+    chips: "チップ",
+    addChip: "{amount} を追加",
+    clear: "クリア",
+    allIn: "オールイン",
+    rebuy: "リバイ {amount}",
+    topUp: "{amount} まで補充",
+    nextPlayer: "次のプレイヤー",
+  },
+  insurance: {
+    title: "インシュランス",
+    evenMoneyOffer: "{name} — イーブンマネーにしますか？",
+    insureOffer: "{name} — {amount} でインシュランスをかけますか？",
+    takeEvenMoney: "イーブンマネーを受ける",
+    insure: "かける",
+    decline: "断る",
+  },
+  actions: {
+    deal: "ディール",
+    hit: "ヒット",
+    stand: "スタンド",
+    double: "ダブル",
+    split: "スプリット",
+    surrender: "サレンダー",
+    switch: "スイッチ",
+    insure: "インシュランスをかける",
+    decline: "インシュランスを断る",
+    nextRound: "次のラウンド",
+  },
+  coach: {
+    title: "コーチ",
+    hint: "ヒント",
+    basicStrategy: "ベーシックストラテジー:",
+    stop: "。",
+    correct: "{name}: {action}は正解です。",
+    wrong: "{name}は{played}を選びました。ベーシックストラテジーでは{best}です。{reason}",
+    score: "{name}: このラウンド {correct}/{decisions} · 通算正答率 {accuracy}",
+    noScore: "—",
+  },
+  odds: {
+    title: "確率",
+    unseen: { other: "未公開のカード {count}枚" },
+    waiting: "カードが配られると確率が表示されます。",
+    hand: "{name}: {total}",
+    bustOnHit: "ヒットでバストする確率 {percent}",
+    dealer: "アップカード {card} のディーラーの最終合計",
+    dealerHidden: "2枚とも伏せられたディーラーの最終合計",
+    bust: "バスト",
+  },
+  upcards: {
+    ace: "A",
+    eight: "8",
+    card: "{value}",
+  },
+  reasons: {
+    splitAces: "Aは必ずスプリット。それぞれが11から始まるハンドになります。",
+    splitEights: "8は必ずスプリット。16は最悪の合計で、8から始まる2つのハンドの方が有利です。",
+    keepTens: "10はスプリットしません。20はほとんどの場合そのまま勝てます。",
+    splitNines: "9をスプリット。このアップカードには18が1つより9のハンド2つの方が強いです。",
+    keepNines: "ディーラーの{up}には、9のペアは18としてスタンドします。",
+    splitSevens: "ディーラーの2〜7には7をスプリット。14はスタンドにもヒットにも弱すぎます。",
+    keepSevens: "強いアップカードには7をスプリットせず、14としてヒットします。",
+    splitSixes: "弱いアップカードには6をスプリットし、ディーラーのバーストを待ちます。",
+    keepSixes: "強いアップカードには6をスプリットせず、12としてヒットします。",
+    splitFours: "4をスプリットするのは、ディーラーが最もバーストしやすい5か6のときだけです。",
+    keepFours: "4のペアはヒット。8はバーストしません。",
+    splitSmallPairs: "ディーラーの2〜7には小さいペアをスプリットし、弱いカードに多く賭けます。",
+    keepSmallPairs: "強いアップカードには小さいペアをヒットします。",
+    softStand: "ソフト{total}は十分に強いのでスタンドします。",
+    softNineteenDouble: "ディーラーがソフト17でヒットするなら、6に対するソフト19はダブルします。",
+    softEighteenDouble: "ディーラーの{up}に対するソフト18: ディーラーが弱いうちはダブル、できなければスタンド。",
+    softEighteenStand: "ディーラーの{up}に対するソフト18はスタンドするハンドです。",
+    softEighteenHit: "ディーラーの{up}に対するソフト18は不利です。ソフトハンドは1枚ではバーストしないのでヒット。",
+    softDouble: "ディーラーの{up}にはソフト{total}でダブル。ディーラーはバーストしやすく、あなたはバーストしません。",
+    softHit: "ソフト{total}はヒット。1枚ではソフトハンドはバーストしません。",
+    hardStand: "ハード{total}はスタンド。バーストの危険が高すぎます。",
+    stiffStand: "ディーラーの{up}には{total}でスタンドし、バーストの危険をディーラーに負わせます。",
+    stiffHit: "ディーラーの{up}には{total}でヒット。ディーラーはたいてい17以上で終わります。",
+    twelveStand: "ディーラーの{up}には12でスタンド。ディーラーが最もバーストしやすいカードです。",
+    twelveHit: "ディーラーの{up}には12でヒット。バーストするのは10点札だけです。",
+    elevenDouble: "ディーラーの{up}には11でダブル。10点札が来れば21です。",
+    elevenHit: "ディーラーがソフト17でスタンドするなら、Aに対する11はヒットします。",
+    tenDouble: "ディーラーの{up}には10でダブル。高い合計で終わる見込みはあなたの方が上です。",
+    tenHit: "ディーラーの{up}には10でヒット。ダブルするにはディーラーが強すぎます。",
+    nineDouble: "ディーラーが弱い{up}なら9でダブルします。",
+    nineHit: "ディーラーの{up}には9でヒットします。",
+    lowHit: "{total}はヒット。どのカードでもバーストしません。",
+    surrender: "ディーラーの{up}に対するハード{total}は半分以上負けるので、ベットの半分を放棄します。",
+    evenMoney:
+      "イーブンマネーはブラックジャックにかけるインシュランスです。ベーシックストラテジーでは断り、ブラックジャックの配当を満額受け取ります。",
+    insurance: "インシュランスはホールカードが10点札のときだけ払われ、それは3回に1回もありません。",
+  },
+  trainer: {
+    title: "カウントトレーナー · シュー #{shoe}",
+    system: "カウント方式",
+    quiz: "クイズ",
+    quizEvery: "クイズ: {interval}",
+    never: "出さない",
+    everyRound: "毎ラウンド",
+    everyRounds: "{count}ラウンドごと",
+    show: "カウントを表示",
+    hide: "カウントを隠す",
+    newShoe: "新しいシューに切り替わりました。カウントは0からやり直しです。",
+    running: "ランニングカウント",
+    trueCount: "トゥルーカウント",
+    progress: "{cards}枚使用 · 残り{decks}デッキ",
+    question: "クイズ: 今のカウントは？",
+    runningField: "ランニング",
+    trueField: "トゥルー",
+    check: "答え合わせ",
+    correct: "正解です。",
+    wrong: "惜しい。",
+    answer: "ランニングカウントは{running}でした。",
+    answerWithTrue: "ランニングカウントは{running}、トゥルーカウントは{trueCount}でした。",
+    score: "クイズの成績: {correct}/{asked}（{percent}）",
+  },
+  countSystems: {
+    hiLo: "ハイロー",
+    ko: "KO",
+    omegaII: "オメガII",
+  },
+  bots: {
+    basic: "ベーシックストラテジー",
+    neverBust: "バーストしない",
+    dealerMimic: "ディーラーの真似",
+    aggressive: "強気のベッター",
+  },
+  fairness: {
+    title: "公正性の証明 · シュー #{shoe}",
+    commitment: "現在のコミットメント",
+    dealt: "{count}枚配布済み。シードはシューを使い切ったときに公開されます。",
+    stacked: "このシューは手で積まれたため検証できません。",
+    shoe: "シュー #{shoe}",
+    cards: " · {count}枚",
+    seed: "シード",
+    commitmentLabel: "コミットメント",
+    verify: "検証",
+    verified: "検証済み: コミットメントが一致し、{count}枚すべてが順番どおりに配られました。",
+    badCommitment: "コミットメントが公開されたシードと一致しません。",
+    mismatches: "{checked}枚中{count}枚がシューと一致しませんでした。",
+    none: "—",
+  },
+  stats: {
+    title: "プレイヤー統計",
+    chartEmpty: "数ラウンド遊ぶと資金の推移がグラフになります。",
+    chart: "資金 {from} から {to}",
+    rounds: "ラウンド",
+    roundsValue: "{rounds}（{hands}ハンド）",
+    outcomes: "勝ち / 負け / 引き分け",
+    blackjackBust: "ブラックジャック / バースト",
+    net: "収支",
+    biggest: "最大の勝ち / 負け",
+    averageBet: "平均ベット",
+    longestStreaks: "最長連続",
+    longestValue: "{won}連勝 / {lost}連敗",
+    currentStreak: "現在の連続",
+    won: "{count}連勝",
+    lost: "{count}連敗",
+    noStreak: "—",
+    empty: "終了したラウンドはまだありません。",
+    reset: "統計をリセット",
+  },
+  history: {
+    title: "ハンド履歴",
+    close: "閉じる",
+    empty: "終了したラウンドがここに表示されます。",
+    round: "ラウンド {round}",
+    shoe: " · シュー #{shoe}",
+    replay: "リプレイ",
+    exportJson: "JSONで書き出す",
+    exportCsv: "CSVで書き出す",
+    allRounds: "すべてのラウンド",
+    previous: "前へ",
+    next: "次へ",
+    first: "最初のステップ",
+    last: "最後のステップ",
+    step: "リプレイのステップ",
+    stepOf: "ステップ {step} / {count}",
+    dealer: "ディーラー",
+    total: "合計: {total}",
+    handLine: "合計: {total} · ベット: {bet}",
+    handResult: " · {result} {delta}",
+    settledChips: "{chips}（{delta}）",
+    bet: "ベット: {amount}",
+    satOut: "不参加",
+    pot: "ポット: {amount}",
+    carried: "（次のラウンドへ持ち越し）",
+    houseTook: " · ハウスが{amount}を回収",
+  },
+  events: {
+    start: "ラウンド {round}: ベット完了",
+    settled: "ラウンド精算",
+    holeCard: "ディーラーがホールカードを取る",
+    dealerDraws: "ディーラーが{card}を引く",
+    dealt: "{hand}に{card}が配られる",
+    splitHand: "{name}（ハンド{hand}）",
+    hit: "{hand}がヒット",
+    stand: "{hand}がスタンド",
+    double: "{hand}がダブルダウン",
+    split: "{hand}がスプリット",
+    surrender: "{hand}がサレンダー",
+    switch: "{hand}がカードを入れ替え",
+    sideBetWins: "{name}の{bet}: {outcome}で勝ち",
+    sideBetLoses: "{name}の{bet}: 負け",
+    takesInsurance: "{name}がインシュランスをかける",
+    declinesInsurance: "{name}がインシュランスを断る",
+    takesEvenMoney: "{name}がイーブンマネーを受ける",
+    declinesEvenMoney: "{name}がイーブンマネーを断る",
+    peekBlackjack: "ディーラーがピーク: ブラックジャック",
+    peekClear: "ディーラーがピーク: ブラックジャックなし",
+    reveal: "ディーラーが{card}を公開",
+  },
+  rules: {
+    variant: "ゲーム",
+    decks: "シューのデッキ数",
+    penetration: "カットカード（ペネトレーション）",
+    payout: "ブラックジャックの配当",
+    chipSet: "チップセット",
+    minBet: "最低ベット",
+    maxBet: "最高ベット",
+    noLimit: "上限なし",
+    potMode: "共有ポット（2席以上）",
+    rebuyMode: "リバイ",
+    rebuyAmount: "リバイ額",
+    rebuyLimit: "1席あたりのリバイ回数",
+    soft17: "ディーラーはソフト17でヒット",
+    turnSeconds: "1手の持ち時間（秒）",
+    betSeconds: "ベットの持ち時間（秒）",
+    untimed: "なし",
+    timeBankSeconds: "1席あたりのタイムバンク（秒）",
+    betTimeout: "ベットの時間切れ",
+    perfectPairs: "サイドベット: パーフェクトペア",
+    twentyOnePlusThree: "サイドベット: 21+3",
+    sideBetOff: "なし",
+  },
+  potModes: {
+    proportional: "比例配分",
+    winnerTakesAll: "勝者総取り",
+    sidePots: "サイドポット",
+    dealerTakes: "勝者なしはディーラーが回収",
+  },
+  betTimeouts: {
+    sitOut: "そのラウンドを見送る",
+    repeat: "前回と同じ額をベット",
+  },
+  rebuyModes: {
+    off: "リバイなし",
+    rebuy: "チップが尽きたらリバイ",
+    topUp: "リバイ額まで補充",
+  },
+  variants: {
+    names: {
+      classic: "クラシック ブラックジャック",
+      spanish21: "スパニッシュ21",
+      switch: "ブラックジャック スイッチ",
+      pontoon: "ポントゥーン",
+    },
+    descriptions: {
+      classic: "標準の52枚デッキで、1席につき1ハンドをプレイします。",
+      spanish21: "10を抜いたデッキ。プレイヤーの21は常に勝ち、5枚以上・6-7-8・7-7-7の21にはボーナス。",
+      switch: "1席2ハンドで2枚目のカードを入れ替え可能。ディーラーの22は引き分け、ブラックジャックは1:1。",
+      pontoon: "ディーラーのカードは伏せたまま、同点はディーラーの勝ち。ファイブカードは2:1、スタンドは15以上。",
+    },
+    bonuses: {
+      fiveCard21: "5枚の21",
+      sixCard21: "6枚の21",
+      sevenCard21: "7枚の21",
+      sixSevenEight: "6-7-8",
+      sixSevenEightSuited: "同じスートの6-7-8",
+      sixSevenEightSpades: "スペードの6-7-8",
+      tripleSevens: "7-7-7",
+      tripleSevensSuited: "同じスートの7-7-7",
+      tripleSevensSpades: "スペードの7-7-7",
+      fiveCardTrick: "ファイブカード",
+    },
+  },
+  rulesCard: {
+    variant: "ゲーム",
+    shoe: "シュー",
+    shoeValue: { other: "{count}デッキ、{percent}でカット" },
+    dealer: "ディーラー",
+    hitsSoft17: "ソフト17でヒット",
+    standsAll17: "17以上はすべてスタンド",
+    blackjack: "ブラックジャック",
+    pays: "配当 {payout}",
+    bets: "ベット",
+    range: "{min} 〜 {max}",
+    minimum: "最低 {min}",
+    rebuys: "リバイ",
+    none: "なし",
+    whenBroke: "チップが尽きたら {amount}",
+    topUp: "{amount} まで補充",
+    perSeat: "、1席{count}回まで",
+    pot: "ポット",
+    clock: "持ち時間",
+    turnClock: "1手{seconds}秒",
+    betClock: "ベット{seconds}秒",
+    timeBank: "タイムバンク{seconds}秒",
+    sideBets: "サイドベット",
+    sideBet: "{bet}: {pays}",
+  },
+  clock: {
+    left: "残り{seconds}秒",
+    timeBank: "+{seconds}秒（残り{bank}秒）",
+  },
+  tournament: {
+    format: "形式",
+    cash: "キャッシュゲーム",
+    tournament: "トーナメント",
+    length: "長さ",
+    rounds: "ラウンド",
+    hands: "ハンド",
+    schedule: "ブラインドスケジュール",
+    scheduleOption: "{label}（×{levels}）",
+    levelRounds: "レベルごとのラウンド数",
+    startingChips: "開始チップ",
+    level: "レベル {level}",
+    minimum: "最低 {amount}",
+    roundOf: "ラウンド {round} / {count}",
+    handsPlayed: "{count}ハンド中 {played}ハンド終了",
+    nextLevel: { other: "あと{count}ラウンドで {amount}" },
+    finalRound: "最終ラウンド · シークレットベット",
+    standings: "最終順位",
+    outIn: "ラウンド {round} で脱落",
+    backToLobby: "ロビーに戻る",
+    place: { other: "{count}位" },
+  },
+  schedules: {
+    slow: "スロー",
+    standard: "スタンダード",
+    turbo: "ターボ",
+  },
+  profiles: {
+    title: "プロフィール",
+    hint: "名前付きプレイヤーはテーブルをまたいで資金を持ち越します。上の座席で選んでください。",
+    name: "名前",
+    avatar: "アバター",
+    colour: "色",
+    add: "プロフィールを追加",
+    remove: "削除",
+  },
+  profileErrors: {
+    noName: "名前を入力してください。",
+    tooLong: `名前は${MAX_NAME_LENGTH}文字までです。`,
+    reserved: "その名前はゲストとボットの座席で使われています。",
+    taken: "その名前は別のプロフィールが使っています。",
+  },
+  scenarios: {
+    title: "シナリオ",
+    hint: "最初のラウンドのカードを指定して場面を練習できます。座席とルールは上の設定が使われます。",
+    summary: "{up} に対して {seats}",
+    play: "プレイ",
+    edit: "編集",
+    remove: "削除",
+    name: "名前",
+    seats: "座席",
+    seatCards: "座席{seat}のカード",
+    seatPlaceholder: "A♠ 7d",
+    upcard: "ディーラーのアップカード",
+    upPlaceholder: "9c",
+    holeCard: "ディーラーのホールカード",
+    holePlaceholder: "Kh",
+    next: "シューの次のカード",
+    nextPlaceholder: "2h 5s",
+    save: "シナリオを保存",
+    playDraft: "保存せずにプレイ",
+    clear: "クリア",
+    untitled: "名前のないシナリオ",
+    builtIn: {
+      softEighteen: {
+        name: "9に対するソフト18",
+        lesson: "ベーシックストラテジーでは9に対するソフト18はヒットです。スタンドするとディーラーの19に負けがちです。",
+      },
+      aceAgainstBlackjack: {
+        name: "ブラックジャックに対するディーラーのエース",
+        lesson: "イーブンマネーを受けるか決めてから、ディーラーの伏せ札を確かめましょう。",
+      },
+      splitEights: {
+        name: "10に対する8のスプリット",
+        lesson: "16は最も弱いハンドです。8から始まる2つのハンドのほうが有利です。",
+      },
+      noWinners: {
+        name: "勝者のいないポット",
+        lesson: "10に対して16の座席が2つ。誰もディーラーに勝てないと、ポットは次のラウンドに持ち越されます。",
+      },
+    },
+  },
+  scenarioErrors: {
+    noName: "シナリオに名前を付けてください。",
+    seats: `シナリオの座席は1〜${MAX_SCENARIO_SEATS}です。`,
+    badCard: "カードはランクとスートで書いてください（例: A♠、10h、kd）。",
+    dealerCards: "ディーラーにはアップカードとホールカードが必要です。",
+    seatCards: "各座席には、プレイするハンドごとに2枚の最初のカードが必要です。",
+    notInShoe: "シューにはそのカードがそれほど入っていません。",
+  },
+  leaderboard: {
+    title: "リーダーボード",
+    hint: "すべてのプロフィールの通算成績（リバイ込み）。",
+    rank: "#",
+    player: "プレイヤー",
+    net: "収支",
+    bankroll: "資金",
+    rebuys: "リバイ",
+    rounds: "ラウンド",
+  },
+  saved: {
+    title: "保存されたテーブル",
+    hint: "前回の続きから遊ぶか、別のマシンで書き出したセッションを読み込みます。",
+    round: "ラウンド {round}",
+    savedAt: "{date} に保存",
+    resume: "テーブルを再開",
+    import: "セッションを読み込む",
+    damaged: "セッションファイルが壊れています: {detail}",
+  },
+  sessionErrors: {
+    notJson: "ファイルが正しいJSONではありません。",
+    notSession: "これは Blackjack Royale のセッションファイルではありません。",
+    noVersion: "セッションファイルに有効なバージョンがありません。",
+    newer: "このセッションは新しいバージョンのゲームで保存されています。",
+  },
+  online: {
+    title: "オンライン対戦",
+    hint: "テーブルサーバーにルームを作ってコードを共有するか、友だちのルームに参加します。",
+    server: "サーバー",
+    name: "あなたの名前",
+    namePlaceholder: "プレイヤー",
+    seats: "座席数",
+    seatCount: "{count}席",
+    code: "ルームコード",
+    codePlaceholder: "ABCD",
+    create: "ルームを作成",
+    join: "ルームに参加",
+    connecting: "接続中…",
+    errors: {
+      badAddress: "サーバーのアドレスが正しくありません。",
+      noRoom: "そのコードのテーブルはありません。",
+      started: "そのテーブルはすでに始まっています。",
+      full: "そのテーブルは満席です。",
+      noSeat: "そのテーブルにあなたの座席が見つかりません。",
+      notHost: "テーブルを開けるのはホストだけです。",
+      alreadyOpen: "テーブルはすでに開いています。",
+      notOpen: "テーブルはまだ開いていません。",
+      notAllowed: "その操作はできません。",
+      ownSeat: "操作できるのは自分の座席だけです。",
+      notYourTurn: "あなたの番ではありません。",
+      badAmount: "ベットは1枚以上の整数のチップ数にしてください。",
+      joinFirst: "先にテーブルに参加してください。",
+      unknown: "不明なメッセージです。",
+      notJson: "メッセージはJSONで送ってください。",
+    },
+  },
+  waiting: {
+    room: "ルーム {code}",
+    hint: "このコードを他のプレイヤーに共有してください。全員がそろったらホストがテーブルを開きます。",
+    seat: "{seat}番席",
+    open: "空席",
+    reconnecting: "再接続中…",
+    openTable: "テーブルを開く",
+    waitingForHost: "ホストがテーブルを開くのを待っています…",
+    leave: "ルームを退出",
+  },
+  shortcuts: {
+    title: "キーボードショートカット",
+    close: "閉じる",
+    arrows: "矢印キーでベットする座席を移動します。",
+    phases: {
+      betting: "ベット",
+      insurance: "インシュランス",
+      playing: "あなたの番",
+      roundEnd: "ラウンド終了",
+    },
+    labels: {
+      deal: "ディール",
+      clear: "ベットをクリア",
+      allIn: "オールイン",
+      nextSeat: "次のベット座席",
+      rebuy: "リバイまたは補充",
+      insure: "インシュランスまたはイーブンマネーを受ける",
+      decline: "インシュランスを断る",
+      hit: "ヒット",
+      stand: "スタンド",
+      double: "ダブル",
+      split: "スプリット",
+      surrender: "サレンダー",
+      switch: "2枚目のカードを入れ替え",
+      nextRound: "次のラウンド",
+      chip: "チップを追加（1が最小）",
+      timeBank: "タイムバンクを使う",
+      betCircle: "次のベットサークル",
+      help: "この一覧を表示・非表示",
+    },
+  },
+  announce: {
+    round: "ラウンド {round}。",
+    splits: "{name}がスプリット。",
+    switches: "{name}がカードを入れ替え。",
+    handOf: "{name}のハンド{hand}",
+    gets: "{hand}に{cards}、合計{total}。",
+    and: "と",
+    list: "、",
+    holeCard: "ディーラーが伏せたカードを取りました。",
+    shows: "ディーラーのアップカードは{card}。",
+    draws: "ディーラーが{card}を引きました。",
+    reveals: "ディーラーが{card}を公開。",
+    drawsMany: "ディーラーが{cards}を引きました。",
+    dealerHas: "ディーラーの合計は{total}。",
+    result: "{name}: {results}、{delta}。",
+    sideBet: "{name}: {result}。",
+    toAct: "{hand}の番です。",
+  },
+  cards: {
+    name: "{suit}の{rank}",
+    faceDown: "伏せたカード",
+    ranks: {
+      A: "エース",
+      2: "2",
+      3: "3",
+      4: "4",
+      5: "5",
+      6: "6",
+      7: "7",
+      8: "8",
+      9: "9",
+      10: "10",
+      J: "ジャック",
+      Q: "クイーン",
+      K: "キング",
+    },
+    suits: {
+      "♠": "スペード",
+      "♥": "ハート",
+      "♦": "ダイヤ",
+      "♣": "クラブ",
+    },
+  },
+  messages: {
+    betting: "チップを選んでディールを押すとラウンドが始まります。",
+    playing: "アクションを選んでください。",
+    insurance: "ディーラーのアップカードはエースです。各席はインシュランスかイーブンマネーを選べます。",
+    peekClear: "ディーラーはブラックジャックではありませんでした。アクションを選んでください。",
+    dealerBlackjack: "ディーラーはブラックジャックです。",
+    roundEnd: "ラウンド終了。準備ができたら次のラウンドを始めてください。",
+    noChips: "ベットできるチップを持つプレイヤーがいません。",
+    invalidBet: "各プレイヤーはテーブルの上限とチップ残高の範囲でベットしてください。",
+    tournamentOver: "トーナメントは終了しました。最終順位をご覧ください。",
+    finalRound: "最終ラウンド: シークレットベットをしてください。",
+    noBets: "誰もベットしないまま時間切れになりました。",
+  },
+};
@@ -0,0 +1,6 @@
+import { createContext, useContext } from "react";
+import { createI18n, DEFAULT_LOCALE } from "./index.js";
+
+export const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+export const useI18n = () => useContext(I18nContext);
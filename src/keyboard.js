@@ -0,0 +1,29 @@
+// Single-key shortcuts for the table, by phase. In the betting phase the digit
+// keys 1-9 add the matching chip from the table's chip set. Their descriptions
+// live in the dictionaries under shortcuts.labels.
+export const SHORTCUTS = {
+  betting: { d: "deal", c: "clear", a: "allIn", n: "nextSeat", r: "rebuy", b: "betCircle", t: "timeBank" },
+  insurance: { i: "insure", x: "decline", t: "timeBank" },
+  playing: { h: "hit", s: "stand", d: "double", p: "split", u: "surrender", w: "switch", t: "timeBank" },
+  roundEnd: { n: "nextRound" },
+};
+
+const isTyping = (target) =>
+  Boolean(target?.closest?.("input, select, textarea, [contenteditable='true']")) || Boolean(target?.isContentEditable);
+
+// The shortcut a key press asks for, or null. Presses with a modifier or inside
+// a form field are left alone. Chips come back as { action: "chip", index }.
+export const shortcutFor = (phase, event) => {
+  if (event.ctrlKey || event.metaKey || event.altKey || isTyping(event.target)) return null;
+  if (event.key === "?") return { action: "help" };
+  const key = event.key.toLowerCase();
+  if (phase === "betting" && /^[1-9]$/.test(key)) return { action: "chip", index: Number(key) - 1 };
+  const action = SHORTCUTS[phase]?.[key];
+  return action ? { action } : null;
+};
+
+// The key for an action in a phase, for aria-keyshortcuts and on-screen hints.
+export const shortcutKey = (phase, action) => {
+  const entry = Object.entries(SHORTCUTS[phase] ?? {}).find(([, name]) => name === action);
+  return entry ? entry[0].toUpperCase() : undefined;
+};
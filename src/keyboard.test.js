@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { shortcutFor, shortcutKey } from "./keyboard.js";
+
+const press = (key, extra = {}) => ({ key, target: null, ...extra });
+
+describe("shortcutFor", () => {
+  it("maps keys to actions for the current phase", () => {
+    expect(shortcutFor("playing", press("h"))).toEqual({ action: "hit" });
+    expect(shortcutFor("playing", press("S"))).toEqual({ action: "stand" });
+    expect(shortcutFor("betting", press("d"))).toEqual({ action: "deal" });
+    expect(shortcutFor("playing", press("d"))).toEqual({ action: "double" });
+    expect(shortcutFor("roundEnd", press("n"))).toEqual({ action: "nextRound" });
+    expect(shortcutFor("dealer", press("h"))).toBeNull();
+  });
+
+  it("turns digits into chips while betting", () => {
+    expect(shortcutFor("betting", press("3"))).toEqual({ action: "chip", index: 2 });
+    expect(shortcutFor("playing", press("3"))).toBeNull();
+    expect(shortcutFor("betting", press("0"))).toBeNull();
+  });
+
+  it("leaves modified keys and typing alone", () => {
+    expect(shortcutFor("playing", press("h", { ctrlKey: true }))).toBeNull();
+    const input = { closest: (selector) => (selector.includes("input") ? {} : null) };
+    expect(shortcutFor("playing", press("h", { target: input }))).toBeNull();
+  });
+
+  it("toggles the help list in any phase", () => {
+    expect(shortcutFor("dealer", press("?"))).toEqual({ action: "help" });
+  });
+});
+
+describe("shortcutKey", () => {
+  it("finds the key for an action", () => {
+    expect(shortcutKey("playing", "split")).toBe("P");
+    expect(shortcutKey("betting", "hit")).toBeUndefined();
+  });
+});
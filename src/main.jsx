@@ -1,10 +1,12 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App.jsx";
+import TableDisplay from "./components/TableDisplay.jsx";
+import { isDisplayRoute } from "./net/tableDisplay.js";
 import "./styles.css";
 
 createRoot(document.getElementById("root")).render(
   <React.StrictMode>
-    <App />
+    {isDisplayRoute() ? <TableDisplay /> : <App />}
   </React.StrictMode>
 );
@@ -0,0 +1,27 @@
+// Time between cards in the dealing sequence; animations and sounds are both
+// paced in these steps.
+export const DEAL_STEP_MS = 160;
+
+// The opening deal goes one card to each seat in turn, then the dealer's hole
+// card, then a second card each ending with the dealer's up card. `seats` is
+// the number of seats dealt in and `position` a seat's place among them.
+export const seatCardStep = (seats, position, handCount, index) =>
+  handCount === 1 && index < 2 ? index * (seats + 1) + position : 0;
+
+// Cards the dealer draws after the reveal follow the flip one step apart.
+export const dealerCardStep = (seats, index) => (index < 2 ? index * (seats + 1) + seats : index - 1);
+
+// Seats holding cards, by seat index, mapped to their place in the deal.
+export const dealPositions = (players) => {
+  const dealt = players.map((player, seat) => (player.hands.length ? seat : null)).filter((seat) => seat !== null);
+  return { seats: dealt.length, position: (seat) => dealt.indexOf(seat) };
+};
+
+// Results wait for the cards that came with them: the dealer's draws after the
+// reveal, and the whole opening deal when nobody got to act before the round
+// was over.
+export const settleStep = (table) => {
+  const decided = table.history.at(-1)?.events.some((event) => ["action", "insurance"].includes(event.type)) ?? true;
+  const opening = decided ? 0 : dealerCardStep(dealPositions(table.players).seats, 1);
+  return opening + Math.max(table.dealer.hand.length - 1, 1);
+};
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { dealerCardStep, dealPositions, seatCardStep, settleStep } from "./motion.js";
+import { play, table } from "./engine/testUtils.js";
+
+describe("deal steps", () => {
+  it("follow the order the opening deal is dealt in", () => {
+    const steps = [
+      seatCardStep(2, 0, 1, 0),
+      seatCardStep(2, 1, 1, 0),
+      dealerCardStep(2, 0),
+      seatCardStep(2, 0, 1, 1),
+      seatCardStep(2, 1, 1, 1),
+      dealerCardStep(2, 1),
+    ];
+    expect(steps).toEqual([0, 1, 2, 3, 4, 5]);
+  });
+
+  it("bring hits at once and the dealer's draws one after another", () => {
+    expect(seatCardStep(2, 1, 1, 2)).toBe(0);
+    expect(seatCardStep(2, 1, 2, 1)).toBe(0);
+    expect([2, 3, 4].map((index) => dealerCardStep(2, index))).toEqual([1, 2, 3]);
+  });
+
+  it("skip seats that were not dealt in", () => {
+    const hand = { cards: [] };
+    const { seats, position } = dealPositions([{ hands: [hand] }, { hands: [] }, { hands: [hand] }]);
+    expect(seats).toBe(2);
+    expect(position(2)).toBe(1);
+  });
+});
+
+describe("settleStep", () => {
+  it("waits for the dealer's draws", () => {
+    const dealt = play(table(1, ["10", "10", "9", "6", "5"], [25]), [{ type: "deal" }]);
+    const settled = play(dealt, [{ type: "stand" }, { type: "playDealer" }]);
+    expect(settled.dealer.hand).toHaveLength(3);
+    expect(settleStep(settled)).toBe(2);
+  });
+
+  it("waits for the whole opening deal when nobody could act", () => {
+    const settled = play(table(1, ["9", "A", "9", "K"], [25]), [{ type: "deal" }]);
+    expect(settled.phase).toBe("roundEnd");
+    expect(settleStep(settled)).toBe(dealerCardStep(1, 1) + 1);
+  });
+});
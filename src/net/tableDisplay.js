@@ -0,0 +1,50 @@
+import { isSecretBetting, redactState } from "../engine/index.js";
+
+export const DISPLAY_CHANNEL = "blackjack.display";
+const DISPLAY_HASH = "#display";
+
+export const isDisplayRoute = () => window.location.hash === DISPLAY_HASH;
+
+export const displayUrl = () => `${window.location.pathname}${window.location.search}${DISPLAY_HASH}`;
+
+// What the table display may show: a local table is redacted the same way the
+// server redacts an online one, and nobody's bet is shown during a secret-bet
+// round, not even the seat whose tab is hosting. The history stays behind.
+export const displayView = (table) => {
+  const { history, ...view } = table.deck ? redactState(table) : table;
+  if (!isSecretBetting(view)) return view;
+  return { ...view, players: view.players.map((player) => ({ ...player, bet: null, sideBets: null })) };
+};
+
+// The playing tab hosts the display. Messages on the channel are:
+//   { type: "hello" }                  a display opened and wants the table
+//   { type: "table", table, locale }   the table as it is now
+//   { type: "closed" }                 the host left the table
+// A display that opens mid-round says hello and gets the current table back,
+// so it never waits for the next change to catch up. Only a tab with a table
+// open answers, so other tabs still in the lobby can't talk over it.
+export const hostTableDisplay = (channel) => {
+  let latest = { type: "closed" };
+  channel.onmessage = (event) => {
+    if (event.data?.type === "hello" && latest.type === "table") channel.postMessage(latest);
+  };
+  return {
+    publish: (table, locale) => {
+      if (!table && latest.type === "closed") return;
+      latest = table ? { type: "table", table: displayView(table), locale } : { type: "closed" };
+      channel.postMessage(latest);
+    },
+    close: () => channel.close(),
+  };
+};
+
+// `onTable` gets { table, locale }, or null once the host has left the table.
+export const watchTableDisplay = (channel, onTable) => {
+  channel.onmessage = (event) => {
+    const message = event.data;
+    if (message?.type === "table") onTable({ table: message.table, locale: message.locale });
+    else if (message?.type === "closed") onTable(null);
+  };
+  channel.postMessage({ type: "hello" });
+  return { close: () => channel.close() };
+};
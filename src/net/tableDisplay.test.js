@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { play, table } from "../engine/testUtils.js";
+import { displayView, hostTableDisplay, watchTableDisplay } from "./tableDisplay.js";
+
+// BroadcastChannel delivers to every other channel of the same name, never back
+// to the sender. These deliver at once so the tests stay synchronous.
+const channels = () => {
+  const open = new Set();
+  return () => {
+    const channel = {
+      onmessage: null,
+      postMessage: (data) =>
+        open.forEach((other) => other !== channel && other.onmessage?.({ data: structuredClone(data) })),
+      close: () => open.delete(channel),
+    };
+    open.add(channel);
+    return channel;
+  };
+};
+
+const dealt = () => play(table(2, ["10", "9", "7", "8", "6", "5"], [25, 50]), [{ type: "deal" }]);
+
+describe("table display", () => {
+  it("shows what an online spectator would: no shoe and no hole card", () => {
+    const view = displayView(dealt());
+    expect(view.deck).toBeNull();
+    expect(view.dealer.hand[0]).toBeNull();
+    expect(view.history).toBeUndefined();
+    expect(view.players.map((player) => player.hands[0].bet)).toEqual([25, 50]);
+    expect(displayView(view)).toEqual(view);
+  });
+
+  it("catches up a display opened mid-round", () => {
+    const open = channels();
+    const host = hostTableDisplay(open());
+    host.publish(dealt(), "ja");
+    const seen = [];
+    watchTableDisplay(open(), (shown) => seen.push(shown));
+    expect(seen).toHaveLength(1);
+    expect(seen[0].locale).toBe("ja");
+    expect(seen[0].table.players[1].hands[0].cards).toHaveLength(2);
+  });
+
+  it("follows the table until the host leaves it", () => {
+    const open = channels();
+    const host = hostTableDisplay(open());
+    const lobby = hostTableDisplay(open());
+    const seen = [];
+    watchTableDisplay(open(), (shown) => seen.push(shown?.table.phase ?? null));
+    expect(seen).toEqual([]);
+
+    const state = dealt();
+    host.publish(state, "en");
+    lobby.publish(null, "en");
+    host.publish(play(state, [{ type: "stand" }, { type: "stand" }, { type: "playDealer" }]), "en");
+    host.publish(null, "en");
+    expect(seen).toEqual(["playing", "roundEnd", null]);
+  });
+});
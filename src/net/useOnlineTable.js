@@ -0,0 +1,134 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const SESSION_KEY = "blackjack.online";
+const RETRY_DELAY = 1500;
+
+export const defaultServerUrl = () => `ws://${window.location.hostname || "localhost"}:8787`;
+
+const loadSession = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const saveSession = (session) => {
+  if (session) {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } else {
+    sessionStorage.removeItem(SESSION_KEY);
+  }
+};
+
+// Keeps one socket to the table server. The seat token is kept per browser
+// tab, so a refresh or dropped connection rejoins the same seat.
+export default function useOnlineTable() {
+  const [status, setStatus] = useState("offline");
+  const [view, setView] = useState(null);
+  // An error is the server's error code when it sent one (see ROOM_ERRORS), so
+  // the interface can show it in the player's language.
+  const [error, setError] = useState("");
+  const socketRef = useRef(null);
+  const sessionRef = useRef(null);
+  const retryRef = useRef(null);
+
+  const open = useCallback((url, hello) => {
+    clearTimeout(retryRef.current);
+    const stale = socketRef.current;
+    socketRef.current = null;
+    stale?.close();
+
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch {
+      setError("badAddress");
+      return;
+    }
+    socketRef.current = ws;
+    let joined = false;
+    setStatus(hello.type === "resume" ? "reconnecting" : "connecting");
+
+    ws.onopen = () => ws.send(JSON.stringify(hello));
+    ws.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === "joined") {
+        joined = true;
+        sessionRef.current = { url, code: message.code, token: message.token };
+        saveSession(sessionRef.current);
+        setStatus("online");
+        setError("");
+      } else if (message.type === "state") {
+        setView(message);
+      } else if (message.type === "error") {
+        setError(message.code ?? message.message);
+        if (hello.type === "resume" && !joined) {
+          sessionRef.current = null;
+          saveSession(null);
+          ws.close();
+        }
+      }
+    };
+    ws.onclose = () => {
+      if (socketRef.current !== ws) return;
+      socketRef.current = null;
+      const session = sessionRef.current;
+      if (!session) {
+        setStatus("offline");
+        return;
+      }
+      setStatus("reconnecting");
+      retryRef.current = setTimeout(
+        () => open(session.url, { type: "resume", code: session.code, token: session.token }),
+        RETRY_DELAY
+      );
+    };
+  }, []);
+
+  useEffect(() => {
+    const session = loadSession();
+    if (session) {
+      sessionRef.current = session;
+      open(session.url, { type: "resume", code: session.code, token: session.token });
+    }
+    return () => {
+      clearTimeout(retryRef.current);
+      const ws = socketRef.current;
+      socketRef.current = null;
+      ws?.close();
+    };
+  }, [open]);
+
+  const create = ({ url, name, seats, rules, tournament }) => {
+    sessionRef.current = null;
+    open(url, { type: "create", name, seats, rules, tournament });
+  };
+
+  const join = ({ url, code, name }) => {
+    sessionRef.current = null;
+    open(url, { type: "join", code, name });
+  };
+
+  const post = (message) => {
+    const ws = socketRef.current;
+    if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  };
+
+  const start = () => post({ type: "start" });
+  const send = (action) => post({ type: "action", action });
+
+  const leave = () => {
+    sessionRef.current = null;
+    saveSession(null);
+    clearTimeout(retryRef.current);
+    const ws = socketRef.current;
+    socketRef.current = null;
+    ws?.close();
+    setView(null);
+    setStatus("offline");
+    setError("");
+  };
+
+  return { status, view, error, create, join, start, send, leave };
+}
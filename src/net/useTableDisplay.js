@@ -0,0 +1,38 @@
+import { useEffect, useRef, useState } from "react";
+import { DISPLAY_CHANNEL, hostTableDisplay, watchTableDisplay } from "./tableDisplay.js";
+
+const openChannel = () => (typeof BroadcastChannel === "undefined" ? null : new BroadcastChannel(DISPLAY_CHANNEL));
+
+// Mirrors `table` (null when no table is open) to any table display open in
+// another tab of this browser. Closing the tab counts as leaving the table.
+export const useDisplayHost = (table, locale) => {
+  const hostRef = useRef(null);
+  useEffect(() => {
+    const channel = openChannel();
+    if (!channel) return undefined;
+    const host = hostTableDisplay(channel);
+    hostRef.current = host;
+    const leave = () => host.publish(null);
+    window.addEventListener("pagehide", leave);
+    return () => {
+      window.removeEventListener("pagehide", leave);
+      leave();
+      host.close();
+      hostRef.current = null;
+    };
+  }, []);
+  useEffect(() => hostRef.current?.publish(table, locale), [table, locale]);
+};
+
+// The table display's side: { table, locale } from the hosting tab, or null
+// while no tab has a table open.
+export default function useTableDisplay() {
+  const [shown, setShown] = useState(null);
+  useEffect(() => {
+    const channel = openChannel();
+    if (!channel) return undefined;
+    const watcher = watchTableDisplay(channel, setShown);
+    return () => watcher.close();
+  }, []);
+  return shown;
+}
@@ -0,0 +1,117 @@
+import { dealerCardStep, dealPositions, seatCardStep, settleStep } from "./motion.js";
+
+// The sound cues for what changed at the table, each tagged with the deal step
+// it belongs to so it lines up with the card animations.
+export const tableSounds = (before, after) => {
+  if (!before || before === after || before.tableId !== after.tableId) return [];
+  const { seats, position } = dealPositions(after.players);
+  const cues = [];
+  const dealing = before.phase === "betting" && after.phase !== "betting";
+  if (dealing) cues.push({ cue: "chip", step: 0 });
+
+  after.players.forEach((player, seat) => {
+    const previous = before.players[seat];
+    if (!previous) return;
+    if (after.phase === "betting" && player.bet > previous.bet) cues.push({ cue: "chip", step: 0 });
+    player.hands.forEach((hand, handIndex) => {
+      for (let index = previous.hands[handIndex]?.cards.length ?? 0; index < hand.cards.length; index += 1) {
+        cues.push({ cue: "deal", step: seatCardStep(seats, position(seat), player.hands.length, index) });
+      }
+    });
+  });
+
+  const seen = before.dealer.hand.length;
+  for (let index = seen; index < after.dealer.hand.length; index += 1) {
+    cues.push({ cue: "deal", step: dealerCardStep(seats, index) });
+  }
+  if (before.dealer.hidden && !after.dealer.hidden && after.dealer.hand.length) {
+    cues.push({ cue: "flip", step: seen ? 0 : dealerCardStep(seats, 1) + 1 });
+  }
+
+  if (after.phase === "roundEnd" && before.phase !== "roundEnd") {
+    const deltas = after.players.map((player) => player.delta ?? 0);
+    const result = deltas.some((delta) => delta > 0) ? "win" : deltas.some((delta) => delta < 0) ? "lose" : null;
+    if (result) cues.push({ cue: result, step: settleStep(after) });
+  }
+  return cues;
+};
+
+// Each cue is a few short tones: [frequency in Hz, start and length in seconds].
+// A frequency of 0 is a burst of noise, which is how a card sounds on felt.
+const TONES = {
+  deal: [[0, 0, 0.05]],
+  flip: [
+    [0, 0, 0.04],
+    [0, 0.07, 0.05],
+  ],
+  chip: [
+    [2300, 0, 0.04],
+    [2700, 0.05, 0.04],
+  ],
+  win: [
+    [523, 0, 0.12],
+    [659, 0.1, 0.12],
+    [784, 0.2, 0.2],
+  ],
+  lose: [
+    [392, 0, 0.16],
+    [311, 0.14, 0.26],
+  ],
+};
+
+// Plays cues through the Web Audio API. The audio context is only created on
+// the first cue, which always follows a click or key press, so browsers allow
+// it to start; without Web Audio the board stays silent.
+export const createSoundBoard = () => {
+  let context = null;
+  let noise = null;
+
+  const start = () => {
+    const AudioContext = globalThis.AudioContext ?? globalThis.webkitAudioContext;
+    if (!AudioContext) return null;
+    if (!context) {
+      context = new AudioContext();
+      noise = context.createBuffer(1, context.sampleRate * 0.1, context.sampleRate);
+      const samples = noise.getChannelData(0);
+      for (let index = 0; index < samples.length; index += 1) samples[index] = Math.random() * 2 - 1;
+    }
+    if (context.state === "suspended") context.resume();
+    return context;
+  };
+
+  const tone = (audio, [frequency, offset, length], at) => {
+    const gain = audio.createGain();
+    const begin = at + offset;
+    gain.gain.setValueAtTime(frequency ? 0.12 : 0.3, begin);
+    gain.gain.exponentialRampToValueAtTime(0.001, begin + length);
+    gain.connect(audio.destination);
+    let source;
+    if (frequency) {
+      source = audio.createOscillator();
+      source.type = "triangle";
+      source.frequency.value = frequency;
+    } else {
+      source = audio.createBufferSource();
+      source.buffer = noise;
+    }
+    source.connect(gain);
+    source.start(begin);
+    source.stop(begin + length);
+  };
+
+  // Cues landing on the same moment play once, so a reduced-motion deal
+  // (every step at 0) is one sound rather than a burst of them.
+  const play = (cues, stepMs) => {
+    if (!cues.length) return;
+    const audio = start();
+    if (!audio) return;
+    const moments = new Set(cues.map(({ cue, step }) => `${cue}@${step * stepMs}`));
+    moments.forEach((moment) => {
+      const [cue, delay] = moment.split("@");
+      const at = audio.currentTime + Number(delay) / 1000;
+      TONES[cue].forEach((part) => tone(audio, part, at));
+    });
+  };
+
+  return { play };
+};
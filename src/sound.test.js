@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { play, table } from "./engine/testUtils.js";
+import { createSoundBoard, tableSounds } from "./sound.js";
+
+const cues = (list) => list.map(({ cue, step }) => `${cue}@${step}`);
+
+describe("tableSounds", () => {
+  it("paces the opening deal card by card", () => {
+    const before = table(2, ["10", "9", "7", "8", "6", "5"], [25, 25]);
+    const after = play(before, [{ type: "deal" }]);
+    expect(cues(tableSounds(before, after))).toEqual([
+      "chip@0",
+      "deal@0",
+      "deal@3",
+      "deal@1",
+      "deal@4",
+      "deal@2",
+      "deal@5",
+    ]);
+  });
+
+  it("clicks a chip for each bet", () => {
+    const before = table(1, ["10", "9", "7", "8"], [0]);
+    const after = play(before, [{ type: "addBet", seat: 0, amount: 25 }]);
+    expect(cues(tableSounds(before, after))).toEqual(["chip@0"]);
+  });
+
+  it("flips the hole card, then draws and settles", () => {
+    const dealt = play(table(1, ["10", "10", "9", "6", "5"], [25]), [{ type: "deal" }]);
+    const standing = play(dealt, [{ type: "stand" }]);
+    const settled = play(standing, [{ type: "playDealer" }]);
+    expect(cues(tableSounds(standing, settled))).toEqual(["deal@1", "flip@0", "lose@2"]);
+  });
+
+  it("stays quiet when nothing changed or the table was replaced", () => {
+    const state = table(1, ["10", "9", "7", "8"], [25]);
+    expect(tableSounds(null, state)).toEqual([]);
+    expect(tableSounds(state, state)).toEqual([]);
+    expect(tableSounds({ ...state, tableId: "other" }, play(state, [{ type: "deal" }]))).toEqual([]);
+  });
+});
+
+describe("createSoundBoard", () => {
+  it("does nothing without Web Audio", () => {
+    expect(() => createSoundBoard().play([{ cue: "deal", step: 0 }], 100)).not.toThrow();
+  });
+});
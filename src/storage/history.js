@@ -0,0 +1,8 @@
+import { historyToCsv, serializeHistory } from "../engine/index.js";
+import { downloadJson, downloadText } from "./local.js";
+
+const fileStem = () => `blackjack-history-${new Date().toISOString().slice(0, 10)}`;
+
+export const exportHistoryJson = (history) => downloadJson(`${fileStem()}.json`, serializeHistory(history));
+
+export const exportHistoryCsv = (history) => downloadText(`${fileStem()}.csv`, historyToCsv(history), "text/csv");
@@ -0,0 +1,12 @@
+import { detectLocale, isLocale } from "../i18n/index.js";
+import { readJson, writeJson } from "./local.js";
+
+const LOCALE_KEY = "blackjack.locale";
+
+// A language picked in the switcher wins over the browser's preference.
+export const loadLocale = () => {
+  const saved = readJson(LOCALE_KEY);
+  return isLocale(saved) ? saved : detectLocale();
+};
+
+export const saveLocale = (locale) => writeJson(LOCALE_KEY, locale);
@@ -0,0 +1,18 @@
+import { readJson, writeJson } from "./local.js";
+
+const PREFERENCES_KEY = "blackjack.preferences";
+
+const prefersReducedMotion = () => Boolean(globalThis.matchMedia?.("(prefers-reduced-motion: reduce)").matches);
+
+// Reduced motion follows the system setting until the player picks one.
+export const loadPreferences = () => {
+  const saved = readJson(PREFERENCES_KEY) ?? {};
+  return {
+    muted: saved.muted === true,
+    reducedMotion: typeof saved.reducedMotion === "boolean" ? saved.reducedMotion : prefersReducedMotion(),
+  };
+};
+
+// Only the settings that were changed are stored.
+export const savePreference = (key, value) =>
+  writeJson(PREFERENCES_KEY, { ...readJson(PREFERENCES_KEY), [key]: value });
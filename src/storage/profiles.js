@@ -0,0 +1,11 @@
+import { emptyProfiles } from "../engine/index.js";
+import { readJson, writeJson } from "./local.js";
+
+const PROFILES_KEY = "blackjack.profiles";
+
+export const loadProfiles = () => {
+  const data = readJson(PROFILES_KEY);
+  return data && typeof data === "object" && !Array.isArray(data) ? data : emptyProfiles();
+};
+
+export const saveProfiles = (profiles) => writeJson(PROFILES_KEY, profiles);
@@ -0,0 +1,11 @@
+import { emptyScenarios } from "../engine/index.js";
+import { readJson, writeJson } from "./local.js";
+
+const SCENARIOS_KEY = "blackjack.scenarios";
+
+export const loadScenarios = () => {
+  const data = readJson(SCENARIOS_KEY);
+  return data && typeof data === "object" && !Array.isArray(data) ? data : emptyScenarios();
+};
+
+export const saveScenarios = (scenarios) => writeJson(SCENARIOS_KEY, scenarios);
@@ -0,0 +1,28 @@
+import { readSession, SESSION_ERRORS, serializeSession } from "../engine/index.js";
+import { downloadJson, readJson, writeJson } from "./local.js";
+
+const SAVE_KEY = "blackjack.session";
+
+export const loadSavedSession = () => {
+  const data = readJson(SAVE_KEY);
+  if (!data) return null;
+  const result = readSession(data);
+  return result.ok ? result : null;
+};
+
+export const saveSession = (game) => writeJson(SAVE_KEY, serializeSession(game));
+
+export const exportSession = (game) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  downloadJson(`blackjack-session-${stamp}-round-${game.round}.json`, serializeSession(game));
+};
+
+export const importSessionFile = async (file) => {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    return { ok: false, errors: [SESSION_ERRORS.notJson] };
+  }
+  return readSession(data);
+};
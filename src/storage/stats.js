@@ -0,0 +1,11 @@
+import { emptyStats } from "../engine/index.js";
+import { readJson, writeJson } from "./local.js";
+
+const STATS_KEY = "blackjack.stats";
+
+export const loadStats = () => {
+  const data = readJson(STATS_KEY);
+  return data?.players && data?.tables ? data : emptyStats();
+};
+
+export const saveStats = (stats) => writeJson(STATS_KEY, stats);